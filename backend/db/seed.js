@@ -88,6 +88,57 @@ const seedData = {
       createdAt: "2024-01-18T14:30:00Z"
     }
   ],
+  relationships: [
+    {
+      id: 1,
+      followerId: 1,
+      followedId: 2,
+      createdAt: "2024-01-16T15:30:00Z"
+    },
+    {
+      id: 2,
+      followerId: 2,
+      followedId: 1,
+      createdAt: "2024-01-16T16:00:00Z"
+    },
+    {
+      id: 3,
+      followerId: 3,
+      followedId: 1,
+      createdAt: "2024-01-17T10:30:00Z"
+    }
+  ],
+  likes: [
+    {
+      id: 1,
+      userId: 2,
+      micropostId: 1,
+      createdAt: "2024-01-16T16:10:00Z"
+    },
+    {
+      id: 2,
+      userId: 3,
+      micropostId: 1,
+      createdAt: "2024-01-17T10:40:00Z"
+    },
+    {
+      id: 3,
+      userId: 1,
+      micropostId: 3,
+      createdAt: "2024-01-16T15:40:00Z"
+    }
+  ],
+  hashtags: [],
+  notifications: [],
+  bookmarks: [],
+  micropostRevisions: [],
+  media: [],
+  pollVotes: [],
+  linkPreviews: [],
+  blocks: [],
+  mutes: [],
+  reports: [],
+  moderationActions: [],
   passwordResetTokens: []
 };
 
@@ -128,6 +179,8 @@ async function seedDatabase() {
     console.log('📊 Seeded data summary:');
     console.log(`   - Users: ${seedData.users.length}`);
     console.log(`   - Microposts: ${seedData.microposts.length}`);
+    console.log(`   - Relationships: ${seedData.relationships.length}`);
+    console.log(`   - Likes: ${seedData.likes.length}`);
     console.log(`   - Password reset tokens: ${seedData.passwordResetTokens.length}`);
     
     console.log('');
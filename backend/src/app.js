@@ -1,7 +1,13 @@
 import express from 'express';
 import compression from 'compression';
-import routes from './routes/index.js';
+import routes, { authService } from './routes/index.js';
 import config from './config/index.js';
+import { registerNotificationHandlers } from './services/notificationService.js';
+import { registerStreamHandlers, closeAllStreams } from './services/streamService.js';
+import { createWebSocketGateway } from './services/websocketGateway.js';
+import { startTrashPurgeScheduler } from './services/trashService.js';
+import { startScheduledPublishScheduler } from './services/scheduledPublishService.js';
+import { startMediaGcScheduler } from './services/mediaService.js';
 import {
   corsMiddleware,
   helmetMiddleware,
@@ -20,6 +26,12 @@ import {
 // Create Express app
 const app = express();
 
+// Create notifications from internal events (follow / like / reply / mention / password change)
+registerNotificationHandlers();
+
+// Push internal events to Server-Sent Events clients (GET /stream)
+registerStreamHandlers();
+
 // Trust proxy for rate limiting and IP detection
 app.set('trust proxy', 1);
 
@@ -43,6 +55,10 @@ app.use(compression({
     if (req.headers['x-no-compression']) {
       return false;
     }
+    // Don't compress Server-Sent Events (gzip buffering would delay each event)
+    if (String(res.getHeader('Content-Type') || '').startsWith('text/event-stream')) {
+      return false;
+    }
     // Fallback to standard filter function
     return compression.filter(req, res);
   }
@@ -73,6 +89,15 @@ app.use(express.urlencoded({
   limit: '10mb' 
 }));
 
+// Uploaded media (local storage backend)
+app.use(config.media.publicPath, express.static(config.media.storageDir, {
+  index: false,
+  setHeaders: (res) => {
+    // Images are embedded by the frontend, which may run on another origin
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  }
+}));
+
 // Swagger UI
 app.use(config.api.swaggerPath, swaggerServe, swaggerMiddleware);
 
@@ -95,6 +120,15 @@ app.use(errorHandler);
 const gracefulShutdown = (signal) => {
   console.log(`\n${signal} received. Shutting down gracefully...`);
   
+  // SSE connections never end on their own, so close them before the server
+  const closedStreams = closeAllStreams();
+  console.log(`Closed ${closedStreams} SSE connection(s).`);
+  const closedSockets = webSocketGateway.close();
+  console.log(`Closed ${closedSockets} WebSocket connection(s).`);
+  stopTrashPurge();
+  stopScheduledPublish();
+  stopMediaGc();
+  
   server.close(() => {
     console.log('HTTP server closed.');
     process.exit(0);
@@ -109,6 +143,10 @@ const gracefulShutdown = (signal) => {
 
 // Start server only if this file is run directly
 let server;
+let webSocketGateway;
+let stopTrashPurge;
+let stopScheduledPublish;
+let stopMediaGc;
 if (import.meta.url === `file://${process.argv[1]}`) {
   server = app.listen(config.port, () => {
     console.log(`🚀 Server running on port ${config.port} in ${config.env} mode`);
@@ -116,6 +154,18 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     console.log(`🔗 API base URL: http://localhost:${config.port}${config.api.basePath}`);
   });
 
+  // WebSocket gateway shares the HTTP server (ws://host/api/v1/ws)
+  webSocketGateway = createWebSocketGateway(server, authService);
+
+  // Purge soft-deleted microposts and users after TRASH_RETENTION_DAYS
+  stopTrashPurge = startTrashPurgeScheduler();
+
+  // Publish scheduled microposts once their publishAt has passed
+  stopScheduledPublish = startScheduledPublishScheduler();
+
+  // Delete uploads that were never attached (or whose micropost was purged)
+  stopMediaGc = startMediaGcScheduler();
+
   // Handle graceful shutdown
   process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
   process.on('SIGINT', () => gracefulShutdown('SIGINT'));
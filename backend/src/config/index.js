@@ -45,6 +45,35 @@ const envSchema = z.object({
   AUTH_RATE_LIMIT_WINDOW_MS: z.coerce.number().default(900000),
   AUTH_RATE_LIMIT_MAX_REQUESTS: z.coerce.number().default(5),
   
+  // Hashtags
+  TRENDING_WINDOW_HOURS: z.coerce.number().int().min(1).max(168).default(24),
+  
+  // Server-Sent Events
+  STREAM_HEARTBEAT_INTERVAL_MS: z.coerce.number().int().min(1000).default(25000),
+  STREAM_REPLAY_BUFFER_SIZE: z.coerce.number().int().min(0).default(500),
+  
+  // Microposts (0 disables the edit window)
+  MICROPOST_EDIT_WINDOW_MINUTES: z.coerce.number().int().min(0).default(0),
+  
+  // Trash (soft-deleted microposts and users are purged after the retention period)
+  TRASH_RETENTION_DAYS: z.coerce.number().int().min(0).default(30),
+  TRASH_PURGE_INTERVAL_MS: z.coerce.number().int().min(1000).default(60 * 60 * 1000),
+  
+  // Scheduled microposts (how often due posts are published)
+  SCHEDULED_PUBLISH_INTERVAL_MS: z.coerce.number().int().min(1000).default(30 * 1000),
+  
+  // Media uploads (local storage; unattached uploads are garbage-collected after the TTL)
+  MEDIA_STORAGE_DIR: z.string().default('./uploads'),
+  MEDIA_PUBLIC_PATH: z.string().default('/uploads'),
+  MEDIA_MAX_BYTES: z.coerce.number().int().min(1).default(5 * 1024 * 1024),
+  MEDIA_ORPHAN_TTL_MINUTES: z.coerce.number().int().min(1).default(60),
+  MEDIA_GC_INTERVAL_MS: z.coerce.number().int().min(1000).default(15 * 60 * 1000),
+  
+  // Link previews (stub never touches the network; http fetches pages with SSRF protections)
+  LINK_PREVIEW_FETCHER: z.enum(['stub', 'http']).default('stub'),
+  LINK_PREVIEW_TIMEOUT_MS: z.coerce.number().int().min(100).default(3000),
+  LINK_PREVIEW_MAX_BYTES: z.coerce.number().int().min(1024).default(512 * 1024),
+  
   // Keycloak (optional)
   KEYCLOAK_SERVER_URL: z.string().optional(),
   KEYCLOAK_REALM: z.string().optional(),
@@ -125,6 +154,49 @@ export const config = {
     maxRequests: env.AUTH_RATE_LIMIT_MAX_REQUESTS,
   },
   
+  // Hashtags
+  hashtags: {
+    trendingWindowHours: env.TRENDING_WINDOW_HOURS,
+  },
+  
+  // Server-Sent Events
+  stream: {
+    heartbeatIntervalMs: env.STREAM_HEARTBEAT_INTERVAL_MS,
+    replayBufferSize: env.STREAM_REPLAY_BUFFER_SIZE,
+  },
+  
+  // Microposts
+  microposts: {
+    editWindowMinutes: env.MICROPOST_EDIT_WINDOW_MINUTES,
+  },
+  
+  // Trash
+  trash: {
+    retentionDays: env.TRASH_RETENTION_DAYS,
+    purgeIntervalMs: env.TRASH_PURGE_INTERVAL_MS,
+  },
+  
+  // Scheduled microposts
+  scheduledPublish: {
+    intervalMs: env.SCHEDULED_PUBLISH_INTERVAL_MS,
+  },
+  
+  // Media uploads
+  media: {
+    storageDir: env.MEDIA_STORAGE_DIR,
+    publicPath: env.MEDIA_PUBLIC_PATH,
+    maxBytes: env.MEDIA_MAX_BYTES,
+    orphanTtlMinutes: env.MEDIA_ORPHAN_TTL_MINUTES,
+    gcIntervalMs: env.MEDIA_GC_INTERVAL_MS,
+  },
+  
+  // Link previews
+  linkPreview: {
+    fetcher: env.LINK_PREVIEW_FETCHER,
+    timeoutMs: env.LINK_PREVIEW_TIMEOUT_MS,
+    maxBytes: env.LINK_PREVIEW_MAX_BYTES,
+  },
+  
   // Keycloak
   keycloak: {
     serverUrl: env.KEYCLOAK_SERVER_URL,
@@ -22,6 +22,7 @@ export class AuthController {
     this.login = this.login.bind(this);
     this.logout = this.logout.bind(this);
     this.getCurrentUser = this.getCurrentUser.bind(this);
+    this.changePassword = this.changePassword.bind(this);
   }
 
   /**
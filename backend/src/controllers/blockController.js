@@ -0,0 +1,59 @@
+import { UserArraySchema, UserParamsSchema, FollowQueryParamsSchema } from '../../../shared/schemas/user.js';
+import { getUserByIdFromDB, getBlockedUsersFromDB } from '../services/userService.js';
+import { blockUser, unblockUser, isBlocking } from '../services/blockService.js';
+import { handleAsyncError, ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+export const blockUserController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { userId } = UserParamsSchema.parse(req.params);
+  const blockerId = req.user.id;
+  
+  if (blockerId === userId) {
+    throw new ValidationError('You cannot block yourself');
+  }
+  
+  // Check if user exists
+  const user = await getUserByIdFromDB(userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  
+  if (await isBlocking(blockerId, userId)) {
+    throw new ConflictError('Already blocking this user');
+  }
+  
+  // Blocking also removes follows in both directions
+  const block = await blockUser(blockerId, userId);
+  
+  const response = {
+    data: block
+  };
+  
+  res.status(201).json(response);
+});
+
+export const unblockUserController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { userId } = UserParamsSchema.parse(req.params);
+  
+  const unblocked = await unblockUser(req.user.id, userId);
+  if (!unblocked) {
+    throw new NotFoundError('Block');
+  }
+  
+  res.status(204).send();
+});
+
+export const getMyBlocksController = handleAsyncError(async (req, res) => {
+  // Validate query parameters
+  const { page, limit } = FollowQueryParamsSchema.parse(req.query);
+  
+  const { users, pagination } = await getBlockedUsersFromDB(req.user.id, { page, limit });
+  
+  const response = {
+    data: UserArraySchema.parse(users),
+    pagination
+  };
+  
+  res.status(200).json(response);
+});
@@ -0,0 +1,58 @@
+import { MicropostIdParamsSchema, BookmarkQueryParamsSchema } from '../../../shared/schemas/micropost.js';
+import { getMicropostById, enrichMicroposts, resolveViewer } from '../services/micropostService.js';
+import { bookmarkMicropost, unbookmarkMicropost, hasBookmarked, getBookmarkedMicroposts } from '../services/bookmarkService.js';
+import { handleAsyncError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { canView } from '../utils/visibility.js';
+
+export const bookmarkMicropostController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  const userId = req.user.id;
+  
+  // Check if micropost exists and the user may see it
+  const micropost = await getMicropostById(micropostId);
+  if (!micropost || !canView(micropost, await resolveViewer(userId))) {
+    throw new NotFoundError('Micropost');
+  }
+  
+  if (await hasBookmarked(userId, micropostId)) {
+    throw new ConflictError('Already bookmarked this micropost');
+  }
+  
+  const bookmark = await bookmarkMicropost(userId, micropostId);
+  
+  const response = {
+    data: bookmark
+  };
+  
+  res.status(201).json(response);
+});
+
+export const unbookmarkMicropostController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  
+  const unbookmarked = await unbookmarkMicropost(req.user.id, micropostId);
+  if (!unbookmarked) {
+    throw new NotFoundError('Bookmark');
+  }
+  
+  res.status(204).send();
+});
+
+export const getMyBookmarksController = handleAsyncError(async (req, res) => {
+  // Validate query parameters
+  const { page, limit, cursor } = BookmarkQueryParamsSchema.parse(req.query);
+  
+  // Most recently bookmarked first, page mode or cursor mode (microposts no longer visible to the user are left out)
+  const viewer = await resolveViewer(req.user.id);
+  const { data: microposts, pagination } = await getBookmarkedMicroposts(req.user.id, { page, limit, cursor, viewer });
+  
+  // Add user info, contentLength and like info to each micropost
+  const response = {
+    data: await enrichMicroposts(microposts, req.user.id),
+    pagination
+  };
+  
+  res.status(200).json(response);
+});
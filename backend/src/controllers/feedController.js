@@ -0,0 +1,36 @@
+import { FeedQueryParamsSchema } from '../../../shared/schemas/micropost.js';
+import { getMicropostsByConditions, enrichMicroposts, resolveViewer } from '../services/micropostService.js';
+import { handleAsyncError } from '../utils/errors.js';
+import { compareNewestFirst, paginateByCursor } from '../utils/cursor.js';
+
+export const getFeedController = handleAsyncError(async (req, res) => {
+  // Validate query parameters
+  const { page, limit, cursor } = FeedQueryParamsSchema.parse(req.query);
+  const userId = req.user.id;
+  
+  // Own microposts + microposts of followed users (private microposts of others and muted users stay hidden)
+  const viewer = await resolveViewer(userId);
+  const followingIds = [...viewer.followingIds];
+  const microposts = await getMicropostsByConditions({
+    userIds: [userId, ...followingIds],
+    viewer,
+    excludeUserIds: viewer.mutedIds
+  });
+  
+  // Sort by created date (newest first, id as tie-breaker)
+  microposts.sort(compareNewestFirst);
+  
+  // Page mode or cursor mode
+  const { items, pagination } = paginateByCursor(microposts, { page, limit, cursor });
+  
+  const response = {
+    data: await enrichMicroposts(items, req.user.id),
+    pagination,
+    meta: {
+      userId,
+      followingCount: followingIds.length
+    }
+  };
+  
+  res.status(200).json(response);
+});
@@ -0,0 +1,95 @@
+import { UserArraySchema, UserParamsSchema, FollowQueryParamsSchema } from '../../../shared/schemas/user.js';
+import { MicropostIdParamsSchema, LikedMicropostQueryParamsSchema } from '../../../shared/schemas/micropost.js';
+import { getUserByIdFromDB, getLikersFromDB } from '../services/userService.js';
+import { getMicropostById, enrichMicroposts, resolveViewer } from '../services/micropostService.js';
+import { likeMicropost, unlikeMicropost, hasLiked, getLikeSummaries, getLikedMicroposts } from '../services/likeService.js';
+import { handleAsyncError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { canView } from '../utils/visibility.js';
+
+export const likeMicropostController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  const userId = req.user.id;
+  
+  // Check if micropost exists and the user may see it
+  const micropost = await getMicropostById(micropostId);
+  if (!micropost || !canView(micropost, await resolveViewer(userId))) {
+    throw new NotFoundError('Micropost');
+  }
+  
+  if (await hasLiked(userId, micropostId)) {
+    throw new ConflictError('Already liked this micropost');
+  }
+  
+  const like = await likeMicropost(userId, micropostId);
+  const { likeCount } = (await getLikeSummaries([micropostId], userId)).get(micropostId);
+  
+  const response = {
+    data: like,
+    meta: {
+      likeCount
+    }
+  };
+  
+  res.status(201).json(response);
+});
+
+export const unlikeMicropostController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  
+  const unliked = await unlikeMicropost(req.user.id, micropostId);
+  if (!unliked) {
+    throw new NotFoundError('Like');
+  }
+  
+  res.status(204).send();
+});
+
+export const getMicropostLikersController = handleAsyncError(async (req, res) => {
+  // Validate path and query parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  const { page, limit } = FollowQueryParamsSchema.parse(req.query);
+  
+  // Check if micropost exists and the viewer may see it
+  const micropost = await getMicropostById(micropostId);
+  if (!micropost || !canView(micropost, await resolveViewer(req.user?.id))) {
+    throw new NotFoundError('Micropost');
+  }
+  
+  const { users, pagination } = await getLikersFromDB(micropostId, { page, limit });
+  
+  const response = {
+    data: UserArraySchema.parse(users),
+    pagination
+  };
+  
+  res.status(200).json(response);
+});
+
+export const getUserLikedMicropostsController = handleAsyncError(async (req, res) => {
+  // Validate path and query parameters
+  const { userId } = UserParamsSchema.parse(req.params);
+  const { page, limit, cursor } = LikedMicropostQueryParamsSchema.parse(req.query);
+  
+  // Check if user exists
+  const user = await getUserByIdFromDB(userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  
+  // Most recently liked first, page mode or cursor mode (only microposts the requester may see)
+  const viewer = await resolveViewer(req.user.id);
+  const { data: microposts, pagination } = await getLikedMicroposts(userId, { page, limit, cursor, viewer });
+  
+  const response = {
+    data: await enrichMicroposts(microposts, req.user.id),
+    pagination,
+    meta: {
+      userId: userId,
+      userName: user.name
+    }
+  };
+  
+  res.status(200).json(response);
+});
@@ -0,0 +1,29 @@
+import { UploadMediaFieldsSchema } from '../../../shared/schemas/media.js';
+import { uploadMedia, toAttachment } from '../services/mediaService.js';
+import { handleAsyncError, ValidationError } from '../utils/errors.js';
+
+export const uploadMediaController = handleAsyncError(async (req, res) => {
+  // Validate non-file form fields
+  const { altText } = UploadMediaFieldsSchema.parse(req.body);
+  
+  // Exactly one image in the "file" part
+  const files = (req.files || []).filter(file => file.fieldName === 'file');
+  if (files.length !== 1) {
+    throw new ValidationError('Exactly one file must be uploaded in the "file" field');
+  }
+  
+  // The image type is sniffed from its content, not from the part headers
+  const media = await uploadMedia(req.user.id, files[0].data, altText || null);
+  
+  const response = {
+    data: {
+      ...toAttachment(media),
+      userId: media.userId,
+      size: media.size,
+      micropostId: media.micropostId,
+      createdAt: media.createdAt
+    }
+  };
+  
+  res.status(201).json(response);
+});
@@ -1,12 +1,15 @@
-import { getMicropostsByUserId, createMicropost, getAllMicroposts, getMicropostById } from '../services/micropostService.js';
+import { createMicropost, getMicropostById, updateMicropost, deleteMicropost, getMicropostsWithPagination, enrichMicroposts, enrichMicropost, getReplyCount, getReplyTree, getThread, getRepostTarget, hasReposted, isWithinEditWindow, getMicropostRevisions, restoreMicropost, getDeletedMicroposts, publishMicropost, getDraftMicroposts, getScheduledMicroposts, getPinnedMicropost, resolveViewer } from '../services/micropostService.js';
 import { getUserByIdFromDB } from '../services/userService.js';
-import { MicropostParamsSchema, CreateMicropostSchema, MicropostQueryParamsSchema, UserMicropostQueryParamsSchema, MicropostIdParamsSchema } from '../../../shared/schemas/micropost.js';
-import { handleAsyncError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { getPurgeAt } from '../services/trashService.js';
+import { getMediaByIds } from '../services/mediaService.js';
+import { MicropostParamsSchema, CreateMicropostSchema, UpdateMicropostSchema, MicropostQueryParamsSchema, UserMicropostQueryParamsSchema, MicropostIdParamsSchema, TrashQueryParamsSchema, DraftQueryParamsSchema, ScheduledQueryParamsSchema } from '../../../shared/schemas/micropost.js';
+import { handleAsyncError, NotFoundError, ValidationError, ConflictError, ForbiddenError } from '../utils/errors.js';
+import { canView, getVisibility } from '../utils/visibility.js';
 
 export const getUserMicroposts = handleAsyncError(async (req, res) => {
   // Validate path and query parameters
   const { userId } = MicropostParamsSchema.parse(req.params);
-  const { page, limit, since, until } = UserMicropostQueryParamsSchema.parse(req.query);
+  const { page, limit, cursor, since, until } = UserMicropostQueryParamsSchema.parse(req.query);
   
   // Check if user exists
   const user = await getUserByIdFromDB(userId);
@@ -14,44 +17,32 @@ export const getUserMicroposts = handleAsyncError(async (req, res) => {
     throw new NotFoundError('User');
   }
   
-  let userMicroposts = await getMicropostsByUserId(userId);
+  // Date filtering, newest first, page mode or cursor mode (only microposts the viewer may see)
+  const viewer = await resolveViewer(req.user?.id);
+  const { data: userMicroposts, pagination } = await getMicropostsWithPagination({
+    userId,
+    viewer,
+    since,
+    until,
+    page,
+    limit,
+    cursor
+  });
   
-  // Date filtering
-  if (since) {
-    userMicroposts = userMicroposts.filter(post => new Date(post.createdAt) >= new Date(since));
-  }
-  if (until) {
-    userMicroposts = userMicroposts.filter(post => new Date(post.createdAt) <= new Date(until));
-  }
-  
-  // Sort by created date (newest first)
-  userMicroposts.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  // Show the pinned micropost first on the first page (once, not again in its usual place)
+  const pinned = page === 1 && !cursor ? await getPinnedMicropost(user) : null;
+  const pinnedMicropost = pinned && canView(pinned, viewer) ? pinned : null;
+  const microposts = pinnedMicropost
+    ? [pinnedMicropost, ...userMicroposts.filter(post => post.id !== pinnedMicropost.id)]
+    : userMicroposts;
   
-  // Calculate pagination
-  const total = userMicroposts.length;
-  const totalPages = Math.ceil(total / limit);
-  const offset = (page - 1) * limit;
-  const paginatedMicroposts = userMicroposts.slice(offset, offset + limit);
-  
-  // Add user info and contentLength to each micropost
-  const enrichedMicroposts = paginatedMicroposts.map(post => ({
-    ...post,
-    contentLength: post.content.length,
-    user: user ? {
-      id: user.id,
-      name: user.name,
-      email: user.email
-    } : null
-  }));
+  // Add user info, contentLength and like info to each micropost
+  const enrichedMicroposts = (await enrichMicroposts(microposts, req.user?.id))
+    .map(post => (post.id === pinnedMicropost?.id ? { ...post, pinned: true } : post));
   
   const response = {
     data: enrichedMicroposts,
-    pagination: {
-      page,
-      limit,
-      total,
-      totalPages
-    },
+    pagination,
     meta: {
       userId: userId,
       userName: user ? user.name : null
@@ -64,7 +55,7 @@ export const getUserMicroposts = handleAsyncError(async (req, res) => {
 export const createUserMicropost = handleAsyncError(async (req, res) => {
   // Validate path and body parameters
   const { userId } = MicropostParamsSchema.parse(req.params);
-  const { content } = CreateMicropostSchema.parse(req.body);
+  const { content, inReplyToId, repostOfId, quoteOfId, status, publishAt, mediaIds, poll, contentWarning, sensitive, visibility } = CreateMicropostSchema.parse(req.body);
   
   // Check if user exists
   const user = await getUserByIdFromDB(userId);
@@ -72,18 +63,71 @@ export const createUserMicropost = handleAsyncError(async (req, res) => {
     throw new NotFoundError('User');
   }
   
-  const newMicropost = await createMicropost(userId, content);
+  // Scheduled microposts must be published later, not backdated
+  if (publishAt && new Date(publishAt) <= new Date()) {
+    throw new ValidationError('publishAt must be in the future', { publishAt });
+  }
+  
+  // Polls must still be open when created
+  if (poll && new Date(poll.closesAt) <= new Date()) {
+    throw new ValidationError('Poll closesAt must be in the future', { closesAt: poll.closesAt });
+  }
   
-  // Add user info and contentLength
-  const enrichedMicropost = {
-    ...newMicropost,
-    contentLength: newMicropost.content.length,
-    user: user ? {
-      id: user.id,
-      name: user.name,
-      email: user.email
-    } : null
-  };
+  // Replies must target an existing (not deleted) micropost the author can see
+  const viewer = await resolveViewer(userId);
+  if (inReplyToId) {
+    const parent = await getMicropostById(inReplyToId);
+    if (!parent || !canView(parent, viewer)) {
+      throw new ValidationError('Reply target micropost does not exist', { inReplyToId });
+    }
+  }
+  
+  // Media must be the author's own uploads that are not attached to another micropost yet
+  if (mediaIds?.length) {
+    const media = await getMediaByIds(mediaIds);
+    const attachable = media.filter(item => item.userId === userId && item.micropostId === null);
+    if (attachable.length !== mediaIds.length) {
+      throw new ValidationError('Media must be your own uploads that are not attached yet', { mediaIds });
+    }
+  }
+  
+  // Reposts and quotes always point at the original, never at another repost
+  let original = null;
+  if (repostOfId || quoteOfId) {
+    original = await getRepostTarget(repostOfId || quoteOfId);
+    if (!original || !canView(original, viewer)) {
+      throw new ValidationError('Repost/Quote target micropost does not exist', repostOfId ? { repostOfId } : { quoteOfId });
+    }
+    // Reposts and quotes would show the original beyond its audience
+    if (getVisibility(original) !== 'public') {
+      throw new ValidationError('Only public microposts can be reposted or quoted', repostOfId ? { repostOfId } : { quoteOfId });
+    }
+  }
+  
+  if (repostOfId) {
+    if (original.userId === userId) {
+      throw new ValidationError('You cannot repost your own micropost', { repostOfId });
+    }
+    if (await hasReposted(userId, original.id)) {
+      throw new ConflictError('Already reposted this micropost');
+    }
+  }
+  
+  const newMicropost = await createMicropost(userId, content, {
+    inReplyToId,
+    repostOfId: repostOfId && original.id,
+    quoteOfId: quoteOfId && original.id,
+    status,
+    publishAt,
+    mediaIds,
+    poll,
+    contentWarning,
+    sensitive,
+    visibility
+  });
+  
+  // Add user info, contentLength and like info
+  const enrichedMicropost = await enrichMicropost(newMicropost, req.user.id);
   
   const response = {
     data: enrichedMicropost
@@ -94,51 +138,26 @@ export const createUserMicropost = handleAsyncError(async (req, res) => {
 
 export const getAllMicropostsController = handleAsyncError(async (req, res) => {
   // Validate query parameters
-  const { page, limit, search } = MicropostQueryParamsSchema.parse(req.query);
-  
-  let microposts = await getAllMicroposts();
-  
-  // Search functionality
-  if (search) {
-    const searchLower = search.toLowerCase();
-    microposts = microposts.filter(post => 
-      post.content.toLowerCase().includes(searchLower)
-    );
-  }
-  
-  // Sort by created date (newest first)
-  microposts.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  
-  // Calculate pagination
-  const total = microposts.length;
-  const totalPages = Math.ceil(total / limit);
-  const offset = (page - 1) * limit;
-  const paginatedMicroposts = microposts.slice(offset, offset + limit);
-  
-  // Add user info and contentLength to each micropost
-  const enrichedMicroposts = await Promise.all(
-    paginatedMicroposts.map(async post => {
-      const user = await getUserByIdFromDB(post.userId);
-      return {
-        ...post,
-        contentLength: post.content.length,
-        user: user ? {
-          id: user.id,
-          name: user.name,
-          email: user.email
-        } : null
-      };
-    })
-  );
+  const { page, limit, cursor, search, excludeSensitive } = MicropostQueryParamsSchema.parse(req.query);
+  
+  // Search, newest first, page mode or cursor mode (only microposts the viewer may see, without muted users)
+  const viewer = await resolveViewer(req.user?.id);
+  const { data: microposts, pagination } = await getMicropostsWithPagination({
+    viewer,
+    excludeUserIds: viewer.mutedIds,
+    search,
+    excludeSensitive,
+    page,
+    limit,
+    cursor
+  });
+  
+  // Add user info, contentLength and like info to each micropost
+  const enrichedMicroposts = await enrichMicroposts(microposts, req.user?.id);
   
   const response = {
     data: enrichedMicroposts,
-    pagination: {
-      page,
-      limit,
-      total,
-      totalPages
-    }
+    pagination
   };
   
   res.status(200).json(response);
@@ -148,31 +167,233 @@ export const getMicropostByIdController = handleAsyncError(async (req, res) => {
   // Validate path parameters
   const { micropostId } = MicropostIdParamsSchema.parse(req.params);
   
+  // Microposts outside the viewer's audience are reported as missing, not forbidden
   const micropost = await getMicropostById(micropostId);
-  if (!micropost) {
+  if (!micropost || !canView(micropost, await resolveViewer(req.user?.id))) {
     throw new NotFoundError('Micropost');
   }
   
-  // Get user info
-  const user = await getUserByIdFromDB(micropost.userId);
-  if (!user) {
+  // Add user info, contentLength and like info
+  const enrichedMicropost = await enrichMicropost(micropost, req.user?.id);
+  if (!enrichedMicropost.user) {
     throw new NotFoundError('User');
   }
   
-  // Add user info and contentLength
-  const enrichedMicropost = {
-    ...micropost,
-    contentLength: micropost.content.length,
-    user: user ? {
-      id: user.id,
-      name: user.name,
-      email: user.email
-    } : null
+  const response = {
+    data: {
+      ...enrichedMicropost,
+      replyCount: await getReplyCount(micropostId)
+    }
   };
   
+  res.status(200).json(response);
+});
+
+export const updateMicropostController = handleAsyncError(async (req, res) => {
+  // Validate path and body parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  const { content } = UpdateMicropostSchema.parse(req.body);
+  
+  // Reposts have no content of their own to edit
+  const micropost = await getMicropostById(micropostId, { includeUnpublished: true });
+  if (micropost?.repostOfId) {
+    throw new ValidationError('Reposts cannot be edited', { micropostId });
+  }
+  
+  // Edits are only allowed within the configured window after posting
+  if (micropost && !isWithinEditWindow(micropost)) {
+    throw new ForbiddenError('Edit window has expired for this micropost');
+  }
+  
+  const updatedMicropost = await updateMicropost(micropostId, content);
+  if (!updatedMicropost) {
+    throw new NotFoundError('Micropost');
+  }
+  
+  // Add user info, contentLength and like info
+  const enrichedMicropost = await enrichMicropost(updatedMicropost, req.user.id);
+  
   const response = {
     data: enrichedMicropost
   };
   
+  res.status(200).json(response);
+});
+
+export const deleteMicropostController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  
+  const deleted = await deleteMicropost(micropostId);
+  if (!deleted) {
+    throw new NotFoundError('Micropost');
+  }
+  
+  res.status(204).send();
+});
+
+export const restoreMicropostController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  
+  const micropost = await getMicropostById(micropostId, { includeDeleted: true, includeUnpublished: true });
+  if (!micropost?.deletedAt) {
+    throw new NotFoundError('Deleted micropost');
+  }
+  
+  // A repost cannot come back without its original
+  if (micropost.repostOfId && !(await getMicropostById(micropost.repostOfId))) {
+    throw new ValidationError('Restore the original micropost first', { repostOfId: micropost.repostOfId });
+  }
+  
+  const restoredMicropost = await restoreMicropost(micropostId);
+  
+  // Add user info, contentLength and like info
+  const response = {
+    data: await enrichMicropost(restoredMicropost, req.user.id)
+  };
+  
+  res.status(200).json(response);
+});
+
+export const getMyTrashController = handleAsyncError(async (req, res) => {
+  // Validate query parameters
+  const { page, limit, cursor } = TrashQueryParamsSchema.parse(req.query);
+  
+  // Own deleted microposts, newest first, page mode or cursor mode
+  const { data: microposts, pagination } = await getDeletedMicroposts(req.user.id, { page, limit, cursor });
+  
+  // Add user info, contentLength and like info, and when each one will be purged
+  const enrichedMicroposts = await enrichMicroposts(microposts, req.user.id);
+  
+  const response = {
+    data: enrichedMicroposts.map(micropost => ({
+      ...micropost,
+      purgeAt: getPurgeAt(micropost.deletedAt)
+    })),
+    pagination
+  };
+  
+  res.status(200).json(response);
+});
+
+export const publishMicropostController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  
+  const micropost = await getMicropostById(micropostId, { includeUnpublished: true });
+  if (!micropost) {
+    throw new NotFoundError('Micropost');
+  }
+  if (!micropost.status) {
+    throw new ConflictError('Micropost is already published');
+  }
+  
+  // Drafts and scheduled microposts are published immediately
+  const publishedMicropost = await publishMicropost(micropostId);
+  
+  // Add user info, contentLength and like info
+  const response = {
+    data: await enrichMicropost(publishedMicropost, req.user.id)
+  };
+  
+  res.status(200).json(response);
+});
+
+export const getMyDraftsController = handleAsyncError(async (req, res) => {
+  // Validate query parameters
+  const { page, limit, cursor } = DraftQueryParamsSchema.parse(req.query);
+  
+  // Own drafts, newest first, page mode or cursor mode
+  const { data: microposts, pagination } = await getDraftMicroposts(req.user.id, { page, limit, cursor });
+  
+  // Add user info, contentLength and like info
+  const response = {
+    data: await enrichMicroposts(microposts, req.user.id),
+    pagination
+  };
+  
+  res.status(200).json(response);
+});
+
+export const getMyScheduledController = handleAsyncError(async (req, res) => {
+  // Validate query parameters
+  const { page, limit } = ScheduledQueryParamsSchema.parse(req.query);
+  
+  // Own scheduled microposts, next to be published first
+  const { data: microposts, pagination } = await getScheduledMicroposts(req.user.id, { page, limit });
+  
+  // Add user info, contentLength and like info
+  const response = {
+    data: await enrichMicroposts(microposts, req.user.id),
+    pagination
+  };
+  
+  res.status(200).json(response);
+});
+
+export const getMicropostRevisionsController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  
+  const micropost = await getMicropostById(micropostId);
+  if (!micropost || !canView(micropost, await resolveViewer(req.user?.id))) {
+    throw new NotFoundError('Micropost');
+  }
+  
+  // Previous versions, oldest first (the current version is the micropost itself)
+  const revisions = await getMicropostRevisions(micropostId);
+  
+  const response = {
+    data: revisions,
+    meta: {
+      micropostId,
+      revisionCount: revisions.length
+    }
+  };
+  
+  res.status(200).json(response);
+});
+
+export const getMicropostRepliesController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  
+  // Replies of a deleted parent remain reachable through its tombstone
+  const replyTree = await getReplyTree(micropostId, req.user?.id);
+  if (!replyTree) {
+    throw new NotFoundError('Micropost');
+  }
+  
+  const response = {
+    data: replyTree.replies,
+    meta: {
+      micropostId,
+      total: replyTree.total
+    }
+  };
+  
+  res.status(200).json(response);
+});
+
+export const getMicropostThreadController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  
+  // Whole conversation from its root, tombstones included
+  const thread = await getThread(micropostId, req.user?.id);
+  if (!thread) {
+    throw new NotFoundError('Micropost');
+  }
+  
+  const response = {
+    data: thread.root,
+    meta: {
+      micropostId,
+      rootId: thread.root.id,
+      total: thread.total
+    }
+  };
+  
   res.status(200).json(response);
 });
\ No newline at end of file
@@ -0,0 +1,58 @@
+import { UserArraySchema, UserParamsSchema, FollowQueryParamsSchema } from '../../../shared/schemas/user.js';
+import { getUserByIdFromDB, getMutedUsersFromDB } from '../services/userService.js';
+import { muteUser, unmuteUser, isMuting } from '../services/muteService.js';
+import { handleAsyncError, ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+export const muteUserController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { userId } = UserParamsSchema.parse(req.params);
+  const muterId = req.user.id;
+  
+  if (muterId === userId) {
+    throw new ValidationError('You cannot mute yourself');
+  }
+  
+  // Check if user exists
+  const user = await getUserByIdFromDB(userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  
+  if (await isMuting(muterId, userId)) {
+    throw new ConflictError('Already muting this user');
+  }
+  
+  const mute = await muteUser(muterId, userId);
+  
+  const response = {
+    data: mute
+  };
+  
+  res.status(201).json(response);
+});
+
+export const unmuteUserController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { userId } = UserParamsSchema.parse(req.params);
+  
+  const unmuted = await unmuteUser(req.user.id, userId);
+  if (!unmuted) {
+    throw new NotFoundError('Mute');
+  }
+  
+  res.status(204).send();
+});
+
+export const getMyMutesController = handleAsyncError(async (req, res) => {
+  // Validate query parameters
+  const { page, limit } = FollowQueryParamsSchema.parse(req.query);
+  
+  const { users, pagination } = await getMutedUsersFromDB(req.user.id, { page, limit });
+  
+  const response = {
+    data: UserArraySchema.parse(users),
+    pagination
+  };
+  
+  res.status(200).json(response);
+});
@@ -0,0 +1,70 @@
+import { NotificationQueryParamsSchema, NotificationIdParamsSchema } from '../../../shared/schemas/notification.js';
+import {
+  getNotificationsWithPagination,
+  getNotificationById,
+  markNotificationAsRead,
+  markAllNotificationsAsRead,
+  getUnreadNotificationCount,
+  enrichNotifications
+} from '../services/notificationService.js';
+import { handleAsyncError, NotFoundError } from '../utils/errors.js';
+
+export const getNotificationsController = handleAsyncError(async (req, res) => {
+  // Validate query parameters
+  const { page, limit, cursor, unreadOnly } = NotificationQueryParamsSchema.parse(req.query);
+  const userId = req.user.id;
+  
+  // Newest first, page mode or cursor mode
+  const { data: notifications, pagination } = await getNotificationsWithPagination(userId, { page, limit, cursor, unreadOnly });
+  
+  const response = {
+    data: await enrichNotifications(notifications),
+    pagination,
+    meta: {
+      unreadCount: await getUnreadNotificationCount(userId)
+    }
+  };
+  
+  res.status(200).json(response);
+});
+
+export const markNotificationAsReadController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { notificationId } = NotificationIdParamsSchema.parse(req.params);
+  const userId = req.user.id;
+  
+  // Other users' notifications are treated as non-existent
+  const notification = await getNotificationById(notificationId);
+  if (!notification || notification.userId !== userId) {
+    throw new NotFoundError('Notification');
+  }
+  
+  const updatedNotification = await markNotificationAsRead(notificationId);
+  const [data] = await enrichNotifications([updatedNotification]);
+  
+  const response = {
+    data,
+    meta: {
+      unreadCount: await getUnreadNotificationCount(userId)
+    }
+  };
+  
+  res.status(200).json(response);
+});
+
+export const markAllNotificationsAsReadController = handleAsyncError(async (req, res) => {
+  const userId = req.user.id;
+  
+  const updatedCount = await markAllNotificationsAsRead(userId);
+  
+  const response = {
+    data: {
+      updatedCount
+    },
+    meta: {
+      unreadCount: await getUnreadNotificationCount(userId)
+    }
+  };
+  
+  res.status(200).json(response);
+});
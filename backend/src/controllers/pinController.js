@@ -0,0 +1,44 @@
+import { MicropostIdParamsSchema } from '../../../shared/schemas/micropost.js';
+import { getMicropostById, enrichMicropost } from '../services/micropostService.js';
+import { getUserByIdFromDB, pinMicropost, unpinMicropost } from '../services/userService.js';
+import { handleAsyncError, NotFoundError, ForbiddenError } from '../utils/errors.js';
+
+export const pinMicropostController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  const userId = req.user.id;
+  
+  // Deleted, draft and scheduled microposts cannot be pinned
+  const micropost = await getMicropostById(micropostId);
+  if (!micropost) {
+    throw new NotFoundError('Micropost');
+  }
+  
+  if (micropost.userId !== userId) {
+    throw new ForbiddenError('You can only pin your own microposts');
+  }
+  
+  // Pinning replaces any previously pinned micropost
+  await pinMicropost(userId, micropostId);
+  
+  const response = {
+    data: await enrichMicropost(micropost, userId)
+  };
+  
+  res.status(200).json(response);
+});
+
+export const unpinMicropostController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  const userId = req.user.id;
+  
+  const user = await getUserByIdFromDB(userId);
+  if (user?.pinnedMicropostId !== micropostId) {
+    throw new NotFoundError('Pinned micropost');
+  }
+  
+  await unpinMicropost(userId);
+  
+  res.status(204).send();
+});
@@ -0,0 +1,45 @@
+import { MicropostIdParamsSchema, CreatePollVoteSchema } from '../../../shared/schemas/micropost.js';
+import { getMicropostById, resolveViewer } from '../services/micropostService.js';
+import { castVote, hasVoted, isPollClosed, getPollSummaries } from '../services/pollService.js';
+import { handleAsyncError, NotFoundError, ConflictError, ValidationError } from '../utils/errors.js';
+import { canView } from '../utils/visibility.js';
+
+export const castPollVoteController = handleAsyncError(async (req, res) => {
+  // Validate path and body parameters
+  const { micropostId } = MicropostIdParamsSchema.parse(req.params);
+  const { optionId } = CreatePollVoteSchema.parse(req.body);
+  const userId = req.user.id;
+  
+  // Check if micropost exists and has a poll
+  const micropost = await getMicropostById(micropostId);
+  if (!micropost || !canView(micropost, await resolveViewer(userId))) {
+    throw new NotFoundError('Micropost');
+  }
+  if (!micropost.poll) {
+    throw new NotFoundError('Poll');
+  }
+  
+  if (isPollClosed(micropost.poll)) {
+    throw new ConflictError('Poll is closed');
+  }
+  if (!micropost.poll.options.some(option => option.id === optionId)) {
+    throw new ValidationError('Poll option does not exist', { optionId });
+  }
+  
+  // One vote per user, and votes cannot be changed
+  if (await hasVoted(userId, micropostId)) {
+    throw new ConflictError('Already voted in this poll');
+  }
+  
+  const vote = await castVote(userId, micropostId, optionId);
+  const poll = (await getPollSummaries([micropost], userId)).get(micropost.id);
+  
+  const response = {
+    data: vote,
+    meta: {
+      poll
+    }
+  };
+  
+  res.status(201).json(response);
+});
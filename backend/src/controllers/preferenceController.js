@@ -0,0 +1,33 @@
+import { UpdateUserPreferencesSchema } from '../../../shared/schemas/user.js';
+import { getUserByIdFromDB, resolvePreferences, updatePreferences } from '../services/userService.js';
+import { handleAsyncError, NotFoundError } from '../utils/errors.js';
+
+export const getMyPreferencesController = handleAsyncError(async (req, res) => {
+  const user = await getUserByIdFromDB(req.user.id);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  
+  // Unset preferences fall back to their defaults
+  const response = {
+    data: resolvePreferences(user)
+  };
+  
+  res.status(200).json(response);
+});
+
+export const updateMyPreferencesController = handleAsyncError(async (req, res) => {
+  // Validate body parameters
+  const preferences = UpdateUserPreferencesSchema.parse(req.body);
+  
+  const updated = await updatePreferences(req.user.id, preferences);
+  if (!updated) {
+    throw new NotFoundError('User');
+  }
+  
+  const response = {
+    data: updated
+  };
+  
+  res.status(200).json(response);
+});
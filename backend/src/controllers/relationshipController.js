@@ -0,0 +1,92 @@
+import { UserArraySchema, UserParamsSchema, FollowQueryParamsSchema } from '../../../shared/schemas/user.js';
+import { getUserByIdFromDB, getFollowersFromDB, getFollowingFromDB } from '../services/userService.js';
+import { followUser, unfollowUser, isFollowing } from '../services/relationshipService.js';
+import { isBlockedBetween } from '../services/blockService.js';
+import { handleAsyncError, ValidationError, NotFoundError, ConflictError, ForbiddenError } from '../utils/errors.js';
+
+export const followUserController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { userId } = UserParamsSchema.parse(req.params);
+  const followerId = req.user.id;
+  
+  if (followerId === userId) {
+    throw new ValidationError('You cannot follow yourself');
+  }
+  
+  // Check if user exists
+  const user = await getUserByIdFromDB(userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  
+  // Follows are not allowed while either user blocks the other
+  if (await isBlockedBetween(followerId, userId)) {
+    throw new ForbiddenError('You cannot follow this user');
+  }
+  
+  if (await isFollowing(followerId, userId)) {
+    throw new ConflictError('Already following this user');
+  }
+  
+  const relationship = await followUser(followerId, userId);
+  
+  const response = {
+    data: relationship
+  };
+  
+  res.status(201).json(response);
+});
+
+export const unfollowUserController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { userId } = UserParamsSchema.parse(req.params);
+  
+  const unfollowed = await unfollowUser(req.user.id, userId);
+  if (!unfollowed) {
+    throw new NotFoundError('Relationship');
+  }
+  
+  res.status(204).send();
+});
+
+export const getFollowersController = handleAsyncError(async (req, res) => {
+  // Validate path and query parameters
+  const { userId } = UserParamsSchema.parse(req.params);
+  const { page, limit } = FollowQueryParamsSchema.parse(req.query);
+  
+  // Check if user exists
+  const user = await getUserByIdFromDB(userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  
+  const { users, pagination } = await getFollowersFromDB(userId, { page, limit });
+  
+  const response = {
+    data: UserArraySchema.parse(users),
+    pagination
+  };
+  
+  res.status(200).json(response);
+});
+
+export const getFollowingController = handleAsyncError(async (req, res) => {
+  // Validate path and query parameters
+  const { userId } = UserParamsSchema.parse(req.params);
+  const { page, limit } = FollowQueryParamsSchema.parse(req.query);
+  
+  // Check if user exists
+  const user = await getUserByIdFromDB(userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  
+  const { users, pagination } = await getFollowingFromDB(userId, { page, limit });
+  
+  const response = {
+    data: UserArraySchema.parse(users),
+    pagination
+  };
+  
+  res.status(200).json(response);
+});
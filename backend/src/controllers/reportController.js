@@ -0,0 +1,120 @@
+import { CreateReportSchema, ResolveReportSchema, ReportQueryParamsSchema, ReportIdParamsSchema, ReportSchema, AdminReportSchema } from '../../../shared/schemas/report.js';
+import { createReport, hasOpenReport, getReportById, getReportsWithPagination, attachModerationActions, resolveReport } from '../services/reportService.js';
+import { getMicropostById, resolveViewer } from '../services/micropostService.js';
+import { getUserByIdFromDB } from '../services/userService.js';
+import { handleAsyncError, ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { canView } from '../utils/visibility.js';
+
+export const createReportController = handleAsyncError(async (req, res) => {
+  // Validate request body
+  const { targetType, targetId, reason, details } = CreateReportSchema.parse(req.body);
+  const reporterId = req.user.id;
+  
+  // The target must exist and be visible to the reporter
+  if (targetType === 'micropost') {
+    const micropost = await getMicropostById(targetId);
+    if (!micropost || !canView(micropost, await resolveViewer(reporterId))) {
+      throw new NotFoundError('Micropost');
+    }
+    if (micropost.userId === reporterId) {
+      throw new ValidationError('You cannot report your own micropost');
+    }
+  } else {
+    const user = await getUserByIdFromDB(targetId);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+    if (user.id === reporterId) {
+      throw new ValidationError('You cannot report yourself');
+    }
+  }
+  
+  if (await hasOpenReport(reporterId, targetType, targetId)) {
+    throw new ConflictError('Already reported');
+  }
+  
+  const report = await createReport({ reporterId, targetType, targetId, reason, details });
+  
+  const response = {
+    data: ReportSchema.parse(report)
+  };
+  
+  res.status(201).json(response);
+});
+
+export const getAdminReportsController = handleAsyncError(async (req, res) => {
+  // Validate query parameters
+  const { page, limit, status } = ReportQueryParamsSchema.parse(req.query);
+  
+  // Newest first, optionally only open or resolved reports
+  const { data: reports, pagination } = await getReportsWithPagination({ status, page, limit });
+  
+  const response = {
+    data: (await attachModerationActions(reports)).map(report => AdminReportSchema.parse(report)),
+    pagination
+  };
+  
+  res.status(200).json(response);
+});
+
+export const getAdminReportController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { reportId } = ReportIdParamsSchema.parse(req.params);
+  
+  const report = await getReportById(reportId);
+  if (!report) {
+    throw new NotFoundError('Report');
+  }
+  
+  const [data] = await attachModerationActions([report]);
+  
+  const response = {
+    data: AdminReportSchema.parse(data)
+  };
+  
+  res.status(200).json(response);
+});
+
+export const resolveReportController = handleAsyncError(async (req, res) => {
+  // Validate path parameters and request body
+  const { reportId } = ReportIdParamsSchema.parse(req.params);
+  const { action, note } = ResolveReportSchema.parse(req.body);
+  
+  const report = await getReportById(reportId);
+  if (!report) {
+    throw new NotFoundError('Report');
+  }
+  if (report.status !== 'open') {
+    throw new ConflictError('Report is already resolved');
+  }
+  
+  // Resolve who is responsible for the reported content
+  let authorId = report.targetId;
+  if (report.targetType === 'micropost') {
+    const micropost = await getMicropostById(report.targetId, { includeDeleted: true, includeUnpublished: true });
+    authorId = micropost?.userId;
+  } else if (action === 'hide_post') {
+    throw new ValidationError('Only micropost reports can be resolved by hiding the post');
+  }
+  
+  // Hiding needs the micropost to still be live, suspending needs the author to still exist
+  if (action === 'hide_post' && !(await getMicropostById(report.targetId))) {
+    throw new NotFoundError('Micropost');
+  }
+  if (action === 'suspend_author' && !(authorId && await getUserByIdFromDB(authorId))) {
+    throw new NotFoundError('User');
+  }
+  
+  const resolved = await resolveReport(report, { adminId: req.user.id, action, note, authorId });
+  if (!resolved) {
+    throw new ConflictError('Report is already resolved');
+  }
+  
+  const [data] = await attachModerationActions([resolved]);
+  
+  const response = {
+    data: AdminReportSchema.parse(data)
+  };
+  
+  res.status(200).json(response);
+});
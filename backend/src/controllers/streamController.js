@@ -0,0 +1,18 @@
+import { openStream } from '../services/streamService.js';
+import { handleAsyncError, ValidationError } from '../utils/errors.js';
+
+export const getStreamController = handleAsyncError(async (req, res) => {
+  // Resume point sent by the SSE client on reconnect (fetch-based; EventSource cannot set the Authorization header)
+  const lastEventIdHeader = req.get('Last-Event-ID');
+  let lastEventId = null;
+  
+  if (lastEventIdHeader !== undefined) {
+    lastEventId = Number(lastEventIdHeader);
+    if (!Number.isSafeInteger(lastEventId) || lastEventId < 0) {
+      throw new ValidationError('Invalid Last-Event-ID', { lastEventId: lastEventIdHeader });
+    }
+  }
+  
+  // Keeps the response open until the client disconnects
+  openStream(req, res, { userId: req.user.id, lastEventId });
+});
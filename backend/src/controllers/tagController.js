@@ -0,0 +1,42 @@
+import { TagParamsSchema, TagMicropostQueryParamsSchema, TrendingTagsQueryParamsSchema } from '../../../shared/schemas/micropost.js';
+import { enrichMicroposts, resolveViewer } from '../services/micropostService.js';
+import { getTaggedMicroposts, getTrendingTags } from '../services/hashtagService.js';
+import { normalizeTag } from '../utils/hashtags.js';
+import { handleAsyncError } from '../utils/errors.js';
+
+export const getTagMicropostsController = handleAsyncError(async (req, res) => {
+  // Validate path and query parameters
+  const { tag } = TagParamsSchema.parse(req.params);
+  const { page, limit, cursor } = TagMicropostQueryParamsSchema.parse(req.query);
+  
+  // Newest first, page mode or cursor mode (only microposts the viewer may see)
+  const viewer = await resolveViewer(req.user?.id);
+  const { data: microposts, pagination } = await getTaggedMicroposts(tag, { page, limit, cursor, viewer });
+  
+  const response = {
+    data: await enrichMicroposts(microposts, req.user?.id),
+    pagination,
+    meta: {
+      tag: normalizeTag(tag)
+    }
+  };
+  
+  res.status(200).json(response);
+});
+
+export const getTrendingTagsController = handleAsyncError(async (req, res) => {
+  // Validate query parameters
+  const { windowHours, limit } = TrendingTagsQueryParamsSchema.parse(req.query);
+  
+  const trending = await getTrendingTags({ windowHours, limit });
+  
+  const response = {
+    data: trending.tags,
+    meta: {
+      windowHours: trending.windowHours,
+      since: trending.since
+    }
+  };
+  
+  res.status(200).json(response);
+});
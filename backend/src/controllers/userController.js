@@ -1,59 +1,22 @@
-import { UserArraySchema, UserQueryParamsSchema, UserParamsSchema, UserListResponseSchema, UserDetailResponseSchema } from '../../../shared/schemas/user.js';
-import { getUsersFromDB, getUserByIdFromDB } from '../services/userService.js';
-import { getMicropostCountByUserId, getMicropostsByUserId } from '../services/micropostService.js';
+import { UserSchema, UserArraySchema, UserQueryParamsSchema, UserParamsSchema, UserListResponseSchema, UserDetailResponseSchema } from '../../../shared/schemas/user.js';
+import { getUsersWithPagination, getUserByIdFromDB, restoreUser } from '../services/userService.js';
+import { getMicropostCountByUserId, getMicropostsByUserId, getPinnedMicropost, enrichMicropost, resolveViewer } from '../services/micropostService.js';
 import { handleAsyncError, ValidationError, NotFoundError } from '../utils/errors.js';
+import { canView } from '../utils/visibility.js';
 
 export const getUsers = handleAsyncError(async (req, res) => {
   // Validate query parameters
-  const { page, limit, sort, search } = UserQueryParamsSchema.parse(req.query);
+  const { page, limit, sort, search, cursor } = UserQueryParamsSchema.parse(req.query);
   
-  let users = await getUsersFromDB();
-  
-  // Search functionality
-  if (search) {
-    const searchLower = search.toLowerCase();
-    users = users.filter(user => 
-      user.name.toLowerCase().includes(searchLower) ||
-      user.email.toLowerCase().includes(searchLower)
-    );
-  }
-  
-  // Sorting
-  users.sort((a, b) => {
-    switch (sort) {
-      case 'name_asc': return a.name.localeCompare(b.name);
-      case 'name_desc': return b.name.localeCompare(a.name);
-      case 'created_asc': return new Date(a.createdAt) - new Date(b.createdAt);
-      case 'created_desc': return new Date(b.createdAt) - new Date(a.createdAt);
-      default: return new Date(b.createdAt) - new Date(a.createdAt);
-    }
-  });
-  
-  // Calculate pagination
-  const total = users.length;
-  const totalPages = Math.ceil(total / limit);
-  const offset = (page - 1) * limit;
-  const paginatedUsers = users.slice(offset, offset + limit);
-  
-  // Add micropost counts to users
-  const usersWithCounts = await Promise.all(
-    paginatedUsers.map(async user => ({
-      ...user,
-      micropostCount: await getMicropostCountByUserId(user.id)
-    }))
-  );
+  // Search, sorting and pagination (page mode or cursor mode)
+  const { users, pagination } = await getUsersWithPagination({ page, limit, sort, search, cursor });
   
   // Validate response data
-  const validatedUsers = UserArraySchema.parse(usersWithCounts);
+  const validatedUsers = UserArraySchema.parse(users);
   
   const response = {
     data: validatedUsers,
-    pagination: {
-      page,
-      limit,
-      total,
-      totalPages
-    }
+    pagination
   };
   
   res.status(200).json(response);
@@ -68,8 +31,9 @@ export const getUserById = handleAsyncError(async (req, res) => {
     throw new NotFoundError('User');
   }
   
-  // Get recent microposts (max 5)
-  const userMicroposts = await getMicropostsByUserId(userId);
+  // Get recent microposts the viewer may see (max 5)
+  const viewer = await resolveViewer(req.user?.id);
+  const userMicroposts = (await getMicropostsByUserId(userId)).filter(post => canView(post, viewer));
   const recentMicroposts = userMicroposts
     .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
     .slice(0, 5)
@@ -79,15 +43,40 @@ export const getUserById = handleAsyncError(async (req, res) => {
       createdAt: post.createdAt
     }));
   
+  // Only the public profile fields (UserSchema strips passwordHash, roles, preferences, suspendedAt and the like)
+  const profile = UserSchema.parse(user);
+  
+  // Pinned micropost (null when nothing is pinned or the pinned post was deleted)
+  const pinned = await getPinnedMicropost(user);
+  const pinnedMicropost = pinned && canView(pinned, viewer) ? pinned : null;
+  
   const userDetail = {
-    ...user,
+    ...profile,
     micropostCount: await getMicropostCountByUserId(userId),
-    recentMicroposts
+    recentMicroposts,
+    pinnedMicropost: pinnedMicropost ? await enrichMicropost(pinnedMicropost, req.user?.id) : null
   };
   
   const response = {
     data: userDetail
   };
   
+  res.status(200).json(response);
+});
+
+export const restoreUserController = handleAsyncError(async (req, res) => {
+  // Validate path parameters
+  const { userId } = UserParamsSchema.parse(req.params);
+  
+  // Brings back the user together with the microposts trashed along with them
+  const restoredUser = await restoreUser(userId);
+  if (!restoredUser) {
+    throw new NotFoundError('Deleted user');
+  }
+  
+  const response = {
+    data: UserSchema.parse(restoredUser)
+  };
+  
   res.status(200).json(response);
 });
\ No newline at end of file
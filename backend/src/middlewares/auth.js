@@ -1,5 +1,7 @@
 import { extractTokenFromRequest } from '../utils/jwt.js';
 import { userRoleSchema } from '../../../shared/schemas/auth.js';
+import { getMicropostById, resolveViewer } from '../services/micropostService.js';
+import { canView } from '../utils/visibility.js';
 
 /**
  * 認証ミドルウェア
@@ -275,6 +277,93 @@ export function authorizeSelfOrAdmin(userIdParam = 'userId', authService) {
   };
 }
 
+/**
+ * マイクロポスト所有者認可ミドルウェア
+ * 投稿者本人（投稿のuserIdで判定）または管理者のみアクセス可能
+ * options.includeDeleted を指定するとゴミ箱の投稿も対象にする（復元用）
+ * options.includeUnpublished を指定すると下書き・予約投稿も対象にする
+ * 投稿者・管理者以外には、見られない投稿（公開範囲外・非表示・ゴミ箱・未公開）の存在を明かさないよう404を返す
+ */
+export function authorizeMicropostOwnerOrAdmin(micropostIdParam = 'micropostId', authService, { includeDeleted = false, includeUnpublished = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      // 認証チェック
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'AUTHENTICATION_REQUIRED',
+            message: '認証が必要です',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      // パラメータからマイクロポストIDを取得
+      const micropostId = parseInt(req.params[micropostIdParam]);
+
+      if (isNaN(micropostId)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_MICROPOST_ID',
+            message: '無効なマイクロポストIDです',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const notFound = () => res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Micropost not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+
+      // 投稿の存在チェック
+      const micropost = await getMicropostById(micropostId, { includeDeleted, includeUnpublished });
+
+      if (!micropost) {
+        return notFound();
+      }
+
+      // 管理者権限チェック
+      if (authService.hasRole(req.user, 'admin')) {
+        return next();
+      }
+
+      // 自分の投稿かチェック（見られない投稿は存在しないものとして扱う）
+      if (req.user.id !== micropost.userId) {
+        if (micropost.status || micropost.deletedAt || !canView(micropost, await resolveViewer(req.user.id))) {
+          return notFound();
+        }
+
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'ACCESS_DENIED',
+            message: '他のユーザーの投稿は操作できません',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'AUTHORIZATION_ERROR',
+          message: '認可処理でエラーが発生しました',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  };
+}
+
 /**
  * API キー認証ミドルウェア（管理用）
  */
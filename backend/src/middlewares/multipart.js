@@ -0,0 +1,41 @@
+import express from 'express';
+import { parseMultipart } from '../utils/multipart.js';
+import { PayloadTooLargeError, UnsupportedMediaTypeError } from '../utils/errors.js';
+
+// ファイル以外のパート（代替テキストなど）とパートのヘッダーの分の余裕
+const FORM_OVERHEAD_BYTES = 64 * 1024;
+
+/**
+ * multipart/form-data 解析ミドルウェア
+ * ボディを maxFileBytes（+ フォームの余裕分）まで受信し、
+ * ファイル以外のパートを req.body、ファイルを req.files に設定する
+ * @param {Object} options - { maxFileBytes: 受け付けるファイルの最大サイズ }
+ */
+export function parseMultipartBody({ maxFileBytes }) {
+  const rawParser = express.raw({ type: 'multipart/form-data', limit: maxFileBytes + FORM_OVERHEAD_BYTES });
+
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      return next(new UnsupportedMediaTypeError('Request must be multipart/form-data'));
+    }
+
+    rawParser(req, res, (error) => {
+      if (error) {
+        return next(error.type === 'entity.too.large'
+          ? new PayloadTooLargeError('File is too large', { maxBytes: maxFileBytes })
+          : error);
+      }
+
+      try {
+        const { fields, files } = parseMultipart(req.body, req.headers['content-type']);
+        req.body = fields;
+        req.files = files;
+        next();
+      } catch (parseError) {
+        next(parseError);
+      }
+    });
+  };
+}
+
+export default parseMultipartBody;
@@ -0,0 +1,210 @@
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { AppError } from '../utils/errors.js';
+import { config } from '../config/index.js';
+
+/**
+ * Block Repository
+ * lowdb を使用した ブロック データアクセス層
+ * blockerId が blockedId をブロックしていることを表す
+ * ブロックは双方向に作用し、互いの投稿の閲覧・フォロー・返信・メンションができなくなる
+ */
+class BlockRepository {
+  constructor() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { blocks: [] });
+    this.initialized = false;
+  }
+
+  /**
+   * Force reinitialize database connection (for testing)
+   * @public
+   */
+  async reinitialize() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { blocks: [] });
+    this.initialized = false;
+    await this._ensureInitialized();
+  }
+
+  /**
+   * データベース初期化
+   * @private
+   */
+  async _ensureInitialized() {
+    if (!this.initialized) {
+      try {
+        await this.db.read();
+
+        // デフォルトデータがない場合の初期化
+        if (!this.db.data) {
+          this.db.data = { blocks: [] };
+          await this.db.write();
+        }
+        if (!this.db.data.blocks) {
+          this.db.data.blocks = [];
+          await this.db.write();
+        }
+
+        this.initialized = true;
+      } catch (error) {
+        throw new AppError('Database initialization failed', 500, 'DATABASE_ERROR', {
+          originalError: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * データベース読み取りの安全な実行
+   * @private
+   */
+  async _safeRead() {
+    try {
+      await this._ensureInitialized();
+      await this.db.read();
+      if (!this.db.data.blocks) {
+        this.db.data.blocks = [];
+      }
+      return this.db.data.blocks;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database read failed', 500, 'DATABASE_READ_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * データベース書き込みの安全な実行
+   * @private
+   */
+  async _safeWrite() {
+    try {
+      await this.db.write();
+    } catch (error) {
+      throw new AppError('Database write failed', 500, 'DATABASE_WRITE_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ブロックを取得
+   * @param {number} blockerId - ブロックするユーザーID
+   * @param {number} blockedId - ブロックされるユーザーID
+   * @returns {Promise<Object|null>} ブロックまたはnull
+   */
+  async find(blockerId, blockedId) {
+    try {
+      const blocks = await this._safeRead();
+      const block = blocks.find(b =>
+        b.blockerId === parseInt(blockerId, 10) &&
+        b.blockedId === parseInt(blockedId, 10)
+      );
+      return block || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find block', 500, 'BLOCK_FIND_ERROR', {
+        blockerId,
+        blockedId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ブロックを作成
+   * @param {number} blockerId - ブロックするユーザーID
+   * @param {number} blockedId - ブロックされるユーザーID
+   * @returns {Promise<Object>} 作成されたブロック
+   */
+  async create(blockerId, blockedId) {
+    try {
+      const blocks = await this._safeRead();
+
+      // 新しいIDを生成
+      const maxId = blocks.length > 0 ? Math.max(...blocks.map(b => b.id)) : 0;
+
+      const newBlock = {
+        id: maxId + 1,
+        blockerId: parseInt(blockerId, 10),
+        blockedId: parseInt(blockedId, 10),
+        createdAt: new Date().toISOString()
+      };
+
+      blocks.push(newBlock);
+      this.db.data.blocks = blocks;
+      await this._safeWrite();
+
+      return newBlock;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create block', 500, 'BLOCK_CREATE_ERROR', {
+        blockerId,
+        blockedId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ブロックを削除
+   * @param {number} blockerId - ブロックするユーザーID
+   * @param {number} blockedId - ブロックされるユーザーID
+   * @returns {Promise<boolean>} 削除成功の可否
+   */
+  async delete(blockerId, blockedId) {
+    try {
+      const blocks = await this._safeRead();
+      const index = blocks.findIndex(b =>
+        b.blockerId === parseInt(blockerId, 10) &&
+        b.blockedId === parseInt(blockedId, 10)
+      );
+
+      if (index === -1) {
+        return false;
+      }
+
+      blocks.splice(index, 1);
+      this.db.data.blocks = blocks;
+      await this._safeWrite();
+
+      return true;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete block', 500, 'BLOCK_DELETE_ERROR', {
+        blockerId,
+        blockedId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ユーザーがブロックした・ユーザーをブロックしたユーザーID一覧を取得
+   * @param {number} userId - ユーザーID
+   * @returns {Promise<Array<number>>} ユーザーID配列
+   */
+  async findRelatedIds(userId) {
+    try {
+      const id = parseInt(userId, 10);
+      const blocks = await this._safeRead();
+      return [
+        ...blocks.filter(b => b.blockerId === id).map(b => b.blockedId),
+        ...blocks.filter(b => b.blockedId === id).map(b => b.blockerId)
+      ];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find blocked user IDs', 500, 'BLOCK_FIND_ERROR', {
+        userId,
+        originalError: error.message
+      });
+    }
+  }
+}
+
+// シングルトンインスタンス
+const blockRepository = new BlockRepository();
+
+export default blockRepository;
@@ -0,0 +1,232 @@
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { AppError } from '../utils/errors.js';
+import { config } from '../config/index.js';
+
+/**
+ * Bookmark Repository
+ * lowdb を使用した ブックマーク データアクセス層
+ * userId のユーザーが micropostId のマイクロポストを保存したことを表す
+ * ブックマークは本人にのみ公開する
+ */
+class BookmarkRepository {
+  constructor() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { bookmarks: [] });
+    this.initialized = false;
+  }
+
+  /**
+   * Force reinitialize database connection (for testing)
+   * @public
+   */
+  async reinitialize() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { bookmarks: [] });
+    this.initialized = false;
+    await this._ensureInitialized();
+  }
+
+  /**
+   * データベース初期化
+   * @private
+   */
+  async _ensureInitialized() {
+    if (!this.initialized) {
+      try {
+        await this.db.read();
+
+        // デフォルトデータがない場合の初期化
+        if (!this.db.data) {
+          this.db.data = { bookmarks: [] };
+          await this.db.write();
+        }
+        if (!this.db.data.bookmarks) {
+          this.db.data.bookmarks = [];
+          await this.db.write();
+        }
+
+        this.initialized = true;
+      } catch (error) {
+        throw new AppError('Database initialization failed', 500, 'DATABASE_ERROR', {
+          originalError: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * データベース読み取りの安全な実行
+   * @private
+   */
+  async _safeRead() {
+    try {
+      await this._ensureInitialized();
+      await this.db.read();
+      if (!this.db.data.bookmarks) {
+        this.db.data.bookmarks = [];
+      }
+      return this.db.data.bookmarks;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database read failed', 500, 'DATABASE_READ_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * データベース書き込みの安全な実行
+   * @private
+   */
+  async _safeWrite() {
+    try {
+      await this.db.write();
+    } catch (error) {
+      throw new AppError('Database write failed', 500, 'DATABASE_WRITE_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ブックマークを取得
+   * @param {number} userId - ブックマークしたユーザーID
+   * @param {number} micropostId - マイクロポストID
+   * @returns {Promise<Object|null>} ブックマークまたはnull
+   */
+  async find(userId, micropostId) {
+    try {
+      const bookmarks = await this._safeRead();
+      const bookmark = bookmarks.find(b =>
+        b.userId === parseInt(userId, 10) &&
+        b.micropostId === parseInt(micropostId, 10)
+      );
+      return bookmark || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find bookmark', 500, 'BOOKMARK_FIND_ERROR', {
+        userId,
+        micropostId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ブックマークを作成
+   * @param {number} userId - ブックマークするユーザーID
+   * @param {number} micropostId - マイクロポストID
+   * @returns {Promise<Object>} 作成されたブックマーク
+   */
+  async create(userId, micropostId) {
+    try {
+      const bookmarks = await this._safeRead();
+
+      // 新しいIDを生成
+      const maxId = bookmarks.length > 0 ? Math.max(...bookmarks.map(b => b.id)) : 0;
+
+      const newBookmark = {
+        id: maxId + 1,
+        userId: parseInt(userId, 10),
+        micropostId: parseInt(micropostId, 10),
+        createdAt: new Date().toISOString()
+      };
+
+      bookmarks.push(newBookmark);
+      this.db.data.bookmarks = bookmarks;
+      await this._safeWrite();
+
+      return newBookmark;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create bookmark', 500, 'BOOKMARK_CREATE_ERROR', {
+        userId,
+        micropostId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ブックマークを削除
+   * @param {number} userId - ブックマークしたユーザーID
+   * @param {number} micropostId - マイクロポストID
+   * @returns {Promise<boolean>} 削除成功の可否
+   */
+  async delete(userId, micropostId) {
+    try {
+      const bookmarks = await this._safeRead();
+      const index = bookmarks.findIndex(b =>
+        b.userId === parseInt(userId, 10) &&
+        b.micropostId === parseInt(micropostId, 10)
+      );
+
+      if (index === -1) {
+        return false;
+      }
+
+      bookmarks.splice(index, 1);
+      this.db.data.bookmarks = bookmarks;
+      await this._safeWrite();
+
+      return true;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete bookmark', 500, 'BOOKMARK_DELETE_ERROR', {
+        userId,
+        micropostId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * マイクロポストのブックマークを全て削除
+   * @param {number} micropostId - マイクロポストID
+   * @returns {Promise<number>} 削除件数
+   */
+  async deleteByMicropostId(micropostId) {
+    try {
+      const bookmarks = await this._safeRead();
+      const remaining = bookmarks.filter(b => b.micropostId !== parseInt(micropostId, 10));
+      const deletedCount = bookmarks.length - remaining.length;
+
+      if (deletedCount > 0) {
+        this.db.data.bookmarks = remaining;
+        await this._safeWrite();
+      }
+
+      return deletedCount;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete bookmarks', 500, 'BOOKMARK_DELETE_ERROR', {
+        micropostId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ユーザーのブックマーク一覧を取得
+   * @param {number} userId - ユーザーID
+   * @returns {Promise<Array>} ブックマーク配列
+   */
+  async findByUserId(userId) {
+    try {
+      const bookmarks = await this._safeRead();
+      return bookmarks.filter(b => b.userId === parseInt(userId, 10));
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find bookmarks by user ID', 500, 'BOOKMARK_FIND_ERROR', {
+        userId,
+        originalError: error.message
+      });
+    }
+  }
+}
+
+// シングルトンインスタンス
+const bookmarkRepository = new BookmarkRepository();
+
+export default bookmarkRepository;
@@ -0,0 +1,206 @@
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { AppError } from '../utils/errors.js';
+import { config } from '../config/index.js';
+
+/**
+ * Hashtag Repository
+ * lowdb を使用した ハッシュタグ索引 データアクセス層
+ * 1件が「micropostId の投稿に正規化済みタグ tag が含まれる」ことを表す
+ * createdAt は投稿日時（トレンド集計・タグタイムラインの並び順に使用）
+ */
+class HashtagRepository {
+  constructor() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { hashtags: [] });
+    this.initialized = false;
+  }
+
+  /**
+   * Force reinitialize database connection (for testing)
+   * @public
+   */
+  async reinitialize() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { hashtags: [] });
+    this.initialized = false;
+    await this._ensureInitialized();
+  }
+
+  /**
+   * データベース初期化
+   * @private
+   */
+  async _ensureInitialized() {
+    if (!this.initialized) {
+      try {
+        await this.db.read();
+
+        // デフォルトデータがない場合の初期化
+        if (!this.db.data) {
+          this.db.data = { hashtags: [] };
+          await this.db.write();
+        }
+        if (!this.db.data.hashtags) {
+          this.db.data.hashtags = [];
+          await this.db.write();
+        }
+
+        this.initialized = true;
+      } catch (error) {
+        throw new AppError('Database initialization failed', 500, 'DATABASE_ERROR', {
+          originalError: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * データベース読み取りの安全な実行
+   * @private
+   */
+  async _safeRead() {
+    try {
+      await this._ensureInitialized();
+      await this.db.read();
+      if (!this.db.data.hashtags) {
+        this.db.data.hashtags = [];
+      }
+      return this.db.data.hashtags;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database read failed', 500, 'DATABASE_READ_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * データベース書き込みの安全な実行
+   * @private
+   */
+  async _safeWrite() {
+    try {
+      await this.db.write();
+    } catch (error) {
+      throw new AppError('Database write failed', 500, 'DATABASE_WRITE_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * マイクロポストの索引を置き換え
+   * @param {Object} micropost - id と createdAt を持つマイクロポスト
+   * @param {Array<string>} tags - 正規化済みタグ配列
+   * @returns {Promise<Array>} 作成された索引エントリ配列
+   */
+  async replaceForMicropost(micropost, tags) {
+    try {
+      const hashtags = await this._safeRead();
+
+      // 新しいIDを生成
+      const maxId = hashtags.length > 0 ? Math.max(...hashtags.map(h => h.id)) : 0;
+
+      const entries = tags.map((tag, index) => ({
+        id: maxId + index + 1,
+        tag,
+        micropostId: micropost.id,
+        createdAt: micropost.createdAt
+      }));
+
+      this.db.data.hashtags = [
+        ...hashtags.filter(h => h.micropostId !== micropost.id),
+        ...entries
+      ];
+      await this._safeWrite();
+
+      return entries;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to index hashtags', 500, 'HASHTAG_INDEX_ERROR', {
+        micropostId: micropost.id,
+        tags,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * マイクロポストの索引を削除
+   * @param {number} micropostId - マイクロポストID
+   * @returns {Promise<number>} 削除件数
+   */
+  async deleteByMicropostId(micropostId) {
+    try {
+      const hashtags = await this._safeRead();
+      const remaining = hashtags.filter(h => h.micropostId !== parseInt(micropostId, 10));
+      const deletedCount = hashtags.length - remaining.length;
+
+      if (deletedCount > 0) {
+        this.db.data.hashtags = remaining;
+        await this._safeWrite();
+      }
+
+      return deletedCount;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete hashtags', 500, 'HASHTAG_DELETE_ERROR', {
+        micropostId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * タグの索引エントリを取得
+   * @param {string} tag - 正規化済みタグ
+   * @returns {Promise<Array>} 索引エントリ配列
+   */
+  async findByTag(tag) {
+    try {
+      const hashtags = await this._safeRead();
+      return hashtags.filter(h => h.tag === tag);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find hashtags', 500, 'HASHTAG_FIND_ERROR', {
+        tag,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * 指定日時以降の投稿についてタグ毎の投稿数を集計
+   * @param {Date} since - 集計開始日時
+   * @param {Object} [options] - { micropostIds: 集計対象のマイクロポストIDのSet（省略時は全て） }
+   * @returns {Promise<Array<{tag: string, count: number}>>} 投稿数の多い順（同数はタグ名順）
+   */
+  async countSince(since, { micropostIds } = {}) {
+    try {
+      const hashtags = await this._safeRead();
+      const counts = new Map();
+
+      for (const h of hashtags) {
+        if (new Date(h.createdAt) >= since && (!micropostIds || micropostIds.has(h.micropostId))) {
+          counts.set(h.tag, (counts.get(h.tag) || 0) + 1);
+        }
+      }
+
+      return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to count hashtags', 500, 'HASHTAG_COUNT_ERROR', {
+        since,
+        originalError: error.message
+      });
+    }
+  }
+}
+
+// シングルトンインスタンス
+const hashtagRepository = new HashtagRepository();
+
+export default hashtagRepository;
@@ -0,0 +1,250 @@
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { AppError } from '../utils/errors.js';
+import { config } from '../config/index.js';
+
+/**
+ * Like Repository
+ * lowdb を使用した いいね データアクセス層
+ * userId のユーザーが micropostId のマイクロポストにいいねしたことを表す
+ */
+class LikeRepository {
+  constructor() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { likes: [] });
+    this.initialized = false;
+  }
+
+  /**
+   * Force reinitialize database connection (for testing)
+   * @public
+   */
+  async reinitialize() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { likes: [] });
+    this.initialized = false;
+    await this._ensureInitialized();
+  }
+
+  /**
+   * データベース初期化
+   * @private
+   */
+  async _ensureInitialized() {
+    if (!this.initialized) {
+      try {
+        await this.db.read();
+
+        // デフォルトデータがない場合の初期化
+        if (!this.db.data) {
+          this.db.data = { likes: [] };
+          await this.db.write();
+        }
+        if (!this.db.data.likes) {
+          this.db.data.likes = [];
+          await this.db.write();
+        }
+
+        this.initialized = true;
+      } catch (error) {
+        throw new AppError('Database initialization failed', 500, 'DATABASE_ERROR', {
+          originalError: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * データベース読み取りの安全な実行
+   * @private
+   */
+  async _safeRead() {
+    try {
+      await this._ensureInitialized();
+      await this.db.read();
+      if (!this.db.data.likes) {
+        this.db.data.likes = [];
+      }
+      return this.db.data.likes;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database read failed', 500, 'DATABASE_READ_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * データベース書き込みの安全な実行
+   * @private
+   */
+  async _safeWrite() {
+    try {
+      await this.db.write();
+    } catch (error) {
+      throw new AppError('Database write failed', 500, 'DATABASE_WRITE_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * いいねを取得
+   * @param {number} userId - いいねしたユーザーID
+   * @param {number} micropostId - マイクロポストID
+   * @returns {Promise<Object|null>} いいねまたはnull
+   */
+  async find(userId, micropostId) {
+    try {
+      const likes = await this._safeRead();
+      const like = likes.find(l =>
+        l.userId === parseInt(userId, 10) &&
+        l.micropostId === parseInt(micropostId, 10)
+      );
+      return like || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find like', 500, 'LIKE_FIND_ERROR', {
+        userId,
+        micropostId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * いいねを作成
+   * @param {number} userId - いいねするユーザーID
+   * @param {number} micropostId - マイクロポストID
+   * @returns {Promise<Object>} 作成されたいいね
+   */
+  async create(userId, micropostId) {
+    try {
+      const likes = await this._safeRead();
+
+      // 新しいIDを生成
+      const maxId = likes.length > 0 ? Math.max(...likes.map(l => l.id)) : 0;
+
+      const newLike = {
+        id: maxId + 1,
+        userId: parseInt(userId, 10),
+        micropostId: parseInt(micropostId, 10),
+        createdAt: new Date().toISOString()
+      };
+
+      likes.push(newLike);
+      this.db.data.likes = likes;
+      await this._safeWrite();
+
+      return newLike;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create like', 500, 'LIKE_CREATE_ERROR', {
+        userId,
+        micropostId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * いいねを削除
+   * @param {number} userId - いいねしたユーザーID
+   * @param {number} micropostId - マイクロポストID
+   * @returns {Promise<boolean>} 削除成功の可否
+   */
+  async delete(userId, micropostId) {
+    try {
+      const likes = await this._safeRead();
+      const index = likes.findIndex(l =>
+        l.userId === parseInt(userId, 10) &&
+        l.micropostId === parseInt(micropostId, 10)
+      );
+
+      if (index === -1) {
+        return false;
+      }
+
+      likes.splice(index, 1);
+      this.db.data.likes = likes;
+      await this._safeWrite();
+
+      return true;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete like', 500, 'LIKE_DELETE_ERROR', {
+        userId,
+        micropostId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * マイクロポストに付いたいいねを全て削除
+   * @param {number} micropostId - マイクロポストID
+   * @returns {Promise<number>} 削除件数
+   */
+  async deleteByMicropostId(micropostId) {
+    try {
+      const likes = await this._safeRead();
+      const remaining = likes.filter(l => l.micropostId !== parseInt(micropostId, 10));
+      const deletedCount = likes.length - remaining.length;
+
+      if (deletedCount > 0) {
+        this.db.data.likes = remaining;
+        await this._safeWrite();
+      }
+
+      return deletedCount;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete likes', 500, 'LIKE_DELETE_ERROR', {
+        micropostId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * 複数マイクロポストのいいねを取得
+   * @param {Array<number>} micropostIds - マイクロポストID配列
+   * @returns {Promise<Array>} いいね配列
+   */
+  async findByMicropostIds(micropostIds) {
+    try {
+      const likes = await this._safeRead();
+      const ids = new Set(micropostIds.map(id => parseInt(id, 10)));
+      return likes.filter(l => ids.has(l.micropostId));
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find likes', 500, 'LIKE_FIND_ERROR', {
+        micropostIds,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ユーザーのいいね一覧を取得
+   * @param {number} userId - ユーザーID
+   * @returns {Promise<Array>} いいね配列
+   */
+  async findByUserId(userId) {
+    try {
+      const likes = await this._safeRead();
+      return likes.filter(l => l.userId === parseInt(userId, 10));
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find likes by user ID', 500, 'LIKE_FIND_ERROR', {
+        userId,
+        originalError: error.message
+      });
+    }
+  }
+}
+
+// シングルトンインスタンス
+const likeRepository = new LikeRepository();
+
+export default likeRepository;
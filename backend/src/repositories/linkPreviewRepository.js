@@ -0,0 +1,155 @@
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { AppError } from '../utils/errors.js';
+import { config } from '../config/index.js';
+
+/**
+ * Link Preview Repository
+ * lowdb を使用した リンクプレビュー データアクセス層
+ * URL 毎のキャッシュで、同じ URL を含む投稿はプレビューを共有する
+ */
+class LinkPreviewRepository {
+  constructor() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { linkPreviews: [] });
+    this.initialized = false;
+  }
+
+  /**
+   * Force reinitialize database connection (for testing)
+   * @public
+   */
+  async reinitialize() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { linkPreviews: [] });
+    this.initialized = false;
+    await this._ensureInitialized();
+  }
+
+  /**
+   * データベース初期化
+   * @private
+   */
+  async _ensureInitialized() {
+    if (!this.initialized) {
+      try {
+        await this.db.read();
+
+        // デフォルトデータがない場合の初期化
+        if (!this.db.data) {
+          this.db.data = { linkPreviews: [] };
+          await this.db.write();
+        }
+        if (!this.db.data.linkPreviews) {
+          this.db.data.linkPreviews = [];
+          await this.db.write();
+        }
+
+        this.initialized = true;
+      } catch (error) {
+        throw new AppError('Database initialization failed', 500, 'DATABASE_ERROR', {
+          originalError: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * データベース読み取りの安全な実行
+   * @private
+   */
+  async _safeRead() {
+    try {
+      await this._ensureInitialized();
+      await this.db.read();
+      if (!this.db.data.linkPreviews) {
+        this.db.data.linkPreviews = [];
+      }
+      return this.db.data.linkPreviews;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database read failed', 500, 'DATABASE_READ_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * データベース書き込みの安全な実行
+   * @private
+   */
+  async _safeWrite() {
+    try {
+      await this.db.write();
+    } catch (error) {
+      throw new AppError('Database write failed', 500, 'DATABASE_WRITE_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * 複数のURLでリンクプレビューを取得
+   * @param {Array<string>} urls - URL配列
+   * @returns {Promise<Array>} リンクプレビュー配列
+   */
+  async findByUrls(urls) {
+    try {
+      const urlSet = new Set(urls);
+      const linkPreviews = await this._safeRead();
+      return linkPreviews.filter(p => urlSet.has(p.url));
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find link previews by URLs', 500, 'LINK_PREVIEW_FIND_ERROR', {
+        urls,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * リンクプレビューを保存
+   * 同じ URL のキャッシュが既にある場合はそれを返す
+   * @param {Object} previewData - { url, title, description, image }
+   * @returns {Promise<Object>} 保存されたリンクプレビュー
+   */
+  async create(previewData) {
+    try {
+      const linkPreviews = await this._safeRead();
+
+      const existing = linkPreviews.find(p => p.url === previewData.url);
+      if (existing) {
+        return existing;
+      }
+
+      // 新しいIDを生成
+      const maxId = linkPreviews.length > 0 ? Math.max(...linkPreviews.map(p => p.id)) : 0;
+
+      const newLinkPreview = {
+        id: maxId + 1,
+        url: previewData.url,
+        title: previewData.title ?? null,
+        description: previewData.description ?? null,
+        image: previewData.image ?? null,
+        fetchedAt: new Date().toISOString()
+      };
+
+      linkPreviews.push(newLinkPreview);
+      this.db.data.linkPreviews = linkPreviews;
+      await this._safeWrite();
+
+      return newLinkPreview;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create link preview', 500, 'LINK_PREVIEW_CREATE_ERROR', {
+        url: previewData.url,
+        originalError: error.message
+      });
+    }
+  }
+}
+
+// シングルトンインスタンス
+const linkPreviewRepository = new LinkPreviewRepository();
+
+export default linkPreviewRepository;
@@ -0,0 +1,235 @@
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { AppError } from '../utils/errors.js';
+import { config } from '../config/index.js';
+
+/**
+ * Media Repository
+ * lowdb を使用した 添付メディア データアクセス層
+ * アップロード時点では micropostId は null で、投稿作成時に添付先が設定される
+ */
+class MediaRepository {
+  constructor() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { media: [] });
+    this.initialized = false;
+  }
+
+  /**
+   * Force reinitialize database connection (for testing)
+   * @public
+   */
+  async reinitialize() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { media: [] });
+    this.initialized = false;
+    await this._ensureInitialized();
+  }
+
+  /**
+   * データベース初期化
+   * @private
+   */
+  async _ensureInitialized() {
+    if (!this.initialized) {
+      try {
+        await this.db.read();
+
+        // デフォルトデータがない場合の初期化
+        if (!this.db.data) {
+          this.db.data = { media: [] };
+          await this.db.write();
+        }
+        if (!this.db.data.media) {
+          this.db.data.media = [];
+          await this.db.write();
+        }
+
+        this.initialized = true;
+      } catch (error) {
+        throw new AppError('Database initialization failed', 500, 'DATABASE_ERROR', {
+          originalError: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * データベース読み取りの安全な実行
+   * @private
+   */
+  async _safeRead() {
+    try {
+      await this._ensureInitialized();
+      await this.db.read();
+      if (!this.db.data.media) {
+        this.db.data.media = [];
+      }
+      return this.db.data.media;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database read failed', 500, 'DATABASE_READ_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * データベース書き込みの安全な実行
+   * @private
+   */
+  async _safeWrite() {
+    try {
+      await this.db.write();
+    } catch (error) {
+      throw new AppError('Database write failed', 500, 'DATABASE_WRITE_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * メディアを作成
+   * @param {Object} mediaData - { userId, key, mimeType, size, width, height, altText }
+   * @returns {Promise<Object>} 作成されたメディア
+   */
+  async create(mediaData) {
+    try {
+      const media = await this._safeRead();
+
+      // 新しいIDを生成
+      const maxId = media.length > 0 ? Math.max(...media.map(m => m.id)) : 0;
+
+      const newMedia = {
+        id: maxId + 1,
+        ...mediaData,
+        userId: parseInt(mediaData.userId, 10),
+        micropostId: null,
+        createdAt: new Date().toISOString()
+      };
+
+      media.push(newMedia);
+      this.db.data.media = media;
+      await this._safeWrite();
+
+      return newMedia;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create media', 500, 'MEDIA_CREATE_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * 複数のIDでメディアを取得
+   * @param {Array<number>} ids - メディアID配列
+   * @returns {Promise<Array>} メディア配列
+   */
+  async findByIds(ids) {
+    try {
+      const idSet = new Set(ids.map(id => parseInt(id, 10)));
+      const media = await this._safeRead();
+      return media.filter(m => idSet.has(m.id));
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find media by IDs', 500, 'MEDIA_FIND_ERROR', {
+        ids,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * メディアを投稿に添付
+   * @param {Array<number>} ids - メディアID配列
+   * @param {number} micropostId - 添付先のマイクロポストID
+   * @returns {Promise<number>} 添付した件数
+   */
+  async attach(ids, micropostId) {
+    try {
+      const idSet = new Set(ids.map(id => parseInt(id, 10)));
+      const media = await this._safeRead();
+      let attachedCount = 0;
+
+      this.db.data.media = media.map(m => {
+        if (!idSet.has(m.id) || m.micropostId !== null) {
+          return m;
+        }
+        attachedCount += 1;
+        return { ...m, micropostId: parseInt(micropostId, 10) };
+      });
+
+      if (attachedCount > 0) {
+        await this._safeWrite();
+      }
+
+      return attachedCount;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to attach media', 500, 'MEDIA_ATTACH_ERROR', {
+        ids,
+        micropostId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * 参照されなくなったメディアを取得
+   * 投稿に添付されないまま createdBefore を過ぎたものと、添付先の投稿が完全に削除されたもの
+   * @param {Object} conditions - { createdBefore: この日時以前にアップロードされた未添付のメディア }
+   * @returns {Promise<Array>} メディア配列
+   */
+  async findOrphans({ createdBefore }) {
+    try {
+      const media = await this._safeRead();
+      const micropostIds = new Set(
+        (this.db.data.microposts || []).filter(post => !post.tombstone).map(post => post.id)
+      );
+
+      return media.filter(m => (m.micropostId === null
+        ? new Date(m.createdAt) <= new Date(createdBefore)
+        : !micropostIds.has(m.micropostId)));
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find orphaned media', 500, 'MEDIA_FIND_ERROR', {
+        createdBefore,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * メディアを削除
+   * @param {number} id - メディアID
+   * @returns {Promise<boolean>} 削除成功の可否
+   */
+  async delete(id) {
+    try {
+      const media = await this._safeRead();
+      const index = media.findIndex(m => m.id === parseInt(id, 10));
+
+      if (index === -1) {
+        return false;
+      }
+
+      media.splice(index, 1);
+      this.db.data.media = media;
+      await this._safeWrite();
+
+      return true;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete media', 500, 'MEDIA_DELETE_ERROR', {
+        mediaId: id,
+        originalError: error.message
+      });
+    }
+  }
+}
+
+// シングルトンインスタンス
+const mediaRepository = new MediaRepository();
+
+export default mediaRepository;
@@ -1,12 +1,34 @@
 import { Low } from 'lowdb';
 import { JSONFile } from 'lowdb/node';
-import { AppError } from '../utils/errors.js';
+import { AppError, ValidationError } from '../utils/errors.js';
 import { config } from '../config/index.js';
+import { compareNewestFirst, compareOldestFirst, paginateByCursor } from '../utils/cursor.js';
+import { toTombstone, pruneTombstones } from '../utils/thread.js';
+import { canView } from '../utils/visibility.js';
+import { extractHashtags, normalizeTag } from '../utils/hashtags.js';
+
+/**
+ * 墓標でもゴミ箱の投稿でもないか（下書き・予約投稿を含む）
+ * @param {Object} post - マイクロポスト
+ * @returns {boolean}
+ */
+const isActive = (post) => !post.tombstone && !post.deletedAt;
+
+/**
+ * 通常の検索で返す投稿か（墓標・ゴミ箱の投稿・未公開の下書きと予約投稿は除く）
+ * @param {Object} post - マイクロポスト
+ * @returns {boolean}
+ */
+const isVisible = (post) => isActive(post) && !post.status;
 
 /**
  * Micropost Repository
  * lowdb を使用した マイクロポスト データアクセス層
  * 非同期パターンに統一し、エラーハンドリングを標準化
+ *
+ * 削除はゴミ箱への移動（deletedAt の設定）で、保持期間の経過後に purge で完全に削除する。
+ * 返信が付いた投稿は purge 時に墓標として残す。
+ * 下書き・予約投稿（status を持つ投稿）は publish されるまで通常の検索から除外する
  */
 class MicropostRepository {
   constructor() {
@@ -85,22 +107,54 @@ class MicropostRepository {
     }
   }
 
+  /**
+   * 墓標・ゴミ箱の投稿を除いたマイクロポストの読み取り
+   * @private
+   */
+  async _readVisible() {
+    const microposts = await this._safeRead();
+    return microposts.filter(isVisible);
+  }
+
+  /**
+   * スレッド表示用のマイクロポストの読み取り
+   * ゴミ箱の投稿は墓標として扱い、表示される返信が残らない墓標は取り除く
+   * @private
+   */
+  async _readThreadView() {
+    const microposts = (await this._safeRead())
+      .filter(post => !post.status)
+      .map(post => (post.deletedAt ? toTombstone(post) : post));
+
+    return pruneTombstones(microposts);
+  }
+
   /**
    * 全てのマイクロポストを取得
    * @returns {Promise<Array>} マイクロポスト配列
    */
   async findAll() {
-    return await this._safeRead();
+    return await this._readVisible();
   }
 
   /**
    * IDでマイクロポストを取得
    * @param {number} id - マイクロポストID
+   * @param {Object} options - { includeTombstones: 墓標（スレッド表示上の墓標を含む）も対象にするか, includeDeleted: ゴミ箱の投稿も対象にするか, includeUnpublished: 下書き・予約投稿も対象にするか }
    * @returns {Promise<Object|null>} マイクロポスト情報またはnull
    */
-  async findById(id) {
+  async findById(id, { includeTombstones = false, includeDeleted = false, includeUnpublished = false } = {}) {
     try {
-      const microposts = await this._safeRead();
+      let microposts;
+      if (includeTombstones) {
+        microposts = await this._readThreadView();
+      } else if (includeDeleted) {
+        microposts = (await this._safeRead()).filter(post => !post.tombstone && (includeUnpublished || !post.status));
+      } else if (includeUnpublished) {
+        microposts = (await this._safeRead()).filter(isActive);
+      } else {
+        microposts = await this._readVisible();
+      }
       const micropost = microposts.find(post => post.id === parseInt(id, 10));
       return micropost || null;
     } catch (error) {
@@ -119,7 +173,7 @@ class MicropostRepository {
    */
   async findByUserId(userId) {
     try {
-      const microposts = await this._safeRead();
+      const microposts = await this._readVisible();
       return microposts.filter(post => post.userId === parseInt(userId, 10));
     } catch (error) {
       if (error instanceof AppError) throw error;
@@ -130,6 +184,63 @@ class MicropostRepository {
     }
   }
 
+  /**
+   * 複数のユーザーIDでマイクロポストを取得
+   * @param {Array<number>} userIds - ユーザーID配列
+   * @returns {Promise<Array>} マイクロポスト配列
+   */
+  async findByUserIds(userIds) {
+    try {
+      const ids = new Set(userIds.map(id => parseInt(id, 10)));
+      const microposts = await this._readVisible();
+      return microposts.filter(post => ids.has(post.userId));
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find microposts by user IDs', 500, 'MICROPOST_FIND_BY_USERS_ERROR', { 
+        userIds, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * 複数のIDでマイクロポストを取得
+   * @param {Array<number>} ids - マイクロポストID配列
+   * @returns {Promise<Array>} マイクロポスト配列
+   */
+  async findByIds(ids) {
+    try {
+      const idSet = new Set(ids.map(id => parseInt(id, 10)));
+      const microposts = await this._readVisible();
+      return microposts.filter(post => idSet.has(post.id));
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find microposts by IDs', 500, 'MICROPOST_FIND_ERROR', { 
+        ids, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * 指定したマイクロポストのリポストを取得（引用は含まない）
+   * @param {Array<number>} micropostIds - リポスト元のマイクロポストID配列
+   * @returns {Promise<Array>} リポスト配列
+   */
+  async findRepostsOf(micropostIds) {
+    try {
+      const ids = new Set(micropostIds.map(id => parseInt(id, 10)));
+      const microposts = await this._readVisible();
+      return microposts.filter(post => ids.has(post.repostOfId));
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find reposts', 500, 'MICROPOST_FIND_ERROR', { 
+        micropostIds, 
+        originalError: error.message 
+      });
+    }
+  }
+
   /**
    * 新しいマイクロポストを作成
    * @param {Object} micropostData - マイクロポストデータ
@@ -138,7 +249,8 @@ class MicropostRepository {
   async create(micropostData) {
     try {
       // バリデーション
-      if (!micropostData || !micropostData.content || !micropostData.userId) {
+      // リポストは本文を持たず、画像を添付した投稿は本文を省略できる
+      if (!micropostData || (!micropostData.content && !micropostData.repostOfId && !micropostData.mediaIds?.length) || !micropostData.userId) {
         throw new AppError('Required micropost data is missing', 400, 'INVALID_MICROPOST_DATA', { 
           receivedData: micropostData 
         });
@@ -174,6 +286,7 @@ class MicropostRepository {
 
   /**
    * マイクロポストを更新
+   * 公開済みの投稿の本文が変わる場合は変更前の版を編集履歴に残し、edited を立てる
    * @param {number} id - マイクロポストID
    * @param {Object} updateData - 更新データ
    * @returns {Promise<Object|null>} 更新されたマイクロポストまたはnull
@@ -181,16 +294,36 @@ class MicropostRepository {
   async update(id, updateData) {
     try {
       const microposts = await this._safeRead();
-      const index = microposts.findIndex(post => post.id === parseInt(id, 10));
+      const index = microposts.findIndex(post => post.id === parseInt(id, 10) && isActive(post));
 
       if (index === -1) {
         return null;
       }
 
+      const current = microposts[index];
+      const updatedAt = new Date().toISOString();
+
+      // 未公開の下書き・予約投稿の書き直しは履歴に残さない
+      if (!current.status && updateData.content !== undefined && updateData.content !== current.content) {
+        const revisions = this.db.data.micropostRevisions || [];
+        const maxId = revisions.length > 0 ? Math.max(...revisions.map(r => r.id)) : 0;
+
+        revisions.push({
+          id: maxId + 1,
+          micropostId: current.id,
+          content: current.content,
+          // その版が書かれた日時と、置き換えられた日時
+          createdAt: current.updatedAt || current.createdAt,
+          replacedAt: updatedAt
+        });
+        this.db.data.micropostRevisions = revisions;
+        updateData = { ...updateData, edited: true };
+      }
+
       microposts[index] = {
-        ...microposts[index],
+        ...current,
         ...updateData,
-        updatedAt: new Date().toISOString()
+        updatedAt
       };
 
       this.db.data.microposts = microposts;
@@ -208,20 +341,26 @@ class MicropostRepository {
   }
 
   /**
-   * マイクロポストを削除
+   * マイクロポストをゴミ箱に移動（論理削除）
+   * 全ての検索から除外され、restore で元に戻せる
    * @param {number} id - マイクロポストID
+   * @param {Object} options - { deletedAt: 削除日時（連動して削除する投稿と揃える場合に指定） }
    * @returns {Promise<boolean>} 削除成功の可否
    */
-  async delete(id) {
+  async delete(id, { deletedAt = new Date().toISOString() } = {}) {
     try {
       const microposts = await this._safeRead();
-      const index = microposts.findIndex(post => post.id === parseInt(id, 10));
+      const index = microposts.findIndex(post => post.id === parseInt(id, 10) && isActive(post));
 
       if (index === -1) {
         return false;
       }
 
-      microposts.splice(index, 1);
+      microposts[index] = {
+        ...microposts[index],
+        deletedAt
+      };
+
       this.db.data.microposts = microposts;
       await this._safeWrite();
 
@@ -235,6 +374,323 @@ class MicropostRepository {
     }
   }
 
+  /**
+   * ゴミ箱のマイクロポストを元に戻す
+   * @param {number} id - マイクロポストID
+   * @returns {Promise<Object|null>} 元に戻したマイクロポストまたはnull
+   */
+  async restore(id) {
+    try {
+      const microposts = await this._safeRead();
+      const index = microposts.findIndex(post => post.id === parseInt(id, 10) && post.deletedAt && !post.tombstone);
+
+      if (index === -1) {
+        return null;
+      }
+
+      const { deletedAt, ...micropost } = microposts[index];
+      microposts[index] = micropost;
+
+      this.db.data.microposts = microposts;
+      await this._safeWrite();
+
+      return micropost;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to restore micropost', 500, 'MICROPOST_RESTORE_ERROR', { 
+        micropostId: id, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * ゴミ箱のマイクロポストを取得
+   * @param {Object} conditions - { userId, repostOfId, deletedAt: 削除日時の完全一致, deletedBefore: この日時以前に削除された投稿 }
+   * @returns {Promise<Array>} マイクロポスト配列
+   */
+  async findDeleted(conditions = {}) {
+    try {
+      let microposts = (await this._safeRead()).filter(post => post.deletedAt && !post.tombstone);
+
+      if (conditions.userId) {
+        microposts = microposts.filter(post => post.userId === parseInt(conditions.userId, 10));
+      }
+
+      if (conditions.repostOfId) {
+        microposts = microposts.filter(post => post.repostOfId === parseInt(conditions.repostOfId, 10));
+      }
+
+      if (conditions.deletedAt) {
+        microposts = microposts.filter(post => post.deletedAt === conditions.deletedAt);
+      }
+
+      if (conditions.deletedBefore) {
+        microposts = microposts.filter(post => 
+          new Date(post.deletedAt) <= new Date(conditions.deletedBefore)
+        );
+      }
+
+      return microposts;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find deleted microposts', 500, 'MICROPOST_FIND_ERROR', { 
+        conditions, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * ゴミ箱のマイクロポストを完全に削除
+   * 返信が付いている場合は墓標として残し、返信を孤立させない
+   * @param {number} id - マイクロポストID
+   * @returns {Promise<boolean>} 削除成功の可否
+   */
+  async purge(id) {
+    try {
+      const microposts = await this._safeRead();
+      const index = microposts.findIndex(post => post.id === parseInt(id, 10) && post.deletedAt && !post.tombstone);
+
+      if (index === -1) {
+        return false;
+      }
+
+      const micropost = microposts[index];
+
+      // ゴミ箱の返信も元に戻せるよう、親は墓標として残す
+      if (microposts.some(post => post.inReplyToId === micropost.id)) {
+        microposts[index] = toTombstone(micropost);
+      } else {
+        microposts.splice(index, 1);
+        this._pruneTombstones(microposts, micropost.inReplyToId);
+      }
+
+      // 墓標は本文を持たないため、編集履歴も破棄する
+      this.db.data.micropostRevisions = (this.db.data.micropostRevisions || [])
+        .filter(revision => revision.micropostId !== micropost.id);
+
+      this.db.data.microposts = microposts;
+      await this._safeWrite();
+
+      return true;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to purge micropost', 500, 'MICROPOST_PURGE_ERROR', { 
+        micropostId: id, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * 未公開の下書き・予約投稿を取得（ゴミ箱の投稿は除く）
+   * @param {Object} conditions - { userId, status: 'draft' | 'scheduled', publishBefore: この日時までに公開予定の予約投稿 }
+   * @returns {Promise<Array>} マイクロポスト配列
+   */
+  async findUnpublished(conditions = {}) {
+    try {
+      let microposts = (await this._safeRead()).filter(post => isActive(post) && post.status);
+
+      if (conditions.userId) {
+        microposts = microposts.filter(post => post.userId === parseInt(conditions.userId, 10));
+      }
+
+      if (conditions.status) {
+        microposts = microposts.filter(post => post.status === conditions.status);
+      }
+
+      if (conditions.publishBefore) {
+        microposts = microposts.filter(post => 
+          post.publishAt && new Date(post.publishAt) <= new Date(conditions.publishBefore)
+        );
+      }
+
+      return microposts;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find unpublished microposts', 500, 'MICROPOST_FIND_ERROR', { 
+        conditions, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * 下書き・予約投稿を公開
+   * 作成日時は公開日時に置き換え、タイムライン上は公開した時点の投稿として扱う
+   * @param {number} id - マイクロポストID
+   * @param {string} [publishedAt] - 公開日時
+   * @returns {Promise<Object|null>} 公開したマイクロポストまたはnull
+   */
+  async publish(id, publishedAt = new Date().toISOString()) {
+    try {
+      const microposts = await this._safeRead();
+      const index = microposts.findIndex(post => post.id === parseInt(id, 10) && isActive(post) && post.status);
+
+      if (index === -1) {
+        return null;
+      }
+
+      const { status, publishAt, updatedAt, ...micropost } = microposts[index];
+      microposts[index] = { ...micropost, createdAt: publishedAt };
+
+      this.db.data.microposts = microposts;
+      await this._safeWrite();
+
+      return microposts[index];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to publish micropost', 500, 'MICROPOST_PUBLISH_ERROR', { 
+        micropostId: id, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * マイクロポストを非表示にする（管理者による対応）
+   * 非表示の投稿は投稿者本人以外からは見えなくなる（canView を参照）
+   * @param {number} id - マイクロポストID
+   * @param {string} [hiddenAt] - 非表示にした日時
+   * @returns {Promise<Object|null>} 非表示にしたマイクロポストまたはnull
+   */
+  async hide(id, hiddenAt = new Date().toISOString()) {
+    try {
+      const microposts = await this._safeRead();
+      const index = microposts.findIndex(post => post.id === parseInt(id, 10) && isActive(post));
+
+      if (index === -1) {
+        return null;
+      }
+
+      microposts[index] = { ...microposts[index], hiddenAt: microposts[index].hiddenAt || hiddenAt };
+
+      this.db.data.microposts = microposts;
+      await this._safeWrite();
+
+      return microposts[index];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to hide micropost', 500, 'MICROPOST_HIDE_ERROR', { 
+        micropostId: id, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * マイクロポストの編集履歴を取得（古い順）
+   * @param {number} id - マイクロポストID
+   * @returns {Promise<Array>} 変更前の版の配列
+   */
+  async findRevisions(id) {
+    try {
+      await this._safeRead();
+      return (this.db.data.micropostRevisions || [])
+        .filter(revision => revision.micropostId === parseInt(id, 10))
+        .sort((a, b) => a.id - b.id);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find micropost revisions', 500, 'MICROPOST_FIND_ERROR', { 
+        micropostId: id, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * 返信がなくなった墓標を親方向へ順に取り除く
+   * @private
+   */
+  _pruneTombstones(microposts, id) {
+    let currentId = id;
+
+    while (currentId) {
+      const index = microposts.findIndex(post => post.id === currentId);
+      const stillReferenced = microposts.some(post => post.inReplyToId === currentId);
+
+      if (index === -1 || !microposts[index].tombstone || stillReferenced) {
+        return;
+      }
+
+      currentId = microposts[index].inReplyToId;
+      microposts.splice(index, 1);
+    }
+  }
+
+  /**
+   * 直接の返信数を取得（墓標は除く）
+   * @param {number} id - マイクロポストID
+   * @returns {Promise<number>} 返信数
+   */
+  async countReplies(id) {
+    try {
+      const microposts = await this._readVisible();
+      return microposts.filter(post => post.inReplyToId === parseInt(id, 10)).length;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to count replies', 500, 'MICROPOST_COUNT_ERROR', { 
+        micropostId: id, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * 指定した投稿より下の返信を全て取得（墓標を含む）
+   * @param {number} id - マイクロポストID
+   * @returns {Promise<Array>} 子孫の投稿配列
+   */
+  async findDescendants(id) {
+    try {
+      const microposts = await this._readThreadView();
+      const descendants = [];
+      const parentIds = new Set([parseInt(id, 10)]);
+
+      // 返信は親より後に作成されるため、作成順に走査すれば1回で子孫を集められる
+      for (const post of [...microposts].sort(compareOldestFirst)) {
+        if (parentIds.has(post.inReplyToId)) {
+          descendants.push(post);
+          parentIds.add(post.id);
+        }
+      }
+
+      return descendants;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find replies', 500, 'MICROPOST_FIND_ERROR', { 
+        micropostId: id, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * 投稿が属する会話のルート投稿を取得（墓標を含む）
+   * @param {number} id - マイクロポストID
+   * @returns {Promise<Object|null>} ルート投稿またはnull
+   */
+  async findThreadRoot(id) {
+    try {
+      const microposts = await this._readThreadView();
+      const byId = new Map(microposts.map(post => [post.id, post]));
+      let current = byId.get(parseInt(id, 10));
+
+      while (current && current.inReplyToId && byId.has(current.inReplyToId)) {
+        current = byId.get(current.inReplyToId);
+      }
+
+      return current || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find thread root', 500, 'MICROPOST_FIND_ERROR', { 
+        micropostId: id, 
+        originalError: error.message 
+      });
+    }
+  }
+
   /**
    * ユーザーIDでマイクロポスト数を取得
    * @param {number} userId - ユーザーID
@@ -242,7 +698,7 @@ class MicropostRepository {
    */
   async countByUserId(userId) {
     try {
-      const microposts = await this._safeRead();
+      const microposts = await this._readVisible();
       return microposts.filter(post => post.userId === parseInt(userId, 10)).length;
     } catch (error) {
       if (error instanceof AppError) throw error;
@@ -260,21 +716,59 @@ class MicropostRepository {
    */
   async findByConditions(conditions = {}) {
     try {
-      let microposts = await this._safeRead();
+      const visible = await this._readVisible();
+      let microposts = visible;
 
       // ユーザーIDフィルタ
       if (conditions.userId) {
         microposts = microposts.filter(post => post.userId === parseInt(conditions.userId, 10));
       }
+      if (conditions.userIds) {
+        const userIds = new Set(conditions.userIds.map(id => parseInt(id, 10)));
+        microposts = microposts.filter(post => userIds.has(post.userId));
+      }
 
-      // コンテンツ検索
-      if (conditions.search) {
+      // コンテンツ検索（#tag 形式はハッシュタグの完全一致）
+      if (conditions.search && /^[#＃]/.test(conditions.search.trim())) {
+        const tag = normalizeTag(conditions.search.trim().slice(1));
+        microposts = microposts.filter(post => 
+          extractHashtags(post.content).includes(tag)
+        );
+      } else if (conditions.search) {
         const searchLower = conditions.search.toLowerCase();
         microposts = microposts.filter(post => 
           post.content.toLowerCase().includes(searchLower)
         );
       }
 
+      // 閲覧者が見られない投稿と、そのリポストを除外（viewer を指定した場合のみ）
+      // 引用はそれ自体の本文があるため残し、見られない引用元は付与時に quoteOf: null として埋め込む
+      const byId = new Map(visible.map(post => [post.id, post]));
+      const originalOf = (post) => (post.repostOfId ? byId.get(post.repostOfId) : null);
+      if (conditions.viewer) {
+        microposts = microposts.filter(post => 
+          canView(post, conditions.viewer) && (!originalOf(post) || canView(originalOf(post), conditions.viewer))
+        );
+      }
+
+      // 指定したユーザー（ミュートしたユーザーなど）の投稿と、そのリポストを除外
+      if (conditions.excludeUserIds) {
+        const excludedIds = new Set([...conditions.excludeUserIds].map(id => parseInt(id, 10)));
+        microposts = microposts.filter(post => 
+          !excludedIds.has(post.userId) && !excludedIds.has(originalOf(post)?.userId)
+        );
+      }
+
+      // 注意書き付き・センシティブな投稿と、そのリポストを除外
+      if (conditions.excludeSensitive) {
+        const flaggedIds = new Set(
+          visible.filter(post => post.contentWarning || post.sensitive).map(post => post.id)
+        );
+        microposts = microposts.filter(post => 
+          !flaggedIds.has(post.id) && !flaggedIds.has(post.repostOfId)
+        );
+      }
+
       // 日付範囲フィルタ
       if (conditions.since) {
         microposts = microposts.filter(post => 
@@ -300,6 +794,7 @@ class MicropostRepository {
 
   /**
    * ページネーション付きでマイクロポストを取得
+   * cursor 指定時は createdAt + id によるカーソルページネーション
    * @param {Object} options - ページネーションオプション
    * @returns {Promise<Object>} ページネーション結果
    */
@@ -308,24 +803,27 @@ class MicropostRepository {
       const {
         page = 1,
         limit = 10,
+        cursor,
         sortBy = 'createdAt',
         sortOrder = 'desc',
         ...conditions
       } = options;
 
+      if (cursor && sortBy !== 'createdAt') {
+        throw new ValidationError('Cursor pagination is only supported when sorting by createdAt', { sortBy });
+      }
+
       let microposts = await this.findByConditions(conditions);
 
       // ソート
       microposts.sort((a, b) => {
-        const aVal = a[sortBy];
-        const bVal = b[sortBy];
-        
         if (sortBy === 'createdAt') {
-          const aDate = new Date(aVal);
-          const bDate = new Date(bVal);
-          return sortOrder === 'desc' ? bDate - aDate : aDate - bDate;
+          return sortOrder === 'desc' ? compareNewestFirst(a, b) : compareOldestFirst(a, b);
         }
         
+        const aVal = a[sortBy];
+        const bVal = b[sortBy];
+        
         if (typeof aVal === 'string') {
           return sortOrder === 'desc' ? bVal.localeCompare(aVal) : aVal.localeCompare(bVal);
         }
@@ -333,20 +831,21 @@ class MicropostRepository {
         return sortOrder === 'desc' ? bVal - aVal : aVal - bVal;
       });
 
-      // ページネーション
-      const total = microposts.length;
-      const totalPages = Math.ceil(total / limit);
-      const offset = (page - 1) * limit;
-      const paginatedMicroposts = microposts.slice(offset, offset + limit);
+      // ページネーション（ページモード / カーソルモード）
+      const { items, pagination } = paginateByCursor(
+        microposts,
+        { page, limit, cursor },
+        sortOrder === 'desc' ? compareNewestFirst : compareOldestFirst
+      );
+
+      // createdAt 以外のソートではカーソルで続きを表現できない
+      if (sortBy !== 'createdAt') {
+        pagination.nextCursor = null;
+      }
 
       return {
-        data: paginatedMicroposts,
-        pagination: {
-          page,
-          limit,
-          total,
-          totalPages
-        }
+        data: items,
+        pagination
       };
     } catch (error) {
       if (error instanceof AppError) throw error;
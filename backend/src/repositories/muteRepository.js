@@ -0,0 +1,228 @@
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { AppError } from '../utils/errors.js';
+import { config } from '../config/index.js';
+
+/**
+ * Mute Repository
+ * lowdb を使用した ミュート データアクセス層
+ * muterId が mutedId をミュートしていることを表す
+ * ミュートは一方向で、ミュートした側のタイムライン・検索・通知からのみ相手の投稿を除く（相手には知らせない）
+ */
+class MuteRepository {
+  constructor() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { mutes: [] });
+    this.initialized = false;
+  }
+
+  /**
+   * Force reinitialize database connection (for testing)
+   * @public
+   */
+  async reinitialize() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { mutes: [] });
+    this.initialized = false;
+    await this._ensureInitialized();
+  }
+
+  /**
+   * データベース初期化
+   * @private
+   */
+  async _ensureInitialized() {
+    if (!this.initialized) {
+      try {
+        await this.db.read();
+
+        // デフォルトデータがない場合の初期化
+        if (!this.db.data) {
+          this.db.data = { mutes: [] };
+          await this.db.write();
+        }
+        if (!this.db.data.mutes) {
+          this.db.data.mutes = [];
+          await this.db.write();
+        }
+
+        this.initialized = true;
+      } catch (error) {
+        throw new AppError('Database initialization failed', 500, 'DATABASE_ERROR', {
+          originalError: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * データベース読み取りの安全な実行
+   * @private
+   */
+  async _safeRead() {
+    try {
+      await this._ensureInitialized();
+      await this.db.read();
+      if (!this.db.data.mutes) {
+        this.db.data.mutes = [];
+      }
+      return this.db.data.mutes;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database read failed', 500, 'DATABASE_READ_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * データベース書き込みの安全な実行
+   * @private
+   */
+  async _safeWrite() {
+    try {
+      await this.db.write();
+    } catch (error) {
+      throw new AppError('Database write failed', 500, 'DATABASE_WRITE_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ミュートを取得
+   * @param {number} muterId - ミュートするユーザーID
+   * @param {number} mutedId - ミュートされるユーザーID
+   * @returns {Promise<Object|null>} ミュートまたはnull
+   */
+  async find(muterId, mutedId) {
+    try {
+      const mutes = await this._safeRead();
+      const mute = mutes.find(m =>
+        m.muterId === parseInt(muterId, 10) &&
+        m.mutedId === parseInt(mutedId, 10)
+      );
+      return mute || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find mute', 500, 'MUTE_FIND_ERROR', {
+        muterId,
+        mutedId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ミュートを作成
+   * @param {number} muterId - ミュートするユーザーID
+   * @param {number} mutedId - ミュートされるユーザーID
+   * @returns {Promise<Object>} 作成されたミュート
+   */
+  async create(muterId, mutedId) {
+    try {
+      const mutes = await this._safeRead();
+
+      // 新しいIDを生成
+      const maxId = mutes.length > 0 ? Math.max(...mutes.map(m => m.id)) : 0;
+
+      const newMute = {
+        id: maxId + 1,
+        muterId: parseInt(muterId, 10),
+        mutedId: parseInt(mutedId, 10),
+        createdAt: new Date().toISOString()
+      };
+
+      mutes.push(newMute);
+      this.db.data.mutes = mutes;
+      await this._safeWrite();
+
+      return newMute;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create mute', 500, 'MUTE_CREATE_ERROR', {
+        muterId,
+        mutedId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ミュートを削除
+   * @param {number} muterId - ミュートするユーザーID
+   * @param {number} mutedId - ミュートされるユーザーID
+   * @returns {Promise<boolean>} 削除成功の可否
+   */
+  async delete(muterId, mutedId) {
+    try {
+      const mutes = await this._safeRead();
+      const index = mutes.findIndex(m =>
+        m.muterId === parseInt(muterId, 10) &&
+        m.mutedId === parseInt(mutedId, 10)
+      );
+
+      if (index === -1) {
+        return false;
+      }
+
+      mutes.splice(index, 1);
+      this.db.data.mutes = mutes;
+      await this._safeWrite();
+
+      return true;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete mute', 500, 'MUTE_DELETE_ERROR', {
+        muterId,
+        mutedId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ユーザーがミュートしたユーザーID一覧を取得
+   * @param {number} userId - ユーザーID
+   * @returns {Promise<Array<number>>} ミュートしたユーザーID配列
+   */
+  async findMutedIds(userId) {
+    try {
+      const mutes = await this._safeRead();
+      return mutes
+        .filter(m => m.muterId === parseInt(userId, 10))
+        .map(m => m.mutedId);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find muted user IDs', 500, 'MUTE_FIND_ERROR', {
+        userId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ユーザーをミュートしたユーザーID一覧を取得
+   * @param {number} userId - ユーザーID
+   * @returns {Promise<Array<number>>} ミュートしたユーザーのID配列
+   */
+  async findMuterIds(userId) {
+    try {
+      const mutes = await this._safeRead();
+      return mutes
+        .filter(m => m.mutedId === parseInt(userId, 10))
+        .map(m => m.muterId);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find muter IDs', 500, 'MUTE_FIND_ERROR', {
+        userId,
+        originalError: error.message
+      });
+    }
+  }
+}
+
+// シングルトンインスタンス
+const muteRepository = new MuteRepository();
+
+export default muteRepository;
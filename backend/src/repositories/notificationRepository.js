@@ -0,0 +1,249 @@
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { AppError } from '../utils/errors.js';
+import { config } from '../config/index.js';
+
+/**
+ * Notification Repository
+ * lowdb を使用した 通知 データアクセス層
+ * userId が通知の受信者、actorId が通知のきっかけとなったユーザー
+ */
+class NotificationRepository {
+  constructor() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { notifications: [] });
+    this.initialized = false;
+  }
+
+  /**
+   * Force reinitialize database connection (for testing)
+   * @public
+   */
+  async reinitialize() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { notifications: [] });
+    this.initialized = false;
+    await this._ensureInitialized();
+  }
+
+  /**
+   * データベース初期化
+   * @private
+   */
+  async _ensureInitialized() {
+    if (!this.initialized) {
+      try {
+        await this.db.read();
+
+        // デフォルトデータがない場合の初期化
+        if (!this.db.data) {
+          this.db.data = { notifications: [] };
+          await this.db.write();
+        }
+        if (!this.db.data.notifications) {
+          this.db.data.notifications = [];
+          await this.db.write();
+        }
+
+        this.initialized = true;
+      } catch (error) {
+        throw new AppError('Database initialization failed', 500, 'DATABASE_ERROR', {
+          originalError: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * データベース読み取りの安全な実行
+   * @private
+   */
+  async _safeRead() {
+    try {
+      await this._ensureInitialized();
+      await this.db.read();
+      if (!this.db.data.notifications) {
+        this.db.data.notifications = [];
+      }
+      return this.db.data.notifications;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database read failed', 500, 'DATABASE_READ_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * データベース書き込みの安全な実行
+   * @private
+   */
+  async _safeWrite() {
+    try {
+      await this.db.write();
+    } catch (error) {
+      throw new AppError('Database write failed', 500, 'DATABASE_WRITE_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * 通知を作成
+   * @param {Object} notificationData - { userId, type, actorId, micropostId }
+   * @returns {Promise<Object>} 作成された通知
+   */
+  async create(notificationData) {
+    try {
+      const notifications = await this._safeRead();
+
+      // 新しいIDを生成
+      const maxId = notifications.length > 0 ? Math.max(...notifications.map(n => n.id)) : 0;
+
+      const newNotification = {
+        id: maxId + 1,
+        userId: parseInt(notificationData.userId, 10),
+        type: notificationData.type,
+        actorId: notificationData.actorId ?? null,
+        micropostId: notificationData.micropostId ?? null,
+        createdAt: new Date().toISOString(),
+        readAt: null
+      };
+
+      notifications.push(newNotification);
+      this.db.data.notifications = notifications;
+      await this._safeWrite();
+
+      return newNotification;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create notification', 500, 'NOTIFICATION_CREATE_ERROR', {
+        notificationData,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * IDで通知を取得
+   * @param {number} id - 通知ID
+   * @returns {Promise<Object|null>} 通知またはnull
+   */
+  async findById(id) {
+    try {
+      const notifications = await this._safeRead();
+      const notification = notifications.find(n => n.id === parseInt(id, 10));
+      return notification || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find notification by ID', 500, 'NOTIFICATION_FIND_ERROR', {
+        notificationId: id,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ユーザーの通知一覧を取得
+   * @param {number} userId - 受信ユーザーID
+   * @returns {Promise<Array>} 通知配列
+   */
+  async findByUserId(userId) {
+    try {
+      const notifications = await this._safeRead();
+      return notifications.filter(n => n.userId === parseInt(userId, 10));
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find notifications', 500, 'NOTIFICATION_FIND_ERROR', {
+        userId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * 通知を既読にする（既読済みの場合は readAt を変更しない）
+   * @param {number} id - 通知ID
+   * @returns {Promise<Object|null>} 更新された通知またはnull
+   */
+  async markAsRead(id) {
+    try {
+      const notifications = await this._safeRead();
+      const notification = notifications.find(n => n.id === parseInt(id, 10));
+
+      if (!notification) {
+        return null;
+      }
+
+      if (!notification.readAt) {
+        notification.readAt = new Date().toISOString();
+        this.db.data.notifications = notifications;
+        await this._safeWrite();
+      }
+
+      return notification;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to mark notification as read', 500, 'NOTIFICATION_UPDATE_ERROR', {
+        notificationId: id,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ユーザーの未読通知を全て既読にする
+   * @param {number} userId - 受信ユーザーID
+   * @returns {Promise<number>} 既読にした件数
+   */
+  async markAllAsRead(userId) {
+    try {
+      const notifications = await this._safeRead();
+      const readAt = new Date().toISOString();
+      let updatedCount = 0;
+
+      for (const notification of notifications) {
+        if (notification.userId === parseInt(userId, 10) && !notification.readAt) {
+          notification.readAt = readAt;
+          updatedCount += 1;
+        }
+      }
+
+      if (updatedCount > 0) {
+        this.db.data.notifications = notifications;
+        await this._safeWrite();
+      }
+
+      return updatedCount;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to mark notifications as read', 500, 'NOTIFICATION_UPDATE_ERROR', {
+        userId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ユーザーの未読通知数を取得
+   * @param {number} userId - 受信ユーザーID
+   * @returns {Promise<number>} 未読通知数
+   */
+  async countUnread(userId) {
+    try {
+      const notifications = await this._safeRead();
+      return notifications.filter(n => n.userId === parseInt(userId, 10) && !n.readAt).length;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to count unread notifications', 500, 'NOTIFICATION_COUNT_ERROR', {
+        userId,
+        originalError: error.message
+      });
+    }
+  }
+}
+
+// シングルトンインスタンス
+const notificationRepository = new NotificationRepository();
+
+export default notificationRepository;
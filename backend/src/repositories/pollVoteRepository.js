@@ -0,0 +1,202 @@
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { AppError } from '../utils/errors.js';
+import { config } from '../config/index.js';
+
+/**
+ * Poll Vote Repository
+ * lowdb を使用した 投票 データアクセス層
+ * userId のユーザーが micropostId の投稿の投票で optionId の選択肢を選んだことを表す
+ */
+class PollVoteRepository {
+  constructor() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { pollVotes: [] });
+    this.initialized = false;
+  }
+
+  /**
+   * Force reinitialize database connection (for testing)
+   * @public
+   */
+  async reinitialize() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { pollVotes: [] });
+    this.initialized = false;
+    await this._ensureInitialized();
+  }
+
+  /**
+   * データベース初期化
+   * @private
+   */
+  async _ensureInitialized() {
+    if (!this.initialized) {
+      try {
+        await this.db.read();
+
+        // デフォルトデータがない場合の初期化
+        if (!this.db.data) {
+          this.db.data = { pollVotes: [] };
+          await this.db.write();
+        }
+        if (!this.db.data.pollVotes) {
+          this.db.data.pollVotes = [];
+          await this.db.write();
+        }
+
+        this.initialized = true;
+      } catch (error) {
+        throw new AppError('Database initialization failed', 500, 'DATABASE_ERROR', {
+          originalError: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * データベース読み取りの安全な実行
+   * @private
+   */
+  async _safeRead() {
+    try {
+      await this._ensureInitialized();
+      await this.db.read();
+      if (!this.db.data.pollVotes) {
+        this.db.data.pollVotes = [];
+      }
+      return this.db.data.pollVotes;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database read failed', 500, 'DATABASE_READ_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * データベース書き込みの安全な実行
+   * @private
+   */
+  async _safeWrite() {
+    try {
+      await this.db.write();
+    } catch (error) {
+      throw new AppError('Database write failed', 500, 'DATABASE_WRITE_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * 投票を取得
+   * @param {number} userId - 投票したユーザーID
+   * @param {number} micropostId - マイクロポストID
+   * @returns {Promise<Object|null>} 投票またはnull
+   */
+  async find(userId, micropostId) {
+    try {
+      const votes = await this._safeRead();
+      const vote = votes.find(v =>
+        v.userId === parseInt(userId, 10) &&
+        v.micropostId === parseInt(micropostId, 10)
+      );
+      return vote || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find poll vote', 500, 'POLL_VOTE_FIND_ERROR', {
+        userId,
+        micropostId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * 投票を作成
+   * @param {number} userId - 投票するユーザーID
+   * @param {number} micropostId - マイクロポストID
+   * @param {number} optionId - 選択肢ID
+   * @returns {Promise<Object>} 作成された投票
+   */
+  async create(userId, micropostId, optionId) {
+    try {
+      const votes = await this._safeRead();
+
+      // 新しいIDを生成
+      const maxId = votes.length > 0 ? Math.max(...votes.map(v => v.id)) : 0;
+
+      const newVote = {
+        id: maxId + 1,
+        userId: parseInt(userId, 10),
+        micropostId: parseInt(micropostId, 10),
+        optionId: parseInt(optionId, 10),
+        createdAt: new Date().toISOString()
+      };
+
+      votes.push(newVote);
+      this.db.data.pollVotes = votes;
+      await this._safeWrite();
+
+      return newVote;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create poll vote', 500, 'POLL_VOTE_CREATE_ERROR', {
+        userId,
+        micropostId,
+        optionId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * マイクロポストの投票を全て削除
+   * @param {number} micropostId - マイクロポストID
+   * @returns {Promise<number>} 削除件数
+   */
+  async deleteByMicropostId(micropostId) {
+    try {
+      const votes = await this._safeRead();
+      const remaining = votes.filter(v => v.micropostId !== parseInt(micropostId, 10));
+      const deletedCount = votes.length - remaining.length;
+
+      if (deletedCount > 0) {
+        this.db.data.pollVotes = remaining;
+        await this._safeWrite();
+      }
+
+      return deletedCount;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete poll votes', 500, 'POLL_VOTE_DELETE_ERROR', {
+        micropostId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * 複数マイクロポストの投票を取得
+   * @param {Array<number>} micropostIds - マイクロポストID配列
+   * @returns {Promise<Array>} 投票配列
+   */
+  async findByMicropostIds(micropostIds) {
+    try {
+      const ids = new Set(micropostIds.map(id => parseInt(id, 10)));
+      const votes = await this._safeRead();
+      return votes.filter(v => ids.has(v.micropostId));
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find poll votes', 500, 'POLL_VOTE_FIND_ERROR', {
+        micropostIds,
+        originalError: error.message
+      });
+    }
+  }
+}
+
+// シングルトンインスタンス
+const pollVoteRepository = new PollVoteRepository();
+
+export default pollVoteRepository;
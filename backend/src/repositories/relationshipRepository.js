@@ -0,0 +1,227 @@
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { AppError } from '../utils/errors.js';
+import { config } from '../config/index.js';
+
+/**
+ * Relationship Repository
+ * lowdb を使用した フォロー関係 データアクセス層
+ * followerId が followedId をフォローしていることを表す
+ */
+class RelationshipRepository {
+  constructor() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { relationships: [] });
+    this.initialized = false;
+  }
+
+  /**
+   * Force reinitialize database connection (for testing)
+   * @public
+   */
+  async reinitialize() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { relationships: [] });
+    this.initialized = false;
+    await this._ensureInitialized();
+  }
+
+  /**
+   * データベース初期化
+   * @private
+   */
+  async _ensureInitialized() {
+    if (!this.initialized) {
+      try {
+        await this.db.read();
+
+        // デフォルトデータがない場合の初期化
+        if (!this.db.data) {
+          this.db.data = { relationships: [] };
+          await this.db.write();
+        }
+        if (!this.db.data.relationships) {
+          this.db.data.relationships = [];
+          await this.db.write();
+        }
+
+        this.initialized = true;
+      } catch (error) {
+        throw new AppError('Database initialization failed', 500, 'DATABASE_ERROR', {
+          originalError: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * データベース読み取りの安全な実行
+   * @private
+   */
+  async _safeRead() {
+    try {
+      await this._ensureInitialized();
+      await this.db.read();
+      if (!this.db.data.relationships) {
+        this.db.data.relationships = [];
+      }
+      return this.db.data.relationships;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database read failed', 500, 'DATABASE_READ_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * データベース書き込みの安全な実行
+   * @private
+   */
+  async _safeWrite() {
+    try {
+      await this.db.write();
+    } catch (error) {
+      throw new AppError('Database write failed', 500, 'DATABASE_WRITE_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * フォロー関係を取得
+   * @param {number} followerId - フォローするユーザーID
+   * @param {number} followedId - フォローされるユーザーID
+   * @returns {Promise<Object|null>} フォロー関係またはnull
+   */
+  async find(followerId, followedId) {
+    try {
+      const relationships = await this._safeRead();
+      const relationship = relationships.find(rel =>
+        rel.followerId === parseInt(followerId, 10) &&
+        rel.followedId === parseInt(followedId, 10)
+      );
+      return relationship || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find relationship', 500, 'RELATIONSHIP_FIND_ERROR', {
+        followerId,
+        followedId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * フォロー関係を作成
+   * @param {number} followerId - フォローするユーザーID
+   * @param {number} followedId - フォローされるユーザーID
+   * @returns {Promise<Object>} 作成されたフォロー関係
+   */
+  async create(followerId, followedId) {
+    try {
+      const relationships = await this._safeRead();
+
+      // 新しいIDを生成
+      const maxId = relationships.length > 0 ? Math.max(...relationships.map(r => r.id)) : 0;
+
+      const newRelationship = {
+        id: maxId + 1,
+        followerId: parseInt(followerId, 10),
+        followedId: parseInt(followedId, 10),
+        createdAt: new Date().toISOString()
+      };
+
+      relationships.push(newRelationship);
+      this.db.data.relationships = relationships;
+      await this._safeWrite();
+
+      return newRelationship;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create relationship', 500, 'RELATIONSHIP_CREATE_ERROR', {
+        followerId,
+        followedId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * フォロー関係を削除
+   * @param {number} followerId - フォローするユーザーID
+   * @param {number} followedId - フォローされるユーザーID
+   * @returns {Promise<boolean>} 削除成功の可否
+   */
+  async delete(followerId, followedId) {
+    try {
+      const relationships = await this._safeRead();
+      const index = relationships.findIndex(rel =>
+        rel.followerId === parseInt(followerId, 10) &&
+        rel.followedId === parseInt(followedId, 10)
+      );
+
+      if (index === -1) {
+        return false;
+      }
+
+      relationships.splice(index, 1);
+      this.db.data.relationships = relationships;
+      await this._safeWrite();
+
+      return true;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete relationship', 500, 'RELATIONSHIP_DELETE_ERROR', {
+        followerId,
+        followedId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ユーザーがフォローしているユーザーID一覧を取得
+   * @param {number} userId - ユーザーID
+   * @returns {Promise<Array<number>>} フォロー中のユーザーID配列
+   */
+  async findFollowingIds(userId) {
+    try {
+      const relationships = await this._safeRead();
+      return relationships
+        .filter(rel => rel.followerId === parseInt(userId, 10))
+        .map(rel => rel.followedId);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find following IDs', 500, 'RELATIONSHIP_FIND_ERROR', {
+        userId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ユーザーをフォローしているユーザーID一覧を取得
+   * @param {number} userId - ユーザーID
+   * @returns {Promise<Array<number>>} フォロワーのユーザーID配列
+   */
+  async findFollowerIds(userId) {
+    try {
+      const relationships = await this._safeRead();
+      return relationships
+        .filter(rel => rel.followedId === parseInt(userId, 10))
+        .map(rel => rel.followerId);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find follower IDs', 500, 'RELATIONSHIP_FIND_ERROR', {
+        userId,
+        originalError: error.message
+      });
+    }
+  }
+}
+
+// シングルトンインスタンス
+const relationshipRepository = new RelationshipRepository();
+
+export default relationshipRepository;
@@ -0,0 +1,277 @@
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { AppError } from '../utils/errors.js';
+import { config } from '../config/index.js';
+
+/**
+ * Report Repository
+ * lowdb を使用した 通報 データアクセス層
+ * reporterId のユーザーが targetType（micropost / user）の targetId を reason の理由で通報したことを表す
+ * 管理者による対応（moderationActions）も同じデータベースに記録する
+ */
+class ReportRepository {
+  constructor() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { reports: [], moderationActions: [] });
+    this.initialized = false;
+  }
+
+  /**
+   * Force reinitialize database connection (for testing)
+   * @public
+   */
+  async reinitialize() {
+    const adapter = new JSONFile(config.database.path);
+    this.db = new Low(adapter, { reports: [], moderationActions: [] });
+    this.initialized = false;
+    await this._ensureInitialized();
+  }
+
+  /**
+   * データベース初期化
+   * @private
+   */
+  async _ensureInitialized() {
+    if (!this.initialized) {
+      try {
+        await this.db.read();
+
+        // デフォルトデータがない場合の初期化
+        if (!this.db.data) {
+          this.db.data = { reports: [], moderationActions: [] };
+          await this.db.write();
+        }
+        if (!this.db.data.reports || !this.db.data.moderationActions) {
+          this.db.data.reports = this.db.data.reports || [];
+          this.db.data.moderationActions = this.db.data.moderationActions || [];
+          await this.db.write();
+        }
+
+        this.initialized = true;
+      } catch (error) {
+        throw new AppError('Database initialization failed', 500, 'DATABASE_ERROR', {
+          originalError: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * データベース読み取りの安全な実行
+   * @private
+   */
+  async _safeRead() {
+    try {
+      await this._ensureInitialized();
+      await this.db.read();
+      if (!this.db.data.reports) {
+        this.db.data.reports = [];
+      }
+      if (!this.db.data.moderationActions) {
+        this.db.data.moderationActions = [];
+      }
+      return this.db.data.reports;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database read failed', 500, 'DATABASE_READ_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * データベース書き込みの安全な実行
+   * @private
+   */
+  async _safeWrite() {
+    try {
+      await this.db.write();
+    } catch (error) {
+      throw new AppError('Database write failed', 500, 'DATABASE_WRITE_ERROR', {
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * IDで通報を取得
+   * @param {number} id - 通報ID
+   * @returns {Promise<Object|null>} 通報またはnull
+   */
+  async findById(id) {
+    try {
+      const reports = await this._safeRead();
+      const report = reports.find(r => r.id === parseInt(id, 10));
+      return report || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find report by ID', 500, 'REPORT_FIND_ERROR', {
+        reportId: id,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * ユーザーによる対象への未対応の通報を取得
+   * @param {number} reporterId - 通報したユーザーID
+   * @param {string} targetType - 'micropost' または 'user'
+   * @param {number} targetId - 対象のID
+   * @returns {Promise<Object|null>} 通報またはnull
+   */
+  async findOpen(reporterId, targetType, targetId) {
+    try {
+      const reports = await this._safeRead();
+      const report = reports.find(r =>
+        r.status === 'open' &&
+        r.reporterId === parseInt(reporterId, 10) &&
+        r.targetType === targetType &&
+        r.targetId === parseInt(targetId, 10)
+      );
+      return report || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find report', 500, 'REPORT_FIND_ERROR', {
+        reporterId,
+        targetType,
+        targetId,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * 通報一覧を取得
+   * @param {Object} conditions - { status: 'open' または 'resolved'（省略時は全て） }
+   * @returns {Promise<Array>} 通報配列
+   */
+  async findAll({ status } = {}) {
+    try {
+      const reports = await this._safeRead();
+      return status ? reports.filter(r => r.status === status) : [...reports];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find reports', 500, 'REPORT_FIND_ERROR', {
+        status,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * 通報を作成
+   * @param {Object} reportData - { reporterId, targetType, targetId, reason, details }
+   * @returns {Promise<Object>} 作成された通報
+   */
+  async create(reportData) {
+    try {
+      const reports = await this._safeRead();
+
+      // 新しいIDを生成
+      const maxId = reports.length > 0 ? Math.max(...reports.map(r => r.id)) : 0;
+
+      const newReport = {
+        id: maxId + 1,
+        reporterId: parseInt(reportData.reporterId, 10),
+        targetType: reportData.targetType,
+        targetId: parseInt(reportData.targetId, 10),
+        reason: reportData.reason,
+        details: reportData.details ?? null,
+        status: 'open',
+        resolution: null,
+        createdAt: new Date().toISOString(),
+        resolvedAt: null
+      };
+
+      reports.push(newReport);
+      this.db.data.reports = reports;
+      await this._safeWrite();
+
+      return newReport;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create report', 500, 'REPORT_CREATE_ERROR', {
+        reportData,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * 通報を対応済みにし、管理者の対応を記録
+   * @param {number} id - 通報ID
+   * @param {Object} actionData - { adminId, action, targetType, targetId, note }（targetType / targetId は対応した対象）
+   * @returns {Promise<Object|null>} 対応済みにした通報またはnull（未対応の通報がない場合）
+   */
+  async resolve(id, actionData) {
+    try {
+      const reports = await this._safeRead();
+      const index = reports.findIndex(r => r.id === parseInt(id, 10) && r.status === 'open');
+
+      if (index === -1) {
+        return null;
+      }
+
+      const actions = this.db.data.moderationActions;
+      const maxId = actions.length > 0 ? Math.max(...actions.map(a => a.id)) : 0;
+      const createdAt = new Date().toISOString();
+
+      actions.push({
+        id: maxId + 1,
+        reportId: reports[index].id,
+        adminId: parseInt(actionData.adminId, 10),
+        action: actionData.action,
+        targetType: actionData.targetType,
+        targetId: parseInt(actionData.targetId, 10),
+        note: actionData.note ?? null,
+        createdAt
+      });
+
+      reports[index] = {
+        ...reports[index],
+        status: 'resolved',
+        resolution: actionData.action,
+        resolvedAt: createdAt
+      };
+
+      this.db.data.reports = reports;
+      this.db.data.moderationActions = actions;
+      await this._safeWrite();
+
+      return reports[index];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to resolve report', 500, 'REPORT_RESOLVE_ERROR', {
+        reportId: id,
+        actionData,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * 複数通報への管理者の対応を取得（古い順）
+   * @param {Array<number>} reportIds - 通報ID配列
+   * @returns {Promise<Array>} 対応の配列
+   */
+  async findActionsByReportIds(reportIds) {
+    try {
+      const ids = new Set(reportIds.map(id => parseInt(id, 10)));
+      await this._safeRead();
+      return this.db.data.moderationActions
+        .filter(a => ids.has(a.reportId))
+        .sort((a, b) => a.id - b.id);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find moderation actions', 500, 'MODERATION_ACTION_FIND_ERROR', {
+        reportIds,
+        originalError: error.message
+      });
+    }
+  }
+}
+
+// シングルトンインスタンス
+const reportRepository = new ReportRepository();
+
+export default reportRepository;
@@ -2,7 +2,10 @@ import { Low } from 'lowdb';
 import { JSONFile } from 'lowdb/node';
 import config from '../config/index.js';
 import { createUserSchema, updateUserSchema } from '../../../shared/schemas/auth.js';
-import { AppError } from '../utils/errors.js';
+import { AppError, ValidationError } from '../utils/errors.js';
+import { compareNewestFirst, compareOldestFirst, paginateByCursor } from '../utils/cursor.js';
+import { toTombstone } from '../utils/thread.js';
+import { normalizeHandle } from '../utils/mentions.js';
 
 /**
  * ユーザーリポジトリ
@@ -141,19 +144,13 @@ export class UserRepository {
   async findById(id) {
     try {
       const data = await this._safeRead();
-      const users = data.users || [];
+      const users = this._activeUsers(data);
       
       const user = users.find(u => u.id === parseInt(id));
       
       if (user) {
-        // micropostCount を動的に計算
-        const microposts = data.microposts || [];
-        const micropostCount = microposts.filter(m => m.userId === user.id).length;
-        
-        return {
-          ...user,
-          micropostCount
-        };
+        // 投稿数・フォロー数を動的に計算
+        return this._withCounts(user, data);
       }
       
       return null;
@@ -174,19 +171,13 @@ export class UserRepository {
   async findByEmail(email) {
     try {
       const data = await this._safeRead();
-      const users = data.users || [];
+      const users = this._activeUsers(data);
       
       const user = users.find(u => u.email.toLowerCase() === email.toLowerCase());
       
       if (user) {
-        // micropostCount を動的に計算
-        const microposts = data.microposts || [];
-        const micropostCount = microposts.filter(m => m.userId === user.id).length;
-        
-        return {
-          ...user,
-          micropostCount
-        };
+        // 投稿数・フォロー数を動的に計算
+        return this._withCounts(user, data);
       }
       
       return null;
@@ -199,6 +190,43 @@ export class UserRepository {
     }
   }
 
+  /**
+   * メンションのハンドルでユーザー検索
+   * 名前から求めたハンドルが複数ユーザーで重複する場合は解決しない
+   * @param {Array<string>} handles - ハンドル配列
+   * @returns {Promise<Map<string, Object>>} 正規化済みハンドルからユーザーへのMap
+   */
+  async findByHandles(handles) {
+    try {
+      const data = await this._safeRead();
+      const users = this._activeUsers(data);
+      const wanted = new Set(handles.map(normalizeHandle));
+      const candidates = new Map();
+      
+      for (const user of users) {
+        const handle = normalizeHandle(user.name);
+        if (wanted.has(handle)) {
+          candidates.set(handle, [...(candidates.get(handle) || []), user]);
+        }
+      }
+      
+      const resolved = new Map();
+      for (const [handle, matches] of candidates) {
+        if (matches.length === 1) {
+          resolved.set(handle, matches[0]);
+        }
+      }
+      
+      return resolved;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find users by handles', 500, 'USER_FIND_BY_HANDLES_ERROR', { 
+        handles, 
+        originalError: error.message 
+      });
+    }
+  }
+
   /**
    * ユーザー更新
    * @param {number} id - ユーザーID
@@ -212,7 +240,7 @@ export class UserRepository {
       
       const data = await this._safeRead();
       const users = data.users || [];
-      const userIndex = users.findIndex(u => u.id === parseInt(id));
+      const userIndex = users.findIndex(u => u.id === parseInt(id) && !u.deletedAt);
       
       if (userIndex === -1) {
         return null;
@@ -238,7 +266,9 @@ export class UserRepository {
   }
 
   /**
-   * ユーザー削除
+   * ユーザー削除（論理削除）
+   * ユーザーと投稿に同じ deletedAt を設定して全ての検索から除外し、restore で元に戻せるようにする
+   * 完全な削除は保持期間の経過後に purge で行う
    * @param {number} id - ユーザーID
    * @returns {Promise<boolean>} 削除成功かどうか
    */
@@ -246,7 +276,116 @@ export class UserRepository {
     try {
       const data = await this._safeRead();
       const users = data.users || [];
-      const userIndex = users.findIndex(u => u.id === parseInt(id));
+      const userIndex = users.findIndex(u => u.id === parseInt(id) && !u.deletedAt);
+      
+      if (userIndex === -1) {
+        return false;
+      }
+      
+      const deletedAt = new Date().toISOString();
+      this.db.data.users[userIndex] = { ...users[userIndex], deletedAt };
+      
+      // 投稿もゴミ箱に移動し、トレンドの集計から外すためハッシュタグ索引を削除
+      const microposts = data.microposts || [];
+      const trashedMicropostIds = new Set();
+      this.db.data.microposts = microposts.map(m => {
+        if (m.userId !== parseInt(id) || m.tombstone || m.deletedAt) {
+          return m;
+        }
+        trashedMicropostIds.add(m.id);
+        return { ...m, deletedAt };
+      });
+      
+      const hashtags = data.hashtags || [];
+      this.db.data.hashtags = hashtags.filter(h => !trashedMicropostIds.has(h.micropostId));
+      
+      await this._safeWrite();
+      
+      return true;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete user', 500, 'USER_DELETE_ERROR', { 
+        userId: id, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * 削除したユーザーを元に戻す
+   * ユーザーの削除と同時にゴミ箱に移動した投稿も元に戻す
+   * @param {number} id - ユーザーID
+   * @returns {Promise<Object|null>} 元に戻したユーザーまたはnull
+   */
+  async restore(id) {
+    try {
+      const data = await this._safeRead();
+      const users = data.users || [];
+      const userIndex = users.findIndex(u => u.id === parseInt(id) && u.deletedAt);
+      
+      if (userIndex === -1) {
+        return null;
+      }
+      
+      const { deletedAt, ...user } = users[userIndex];
+      this.db.data.users[userIndex] = user;
+      
+      const microposts = data.microposts || [];
+      this.db.data.microposts = microposts.map(m => {
+        if (m.userId !== user.id || m.deletedAt !== deletedAt) {
+          return m;
+        }
+        const { deletedAt: _, ...micropost } = m;
+        return micropost;
+      });
+      
+      await this._safeWrite();
+      
+      return this._withCounts(user, this.db.data);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to restore user', 500, 'USER_RESTORE_ERROR', { 
+        userId: id, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * 削除済みユーザー取得
+   * @param {Object} conditions - { deletedBefore: この日時以前に削除されたユーザー }
+   * @returns {Promise<Array>} 削除済みユーザー一覧
+   */
+  async findDeleted(conditions = {}) {
+    try {
+      const data = await this._safeRead();
+      let users = (data.users || []).filter(u => u.deletedAt);
+      
+      if (conditions.deletedBefore) {
+        users = users.filter(u => new Date(u.deletedAt) <= new Date(conditions.deletedBefore));
+      }
+      
+      return users;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find deleted users', 500, 'USER_FIND_DELETED_ERROR', { 
+        conditions, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * 削除済みユーザーを完全に削除
+   * 関連する投稿・フォロー関係・いいね等も合わせて削除する
+   * @param {number} id - ユーザーID
+   * @returns {Promise<boolean>} 削除成功かどうか
+   */
+  async purge(id) {
+    try {
+      const data = await this._safeRead();
+      const users = data.users || [];
+      const userIndex = users.findIndex(u => u.id === parseInt(id) && u.deletedAt);
       
       if (userIndex === -1) {
         return false;
@@ -255,16 +394,67 @@ export class UserRepository {
       // ユーザー削除
       this.db.data.users.splice(userIndex, 1);
       
-      // 関連するマイクロポストも削除
+      // 関連するマイクロポストも削除（他ユーザーの返信が付いた投稿は墓標として残す）
       const microposts = data.microposts || [];
-      this.db.data.microposts = microposts.filter(m => m.userId !== parseInt(id));
+      this.db.data.microposts = this._removeUserMicroposts(microposts, parseInt(id));
+      
+      // 関連するフォロー関係も削除
+      const relationships = data.relationships || [];
+      this.db.data.relationships = relationships.filter(r => 
+        r.followerId !== parseInt(id) && r.followedId !== parseInt(id)
+      );
+      
+      // 関連するいいね（本人のいいね・削除した投稿へのいいね）も削除
+      const deletedMicropostIds = new Set(
+        microposts.filter(m => m.userId === parseInt(id)).map(m => m.id)
+      );
+      const likes = data.likes || [];
+      this.db.data.likes = likes.filter(l => 
+        l.userId !== parseInt(id) && !deletedMicropostIds.has(l.micropostId)
+      );
+      
+      // 削除した投稿のハッシュタグ索引も削除
+      const hashtags = data.hashtags || [];
+      this.db.data.hashtags = hashtags.filter(h => !deletedMicropostIds.has(h.micropostId));
+      
+      // 削除した投稿の編集履歴も削除
+      const micropostRevisions = data.micropostRevisions || [];
+      this.db.data.micropostRevisions = micropostRevisions.filter(r => !deletedMicropostIds.has(r.micropostId));
+      
+      // 本人の票・削除した投稿への票も削除
+      const pollVotes = data.pollVotes || [];
+      this.db.data.pollVotes = pollVotes.filter(v => 
+        v.userId !== parseInt(id) && !deletedMicropostIds.has(v.micropostId)
+      );
+      
+      // 本人のブックマーク・削除した投稿へのブックマークも削除
+      const bookmarks = data.bookmarks || [];
+      this.db.data.bookmarks = bookmarks.filter(b => 
+        b.userId !== parseInt(id) && !deletedMicropostIds.has(b.micropostId)
+      );
+      
+      // 本人が関わるブロック・ミュートも削除
+      const blocks = data.blocks || [];
+      this.db.data.blocks = blocks.filter(b => 
+        b.blockerId !== parseInt(id) && b.blockedId !== parseInt(id)
+      );
+      const mutes = data.mutes || [];
+      this.db.data.mutes = mutes.filter(m => 
+        m.muterId !== parseInt(id) && m.mutedId !== parseInt(id)
+      );
+      
+      // 本人宛て・本人が起こした通知も削除
+      const notifications = data.notifications || [];
+      this.db.data.notifications = notifications.filter(n => 
+        n.userId !== parseInt(id) && n.actorId !== parseInt(id)
+      );
       
       await this._safeWrite();
       
       return true;
     } catch (error) {
       if (error instanceof AppError) throw error;
-      throw new AppError('Failed to delete user', 500, 'USER_DELETE_ERROR', { 
+      throw new AppError('Failed to purge user', 500, 'USER_PURGE_ERROR', { 
         userId: id, 
         originalError: error.message 
       });
@@ -281,7 +471,7 @@ export class UserRepository {
     try {
       const data = await this._safeRead();
       const users = data.users || [];
-      const userIndex = users.findIndex(u => u.id === parseInt(id));
+      const userIndex = users.findIndex(u => u.id === parseInt(id) && !u.deletedAt);
       
       if (userIndex === -1) {
         return false;
@@ -303,6 +493,106 @@ export class UserRepository {
     }
   }
 
+  /**
+   * 固定表示するマイクロポストを設定
+   * 1ユーザーにつき1件のみで、設定すると以前の固定は外れる
+   * @param {number} id - ユーザーID
+   * @param {number|null} micropostId - マイクロポストID（null の場合は固定を解除）
+   * @returns {Promise<boolean>} 更新成功かどうか
+   */
+  async setPinnedMicropost(id, micropostId) {
+    try {
+      const data = await this._safeRead();
+      const users = data.users || [];
+      const userIndex = users.findIndex(u => u.id === parseInt(id) && !u.deletedAt);
+      
+      if (userIndex === -1) {
+        return false;
+      }
+      
+      const { pinnedMicropostId, ...user } = this.db.data.users[userIndex];
+      this.db.data.users[userIndex] = micropostId === null
+        ? user
+        : { ...user, pinnedMicropostId: parseInt(micropostId) };
+      
+      await this._safeWrite();
+      
+      return true;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to set pinned micropost', 500, 'USER_PIN_ERROR', { 
+        userId: id, 
+        micropostId, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * ユーザーを利用停止にする（管理者による対応）
+   * 利用停止中のユーザーはログインできず、発行済みのトークンも使えない
+   * @param {number} id - ユーザーID
+   * @param {string} [suspendedAt] - 利用停止にした日時
+   * @returns {Promise<boolean>} 更新成功かどうか
+   */
+  async suspend(id, suspendedAt = new Date().toISOString()) {
+    try {
+      const data = await this._safeRead();
+      const users = data.users || [];
+      const userIndex = users.findIndex(u => u.id === parseInt(id) && !u.deletedAt);
+      
+      if (userIndex === -1) {
+        return false;
+      }
+      
+      const user = this.db.data.users[userIndex];
+      this.db.data.users[userIndex] = { ...user, suspendedAt: user.suspendedAt || suspendedAt };
+      
+      await this._safeWrite();
+      
+      return true;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to suspend user', 500, 'USER_SUSPEND_ERROR', { 
+        userId: id, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * 表示設定を更新
+   * 指定した項目のみ上書きし、他の項目はそのまま残す
+   * @param {number} id - ユーザーID
+   * @param {Object} preferences - 更新する設定
+   * @returns {Promise<Object|null>} 更新後の設定（既定値の補完なし）またはnull
+   */
+  async updatePreferences(id, preferences) {
+    try {
+      const data = await this._safeRead();
+      const users = data.users || [];
+      const userIndex = users.findIndex(u => u.id === parseInt(id) && !u.deletedAt);
+      
+      if (userIndex === -1) {
+        return null;
+      }
+      
+      const user = this.db.data.users[userIndex];
+      user.preferences = { ...user.preferences, ...preferences };
+      
+      await this._safeWrite();
+      
+      return user.preferences;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to update preferences', 500, 'USER_PREFERENCES_UPDATE_ERROR', { 
+        userId: id, 
+        preferences, 
+        originalError: error.message 
+      });
+    }
+  }
+
   /**
    * 全ユーザー取得（ページネーション対応）
    * @param {Object} options - 検索オプション
@@ -314,11 +604,17 @@ export class UserRepository {
         page = 1,
         limit = 20,
         sort = 'created_desc',
-        search = ''
+        search = '',
+        cursor
       } = options;
       
+      const isCreatedSort = sort === 'created_desc' || sort === 'created_asc';
+      if (cursor && !isCreatedSort) {
+        throw new ValidationError('Cursor pagination is only supported with created_asc or created_desc sort', { sort });
+      }
+      
       const data = await this._safeRead();
-      let users = data.users || [];
+      let users = this._activeUsers(data);
       
       // 検索フィルタ
       if (search) {
@@ -332,27 +628,24 @@ export class UserRepository {
       // ソート
       users = this._sortUsers(users, sort);
       
-      // micropostCount を動的に計算
-      const microposts = data.microposts || [];
-      users = users.map(user => ({
-        ...user,
-        micropostCount: microposts.filter(m => m.userId === user.id).length
-      }));
+      // 投稿数・フォロー数を動的に計算
+      users = users.map(user => this._withCounts(user, data));
       
-      // ページネーション
-      const total = users.length;
-      const totalPages = Math.ceil(total / limit);
-      const offset = (page - 1) * limit;
-      const paginatedUsers = users.slice(offset, offset + limit);
+      // ページネーション（ページモード / カーソルモード）
+      const { items, pagination } = paginateByCursor(
+        users,
+        { page: parseInt(page), limit: parseInt(limit), cursor },
+        sort === 'created_asc' ? compareOldestFirst : compareNewestFirst
+      );
+      
+      // 名前順ソートではカーソルで続きを表現できない
+      if (!isCreatedSort) {
+        pagination.nextCursor = null;
+      }
       
       return {
-        users: paginatedUsers,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          totalPages
-        }
+        users: items,
+        pagination
       };
     } catch (error) {
       if (error instanceof AppError) throw error;
@@ -363,6 +656,131 @@ export class UserRepository {
     }
   }
 
+  /**
+   * フォロワー一覧取得（ページネーション対応）
+   * @param {number} userId - ユーザーID
+   * @param {Object} options - ページネーションオプション
+   * @returns {Promise<Object>} フォロワー一覧と総数
+   */
+  async findFollowers(userId, options = {}) {
+    try {
+      const relationships = (await this._safeRead()).relationships || [];
+      const followerIds = relationships
+        .filter(r => r.followedId === parseInt(userId))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(r => r.followerId);
+      
+      return this._paginateUserIds(followerIds, options);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find followers', 500, 'USER_FIND_FOLLOWERS_ERROR', { 
+        userId, 
+        options, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * フォロー中ユーザー一覧取得（ページネーション対応）
+   * @param {number} userId - ユーザーID
+   * @param {Object} options - ページネーションオプション
+   * @returns {Promise<Object>} フォロー中ユーザー一覧と総数
+   */
+  async findFollowing(userId, options = {}) {
+    try {
+      const relationships = (await this._safeRead()).relationships || [];
+      const followingIds = relationships
+        .filter(r => r.followerId === parseInt(userId))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(r => r.followedId);
+      
+      return this._paginateUserIds(followingIds, options);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find following users', 500, 'USER_FIND_FOLLOWING_ERROR', { 
+        userId, 
+        options, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * マイクロポストにいいねしたユーザー一覧取得（ページネーション対応）
+   * @param {number} micropostId - マイクロポストID
+   * @param {Object} options - ページネーションオプション
+   * @returns {Promise<Object>} いいねしたユーザー一覧と総数
+   */
+  async findLikers(micropostId, options = {}) {
+    try {
+      const likes = (await this._safeRead()).likes || [];
+      const likerIds = likes
+        .filter(l => l.micropostId === parseInt(micropostId))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(l => l.userId);
+      
+      return this._paginateUserIds(likerIds, options);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find likers', 500, 'USER_FIND_LIKERS_ERROR', { 
+        micropostId, 
+        options, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * ブロック中のユーザー一覧取得（ページネーション対応）
+   * @param {number} userId - ブロックしたユーザーID
+   * @param {Object} options - ページネーションオプション
+   * @returns {Promise<Object>} ブロック中のユーザー一覧と総数
+   */
+  async findBlocked(userId, options = {}) {
+    try {
+      const blocks = (await this._safeRead()).blocks || [];
+      const blockedIds = blocks
+        .filter(b => b.blockerId === parseInt(userId))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(b => b.blockedId);
+      
+      return this._paginateUserIds(blockedIds, options);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find blocked users', 500, 'USER_FIND_BLOCKED_ERROR', { 
+        userId, 
+        options, 
+        originalError: error.message 
+      });
+    }
+  }
+
+  /**
+   * ミュート中のユーザー一覧取得（ページネーション対応）
+   * @param {number} userId - ミュートしたユーザーID
+   * @param {Object} options - ページネーションオプション
+   * @returns {Promise<Object>} ミュート中のユーザー一覧と総数
+   */
+  async findMuted(userId, options = {}) {
+    try {
+      const mutes = (await this._safeRead()).mutes || [];
+      const mutedIds = mutes
+        .filter(m => m.muterId === parseInt(userId))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(m => m.mutedId);
+      
+      return this._paginateUserIds(mutedIds, options);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to find muted users', 500, 'USER_FIND_MUTED_ERROR', { 
+        userId, 
+        options, 
+        originalError: error.message 
+      });
+    }
+  }
+
   /**
    * ユーザー数取得
    * @returns {Promise<number>} ユーザー総数
@@ -370,7 +788,7 @@ export class UserRepository {
   async count() {
     try {
       const data = await this._safeRead();
-      const users = data.users || [];
+      const users = this._activeUsers(data);
       return users.length;
     } catch (error) {
       if (error instanceof AppError) throw error;
@@ -413,7 +831,7 @@ export class UserRepository {
   async findByRole(role) {
     try {
       const data = await this._safeRead();
-      const users = data.users || [];
+      const users = this._activeUsers(data);
       
       return users.filter(user => 
         user.roles && user.roles.includes(role)
@@ -435,7 +853,7 @@ export class UserRepository {
   async findRecent(limit = 10) {
     try {
       const data = await this._safeRead();
-      const users = data.users || [];
+      const users = this._activeUsers(data);
       
       return users
         .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
@@ -449,6 +867,90 @@ export class UserRepository {
     }
   }
 
+  /**
+   * 削除済みを除いたユーザー一覧
+   * @private
+   */
+  _activeUsers(data) {
+    return (data.users || []).filter(u => !u.deletedAt);
+  }
+
+  /**
+   * 投稿数・フォロワー数・フォロー数を付与（墓標・ゴミ箱の投稿と削除済みユーザーは数えない）
+   * @private
+   */
+  _withCounts(user, data) {
+    const microposts = data.microposts || [];
+    const relationships = data.relationships || [];
+    const deletedUserIds = new Set((data.users || []).filter(u => u.deletedAt).map(u => u.id));
+    
+    return {
+      ...user,
+      micropostCount: microposts.filter(m => m.userId === user.id && !m.tombstone && !m.deletedAt && !m.status).length,
+      followerCount: relationships.filter(r => r.followedId === user.id && !deletedUserIds.has(r.followerId)).length,
+      followingCount: relationships.filter(r => r.followerId === user.id && !deletedUserIds.has(r.followedId)).length
+    };
+  }
+
+  /**
+   * ユーザーの投稿を取り除く
+   * 残る投稿から返信として参照されている投稿は墓標に置き換える
+   * @private
+   */
+  _removeUserMicroposts(microposts, userId) {
+    const kept = new Map(
+      microposts.filter(m => m.userId !== userId).map(m => [m.id, m])
+    );
+    const removed = new Map(
+      microposts.filter(m => m.userId === userId).map(m => [m.id, m])
+    );
+    
+    // 墓標化した投稿の親も参照され続けるため、変化がなくなるまで繰り返す
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const m of kept.values()) {
+        if (removed.has(m.inReplyToId)) {
+          kept.set(m.inReplyToId, toTombstone(removed.get(m.inReplyToId)));
+          removed.delete(m.inReplyToId);
+          changed = true;
+        }
+      }
+    }
+    
+    return microposts.filter(m => kept.has(m.id)).map(m => kept.get(m.id));
+  }
+
+  /**
+   * ユーザーID一覧をページネーションしてユーザー情報に変換
+   * @private
+   */
+  _paginateUserIds(userIds, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const data = this.db.data;
+    const users = this._activeUsers(data);
+    
+    const resolvedUsers = userIds
+      .map(id => users.find(u => u.id === id))
+      .filter(Boolean)
+      .map(user => this._withCounts(user, data));
+    
+    // ページネーション
+    const total = resolvedUsers.length;
+    const totalPages = Math.ceil(total / limit);
+    const offset = (page - 1) * limit;
+    
+    return {
+      users: resolvedUsers.slice(offset, offset + limit),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages
+      }
+    };
+  }
+
   /**
    * ユーザーソート
    * @private
@@ -460,10 +962,10 @@ export class UserRepository {
       case 'name_desc':
         return users.sort((a, b) => b.name.localeCompare(a.name));
       case 'created_asc':
-        return users.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        return users.sort(compareOldestFirst);
       case 'created_desc':
       default:
-        return users.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        return users.sort(compareNewestFirst);
     }
   }
 
@@ -0,0 +1,47 @@
+import express from 'express';
+import { getAdminReportsController, getAdminReportController, resolveReportController } from '../controllers/reportController.js';
+import { validateRequest } from '../middlewares/validation.js';
+import { authenticate, authorize } from '../middlewares/auth.js';
+import { ReportQueryParamsSchema, ReportIdParamsSchema, ResolveReportSchema } from '../../../shared/schemas/report.js';
+
+/**
+ * 管理者ルーター
+ * 通報の閲覧は readonly-admin 以上、通報への対応は admin のみ
+ */
+export function createAdminRouter(authService) {
+  const router = express.Router();
+
+  // GET /admin/reports
+  router.get(
+    '/reports',
+    authenticate(authService),
+    authorize('readonly-admin', authService),
+    validateRequest({ query: ReportQueryParamsSchema }),
+    getAdminReportsController
+  );
+
+  // GET /admin/reports/:reportId
+  router.get(
+    '/reports/:reportId',
+    authenticate(authService),
+    authorize('readonly-admin', authService),
+    validateRequest({ params: ReportIdParamsSchema }),
+    getAdminReportController
+  );
+
+  // POST /admin/reports/:reportId/resolve
+  router.post(
+    '/reports/:reportId/resolve',
+    authenticate(authService),
+    authorize('admin', authService),
+    validateRequest({
+      params: ReportIdParamsSchema,
+      body: ResolveReportSchema
+    }),
+    resolveReportController
+  );
+
+  return router;
+}
+
+export default createAdminRouter;
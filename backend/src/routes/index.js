@@ -1,10 +1,25 @@
 import express from 'express';
-import userRoutes from './userRoutes.js';
-import micropostRoutes from './micropostRoutes.js';
+import { createUserRouter } from './userRoutes.js';
+import { createMicropostRouter } from './micropostRoutes.js';
+import { createRelationshipRouter } from './relationshipRoutes.js';
+import { createTagRouter } from './tagRoutes.js';
+import { createNotificationRouter } from './notificationRoutes.js';
+import { createMeRouter } from './meRoutes.js';
+import { createMediaRouter } from './mediaRoutes.js';
+import { createReportRouter } from './reportRoutes.js';
+import { createAdminRouter } from './adminRoutes.js';
 import { createAuthRouter } from './auth.js';
-import { getAllMicropostsController, getMicropostByIdController } from '../controllers/micropostController.js';
+import { getAllMicropostsController, getMicropostByIdController, updateMicropostController, deleteMicropostController, getMicropostRepliesController, getMicropostThreadController, getMicropostRevisionsController, restoreMicropostController, publishMicropostController } from '../controllers/micropostController.js';
+import { likeMicropostController, unlikeMicropostController, getMicropostLikersController } from '../controllers/likeController.js';
+import { bookmarkMicropostController, unbookmarkMicropostController } from '../controllers/bookmarkController.js';
+import { castPollVoteController } from '../controllers/pollController.js';
+import { pinMicropostController, unpinMicropostController } from '../controllers/pinController.js';
+import { getFeedController } from '../controllers/feedController.js';
+import { getStreamController } from '../controllers/streamController.js';
 import { validateRequest } from '../middlewares/validation.js';
-import { MicropostQueryParamsSchema, MicropostIdParamsSchema } from '../../../shared/schemas/micropost.js';
+import { authenticate, optionalAuthenticate, authorizeMicropostOwnerOrAdmin } from '../middlewares/auth.js';
+import { MicropostQueryParamsSchema, MicropostIdParamsSchema, UpdateMicropostSchema, FeedQueryParamsSchema, CreatePollVoteSchema } from '../../../shared/schemas/micropost.js';
+import { FollowQueryParamsSchema } from '../../../shared/schemas/user.js';
 import { createEndpointLimiter } from '../middlewares/rateLimiting.js';
 
 // 認証関連インポート
@@ -48,16 +63,56 @@ const micropostLimiter = createEndpointLimiter({
 router.use('/auth', createAuthRouter(authService));
 
 // Mount user routes
-router.use('/users', userRoutes);
+router.use('/users', createUserRouter(authService));
 
 // Mount micropost routes (they include the /users prefix)
-router.use('/users', micropostRoutes);
+router.use('/users', createMicropostRouter(authService));
+
+// Mount relationship routes (follow / followers / following)
+router.use('/users', createRelationshipRouter(authService));
+
+// Mount hashtag routes (tag timelines / trending)
+router.use('/tags', createTagRouter(authService));
+
+// Mount notification routes (inbox / read state)
+router.use('/notifications', createNotificationRouter(authService));
+
+// Mount routes for the authenticated user's private data (bookmarks)
+router.use('/me', createMeRouter(authService));
+
+// Mount media upload routes (images attached to microposts via mediaIds)
+router.use('/media', createMediaRouter(authService));
+
+// Mount report routes (users report microposts or users)
+router.use('/reports', createReportRouter(authService));
+
+// Mount admin routes (moderation queue for admin / readonly-admin)
+router.use('/admin', createAdminRouter(authService));
+
+// Home timeline
+// GET /feed
+router.get(
+  '/feed',
+  micropostLimiter,
+  authenticate(authService),
+  validateRequest({ query: FeedQueryParamsSchema }),
+  getFeedController
+);
+
+// Live updates (Server-Sent Events)
+// GET /stream
+router.get(
+  '/stream',
+  authenticate(authService),
+  getStreamController
+);
 
 // Global micropost routes
 // GET /microposts
 router.get(
   '/microposts',
   micropostLimiter,
+  optionalAuthenticate(authService),
   validateRequest({ query: MicropostQueryParamsSchema }),
   getAllMicropostsController
 );
@@ -66,8 +121,160 @@ router.get(
 router.get(
   '/microposts/:micropostId',
   micropostLimiter,
+  optionalAuthenticate(authService),
   validateRequest({ params: MicropostIdParamsSchema }),
   getMicropostByIdController
 );
 
+// PATCH /microposts/:micropostId
+router.patch(
+  '/microposts/:micropostId',
+  micropostLimiter,
+  authenticate(authService),
+  validateRequest({
+    params: MicropostIdParamsSchema,
+    body: UpdateMicropostSchema
+  }),
+  authorizeMicropostOwnerOrAdmin('micropostId', authService, { includeUnpublished: true }),
+  updateMicropostController
+);
+
+// DELETE /microposts/:micropostId
+router.delete(
+  '/microposts/:micropostId',
+  micropostLimiter,
+  authenticate(authService),
+  validateRequest({ params: MicropostIdParamsSchema }),
+  authorizeMicropostOwnerOrAdmin('micropostId', authService, { includeUnpublished: true }),
+  deleteMicropostController
+);
+
+// POST /microposts/:micropostId/restore
+router.post(
+  '/microposts/:micropostId/restore',
+  micropostLimiter,
+  authenticate(authService),
+  validateRequest({ params: MicropostIdParamsSchema }),
+  authorizeMicropostOwnerOrAdmin('micropostId', authService, { includeDeleted: true, includeUnpublished: true }),
+  restoreMicropostController
+);
+
+// POST /microposts/:micropostId/publish
+router.post(
+  '/microposts/:micropostId/publish',
+  micropostLimiter,
+  authenticate(authService),
+  validateRequest({ params: MicropostIdParamsSchema }),
+  authorizeMicropostOwnerOrAdmin('micropostId', authService, { includeUnpublished: true }),
+  publishMicropostController
+);
+
+// GET /microposts/:micropostId/revisions
+router.get(
+  '/microposts/:micropostId/revisions',
+  micropostLimiter,
+  optionalAuthenticate(authService),
+  validateRequest({ params: MicropostIdParamsSchema }),
+  getMicropostRevisionsController
+);
+
+// GET /microposts/:micropostId/replies
+router.get(
+  '/microposts/:micropostId/replies',
+  micropostLimiter,
+  optionalAuthenticate(authService),
+  validateRequest({ params: MicropostIdParamsSchema }),
+  getMicropostRepliesController
+);
+
+// GET /microposts/:micropostId/thread
+router.get(
+  '/microposts/:micropostId/thread',
+  micropostLimiter,
+  optionalAuthenticate(authService),
+  validateRequest({ params: MicropostIdParamsSchema }),
+  getMicropostThreadController
+);
+
+// POST /microposts/:micropostId/like
+router.post(
+  '/microposts/:micropostId/like',
+  micropostLimiter,
+  authenticate(authService),
+  validateRequest({ params: MicropostIdParamsSchema }),
+  likeMicropostController
+);
+
+// DELETE /microposts/:micropostId/like
+router.delete(
+  '/microposts/:micropostId/like',
+  micropostLimiter,
+  authenticate(authService),
+  validateRequest({ params: MicropostIdParamsSchema }),
+  unlikeMicropostController
+);
+
+// POST /microposts/:micropostId/poll/votes
+router.post(
+  '/microposts/:micropostId/poll/votes',
+  micropostLimiter,
+  authenticate(authService),
+  validateRequest({
+    params: MicropostIdParamsSchema,
+    body: CreatePollVoteSchema
+  }),
+  castPollVoteController
+);
+
+// GET /microposts/:micropostId/likes
+router.get(
+  '/microposts/:micropostId/likes',
+  micropostLimiter,
+  optionalAuthenticate(authService),
+  validateRequest({
+    params: MicropostIdParamsSchema,
+    query: FollowQueryParamsSchema
+  }),
+  getMicropostLikersController
+);
+
+// POST /microposts/:micropostId/pin
+router.post(
+  '/microposts/:micropostId/pin',
+  micropostLimiter,
+  authenticate(authService),
+  validateRequest({ params: MicropostIdParamsSchema }),
+  pinMicropostController
+);
+
+// DELETE /microposts/:micropostId/pin
+router.delete(
+  '/microposts/:micropostId/pin',
+  micropostLimiter,
+  authenticate(authService),
+  validateRequest({ params: MicropostIdParamsSchema }),
+  unpinMicropostController
+);
+
+// POST /microposts/:micropostId/bookmark
+router.post(
+  '/microposts/:micropostId/bookmark',
+  micropostLimiter,
+  authenticate(authService),
+  validateRequest({ params: MicropostIdParamsSchema }),
+  bookmarkMicropostController
+);
+
+// DELETE /microposts/:micropostId/bookmark
+router.delete(
+  '/microposts/:micropostId/bookmark',
+  micropostLimiter,
+  authenticate(authService),
+  validateRequest({ params: MicropostIdParamsSchema }),
+  unbookmarkMicropostController
+);
+
+// Shared with the WebSocket gateway so both use the same JWT verification
+export { authService };
+
 export default router;
\ No newline at end of file
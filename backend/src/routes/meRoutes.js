@@ -0,0 +1,85 @@
+import express from 'express';
+import { getMyBookmarksController } from '../controllers/bookmarkController.js';
+import { getMyTrashController, getMyDraftsController, getMyScheduledController } from '../controllers/micropostController.js';
+import { getMyPreferencesController, updateMyPreferencesController } from '../controllers/preferenceController.js';
+import { getMyBlocksController } from '../controllers/blockController.js';
+import { getMyMutesController } from '../controllers/muteController.js';
+import { validateRequest } from '../middlewares/validation.js';
+import { authenticate } from '../middlewares/auth.js';
+import { BookmarkQueryParamsSchema, TrashQueryParamsSchema, DraftQueryParamsSchema, ScheduledQueryParamsSchema } from '../../../shared/schemas/micropost.js';
+import { UpdateUserPreferencesSchema, FollowQueryParamsSchema } from '../../../shared/schemas/user.js';
+
+/**
+ * 認証ユーザー本人専用のルーター
+ * 本人にのみ公開するデータ（ブックマーク・ゴミ箱・下書き・予約投稿・表示設定・ブロック・ミュートなど）を提供する
+ */
+export function createMeRouter(authService) {
+  const router = express.Router();
+
+  // GET /me/bookmarks
+  router.get(
+    '/bookmarks',
+    authenticate(authService),
+    validateRequest({ query: BookmarkQueryParamsSchema }),
+    getMyBookmarksController
+  );
+
+  // GET /me/trash
+  router.get(
+    '/trash',
+    authenticate(authService),
+    validateRequest({ query: TrashQueryParamsSchema }),
+    getMyTrashController
+  );
+
+  // GET /me/drafts
+  router.get(
+    '/drafts',
+    authenticate(authService),
+    validateRequest({ query: DraftQueryParamsSchema }),
+    getMyDraftsController
+  );
+
+  // GET /me/scheduled
+  router.get(
+    '/scheduled',
+    authenticate(authService),
+    validateRequest({ query: ScheduledQueryParamsSchema }),
+    getMyScheduledController
+  );
+
+  // GET /me/preferences
+  router.get(
+    '/preferences',
+    authenticate(authService),
+    getMyPreferencesController
+  );
+
+  // PATCH /me/preferences
+  router.patch(
+    '/preferences',
+    authenticate(authService),
+    validateRequest({ body: UpdateUserPreferencesSchema }),
+    updateMyPreferencesController
+  );
+
+  // GET /me/blocks
+  router.get(
+    '/blocks',
+    authenticate(authService),
+    validateRequest({ query: FollowQueryParamsSchema }),
+    getMyBlocksController
+  );
+
+  // GET /me/mutes
+  router.get(
+    '/mutes',
+    authenticate(authService),
+    validateRequest({ query: FollowQueryParamsSchema }),
+    getMyMutesController
+  );
+
+  return router;
+}
+
+export default createMeRouter;
@@ -0,0 +1,43 @@
+import express from 'express';
+import { uploadMediaController } from '../controllers/mediaController.js';
+import { validateRequest } from '../middlewares/validation.js';
+import { authenticate } from '../middlewares/auth.js';
+import { parseMultipartBody } from '../middlewares/multipart.js';
+import { createEndpointLimiter } from '../middlewares/rateLimiting.js';
+import { UploadMediaFieldsSchema } from '../../../shared/schemas/media.js';
+import config from '../config/index.js';
+
+/**
+ * メディアルーター
+ * アップロードした画像は投稿作成時に mediaIds で添付する
+ */
+export function createMediaRouter(authService) {
+  const router = express.Router();
+
+  // Rate limiter for uploads
+  const uploadLimiter = createEndpointLimiter({
+    max: 30, // 30 uploads per window
+    message: {
+      success: false,
+      error: {
+        code: 'MEDIA_RATE_LIMIT_EXCEEDED',
+        message: 'Too many media uploads, please try again later.',
+        timestamp: new Date().toISOString()
+      }
+    }
+  });
+
+  // POST /media
+  router.post(
+    '/',
+    uploadLimiter,
+    authenticate(authService),
+    parseMultipartBody({ maxFileBytes: config.media.maxBytes }),
+    validateRequest({ body: UploadMediaFieldsSchema }),
+    uploadMediaController
+  );
+
+  return router;
+}
+
+export default createMediaRouter;
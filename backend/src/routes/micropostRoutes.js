@@ -1,44 +1,70 @@
 import express from 'express';
-import { getUserMicroposts, createUserMicropost, getAllMicropostsController, getMicropostByIdController } from '../controllers/micropostController.js';
+import { getUserMicroposts, createUserMicropost } from '../controllers/micropostController.js';
+import { getUserLikedMicropostsController } from '../controllers/likeController.js';
 import { validateRequest } from '../middlewares/validation.js';
-import { MicropostParamsSchema, CreateMicropostSchema, UserMicropostQueryParamsSchema, MicropostQueryParamsSchema, MicropostIdParamsSchema } from '../../../shared/schemas/micropost.js';
+import { authenticate, optionalAuthenticate, authorizeSelfOrAdmin } from '../middlewares/auth.js';
+import { MicropostParamsSchema, CreateMicropostSchema, UserMicropostQueryParamsSchema, LikedMicropostQueryParamsSchema } from '../../../shared/schemas/micropost.js';
 import { createEndpointLimiter } from '../middlewares/rateLimiting.js';
 
-const router = express.Router();
+/**
+ * ユーザー別マイクロポストルーター
+ * 投稿作成・いいね一覧の閲覧は本人または管理者のみ許可
+ */
+export function createMicropostRouter(authService) {
+  const router = express.Router();
 
-// Rate limiter for micropost endpoints
-const micropostLimiter = createEndpointLimiter({
-  max: 30, // 30 requests per window
-  message: {
-    success: false,
-    error: {
-      code: 'MICROPOST_RATE_LIMIT_EXCEEDED',
-      message: 'Too many micropost requests, please try again later.',
-      timestamp: new Date().toISOString()
+  // Rate limiter for micropost endpoints
+  const micropostLimiter = createEndpointLimiter({
+    max: 30, // 30 requests per window
+    message: {
+      success: false,
+      error: {
+        code: 'MICROPOST_RATE_LIMIT_EXCEEDED',
+        message: 'Too many micropost requests, please try again later.',
+        timestamp: new Date().toISOString()
+      }
     }
-  }
-});
+  });
 
-// GET /users/:userId/microposts
-router.get(
-  '/:userId/microposts',
-  micropostLimiter,
-  validateRequest({ 
-    params: MicropostParamsSchema,
-    query: UserMicropostQueryParamsSchema
-  }),
-  getUserMicroposts
-);
+  // GET /users/:userId/microposts
+  router.get(
+    '/:userId/microposts',
+    micropostLimiter,
+    optionalAuthenticate(authService),
+    validateRequest({ 
+      params: MicropostParamsSchema,
+      query: UserMicropostQueryParamsSchema
+    }),
+    getUserMicroposts
+  );
 
-// POST /users/:userId/microposts
-router.post(
-  '/:userId/microposts',
-  micropostLimiter,
-  validateRequest({
-    params: MicropostParamsSchema,
-    body: CreateMicropostSchema
-  }),
-  createUserMicropost
-);
+  // POST /users/:userId/microposts
+  router.post(
+    '/:userId/microposts',
+    micropostLimiter,
+    authenticate(authService),
+    validateRequest({
+      params: MicropostParamsSchema,
+      body: CreateMicropostSchema
+    }),
+    authorizeSelfOrAdmin('userId', authService),
+    createUserMicropost
+  );
 
-export default router;
\ No newline at end of file
+  // GET /users/:userId/likes
+  router.get(
+    '/:userId/likes',
+    micropostLimiter,
+    authenticate(authService),
+    validateRequest({
+      params: MicropostParamsSchema,
+      query: LikedMicropostQueryParamsSchema
+    }),
+    authorizeSelfOrAdmin('userId', authService),
+    getUserLikedMicropostsController
+  );
+
+  return router;
+}
+
+export default createMicropostRouter;
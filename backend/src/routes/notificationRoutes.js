@@ -0,0 +1,40 @@
+import express from 'express';
+import { getNotificationsController, markNotificationAsReadController, markAllNotificationsAsReadController } from '../controllers/notificationController.js';
+import { validateRequest } from '../middlewares/validation.js';
+import { authenticate } from '../middlewares/auth.js';
+import { NotificationQueryParamsSchema, NotificationIdParamsSchema } from '../../../shared/schemas/notification.js';
+
+/**
+ * 通知ルーター
+ * 通知は受信者本人のみ閲覧・既読化できる
+ */
+export function createNotificationRouter(authService) {
+  const router = express.Router();
+
+  // GET /notifications
+  router.get(
+    '/',
+    authenticate(authService),
+    validateRequest({ query: NotificationQueryParamsSchema }),
+    getNotificationsController
+  );
+
+  // POST /notifications/read-all
+  router.post(
+    '/read-all',
+    authenticate(authService),
+    markAllNotificationsAsReadController
+  );
+
+  // POST /notifications/:notificationId/read
+  router.post(
+    '/:notificationId/read',
+    authenticate(authService),
+    validateRequest({ params: NotificationIdParamsSchema }),
+    markNotificationAsReadController
+  );
+
+  return router;
+}
+
+export default createNotificationRouter;
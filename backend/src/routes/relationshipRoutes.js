@@ -0,0 +1,107 @@
+import express from 'express';
+import { followUserController, unfollowUserController, getFollowersController, getFollowingController } from '../controllers/relationshipController.js';
+import { blockUserController, unblockUserController } from '../controllers/blockController.js';
+import { muteUserController, unmuteUserController } from '../controllers/muteController.js';
+import { validateRequest } from '../middlewares/validation.js';
+import { authenticate } from '../middlewares/auth.js';
+import { UserParamsSchema, FollowQueryParamsSchema } from '../../../shared/schemas/user.js';
+import { createEndpointLimiter } from '../middlewares/rateLimiting.js';
+
+/**
+ * フォロー関係ルーター
+ * フォロー・ブロック・ミュートとその解除は認証ユーザー自身として実行
+ */
+export function createRelationshipRouter(authService) {
+  const router = express.Router();
+
+  // Rate limiter for follow / block / mute endpoints
+  const relationshipLimiter = createEndpointLimiter({
+    max: 50, // 50 requests per window
+    message: {
+      success: false,
+      error: {
+        code: 'RELATIONSHIP_RATE_LIMIT_EXCEEDED',
+        message: 'Too many relationship requests, please try again later.',
+        timestamp: new Date().toISOString()
+      }
+    }
+  });
+
+  // POST /users/:userId/follow
+  router.post(
+    '/:userId/follow',
+    relationshipLimiter,
+    authenticate(authService),
+    validateRequest({ params: UserParamsSchema }),
+    followUserController
+  );
+
+  // DELETE /users/:userId/follow
+  router.delete(
+    '/:userId/follow',
+    relationshipLimiter,
+    authenticate(authService),
+    validateRequest({ params: UserParamsSchema }),
+    unfollowUserController
+  );
+
+  // POST /users/:userId/block
+  router.post(
+    '/:userId/block',
+    relationshipLimiter,
+    authenticate(authService),
+    validateRequest({ params: UserParamsSchema }),
+    blockUserController
+  );
+
+  // DELETE /users/:userId/block
+  router.delete(
+    '/:userId/block',
+    relationshipLimiter,
+    authenticate(authService),
+    validateRequest({ params: UserParamsSchema }),
+    unblockUserController
+  );
+
+  // POST /users/:userId/mute
+  router.post(
+    '/:userId/mute',
+    relationshipLimiter,
+    authenticate(authService),
+    validateRequest({ params: UserParamsSchema }),
+    muteUserController
+  );
+
+  // DELETE /users/:userId/mute
+  router.delete(
+    '/:userId/mute',
+    relationshipLimiter,
+    authenticate(authService),
+    validateRequest({ params: UserParamsSchema }),
+    unmuteUserController
+  );
+
+  // GET /users/:userId/followers
+  router.get(
+    '/:userId/followers',
+    validateRequest({
+      params: UserParamsSchema,
+      query: FollowQueryParamsSchema
+    }),
+    getFollowersController
+  );
+
+  // GET /users/:userId/following
+  router.get(
+    '/:userId/following',
+    validateRequest({
+      params: UserParamsSchema,
+      query: FollowQueryParamsSchema
+    }),
+    getFollowingController
+  );
+
+  return router;
+}
+
+export default createRelationshipRouter;
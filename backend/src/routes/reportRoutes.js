@@ -0,0 +1,25 @@
+import express from 'express';
+import { createReportController } from '../controllers/reportController.js';
+import { validateRequest } from '../middlewares/validation.js';
+import { authenticate } from '../middlewares/auth.js';
+import { CreateReportSchema } from '../../../shared/schemas/report.js';
+
+/**
+ * 通報ルーター
+ * 通報は認証ユーザー自身として行い、内容は管理者のみ閲覧できる（adminRoutes を参照）
+ */
+export function createReportRouter(authService) {
+  const router = express.Router();
+
+  // POST /reports
+  router.post(
+    '/',
+    authenticate(authService),
+    validateRequest({ body: CreateReportSchema }),
+    createReportController
+  );
+
+  return router;
+}
+
+export default createReportRouter;
@@ -0,0 +1,35 @@
+import express from 'express';
+import { getTagMicropostsController, getTrendingTagsController } from '../controllers/tagController.js';
+import { validateRequest } from '../middlewares/validation.js';
+import { optionalAuthenticate } from '../middlewares/auth.js';
+import { TagParamsSchema, TagMicropostQueryParamsSchema, TrendingTagsQueryParamsSchema } from '../../../shared/schemas/micropost.js';
+
+/**
+ * ハッシュタグルーター
+ * タグタイムラインとトレンドは未認証でも閲覧可能
+ */
+export function createTagRouter(authService) {
+  const router = express.Router();
+
+  // GET /tags/trending
+  router.get(
+    '/trending',
+    validateRequest({ query: TrendingTagsQueryParamsSchema }),
+    getTrendingTagsController
+  );
+
+  // GET /tags/:tag/microposts
+  router.get(
+    '/:tag/microposts',
+    optionalAuthenticate(authService),
+    validateRequest({
+      params: TagParamsSchema,
+      query: TagMicropostQueryParamsSchema
+    }),
+    getTagMicropostsController
+  );
+
+  return router;
+}
+
+export default createTagRouter;
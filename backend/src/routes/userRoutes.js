@@ -1,22 +1,42 @@
 import express from 'express';
-import { getUsers, getUserById } from '../controllers/userController.js';
+import { getUsers, getUserById, restoreUserController } from '../controllers/userController.js';
 import { validateRequest } from '../middlewares/validation.js';
+import { authenticate, optionalAuthenticate, authorize } from '../middlewares/auth.js';
 import { UserQueryParamsSchema, UserParamsSchema } from '../../../shared/schemas/user.js';
 
-const router = express.Router();
+/**
+ * ユーザールーター
+ * プロフィールは未認証でも閲覧可能で、認証時は閲覧者が見られる投稿を含める
+ * 削除したユーザーを元に戻せるのは管理者のみ
+ */
+export function createUserRouter(authService) {
+  const router = express.Router();
 
-// GET /users
-router.get(
-  '/',
-  validateRequest({ query: UserQueryParamsSchema }),
-  getUsers
-);
+  // GET /users
+  router.get(
+    '/',
+    validateRequest({ query: UserQueryParamsSchema }),
+    getUsers
+  );
 
-// GET /users/:userId
-router.get(
-  '/:userId',
-  validateRequest({ params: UserParamsSchema }),
-  getUserById
-);
+  // GET /users/:userId
+  router.get(
+    '/:userId',
+    optionalAuthenticate(authService),
+    validateRequest({ params: UserParamsSchema }),
+    getUserById
+  );
 
-export default router;
\ No newline at end of file
+  // POST /users/:userId/restore
+  router.post(
+    '/:userId/restore',
+    authenticate(authService),
+    authorize('admin', authService),
+    validateRequest({ params: UserParamsSchema }),
+    restoreUserController
+  );
+
+  return router;
+}
+
+export default createUserRouter;
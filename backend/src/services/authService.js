@@ -12,6 +12,7 @@ import {
 } from '../../../shared/schemas/auth.js';
 import passwordResetRepository from '../repositories/passwordResetRepository.js';
 import emailService from './emailService.js';
+import eventDispatcher, { EVENTS } from './eventDispatcher.js';
 
 /**
  * 認証サービスの抽象基底クラス
@@ -201,6 +202,9 @@ export class LocalAuthService extends BaseAuthService {
       throw error;
     }
 
+    // 利用停止チェック
+    this._assertNotSuspended(user);
+
     // 認証用ユーザー情報に変換
     const authUser = this._toAuthUser(user);
 
@@ -244,20 +248,27 @@ export class LocalAuthService extends BaseAuthService {
    * トークンからユーザー情報取得
    */
   async getUserFromToken(token) {
+    let user;
     try {
       // トークン検証・デコード
       const payload = await this.jwtUtils.verifyToken(token);
       
       // ユーザー情報取得
-      const user = await this.getUserById(payload.sub);
-      
-      return user;
+      user = await this.userRepository.findById(payload.sub);
+      if (!user) {
+        throw new Error('User not found');
+      }
     } catch (error) {
       const authError = new Error('無効なトークンです');
       authError.code = 'INVALID_TOKEN';
       authError.status = 401;
       throw authError;
     }
+
+    // 利用停止中のユーザーは発行済みのトークンも使えない
+    this._assertNotSuspended(user);
+
+    return this._toAuthUser(user);
   }
 
   /**
@@ -286,8 +297,12 @@ export class LocalAuthService extends BaseAuthService {
       // リフレッシュトークン検証
       const tokenData = await this.jwtUtils.verifyRefreshToken(refreshToken);
       
-      // ユーザー情報取得
-      const user = await this.getUserById(tokenData.userId);
+      // ユーザー情報取得（利用停止中のユーザーは更新できない）
+      const dbUser = await this.userRepository.findById(tokenData.userId);
+      if (!dbUser || dbUser.suspendedAt) {
+        throw new Error('User not available');
+      }
+      const user = this._toAuthUser(dbUser);
       
       // 新しいアクセストークン生成
       const tokens = await this.jwtUtils.generateTokens(user);
@@ -369,6 +384,9 @@ export class LocalAuthService extends BaseAuthService {
     // パスワード変更完了メール送信
     await emailService.sendPasswordChangeConfirmationEmail(user.email, user.name);
 
+    // パスワード変更イベント発行（アプリ内通知など）
+    await eventDispatcher.emit(EVENTS.PASSWORD_CHANGED, { userId: user.id });
+
     return {
       success: true,
       message: 'パスワードが正常に変更されました'
@@ -465,6 +483,19 @@ export class LocalAuthService extends BaseAuthService {
     };
   }
 
+  /**
+   * 利用停止中のユーザーでないことを確認
+   * @private
+   */
+  _assertNotSuspended(dbUser) {
+    if (dbUser.suspendedAt) {
+      const error = new Error('このアカウントは利用停止されています');
+      error.code = 'ACCOUNT_SUSPENDED';
+      error.status = 403;
+      throw error;
+    }
+  }
+
   /**
    * データベースユーザーを認証用ユーザーに変換
    * @private
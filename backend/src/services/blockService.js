@@ -0,0 +1,70 @@
+import blockRepository from '../repositories/blockRepository.js';
+import { unfollowUser } from './relationshipService.js';
+
+/**
+ * Force reinitialize repository for testing
+ * @returns {Promise<void>}
+ */
+export const reinitializeRepository = async () => {
+  await blockRepository.reinitialize();
+};
+
+/**
+ * Block Service
+ * ブロックのビジネスロジック層
+ * ブロックは双方向に作用する（どちらがブロックしても、互いの投稿の閲覧・フォロー・返信・メンションができない）
+ */
+
+/**
+ * ユーザーをブロック
+ * 互いのフォローは解除する
+ * @param {number} blockerId - ブロックするユーザーID
+ * @param {number} blockedId - ブロックされるユーザーID
+ * @returns {Promise<Object>} 作成されたブロック
+ */
+export const blockUser = async (blockerId, blockedId) => {
+  const block = await blockRepository.create(blockerId, blockedId);
+  await unfollowUser(blockerId, blockedId);
+  await unfollowUser(blockedId, blockerId);
+  return block;
+};
+
+/**
+ * ブロックを解除
+ * @param {number} blockerId - ブロックしたユーザーID
+ * @param {number} blockedId - ブロックされたユーザーID
+ * @returns {Promise<boolean>} 解除成功の可否
+ */
+export const unblockUser = async (blockerId, blockedId) => {
+  return await blockRepository.delete(blockerId, blockedId);
+};
+
+/**
+ * ブロック済みか判定
+ * @param {number} blockerId - ブロックするユーザーID
+ * @param {number} blockedId - ブロックされるユーザーID
+ * @returns {Promise<boolean>} ブロック済みならtrue
+ */
+export const isBlocking = async (blockerId, blockedId) => {
+  const block = await blockRepository.find(blockerId, blockedId);
+  return block !== null;
+};
+
+/**
+ * 2人のユーザーの間にブロックがあるか判定（どちらがブロックしたかは問わない）
+ * @param {number} userId - ユーザーID
+ * @param {number} otherUserId - 相手のユーザーID
+ * @returns {Promise<boolean>} ブロックがあればtrue
+ */
+export const isBlockedBetween = async (userId, otherUserId) => {
+  return (await isBlocking(userId, otherUserId)) || (await isBlocking(otherUserId, userId));
+};
+
+/**
+ * ユーザーがブロックした・ユーザーをブロックしたユーザーID一覧を取得
+ * @param {number} userId - ユーザーID
+ * @returns {Promise<Array<number>>} ユーザーID配列
+ */
+export const getBlockRelatedIds = async (userId) => {
+  return await blockRepository.findRelatedIds(userId);
+};
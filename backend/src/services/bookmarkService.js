@@ -0,0 +1,79 @@
+import bookmarkRepository from '../repositories/bookmarkRepository.js';
+import micropostRepository from '../repositories/micropostRepository.js';
+import { compareNewestFirst, paginateByCursor } from '../utils/cursor.js';
+import { canView } from '../utils/visibility.js';
+
+/**
+ * Force reinitialize repository for testing
+ * @returns {Promise<void>}
+ */
+export const reinitializeRepository = async () => {
+  await bookmarkRepository.reinitialize();
+};
+
+/**
+ * Bookmark Service
+ * ブックマークのビジネスロジック層
+ * ブックマークは本人にのみ公開し、件数なども他のユーザーには見せない
+ */
+
+/**
+ * マイクロポストをブックマーク
+ * @param {number} userId - ブックマークするユーザーID
+ * @param {number} micropostId - マイクロポストID
+ * @returns {Promise<Object>} 作成されたブックマーク
+ */
+export const bookmarkMicropost = async (userId, micropostId) => {
+  return await bookmarkRepository.create(userId, micropostId);
+};
+
+/**
+ * ブックマークを解除
+ * @param {number} userId - ブックマークしたユーザーID
+ * @param {number} micropostId - マイクロポストID
+ * @returns {Promise<boolean>} 解除成功の可否
+ */
+export const unbookmarkMicropost = async (userId, micropostId) => {
+  return await bookmarkRepository.delete(userId, micropostId);
+};
+
+/**
+ * ブックマーク済みか判定
+ * @param {number} userId - ユーザーID
+ * @param {number} micropostId - マイクロポストID
+ * @returns {Promise<boolean>} ブックマーク済みならtrue
+ */
+export const hasBookmarked = async (userId, micropostId) => {
+  const bookmark = await bookmarkRepository.find(userId, micropostId);
+  return bookmark !== null;
+};
+
+/**
+ * マイクロポストのブックマークを全て削除
+ * @param {number} micropostId - マイクロポストID
+ * @returns {Promise<number>} 削除件数
+ */
+export const deleteBookmarksByMicropostId = async (micropostId) => {
+  return await bookmarkRepository.deleteByMicropostId(micropostId);
+};
+
+/**
+ * ユーザーがブックマークしたマイクロポストを取得（ブックマークした新しい順）
+ * カーソルはブックマークの createdAt + id をエンコードする
+ * @param {number} userId - ユーザーID
+ * @param {Object} options - { page, limit, cursor, viewer: 閲覧者 }
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export const getBookmarkedMicroposts = async (userId, { viewer, ...options } = {}) => {
+  const bookmarks = (await bookmarkRepository.findByUserId(userId)).sort(compareNewestFirst);
+  
+  // ゴミ箱の投稿と閲覧者が見られない投稿へのブックマークは除いてからページネーションする
+  const microposts = new Map(
+    (await micropostRepository.findByIds(bookmarks.map(bookmark => bookmark.micropostId)))
+      .filter(post => canView(post, viewer))
+      .map(post => [post.id, post])
+  );
+  const { items, pagination } = paginateByCursor(bookmarks.filter(bookmark => microposts.has(bookmark.micropostId)), options);
+  
+  return { data: items.map(bookmark => microposts.get(bookmark.micropostId)), pagination };
+};
@@ -0,0 +1,70 @@
+/**
+ * 内部イベントディスパッチャー
+ * 各サービスは発生した出来事をイベントとして通知するだけにし、
+ * 通知作成などの後続処理はハンドラーとして登録する
+ * 新しいイベント種別を追加してもコントローラーを変更する必要はない
+ */
+
+/**
+ * イベント種別
+ */
+export const EVENTS = Object.freeze({
+  MICROPOST_CREATED: 'micropost.created',
+  MICROPOST_UPDATED: 'micropost.updated',
+  MICROPOST_DELETED: 'micropost.deleted',
+  MICROPOST_RESTORED: 'micropost.restored',
+  MICROPOST_LIKED: 'micropost.liked',
+  USER_FOLLOWED: 'user.followed',
+  PASSWORD_CHANGED: 'user.passwordChanged',
+  USER_SUSPENDED: 'user.suspended',
+  NOTIFICATION_CREATED: 'notification.created'
+});
+
+export class EventDispatcher {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * イベントハンドラーを登録
+   * @param {string} type - イベント種別
+   * @param {Function} handler - (payload) => Promise<void>
+   * @returns {Function} 登録解除関数
+   */
+  on(type, handler) {
+    const handlers = this.handlers.get(type) || [];
+    this.handlers.set(type, [...handlers, handler]);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * イベントハンドラーの登録を解除
+   * @param {string} type - イベント種別
+   * @param {Function} handler - 登録済みのハンドラー
+   */
+  off(type, handler) {
+    const handlers = this.handlers.get(type) || [];
+    this.handlers.set(type, handlers.filter(h => h !== handler));
+  }
+
+  /**
+   * イベントを発行し、登録順にハンドラーを実行
+   * ハンドラーの失敗は発行元の処理に影響させず、ログに記録する
+   * @param {string} type - イベント種別
+   * @param {Object} payload - イベントデータ
+   * @returns {Promise<void>}
+   */
+  async emit(type, payload) {
+    for (const handler of this.handlers.get(type) || []) {
+      try {
+        await handler(payload);
+      } catch (error) {
+        console.error(`Event handler for ${type} failed:`, error);
+      }
+    }
+  }
+}
+
+// デフォルトエクスポート
+const eventDispatcher = new EventDispatcher();
+export default eventDispatcher;
@@ -0,0 +1,82 @@
+import hashtagRepository from '../repositories/hashtagRepository.js';
+import micropostRepository from '../repositories/micropostRepository.js';
+import { extractHashtags, normalizeTag } from '../utils/hashtags.js';
+import { compareNewestFirst, paginateByCursor } from '../utils/cursor.js';
+import { canView } from '../utils/visibility.js';
+import config from '../config/index.js';
+
+/**
+ * Force reinitialize repository for testing
+ * @returns {Promise<void>}
+ */
+export const reinitializeRepository = async () => {
+  await hashtagRepository.reinitialize();
+};
+
+/**
+ * Hashtag Service
+ * ハッシュタグ索引・タグタイムライン・トレンドのビジネスロジック層
+ */
+
+/**
+ * マイクロポストのハッシュタグを索引に登録（既存の索引は置き換え）
+ * @param {Object} micropost - マイクロポスト
+ * @returns {Promise<Array<string>>} 登録したタグ配列
+ */
+export const indexMicropostHashtags = async (micropost) => {
+  const tags = extractHashtags(micropost.content);
+  await hashtagRepository.replaceForMicropost(micropost, tags);
+  return tags;
+};
+
+/**
+ * マイクロポストを索引から削除
+ * @param {number} micropostId - マイクロポストID
+ * @returns {Promise<number>} 削除件数
+ */
+export const removeMicropostHashtags = async (micropostId) => {
+  return await hashtagRepository.deleteByMicropostId(micropostId);
+};
+
+/**
+ * タグが付いたマイクロポストを取得（新しい順）
+ * @param {string} tag - タグ（# の有無・大文字小文字は問わない）
+ * @param {Object} options - { page, limit, cursor, viewer: 閲覧者 }
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export const getTaggedMicroposts = async (tag, { viewer, ...options } = {}) => {
+  const entries = (await hashtagRepository.findByTag(normalizeTag(tag))).sort(compareNewestFirst);
+  
+  // 閲覧者が見られない投稿とミュートしたユーザーの投稿は除いてからページネーションする
+  const microposts = new Map(
+    (await micropostRepository.findByIds(entries.map(entry => entry.micropostId)))
+      .filter(post => canView(post, viewer) && !viewer?.mutedIds.has(post.userId))
+      .map(post => [post.id, post])
+  );
+  const { items, pagination } = paginateByCursor(entries.filter(entry => microposts.has(entry.micropostId)), options);
+  
+  return { data: items.map(entry => microposts.get(entry.micropostId)), pagination };
+};
+
+/**
+ * 直近の時間枠で投稿数の多いタグを取得（公開の投稿のみ集計）
+ * @param {Object} options - { windowHours: 集計する時間枠（省略時は設定値）, limit: 取得件数 }
+ * @returns {Promise<Object>} { tags, since, windowHours }
+ */
+export const getTrendingTags = async ({ windowHours = config.hashtags.trendingWindowHours, limit = 10 } = {}) => {
+  const since = new Date(Date.now() - windowHours * 60 * 60 * 1000);
+  
+  // 誰でも見られる（未認証でも閲覧できる）投稿だけを数え、フォロワー限定・非公開の投稿のタグや件数は漏らさない
+  const publicIds = new Set(
+    (await micropostRepository.findAll())
+      .filter(post => canView(post, null))
+      .map(post => post.id)
+  );
+  const counts = await hashtagRepository.countSince(since, { micropostIds: publicIds });
+  
+  return {
+    tags: counts.slice(0, limit),
+    since: since.toISOString(),
+    windowHours
+  };
+};
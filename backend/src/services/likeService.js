@@ -0,0 +1,102 @@
+import likeRepository from '../repositories/likeRepository.js';
+import micropostRepository from '../repositories/micropostRepository.js';
+import eventDispatcher, { EVENTS } from './eventDispatcher.js';
+import { compareNewestFirst, paginateByCursor } from '../utils/cursor.js';
+import { canView } from '../utils/visibility.js';
+
+/**
+ * Force reinitialize repository for testing
+ * @returns {Promise<void>}
+ */
+export const reinitializeRepository = async () => {
+  await likeRepository.reinitialize();
+};
+
+/**
+ * Like Service
+ * いいねのビジネスロジック層
+ */
+
+/**
+ * マイクロポストにいいね
+ * @param {number} userId - いいねするユーザーID
+ * @param {number} micropostId - マイクロポストID
+ * @returns {Promise<Object>} 作成されたいいね
+ */
+export const likeMicropost = async (userId, micropostId) => {
+  const like = await likeRepository.create(userId, micropostId);
+  await eventDispatcher.emit(EVENTS.MICROPOST_LIKED, { like });
+  return like;
+};
+
+/**
+ * いいねを取り消し
+ * @param {number} userId - いいねしたユーザーID
+ * @param {number} micropostId - マイクロポストID
+ * @returns {Promise<boolean>} 取り消し成功の可否
+ */
+export const unlikeMicropost = async (userId, micropostId) => {
+  return await likeRepository.delete(userId, micropostId);
+};
+
+/**
+ * いいね済みか判定
+ * @param {number} userId - ユーザーID
+ * @param {number} micropostId - マイクロポストID
+ * @returns {Promise<boolean>} いいね済みならtrue
+ */
+export const hasLiked = async (userId, micropostId) => {
+  const like = await likeRepository.find(userId, micropostId);
+  return like !== null;
+};
+
+/**
+ * マイクロポストに付いたいいねを全て削除
+ * @param {number} micropostId - マイクロポストID
+ * @returns {Promise<number>} 削除件数
+ */
+export const deleteLikesByMicropostId = async (micropostId) => {
+  return await likeRepository.deleteByMicropostId(micropostId);
+};
+
+/**
+ * 複数マイクロポストのいいね数と閲覧者のいいね状態を取得
+ * @param {Array<number>} micropostIds - マイクロポストID配列
+ * @param {number} [viewerId] - 閲覧ユーザーID（未認証の場合は省略）
+ * @returns {Promise<Map<number, {likeCount: number, likedByMe: boolean}>>} マイクロポストID毎の集計
+ */
+export const getLikeSummaries = async (micropostIds, viewerId) => {
+  const summaries = new Map(micropostIds.map(id => [id, { likeCount: 0, likedByMe: false }]));
+  const likes = await likeRepository.findByMicropostIds(micropostIds);
+  
+  for (const like of likes) {
+    const summary = summaries.get(like.micropostId);
+    summary.likeCount += 1;
+    if (viewerId && like.userId === viewerId) {
+      summary.likedByMe = true;
+    }
+  }
+  
+  return summaries;
+};
+
+/**
+ * ユーザーがいいねしたマイクロポストを取得（いいねした新しい順）
+ * カーソルはいいねの createdAt + id をエンコードする
+ * @param {number} userId - ユーザーID
+ * @param {Object} options - { page, limit, cursor, viewer: 閲覧者 }
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export const getLikedMicroposts = async (userId, { viewer, ...options } = {}) => {
+  const likes = (await likeRepository.findByUserId(userId)).sort(compareNewestFirst);
+  
+  // ゴミ箱の投稿と閲覧者が見られない投稿へのいいねは除いてからページネーションする
+  const microposts = new Map(
+    (await micropostRepository.findByIds(likes.map(like => like.micropostId)))
+      .filter(post => canView(post, viewer))
+      .map(post => [post.id, post])
+  );
+  const { items, pagination } = paginateByCursor(likes.filter(like => microposts.has(like.micropostId)), options);
+  
+  return { data: items.map(like => microposts.get(like.micropostId)), pagination };
+};
@@ -0,0 +1,231 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import config from '../config/index.js';
+import { extractPreviewMetadata } from '../utils/htmlMeta.js';
+import { isPrivateAddress } from '../utils/ipAddress.js';
+
+/**
+ * Link Preview Fetcher
+ * URL からリンクプレビューのメタデータ（title / description / image）を取得する
+ * 取得先は fetch(url) を持つオブジェクトで差し替えられる（既定はネットワークにアクセスしないスタブ）
+ */
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * ネットワークにアクセスしないスタブ
+ * ホスト名をタイトルとして返す（開発・テスト用）
+ */
+export class StubLinkPreviewFetcher {
+  /**
+   * メタデータを取得
+   * @param {string} url - URL
+   * @returns {Promise<{title: string|null, description: string|null, image: string|null}>} メタデータ
+   */
+  async fetch(url) {
+    return {
+      title: new URL(url).hostname,
+      description: null,
+      image: null
+    };
+  }
+}
+
+/**
+ * HTTP で実際にページを取得する
+ * SSRF 対策として、接続先がプライベート・ループバック・リンクローカル等のアドレスの場合は拒否する
+ * 判定は名前解決の結果に対して行うため、リダイレクト先や DNS リバインディングにも適用される
+ * 応答は maxBytes までしか読まず（<head> のメタタグのみ使うため切り詰めて解析する）、全体を timeoutMs で打ち切る
+ */
+export class HttpLinkPreviewFetcher {
+  constructor({
+    timeoutMs = config.linkPreview.timeoutMs,
+    maxBytes = config.linkPreview.maxBytes,
+    maxRedirects = 3,
+    allowPrivateAddresses = false
+  } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.maxBytes = maxBytes;
+    this.maxRedirects = maxRedirects;
+    this.allowPrivateAddresses = allowPrivateAddresses;
+  }
+
+  /**
+   * メタデータを取得
+   * @param {string} url - URL
+   * @returns {Promise<{title: string|null, description: string|null, image: string|null}>} メタデータ
+   * @throws {Error} 取得できない場合（拒否したアドレス・タイムアウト・HTML 以外の応答など）
+   */
+  async fetch(url) {
+    const deadline = Date.now() + this.timeoutMs;
+    let current = new URL(url);
+
+    for (let redirects = 0; ; redirects++) {
+      const response = await this._request(current, deadline);
+
+      if (REDIRECT_STATUSES.has(response.status) && response.location) {
+        if (redirects >= this.maxRedirects) {
+          throw new Error(`Too many redirects: ${url}`);
+        }
+        current = new URL(response.location, current);
+        continue;
+      }
+
+      if (response.status !== 200) {
+        throw new Error(`Unexpected status ${response.status}: ${current.href}`);
+      }
+      if (!/^(text\/html|application\/xhtml\+xml)\b/i.test(response.contentType || '')) {
+        throw new Error(`Not an HTML page: ${current.href}`);
+      }
+
+      return extractPreviewMetadata(response.body, current.href);
+    }
+  }
+
+  /**
+   * 接続先のアドレスを検証
+   * @private
+   */
+  _checkAddress(address) {
+    if (!this.allowPrivateAddresses && isPrivateAddress(address)) {
+      throw new Error(`Blocked address: ${address}`);
+    }
+  }
+
+  /**
+   * 名前解決の結果を検証する lookup（http.request の lookup オプション）
+   * @private
+   */
+  _lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      try {
+        addresses.forEach(entry => this._checkAddress(entry.address));
+      } catch (blocked) {
+        callback(blocked);
+        return;
+      }
+      callback(null, address, family);
+    });
+  }
+
+  /**
+   * 1回分のリクエスト（リダイレクトは追わない）
+   * @private
+   */
+  _request(url, deadline) {
+    return new Promise((resolve, reject) => {
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        reject(new Error(`Unsupported protocol: ${url.protocol}`));
+        return;
+      }
+
+      // IPアドレスで指定された場合は名前解決（lookup）を経由しないため、ここで検証する
+      const host = url.hostname.replace(/^\[|\]$/g, '');
+      try {
+        if (net.isIP(host)) {
+          this._checkAddress(host);
+        }
+      } catch (blocked) {
+        reject(blocked);
+        return;
+      }
+
+      const remainingMs = deadline - Date.now();
+      if (remainingMs <= 0) {
+        reject(new Error(`Timed out: ${url.href}`));
+        return;
+      }
+
+      const client = url.protocol === 'https:' ? https : http;
+      const request = client.get(url, {
+        lookup: (hostname, options, callback) => this._lookup(hostname, options, callback),
+        headers: {
+          'User-Agent': 'MicropostLinkPreview/1.0',
+          Accept: 'text/html,application/xhtml+xml'
+        }
+      });
+
+      const timer = setTimeout(() => {
+        request.destroy(new Error(`Timed out: ${url.href}`));
+      }, remainingMs);
+
+      request.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      request.on('response', (response) => {
+        const result = {
+          status: response.statusCode,
+          location: response.headers.location,
+          contentType: response.headers['content-type']
+        };
+
+        // 本文が不要な応答は読まずに閉じる
+        if (response.statusCode !== 200) {
+          clearTimeout(timer);
+          response.destroy();
+          resolve({ ...result, body: '' });
+          return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        const finish = () => {
+          clearTimeout(timer);
+          resolve({ ...result, body: Buffer.concat(chunks).toString('utf8') });
+        };
+
+        response.on('data', (chunk) => {
+          const remaining = this.maxBytes - size;
+          chunks.push(chunk.length > remaining ? chunk.subarray(0, remaining) : chunk);
+          size += Math.min(chunk.length, remaining);
+          if (size >= this.maxBytes) {
+            response.destroy();
+            finish();
+          }
+        });
+        response.on('end', finish);
+        response.on('error', (error) => {
+          clearTimeout(timer);
+          reject(error);
+        });
+      });
+    });
+  }
+}
+
+/**
+ * 設定に応じた取得方法を作成
+ * @param {string} [type] - 'stub' または 'http'
+ * @returns {Object} fetch(url) を持つ取得方法
+ */
+export const createLinkPreviewFetcher = (type = config.linkPreview.fetcher) => {
+  return type === 'http' ? new HttpLinkPreviewFetcher() : new StubLinkPreviewFetcher();
+};
+
+let fetcher = createLinkPreviewFetcher();
+
+/**
+ * 現在の取得方法を取得
+ * @returns {Object} 取得方法
+ */
+export const getLinkPreviewFetcher = () => fetcher;
+
+/**
+ * 取得方法を差し替え
+ * @param {Object} linkPreviewFetcher - fetch(url) を持つ取得方法
+ * @returns {Object} 差し替え前の取得方法
+ */
+export const setLinkPreviewFetcher = (linkPreviewFetcher) => {
+  const previous = fetcher;
+  fetcher = linkPreviewFetcher;
+  return previous;
+};
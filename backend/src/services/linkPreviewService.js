@@ -0,0 +1,83 @@
+import linkPreviewRepository from '../repositories/linkPreviewRepository.js';
+import { getLinkPreviewFetcher } from './linkPreviewFetcher.js';
+import { extractUrls } from '../utils/urls.js';
+
+/**
+ * Link Preview Service
+ * 投稿本文の URL のプレビュー（title / description / image）
+ * 投稿の作成・編集時に取得して URL 毎にキャッシュし、表示時は本文の URL とキャッシュを突き合わせる
+ */
+
+// 1投稿でプレビューを取得する URL の最大数（先頭から）
+export const MAX_LINK_PREVIEWS = 4;
+
+/**
+ * Force reinitialize repository for testing
+ * @returns {Promise<void>}
+ */
+export const reinitializeRepository = async () => {
+  await linkPreviewRepository.reinitialize();
+};
+
+/**
+ * リンクプレビューをレスポンス用に変換
+ * @param {Object} preview - リンクプレビュー
+ * @returns {Object} { url, title, description, image }
+ */
+const toLinkPreview = (preview) => {
+  return {
+    url: preview.url,
+    title: preview.title,
+    description: preview.description,
+    image: preview.image
+  };
+};
+
+/**
+ * 本文の URL のプレビューを取得してキャッシュ
+ * キャッシュ済みの URL は取得しない。取得に失敗した URL はプレビューなしとし、投稿は妨げない
+ * @param {string} content - 投稿内容
+ * @returns {Promise<number>} 新たに取得した件数
+ */
+export const fetchLinkPreviews = async (content) => {
+  const urls = extractUrls(content).slice(0, MAX_LINK_PREVIEWS);
+  if (urls.length === 0) {
+    return 0;
+  }
+
+  const cached = new Set((await linkPreviewRepository.findByUrls(urls)).map(preview => preview.url));
+  let fetched = 0;
+
+  for (const url of urls.filter(url => !cached.has(url))) {
+    try {
+      const metadata = await getLinkPreviewFetcher().fetch(url);
+      await linkPreviewRepository.create({ url, ...metadata });
+      fetched += 1;
+    } catch (error) {
+      console.warn(`Link preview fetch failed for ${url}:`, error.message);
+    }
+  }
+
+  return fetched;
+};
+
+/**
+ * 複数マイクロポストのリンクプレビューを取得
+ * @param {Array} microposts - マイクロポスト配列
+ * @returns {Promise<Map<number, Array>>} マイクロポストID毎のリンクプレビュー配列（本文の出現順）
+ */
+export const getLinkPreviews = async (microposts) => {
+  const urlsByPost = new Map(
+    microposts.map(post => [post.id, extractUrls(post.content).slice(0, MAX_LINK_PREVIEWS)])
+  );
+  const previews = new Map(
+    (await linkPreviewRepository.findByUrls([...urlsByPost.values()].flat())).map(preview => [preview.url, preview])
+  );
+
+  const summaries = new Map();
+  for (const [id, urls] of urlsByPost) {
+    summaries.set(id, urls.filter(url => previews.has(url)).map(url => toLinkPreview(previews.get(url))));
+  }
+
+  return summaries;
+};
@@ -0,0 +1,124 @@
+import mediaRepository from '../repositories/mediaRepository.js';
+import { getMediaStorage } from './mediaStorage.js';
+import config from '../config/index.js';
+import { detectImageType } from '../utils/imageType.js';
+import { createCUID } from '../utils/cuid.js';
+import { PayloadTooLargeError, UnsupportedMediaTypeError } from '../utils/errors.js';
+
+/**
+ * Media Service
+ * 画像のアップロードと投稿への添付
+ * 添付されないままのアップロードと、添付先が完全に削除されたファイルは定期的に回収する
+ */
+
+/**
+ * Force reinitialize repository for testing
+ * @returns {Promise<void>}
+ */
+export const reinitializeRepository = async () => {
+  await mediaRepository.reinitialize();
+};
+
+/**
+ * メディアをレスポンス用の添付情報に変換
+ * @param {Object} media - メディア
+ * @returns {Object} { id, url, mimeType, width, height, altText }
+ */
+export const toAttachment = (media) => {
+  return {
+    id: media.id,
+    url: getMediaStorage().getUrl(media.key),
+    mimeType: media.mimeType,
+    width: media.width,
+    height: media.height,
+    altText: media.altText
+  };
+};
+
+/**
+ * 画像をアップロード
+ * 形式はファイル名や Content-Type ではなく内容から判定する
+ * @param {number} userId - アップロードしたユーザーID
+ * @param {Buffer} data - ファイルの内容
+ * @param {string|null} [altText] - 代替テキスト
+ * @returns {Promise<Object>} 作成されたメディア
+ * @throws {PayloadTooLargeError} MEDIA_MAX_BYTES を超える場合
+ * @throws {UnsupportedMediaTypeError} 対応していない形式の場合
+ */
+export const uploadMedia = async (userId, data, altText = null) => {
+  if (data.length > config.media.maxBytes) {
+    throw new PayloadTooLargeError('File is too large', { maxBytes: config.media.maxBytes });
+  }
+
+  const image = detectImageType(data);
+  if (!image) {
+    throw new UnsupportedMediaTypeError('Only PNG, JPEG, GIF and WebP images are supported');
+  }
+
+  const key = `${createCUID()}.${image.extension}`;
+  await getMediaStorage().save(key, data);
+
+  return await mediaRepository.create({
+    userId,
+    key,
+    mimeType: image.mimeType,
+    size: data.length,
+    width: image.width,
+    height: image.height,
+    altText
+  });
+};
+
+/**
+ * 複数のIDでメディアを取得
+ * @param {Array<number>} ids - メディアID配列
+ * @returns {Promise<Array>} メディア配列
+ */
+export const getMediaByIds = async (ids) => {
+  return await mediaRepository.findByIds(ids);
+};
+
+/**
+ * メディアを投稿に添付
+ * @param {Array<number>} ids - メディアID配列
+ * @param {number} micropostId - 添付先のマイクロポストID
+ * @returns {Promise<number>} 添付した件数
+ */
+export const attachMedia = async (ids, micropostId) => {
+  return await mediaRepository.attach(ids, micropostId);
+};
+
+/**
+ * 参照されなくなったメディアをファイルごと削除
+ * @param {Date} [now] - 基準時刻
+ * @returns {Promise<number>} 削除した件数
+ */
+export const collectOrphanedMedia = async (now = new Date()) => {
+  const createdBefore = new Date(now.getTime() - config.media.orphanTtlMinutes * 60 * 1000);
+  let collected = 0;
+
+  for (const media of await mediaRepository.findOrphans({ createdBefore })) {
+    await getMediaStorage().remove(media.key);
+    if (await mediaRepository.delete(media.id)) {
+      collected += 1;
+    }
+  }
+
+  return collected;
+};
+
+/**
+ * 定期的なメディアの回収を開始
+ * @param {Object} options - { intervalMs: 実行間隔 }
+ * @returns {Function} スケジューラーの停止関数
+ */
+export const startMediaGcScheduler = ({ intervalMs = config.media.gcIntervalMs } = {}) => {
+  const run = () => collectOrphanedMedia().catch((error) => {
+    console.error('Media garbage collection failed:', error);
+  });
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
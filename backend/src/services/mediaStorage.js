@@ -0,0 +1,81 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/index.js';
+
+/**
+ * Media Storage
+ * アップロードしたファイルの保存先
+ * 保存先は save / remove / getUrl を持つオブジェクトで差し替えられる（オブジェクトストレージ等）
+ */
+
+/**
+ * ローカルディレクトリへの保存
+ * ファイルは publicPath 配下で静的に配信する
+ */
+export class LocalMediaStorage {
+  constructor({ directory = config.media.storageDir, publicPath = config.media.publicPath } = {}) {
+    this.directory = path.resolve(directory);
+    this.publicPath = publicPath.replace(/\/+$/, '');
+  }
+
+  /**
+   * キーからファイルパスを取得
+   * キーはサーバーで生成するが、念のため保存先の外を指すキーは拒否する
+   * @private
+   */
+  _resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (path.dirname(filePath) !== this.directory) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * ファイルを保存
+   * @param {string} key - 保存キー（ファイル名）
+   * @param {Buffer} data - ファイルの内容
+   * @returns {Promise<void>}
+   */
+  async save(key, data) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this._resolve(key), data);
+  }
+
+  /**
+   * ファイルを削除（存在しない場合は何もしない）
+   * @param {string} key - 保存キー
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await fs.rm(this._resolve(key), { force: true });
+  }
+
+  /**
+   * ファイルの公開URLを取得
+   * @param {string} key - 保存キー
+   * @returns {string} URL
+   */
+  getUrl(key) {
+    return `${this.publicPath}/${encodeURIComponent(key)}`;
+  }
+}
+
+let storage = new LocalMediaStorage();
+
+/**
+ * 現在の保存先を取得
+ * @returns {Object} 保存先
+ */
+export const getMediaStorage = () => storage;
+
+/**
+ * 保存先を差し替え
+ * @param {Object} mediaStorage - save / remove / getUrl を持つ保存先
+ * @returns {Object} 差し替え前の保存先
+ */
+export const setMediaStorage = (mediaStorage) => {
+  const previous = storage;
+  storage = mediaStorage;
+  return previous;
+};
@@ -1,4 +1,21 @@
 import micropostRepository from '../repositories/micropostRepository.js';
+import { getUserByIdFromDB, getUsersByHandles, resolvePreferences } from './userService.js';
+import { getLikeSummaries, deleteLikesByMicropostId } from './likeService.js';
+import { indexMicropostHashtags, removeMicropostHashtags } from './hashtagService.js';
+import { deleteBookmarksByMicropostId } from './bookmarkService.js';
+import { getMediaByIds, attachMedia, toAttachment } from './mediaService.js';
+import { buildPoll, getPollSummaries, deleteVotesByMicropostId } from './pollService.js';
+import { fetchLinkPreviews, getLinkPreviews } from './linkPreviewService.js';
+import { getFollowingIds, getFollowerIds } from './relationshipService.js';
+import { getBlockRelatedIds } from './blockService.js';
+import { getMutedIds, getMuterIds } from './muteService.js';
+import eventDispatcher, { EVENTS } from './eventDispatcher.js';
+import config from '../config/index.js';
+import { buildReplyTree, toTombstone, pruneTombstones } from '../utils/thread.js';
+import { canView, getVisibility } from '../utils/visibility.js';
+import { extractHashtags } from '../utils/hashtags.js';
+import { extractMentions, normalizeHandle } from '../utils/mentions.js';
+import { compareNewestFirst, paginateByCursor } from '../utils/cursor.js';
 
 /**
  * Force reinitialize repository for testing
@@ -14,6 +31,50 @@ export const reinitializeRepository = async () => {
  * 非同期パターンに統一
  */
 
+/**
+ * 公開範囲の判定に使う閲覧者を解決
+ * @param {number} [viewerId] - 閲覧ユーザーID（未認証の場合は省略）
+ * @returns {Promise<Object>} { id: 閲覧ユーザーID（未認証はnull）, followingIds: フォロー中, blockedIds: ブロックした・された, mutedIds: ミュートした ユーザーIDのSet }
+ */
+export const resolveViewer = async (viewerId) => {
+  return {
+    id: viewerId || null,
+    followingIds: new Set(viewerId ? await getFollowingIds(viewerId) : []),
+    blockedIds: new Set(viewerId ? await getBlockRelatedIds(viewerId) : []),
+    mutedIds: new Set(viewerId ? await getMutedIds(viewerId) : [])
+  };
+};
+
+/**
+ * 投稿が公開範囲内のユーザーID一覧を取得（ライブ配信の宛先の限定に使用）
+ * 管理者が非表示にした投稿は公開範囲によらず投稿者本人のみ
+ * @param {Object} micropost - マイクロポスト
+ * @returns {Promise<Array<number>|null>} ユーザーID配列、public の場合はnull（全員）
+ */
+export const getAudienceIds = async (micropost) => {
+  if (micropost.hiddenAt) {
+    return [micropost.userId];
+  }
+  switch (getVisibility(micropost)) {
+    case 'followers':
+      return [micropost.userId, ...await getFollowerIds(micropost.userId)];
+    case 'private':
+      return [micropost.userId];
+    default:
+      return null;
+  }
+};
+
+/**
+ * 投稿を公開範囲によらずライブ配信しないユーザーID一覧を取得
+ * 投稿者との間にブロックがあるユーザーと、投稿者をミュートしたユーザー
+ * @param {Object} micropost - マイクロポスト
+ * @returns {Promise<Array<number>>} ユーザーID配列
+ */
+export const getExcludedRecipientIds = async (micropost) => {
+  return [...await getBlockRelatedIds(micropost.userId), ...await getMuterIds(micropost.userId)];
+};
+
 /**
  * ユーザーIDでマイクロポストを取得
  * @param {number} userId - ユーザーID
@@ -23,19 +84,180 @@ export const getMicropostsByUserId = async (userId) => {
   return await micropostRepository.findByUserId(userId);
 };
 
+/**
+ * 複数のユーザーIDでマイクロポストを取得
+ * @param {Array<number>} userIds - ユーザーID配列
+ * @returns {Promise<Array>} マイクロポスト配列
+ */
+export const getMicropostsByUserIds = async (userIds) => {
+  return await micropostRepository.findByUserIds(userIds);
+};
+
+/**
+ * 本文中の @handle をユーザーに解決
+ * 解決できないハンドルと、投稿者との間にブロックがあるユーザーは含めない（通知もしない）
+ * @param {string} content - 投稿内容
+ * @param {number} authorId - 投稿者のユーザーID
+ * @returns {Promise<Array>} { userId, handle, start, end } の配列
+ */
+const resolveMentions = async (content, authorId) => {
+  const extracted = extractMentions(content);
+  if (extracted.length === 0) {
+    return [];
+  }
+  
+  const users = await getUsersByHandles(extracted.map(mention => mention.handle));
+  const blockedIds = new Set(await getBlockRelatedIds(authorId));
+  
+  return extracted
+    .filter(mention => users.has(normalizeHandle(mention.handle)))
+    .filter(mention => !blockedIds.has(users.get(normalizeHandle(mention.handle)).id))
+    .map(mention => ({
+      userId: users.get(normalizeHandle(mention.handle)).id,
+      ...mention
+    }));
+};
+
 /**
  * 新しいマイクロポストを作成
+ * リポストは本文を持たず、引用は本文に元の投稿を添える
+ * 本文の URL のプレビューは保存前に取得する
+ * 下書き・予約投稿は公開するまでハッシュタグの集計と作成イベントの対象にしない
  * @param {number} userId - ユーザーID
- * @param {string} content - マイクロポスト内容
+ * @param {string} content - マイクロポスト内容（リポストの場合は空文字）
+ * @param {Object} options - { inReplyToId: 返信先, repostOfId: リポスト元, quoteOfId: 引用元 のマイクロポストID, status: 'draft' で下書き, publishAt: 予約投稿の公開日時, mediaIds: 添付するメディアID, poll: 投票, contentWarning: 注意書き, sensitive: センシティブな内容か, visibility: 公開範囲 }
  * @returns {Promise<Object>} 作成されたマイクロポスト
  */
-export const createMicropost = async (userId, content) => {
+export const createMicropost = async (userId, content, { inReplyToId, repostOfId, quoteOfId, status, publishAt, mediaIds, poll, contentWarning, sensitive, visibility = 'public' } = {}) => {
   const micropostData = {
     userId: parseInt(userId, 10),
-    content: content.trim()
+    content: content.trim(),
+    visibility
   };
+  micropostData.mentions = await resolveMentions(micropostData.content, micropostData.userId);
+  await fetchLinkPreviews(micropostData.content);
+  
+  if (inReplyToId) {
+    micropostData.inReplyToId = parseInt(inReplyToId, 10);
+  }
+  if (repostOfId) {
+    micropostData.repostOfId = parseInt(repostOfId, 10);
+  }
+  if (quoteOfId) {
+    micropostData.quoteOfId = parseInt(quoteOfId, 10);
+  }
+  if (mediaIds?.length) {
+    micropostData.mediaIds = mediaIds.map(id => parseInt(id, 10));
+  }
+  if (poll) {
+    micropostData.poll = buildPoll(poll);
+  }
+  if (contentWarning) {
+    micropostData.contentWarning = contentWarning.trim();
+  }
+  if (sensitive) {
+    micropostData.sensitive = true;
+  }
+  if (status === 'draft') {
+    micropostData.status = 'draft';
+  } else if (publishAt) {
+    micropostData.status = 'scheduled';
+    micropostData.publishAt = new Date(publishAt).toISOString();
+  }
+  
+  const micropost = await micropostRepository.create(micropostData);
+  if (micropost.mediaIds) {
+    await attachMedia(micropost.mediaIds, micropost.id);
+  }
+  if (micropost.status) {
+    return micropost;
+  }
+  
+  await indexMicropostHashtags(micropost);
+  await eventDispatcher.emit(EVENTS.MICROPOST_CREATED, { micropost });
+  
+  return micropost;
+};
+
+/**
+ * 下書き・予約投稿を公開
+ * 公開した時点で通常の投稿と同じくハッシュタグを集計し、作成イベントを発行する
+ * @param {number} id - マイクロポストID
+ * @param {Date} [now] - 公開日時
+ * @returns {Promise<Object|null>} 公開したマイクロポストまたはnull
+ */
+export const publishMicropost = async (id, now = new Date()) => {
+  const micropost = await micropostRepository.publish(id, now.toISOString());
+  if (!micropost) {
+    return null;
+  }
+  
+  await indexMicropostHashtags(micropost);
+  await eventDispatcher.emit(EVENTS.MICROPOST_CREATED, { micropost });
+  
+  return micropost;
+};
+
+/**
+ * ユーザーの下書きを取得（新しい順）
+ * @param {number} userId - ユーザーID
+ * @param {Object} options - { page, limit, cursor }
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export const getDraftMicroposts = async (userId, options = {}) => {
+  const microposts = (await micropostRepository.findUnpublished({ userId, status: 'draft' })).sort(compareNewestFirst);
+  const { items, pagination } = paginateByCursor(microposts, options);
   
-  return await micropostRepository.create(micropostData);
+  return { data: items, pagination };
+};
+
+/**
+ * ユーザーの予約投稿を取得（公開予定日時の早い順）
+ * @param {number} userId - ユーザーID
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export const getScheduledMicroposts = async (userId, options = {}) => {
+  const microposts = (await micropostRepository.findUnpublished({ userId, status: 'scheduled' }))
+    .sort((a, b) => new Date(a.publishAt) - new Date(b.publishAt) || a.id - b.id);
+  const { items, pagination } = paginateByCursor(microposts, options);
+  
+  // createdAt 順ではないため、カーソルで続きを表現できない
+  return { data: items, pagination: { ...pagination, nextCursor: null } };
+};
+
+/**
+ * 公開日時を過ぎた予約投稿を取得
+ * @param {Date} now - 基準時刻
+ * @returns {Promise<Array>} マイクロポスト配列
+ */
+export const getDueScheduledMicroposts = async (now) => {
+  return await micropostRepository.findUnpublished({ status: 'scheduled', publishBefore: now });
+};
+
+/**
+ * リポスト・引用の対象となる元の投稿を取得
+ * リポストを指定した場合はリポスト元の投稿を返す
+ * @param {number} id - マイクロポストID
+ * @returns {Promise<Object|null>} 元の投稿またはnull
+ */
+export const getRepostTarget = async (id) => {
+  const micropost = await micropostRepository.findById(id);
+  if (micropost?.repostOfId) {
+    return await micropostRepository.findById(micropost.repostOfId);
+  }
+  return micropost;
+};
+
+/**
+ * リポスト済みか判定
+ * @param {number} userId - ユーザーID
+ * @param {number} micropostId - 元の投稿のID
+ * @returns {Promise<boolean>} リポスト済みならtrue
+ */
+export const hasReposted = async (userId, micropostId) => {
+  const reposts = await micropostRepository.findRepostsOf([micropostId]);
+  return reposts.some(repost => repost.userId === parseInt(userId, 10));
 };
 
 /**
@@ -49,33 +271,199 @@ export const getAllMicroposts = async () => {
 /**
  * IDでマイクロポストを取得
  * @param {number} id - マイクロポストID
+ * @param {Object} [options] - { includeDeleted: ゴミ箱の投稿も対象にするか, includeUnpublished: 下書き・予約投稿も対象にするか }
  * @returns {Promise<Object|null>} マイクロポスト情報またはnull
  */
-export const getMicropostById = async (id) => {
-  return await micropostRepository.findById(id);
+export const getMicropostById = async (id, options = {}) => {
+  return await micropostRepository.findById(id, options);
+};
+
+/**
+ * ユーザーが固定しているマイクロポストを取得
+ * 固定した投稿がゴミ箱に移動・完全に削除された場合は固定されていないものとして扱う
+ * @param {Object} user - ユーザー
+ * @returns {Promise<Object|null>} マイクロポストまたはnull
+ */
+export const getPinnedMicropost = async (user) => {
+  if (!user.pinnedMicropostId) {
+    return null;
+  }
+  const micropost = await micropostRepository.findById(user.pinnedMicropostId);
+  return micropost && micropost.userId === user.id ? micropost : null;
 };
 
 /**
  * マイクロポストを更新
+ * メンションは再解決し、新しい URL のプレビューを取得する
+ * 未公開の投稿と管理者が非表示にした投稿は、ハッシュタグ索引に登録せずイベントも発行しない
  * @param {number} id - マイクロポストID
  * @param {string} content - 新しい内容
  * @returns {Promise<Object|null>} 更新されたマイクロポストまたはnull
  */
 export const updateMicropost = async (id, content) => {
+  const previous = await micropostRepository.findById(id, { includeUnpublished: true });
+  if (!previous) {
+    return null;
+  }
+  
   const updateData = {
     content: content.trim()
   };
+  updateData.mentions = await resolveMentions(updateData.content, previous.userId);
+  await fetchLinkPreviews(updateData.content);
+  
+  const micropost = await micropostRepository.update(id, updateData);
+  if (micropost.status || micropost.hiddenAt) {
+    return micropost;
+  }
+  
+  await indexMicropostHashtags(micropost);
+  await eventDispatcher.emit(EVENTS.MICROPOST_UPDATED, { micropost, previous });
   
-  return await micropostRepository.update(id, updateData);
+  return micropost;
+};
+
+/**
+ * 編集可能な期間内か判定
+ * MICROPOST_EDIT_WINDOW_MINUTES が0の場合と、未公開の下書き・予約投稿は常に編集できる
+ * @param {Object} micropost - マイクロポスト
+ * @param {Date} [now] - 判定時刻
+ * @returns {boolean} 編集できればtrue
+ */
+export const isWithinEditWindow = (micropost, now = new Date()) => {
+  const { editWindowMinutes } = config.microposts;
+  if (!editWindowMinutes || micropost.status) {
+    return true;
+  }
+  return now.getTime() - new Date(micropost.createdAt).getTime() <= editWindowMinutes * 60 * 1000;
+};
+
+/**
+ * マイクロポストの編集履歴を取得（古い順）
+ * @param {number} id - マイクロポストID
+ * @returns {Promise<Array>} 変更前の版の配列
+ */
+export const getMicropostRevisions = async (id) => {
+  return await micropostRepository.findRevisions(id);
 };
 
 /**
- * マイクロポストを削除
+ * 直接の返信数を取得
+ * @param {number} id - マイクロポストID
+ * @returns {Promise<number>} 返信数
+ */
+export const getReplyCount = async (id) => {
+  return await micropostRepository.countReplies(id);
+};
+
+/**
+ * マイクロポストをゴミ箱に移動
+ * 本文を持たないリポストも同じ削除日時でゴミ箱に移動し、元の投稿と一緒に元に戻せるようにする
+ * いいね・ブックマークは完全に削除されるまで残し、ハッシュタグ索引は集計から外すため削除する
+ * 引用はそれ自体の本文があるため残し、引用元は null として表示する
+ * 未公開の投稿は公開されていないため、削除イベントを発行しない
+ * @param {number} id - マイクロポストID
+ * @param {Object} [options] - { deletedAt: 削除日時 }
+ * @returns {Promise<boolean>} 削除成功の可否
+ */
+export const deleteMicropost = async (id, { deletedAt = new Date().toISOString() } = {}) => {
+  const micropost = await micropostRepository.findById(id, { includeUnpublished: true });
+  const deleted = await micropostRepository.delete(id, { deletedAt });
+  if (deleted && micropost.status) {
+    return deleted;
+  }
+  if (deleted) {
+    await removeMicropostHashtags(id);
+    await eventDispatcher.emit(EVENTS.MICROPOST_DELETED, { micropostId: parseInt(id, 10), micropost });
+    
+    for (const repost of await micropostRepository.findRepostsOf([id])) {
+      await deleteMicropost(repost.id, { deletedAt });
+    }
+  }
+  return deleted;
+};
+
+/**
+ * ゴミ箱のマイクロポストを元に戻す
+ * 一緒にゴミ箱に移動したリポストも元に戻す（下書き・予約投稿は未公開のまま戻す）
+ * 管理者が非表示にした投稿は非表示のまま戻し、ハッシュタグ索引に登録せずイベントも発行しない
+ * @param {number} id - マイクロポストID
+ * @returns {Promise<Object|null>} 元に戻したマイクロポストまたはnull
+ */
+export const restoreMicropost = async (id) => {
+  const trashed = await micropostRepository.findById(id, { includeDeleted: true, includeUnpublished: true });
+  const micropost = trashed?.deletedAt ? await micropostRepository.restore(id) : null;
+  if (!micropost) {
+    return null;
+  }
+  
+  if (micropost.status || micropost.hiddenAt) {
+    return micropost;
+  }
+  
+  await indexMicropostHashtags(micropost);
+  await eventDispatcher.emit(EVENTS.MICROPOST_RESTORED, { micropost });
+  
+  for (const repost of await micropostRepository.findDeleted({ repostOfId: id, deletedAt: trashed.deletedAt })) {
+    await restoreMicropost(repost.id);
+  }
+  return micropost;
+};
+
+/**
+ * マイクロポストを非表示にする（管理者による対応）
+ * ハッシュタグ索引から外し、ライブ配信の購読者には削除として伝える
+ * 削除の配信先は非表示にする前の公開範囲で決める
+ * @param {number} id - マイクロポストID
+ * @returns {Promise<Object|null>} 非表示にしたマイクロポストまたはnull
+ */
+export const hideMicropost = async (id) => {
+  const previous = await micropostRepository.findById(id, { includeUnpublished: true });
+  const micropost = await micropostRepository.hide(id);
+  if (micropost && !micropost.status && !previous.hiddenAt) {
+    await removeMicropostHashtags(id);
+    await eventDispatcher.emit(EVENTS.MICROPOST_DELETED, { micropostId: micropost.id, micropost: previous });
+  }
+  return micropost;
+};
+
+/**
+ * ゴミ箱のマイクロポストを完全に削除
+ * 付いていたいいね・ブックマーク・投票の票も合わせて削除する
+ * 返信が付いている場合は墓標として残る
  * @param {number} id - マイクロポストID
  * @returns {Promise<boolean>} 削除成功の可否
  */
-export const deleteMicropost = async (id) => {
-  return await micropostRepository.delete(id);
+export const purgeMicropost = async (id) => {
+  const purged = await micropostRepository.purge(id);
+  if (purged) {
+    await deleteLikesByMicropostId(id);
+    await deleteBookmarksByMicropostId(id);
+    await deleteVotesByMicropostId(id);
+  }
+  return purged;
+};
+
+/**
+ * ユーザーのゴミ箱を取得（新しい順）
+ * @param {number} userId - ユーザーID
+ * @param {Object} options - { page, limit, cursor }
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export const getDeletedMicroposts = async (userId, options = {}) => {
+  const microposts = (await micropostRepository.findDeleted({ userId })).sort(compareNewestFirst);
+  const { items, pagination } = paginateByCursor(microposts, options);
+  
+  return { data: items, pagination };
+};
+
+/**
+ * 保持期間を過ぎたゴミ箱のマイクロポストを取得
+ * @param {Date} deletedBefore - この日時以前に削除された投稿が対象
+ * @returns {Promise<Array>} マイクロポスト配列
+ */
+export const getExpiredDeletedMicroposts = async (deletedBefore) => {
+  return await micropostRepository.findDeleted({ deletedBefore });
 };
 
 /**
@@ -103,4 +491,185 @@ export const getMicropostsByConditions = async (conditions) => {
  */
 export const getMicropostsWithPagination = async (options) => {
   return await micropostRepository.findWithPagination(options);
-};
\ No newline at end of file
+};
+
+/**
+ * ユーザー情報を UserSummary に変換
+ * @param {Object|null} user - ユーザー
+ * @returns {Object|null} { id, name, email } またはnull
+ */
+const toUserSummary = (user) => {
+  return user ? {
+    id: user.id,
+    name: user.name,
+    email: user.email
+  } : null;
+};
+
+/**
+ * マイクロポストに投稿者情報（UserSummary）・文字数・ハッシュタグ・メンション・添付画像・リンクプレビュー・投票・いいね情報・リポスト数を付与
+ * リポスト・引用には元の投稿（repostOf / quoteOf）を投稿者情報付きで埋め込む（削除済み・閲覧者が見られない投稿の場合はnull）
+ * 閲覧者を指定しない場合（ライブ配信など）は未認証の閲覧者として判定する
+ * 注意書き付き・センシティブな投稿（とそのリポスト）は閲覧者の collapseSensitive 設定に従って collapsed を立てる
+ * 同一投稿者のユーザー情報は1回だけ取得する
+ * @param {Array} microposts - マイクロポスト配列
+ * @param {number} [viewerId] - 閲覧ユーザーID（likedByMe・埋め込む元の投稿の判定と表示設定に使用）
+ * @returns {Promise<Array>} 付与済みマイクロポスト配列
+ */
+export const enrichMicroposts = async (microposts, viewerId) => {
+  const originalIds = microposts
+    .map(post => post.repostOfId || post.quoteOfId)
+    .filter(Boolean);
+  const originals = new Map(
+    (await micropostRepository.findByIds(originalIds)).map(post => [post.id, post])
+  );
+  
+  const users = new Map();
+  
+  for (const post of [...microposts, ...originals.values()]) {
+    if (!users.has(post.userId)) {
+      users.set(post.userId, await getUserByIdFromDB(post.userId));
+    }
+  }
+  
+  const { collapseSensitive } = resolvePreferences(viewerId ? await getUserByIdFromDB(viewerId) : null);
+  const viewer = await resolveViewer(viewerId);
+  const isFlagged = (post) => Boolean(post && (post.contentWarning || post.sensitive));
+  
+  const likeSummaries = await getLikeSummaries(microposts.map(post => post.id), viewerId);
+  const pollSummaries = await getPollSummaries(microposts, viewerId);
+  const linkPreviews = await getLinkPreviews(microposts);
+  
+  const media = new Map(
+    (await getMediaByIds(microposts.flatMap(post => post.mediaIds || []))).map(item => [item.id, item])
+  );
+  
+  const repostCounts = new Map();
+  for (const repost of await micropostRepository.findRepostsOf(microposts.map(post => post.id))) {
+    repostCounts.set(repost.repostOfId, (repostCounts.get(repost.repostOfId) || 0) + 1);
+  }
+  
+  // 埋め込む元の投稿（本文と投稿者のみ、公開範囲外・非表示・ブロック関係にある投稿は埋め込まない）
+  const embedOriginal = (id) => {
+    const original = originals.get(id);
+    return original && canView(original, viewer) ? {
+      id: original.id,
+      userId: original.userId,
+      content: original.content,
+      ...(original.contentWarning && { contentWarning: original.contentWarning }),
+      sensitive: Boolean(original.sensitive),
+      createdAt: original.createdAt,
+      user: toUserSummary(users.get(original.userId))
+    } : null;
+  };
+  
+  return microposts.map(post => {
+    return {
+      ...post,
+      contentLength: post.content.length,
+      sensitive: Boolean(post.sensitive),
+      collapsed: collapseSensitive && (isFlagged(post) || isFlagged(originals.get(post.repostOfId))),
+      visibility: getVisibility(post),
+      hashtags: extractHashtags(post.content),
+      mentions: post.mentions || [],
+      media: (post.mediaIds || []).filter(id => media.has(id)).map(id => toAttachment(media.get(id))),
+      linkPreviews: linkPreviews.get(post.id),
+      ...(post.poll && { poll: pollSummaries.get(post.id) }),
+      ...likeSummaries.get(post.id),
+      repostCount: repostCounts.get(post.id) || 0,
+      ...(post.repostOfId && { repostOf: embedOriginal(post.repostOfId) }),
+      ...(post.quoteOfId && { quoteOf: embedOriginal(post.quoteOfId) }),
+      user: toUserSummary(users.get(post.userId))
+    };
+  });
+};
+
+/**
+ * 単一のマイクロポストに付与情報を追加
+ * @param {Object} micropost - マイクロポスト
+ * @param {number} [viewerId] - 閲覧ユーザーID
+ * @returns {Promise<Object>} 付与済みマイクロポスト
+ */
+export const enrichMicropost = async (micropost, viewerId) => {
+  const [enrichedMicropost] = await enrichMicroposts([micropost], viewerId);
+  return enrichedMicropost;
+};
+
+/**
+ * スレッド内の投稿に付与情報を追加
+ * 墓標は本文も投稿者も持たないためそのまま返す
+ * @param {Array} microposts - 投稿配列（墓標を含む）
+ * @param {number} [viewerId] - 閲覧ユーザーID
+ * @returns {Promise<Array>} 付与済み投稿配列
+ */
+const enrichThreadMicroposts = async (microposts, viewerId) => {
+  const enriched = await enrichMicroposts(microposts.filter(post => !post.tombstone), viewerId);
+  const enrichedById = new Map(enriched.map(post => [post.id, post]));
+  
+  return microposts.map(post => enrichedById.get(post.id) || post);
+};
+
+/**
+ * スレッド内の閲覧者が見られない投稿を墓標に置き換える
+ * 見られない投稿への返信は会話の構造を保つために墓標の下に残し、表示される返信がなければ取り除く
+ * @param {Array} microposts - スレッド内の投稿配列（墓標を含む）
+ * @param {Object} viewer - 閲覧者
+ * @returns {Array} 置き換え後の投稿配列
+ */
+const hideUnviewableInThread = (microposts, viewer) => {
+  return pruneTombstones(microposts.map(post => (canView(post, viewer) ? post : toTombstone(post))));
+};
+
+/**
+ * マイクロポストへの返信ツリーを取得
+ * @param {number} id - マイクロポストID
+ * @param {number} [viewerId] - 閲覧ユーザーID
+ * @returns {Promise<Object|null>} { replies, total } または投稿が存在しないか閲覧者が見られない場合null
+ */
+export const getReplyTree = async (id, viewerId) => {
+  const viewer = await resolveViewer(viewerId);
+  const micropost = await micropostRepository.findById(id, { includeTombstones: true });
+  if (!micropost || !canView(micropost, viewer)) {
+    return null;
+  }
+  
+  const descendants = hideUnviewableInThread(await micropostRepository.findDescendants(micropost.id), viewer);
+  const enrichedDescendants = await enrichThreadMicroposts(descendants, viewerId);
+  
+  return {
+    replies: buildReplyTree(enrichedDescendants, micropost.id),
+    total: descendants.length
+  };
+};
+
+/**
+ * マイクロポストが属する会話全体をツリーで取得
+ * 閲覧者が見られないルートは墓標として返す
+ * @param {number} id - マイクロポストID
+ * @param {number} [viewerId] - 閲覧ユーザーID
+ * @returns {Promise<Object|null>} { root, total } または投稿が存在しないか閲覧者が見られない場合null
+ */
+export const getThread = async (id, viewerId) => {
+  const viewer = await resolveViewer(viewerId);
+  const threadRoot = await micropostRepository.findThreadRoot(id);
+  if (!threadRoot) {
+    return null;
+  }
+  
+  const thread = [threadRoot, ...await micropostRepository.findDescendants(threadRoot.id)];
+  const target = thread.find(post => post.id === parseInt(id, 10));
+  if (!canView(target, viewer)) {
+    return null;
+  }
+  
+  const [root, ...descendants] = hideUnviewableInThread(thread, viewer);
+  const [enrichedRoot, ...enrichedDescendants] = await enrichThreadMicroposts([root, ...descendants], viewerId);
+  
+  return {
+    root: {
+      ...enrichedRoot,
+      replies: buildReplyTree(enrichedDescendants, root.id)
+    },
+    total: descendants.length + 1
+  };
+};
@@ -0,0 +1,64 @@
+import muteRepository from '../repositories/muteRepository.js';
+
+/**
+ * Force reinitialize repository for testing
+ * @returns {Promise<void>}
+ */
+export const reinitializeRepository = async () => {
+  await muteRepository.reinitialize();
+};
+
+/**
+ * Mute Service
+ * ミュートのビジネスロジック層
+ * ミュートは一方向で相手には知らせず、ミュートした側のタイムライン・検索・通知からのみ相手を除く
+ */
+
+/**
+ * ユーザーをミュート
+ * @param {number} muterId - ミュートするユーザーID
+ * @param {number} mutedId - ミュートされるユーザーID
+ * @returns {Promise<Object>} 作成されたミュート
+ */
+export const muteUser = async (muterId, mutedId) => {
+  return await muteRepository.create(muterId, mutedId);
+};
+
+/**
+ * ミュートを解除
+ * @param {number} muterId - ミュートしたユーザーID
+ * @param {number} mutedId - ミュートされたユーザーID
+ * @returns {Promise<boolean>} 解除成功の可否
+ */
+export const unmuteUser = async (muterId, mutedId) => {
+  return await muteRepository.delete(muterId, mutedId);
+};
+
+/**
+ * ミュート済みか判定
+ * @param {number} muterId - ミュートするユーザーID
+ * @param {number} mutedId - ミュートされるユーザーID
+ * @returns {Promise<boolean>} ミュート済みならtrue
+ */
+export const isMuting = async (muterId, mutedId) => {
+  const mute = await muteRepository.find(muterId, mutedId);
+  return mute !== null;
+};
+
+/**
+ * ユーザーがミュートしたユーザーID一覧を取得
+ * @param {number} userId - ユーザーID
+ * @returns {Promise<Array<number>>} ミュートしたユーザーID配列
+ */
+export const getMutedIds = async (userId) => {
+  return await muteRepository.findMutedIds(userId);
+};
+
+/**
+ * ユーザーをミュートしたユーザーID一覧を取得
+ * @param {number} userId - ユーザーID
+ * @returns {Promise<Array<number>>} ミュートしたユーザーのID配列
+ */
+export const getMuterIds = async (userId) => {
+  return await muteRepository.findMuterIds(userId);
+};
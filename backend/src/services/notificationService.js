@@ -0,0 +1,259 @@
+import notificationRepository from '../repositories/notificationRepository.js';
+import micropostRepository from '../repositories/micropostRepository.js';
+import eventDispatcher, { EVENTS } from './eventDispatcher.js';
+import { getUserByIdFromDB } from './userService.js';
+import { getBlockRelatedIds } from './blockService.js';
+import { getMutedIds } from './muteService.js';
+import { getFollowingIds } from './relationshipService.js';
+import { compareNewestFirst, paginateByCursor } from '../utils/cursor.js';
+import { canView } from '../utils/visibility.js';
+
+/**
+ * Force reinitialize repository for testing
+ * @returns {Promise<void>}
+ */
+export const reinitializeRepository = async () => {
+  await notificationRepository.reinitialize();
+};
+
+/**
+ * Notification Service
+ * 通知のビジネスロジック層
+ * 通知は各サービスが発行するイベントから作成される（registerNotificationHandlers 参照）
+ * 受信者がミュートしたユーザーと、受信者との間にブロックがあるユーザーからの通知は作成せず、既存の通知も一覧から除く
+ */
+
+/**
+ * 通知種別
+ */
+export const NOTIFICATION_TYPES = Object.freeze({
+  FOLLOW: 'follow',
+  LIKE: 'like',
+  REPLY: 'reply',
+  MENTION: 'mention',
+  PASSWORD_CHANGED: 'passwordChanged'
+});
+
+/**
+ * 受信者に通知を表示しない操作ユーザーのID一覧を取得
+ * @param {number} userId - 受信ユーザーID
+ * @returns {Promise<Set<number>>} ミュートしたユーザーと、ブロックした・されたユーザーのIDのSet
+ */
+const getHiddenActorIds = async (userId) => {
+  return new Set([...await getMutedIds(userId), ...await getBlockRelatedIds(userId)]);
+};
+
+/**
+ * 通知を作成
+ * @param {Object} notificationData - { userId: 受信者, type, actorId, micropostId }
+ * @returns {Promise<Object|null>} 作成された通知、受信者に表示しない操作ユーザーからの場合はnull
+ */
+export const createNotification = async (notificationData) => {
+  if (notificationData.actorId && (await getHiddenActorIds(notificationData.userId)).has(notificationData.actorId)) {
+    return null;
+  }
+  
+  const notification = await notificationRepository.create(notificationData);
+  await eventDispatcher.emit(EVENTS.NOTIFICATION_CREATED, { notification });
+  return notification;
+};
+
+/**
+ * ユーザーの通知一覧を取得（新しい順）
+ * @param {number} userId - 受信ユーザーID
+ * @returns {Promise<Array>} 通知配列
+ */
+export const getNotificationsByUserId = async (userId) => {
+  const hiddenActorIds = await getHiddenActorIds(userId);
+  const notifications = await notificationRepository.findByUserId(userId);
+  return notifications
+    .filter(notification => !hiddenActorIds.has(notification.actorId))
+    .sort(compareNewestFirst);
+};
+
+/**
+ * ページネーション付きで通知を取得（新しい順）
+ * @param {number} userId - 受信ユーザーID
+ * @param {Object} options - { page, limit, cursor, unreadOnly }
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export const getNotificationsWithPagination = async (userId, { unreadOnly = false, ...options } = {}) => {
+  let notifications = await getNotificationsByUserId(userId);
+
+  if (unreadOnly) {
+    notifications = notifications.filter(notification => !notification.readAt);
+  }
+
+  const { items, pagination } = paginateByCursor(notifications, options);
+  return { data: items, pagination };
+};
+
+/**
+ * IDで通知を取得
+ * @param {number} id - 通知ID
+ * @returns {Promise<Object|null>} 通知またはnull
+ */
+export const getNotificationById = async (id) => {
+  return await notificationRepository.findById(id);
+};
+
+/**
+ * 通知を既読にする
+ * @param {number} id - 通知ID
+ * @returns {Promise<Object|null>} 更新された通知またはnull
+ */
+export const markNotificationAsRead = async (id) => {
+  return await notificationRepository.markAsRead(id);
+};
+
+/**
+ * ユーザーの未読通知を全て既読にする
+ * @param {number} userId - 受信ユーザーID
+ * @returns {Promise<number>} 既読にした件数
+ */
+export const markAllNotificationsAsRead = async (userId) => {
+  return await notificationRepository.markAllAsRead(userId);
+};
+
+/**
+ * ユーザーの未読通知数を取得
+ * @param {number} userId - 受信ユーザーID
+ * @returns {Promise<number>} 未読通知数
+ */
+export const getUnreadNotificationCount = async (userId) => {
+  const notifications = await getNotificationsByUserId(userId);
+  return notifications.filter(notification => !notification.readAt).length;
+};
+
+/**
+ * 通知に操作したユーザーの情報（UserSummary）を付与
+ * 同一ユーザーの情報は1回だけ取得する
+ * @param {Array} notifications - 通知配列
+ * @returns {Promise<Array>} 付与済み通知配列
+ */
+export const enrichNotifications = async (notifications) => {
+  const actors = new Map();
+
+  for (const { actorId } of notifications) {
+    if (actorId && !actors.has(actorId)) {
+      actors.set(actorId, await getUserByIdFromDB(actorId));
+    }
+  }
+
+  return notifications.map(notification => {
+    const actor = actors.get(notification.actorId);
+    return {
+      ...notification,
+      actor: actor ? {
+        id: actor.id,
+        name: actor.name,
+        email: actor.email
+      } : null
+    };
+  });
+};
+
+/**
+ * ユーザーがマイクロポストを見られるか判定
+ * @param {Object} micropost - マイクロポスト
+ * @param {number} userId - ユーザーID
+ * @returns {Promise<boolean>} 見られればtrue
+ */
+const canUserView = async (micropost, userId) => {
+  return canView(micropost, {
+    id: userId,
+    followingIds: new Set(await getFollowingIds(userId)),
+    blockedIds: new Set(await getBlockRelatedIds(userId))
+  });
+};
+
+/**
+ * メンションされたユーザーに通知
+ * 投稿者自身と除外対象のユーザー、公開範囲外で投稿を見られないユーザーには通知しない
+ * @param {Object} micropost - マイクロポスト
+ * @param {Set<number>} excludedUserIds - 通知済みなどで除外するユーザーID
+ * @returns {Promise<void>}
+ */
+const notifyMentionedUsers = async (micropost, excludedUserIds = new Set()) => {
+  const notifiedUserIds = new Set([...excludedUserIds, micropost.userId]);
+
+  for (const { userId } of micropost.mentions || []) {
+    if (!notifiedUserIds.has(userId) && await canUserView(micropost, userId)) {
+      notifiedUserIds.add(userId);
+      await createNotification({
+        userId,
+        type: NOTIFICATION_TYPES.MENTION,
+        actorId: micropost.userId,
+        micropostId: micropost.id
+      });
+    }
+  }
+};
+
+/**
+ * イベントから通知を作成するハンドラーを登録
+ * 新しい通知種別はここにハンドラーを追加する
+ * @param {EventDispatcher} dispatcher - イベントディスパッチャー
+ * @returns {Function} 全ハンドラーの登録解除関数
+ */
+export const registerNotificationHandlers = (dispatcher = eventDispatcher) => {
+  const unsubscribers = [
+    // フォローされた
+    dispatcher.on(EVENTS.USER_FOLLOWED, async ({ relationship }) => {
+      await createNotification({
+        userId: relationship.followedId,
+        type: NOTIFICATION_TYPES.FOLLOW,
+        actorId: relationship.followerId
+      });
+    }),
+
+    // 自分の投稿にいいねされた
+    dispatcher.on(EVENTS.MICROPOST_LIKED, async ({ like }) => {
+      const micropost = await micropostRepository.findById(like.micropostId);
+      if (micropost && micropost.userId !== like.userId) {
+        await createNotification({
+          userId: micropost.userId,
+          type: NOTIFICATION_TYPES.LIKE,
+          actorId: like.userId,
+          micropostId: micropost.id
+        });
+      }
+    }),
+
+    // 返信・メンションされた（返信先の投稿者にはメンション通知を重複させない）
+    dispatcher.on(EVENTS.MICROPOST_CREATED, async ({ micropost }) => {
+      const notifiedUserIds = new Set();
+
+      if (micropost.inReplyToId) {
+        const parent = await micropostRepository.findById(micropost.inReplyToId);
+        if (parent && parent.userId !== micropost.userId) {
+          await createNotification({
+            userId: parent.userId,
+            type: NOTIFICATION_TYPES.REPLY,
+            actorId: micropost.userId,
+            micropostId: micropost.id
+          });
+          notifiedUserIds.add(parent.userId);
+        }
+      }
+
+      await notifyMentionedUsers(micropost, notifiedUserIds);
+    }),
+
+    // 編集で新たにメンションされた
+    dispatcher.on(EVENTS.MICROPOST_UPDATED, async ({ micropost, previous }) => {
+      const previouslyMentioned = new Set((previous.mentions || []).map(mention => mention.userId));
+      await notifyMentionedUsers(micropost, previouslyMentioned);
+    }),
+
+    // パスワードが変更された（本人への確認通知）
+    dispatcher.on(EVENTS.PASSWORD_CHANGED, async ({ userId }) => {
+      await createNotification({
+        userId,
+        type: NOTIFICATION_TYPES.PASSWORD_CHANGED
+      });
+    })
+  ];
+
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
@@ -0,0 +1,110 @@
+import pollVoteRepository from '../repositories/pollVoteRepository.js';
+
+/**
+ * Force reinitialize repository for testing
+ * @returns {Promise<void>}
+ */
+export const reinitializeRepository = async () => {
+  await pollVoteRepository.reinitialize();
+};
+
+/**
+ * Poll Service
+ * マイクロポストに付ける投票のビジネスロジック層
+ * 投票はマイクロポストに埋め込み、各ユーザーの票は pollVotes に1人1票で記録する
+ */
+
+/**
+ * 保存する投票を作成
+ * 選択肢には1から順にIDを振る
+ * @param {Object} poll - { options: 選択肢の文字列配列, closesAt: 締切日時, resultsVisibility: 結果の公開タイミング }
+ * @returns {Object} マイクロポストに保存する投票
+ */
+export const buildPoll = ({ options, closesAt, resultsVisibility }) => {
+  return {
+    options: options.map((text, index) => ({ id: index + 1, text })),
+    closesAt: new Date(closesAt).toISOString(),
+    resultsVisibility
+  };
+};
+
+/**
+ * 投票が締め切られているか判定
+ * @param {Object} poll - マイクロポストの投票
+ * @param {Date} [now] - 判定時刻
+ * @returns {boolean} 締め切られていればtrue
+ */
+export const isPollClosed = (poll, now = new Date()) => {
+  return new Date(poll.closesAt) <= now;
+};
+
+/**
+ * 投票済みか判定
+ * @param {number} userId - ユーザーID
+ * @param {number} micropostId - マイクロポストID
+ * @returns {Promise<boolean>} 投票済みならtrue
+ */
+export const hasVoted = async (userId, micropostId) => {
+  const vote = await pollVoteRepository.find(userId, micropostId);
+  return vote !== null;
+};
+
+/**
+ * 投票する
+ * @param {number} userId - 投票するユーザーID
+ * @param {number} micropostId - マイクロポストID
+ * @param {number} optionId - 選択肢ID
+ * @returns {Promise<Object>} 作成された票
+ */
+export const castVote = async (userId, micropostId, optionId) => {
+  return await pollVoteRepository.create(userId, micropostId, optionId);
+};
+
+/**
+ * マイクロポストの票を全て削除
+ * @param {number} micropostId - マイクロポストID
+ * @returns {Promise<number>} 削除件数
+ */
+export const deleteVotesByMicropostId = async (micropostId) => {
+  return await pollVoteRepository.deleteByMicropostId(micropostId);
+};
+
+/**
+ * 複数マイクロポストの投票の集計と閲覧者の票を取得
+ * 結果は締切後、または after_vote の投票では閲覧者が投票した後にのみ公開し、それまで票数は null にする
+ * @param {Array} microposts - 投票を持つマイクロポスト配列
+ * @param {number} [viewerId] - 閲覧ユーザーID（未認証の場合は省略）
+ * @param {Date} [now] - 判定時刻
+ * @returns {Promise<Map<number, Object>>} マイクロポストID毎の投票
+ */
+export const getPollSummaries = async (microposts, viewerId, now = new Date()) => {
+  const polled = microposts.filter(post => post.poll);
+  const summaries = new Map();
+  if (polled.length === 0) {
+    return summaries;
+  }
+
+  const votes = await pollVoteRepository.findByMicropostIds(polled.map(post => post.id));
+
+  for (const post of polled) {
+    const postVotes = votes.filter(vote => vote.micropostId === post.id);
+    const myVote = viewerId ? postVotes.find(vote => vote.userId === viewerId) : null;
+    const closed = isPollClosed(post.poll, now);
+    const resultsVisible = closed || (post.poll.resultsVisibility === 'after_vote' && Boolean(myVote));
+
+    summaries.set(post.id, {
+      options: post.poll.options.map(option => ({
+        ...option,
+        votes: resultsVisible ? postVotes.filter(vote => vote.optionId === option.id).length : null
+      })),
+      closesAt: post.poll.closesAt,
+      closed,
+      resultsVisibility: post.poll.resultsVisibility,
+      resultsVisible,
+      totalVotes: resultsVisible ? postVotes.length : null,
+      myVote: myVote ? myVote.optionId : null
+    });
+  }
+
+  return summaries;
+};
@@ -0,0 +1,66 @@
+import relationshipRepository from '../repositories/relationshipRepository.js';
+import eventDispatcher, { EVENTS } from './eventDispatcher.js';
+
+/**
+ * Force reinitialize repository for testing
+ * @returns {Promise<void>}
+ */
+export const reinitializeRepository = async () => {
+  await relationshipRepository.reinitialize();
+};
+
+/**
+ * Relationship Service
+ * フォロー関係のビジネスロジック層
+ */
+
+/**
+ * ユーザーをフォロー
+ * @param {number} followerId - フォローするユーザーID
+ * @param {number} followedId - フォローされるユーザーID
+ * @returns {Promise<Object>} 作成されたフォロー関係
+ */
+export const followUser = async (followerId, followedId) => {
+  const relationship = await relationshipRepository.create(followerId, followedId);
+  await eventDispatcher.emit(EVENTS.USER_FOLLOWED, { relationship });
+  return relationship;
+};
+
+/**
+ * フォロー解除
+ * @param {number} followerId - フォローしているユーザーID
+ * @param {number} followedId - フォローされているユーザーID
+ * @returns {Promise<boolean>} 解除成功の可否
+ */
+export const unfollowUser = async (followerId, followedId) => {
+  return await relationshipRepository.delete(followerId, followedId);
+};
+
+/**
+ * フォロー済みか判定
+ * @param {number} followerId - フォローするユーザーID
+ * @param {number} followedId - フォローされるユーザーID
+ * @returns {Promise<boolean>} フォロー済みならtrue
+ */
+export const isFollowing = async (followerId, followedId) => {
+  const relationship = await relationshipRepository.find(followerId, followedId);
+  return relationship !== null;
+};
+
+/**
+ * フォロー中のユーザーID一覧を取得
+ * @param {number} userId - ユーザーID
+ * @returns {Promise<Array<number>>} フォロー中のユーザーID配列
+ */
+export const getFollowingIds = async (userId) => {
+  return await relationshipRepository.findFollowingIds(userId);
+};
+
+/**
+ * フォロワーのユーザーID一覧を取得
+ * @param {number} userId - ユーザーID
+ * @returns {Promise<Array<number>>} フォロワーのユーザーID配列
+ */
+export const getFollowerIds = async (userId) => {
+  return await relationshipRepository.findFollowerIds(userId);
+};
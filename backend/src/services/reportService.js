@@ -0,0 +1,92 @@
+import reportRepository from '../repositories/reportRepository.js';
+import { hideMicropost } from './micropostService.js';
+import { suspendUser } from './userService.js';
+import { compareNewestFirst, paginateByCursor } from '../utils/cursor.js';
+
+/**
+ * Force reinitialize repository for testing
+ * @returns {Promise<void>}
+ */
+export const reinitializeRepository = async () => {
+  await reportRepository.reinitialize();
+};
+
+/**
+ * Report Service
+ * 通報と管理者による対応のビジネスロジック層
+ * 通報は1件ずつ、投稿の非表示・投稿者の利用停止・却下のいずれかで対応済みにし、対応は全て moderationActions に記録する
+ */
+
+/**
+ * 通報を作成
+ * @param {Object} reportData - { reporterId, targetType, targetId, reason, details }
+ * @returns {Promise<Object>} 作成された通報
+ */
+export const createReport = async (reportData) => {
+  return await reportRepository.create(reportData);
+};
+
+/**
+ * 対象を通報済み（未対応）か判定
+ * @param {number} reporterId - 通報したユーザーID
+ * @param {string} targetType - 'micropost' または 'user'
+ * @param {number} targetId - 対象のID
+ * @returns {Promise<boolean>} 未対応の通報があればtrue
+ */
+export const hasOpenReport = async (reporterId, targetType, targetId) => {
+  const report = await reportRepository.findOpen(reporterId, targetType, targetId);
+  return report !== null;
+};
+
+/**
+ * IDで通報を取得
+ * @param {number} id - 通報ID
+ * @returns {Promise<Object|null>} 通報またはnull
+ */
+export const getReportById = async (id) => {
+  return await reportRepository.findById(id);
+};
+
+/**
+ * 通報一覧を取得（新しい順）
+ * @param {Object} options - { status, page, limit }
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export const getReportsWithPagination = async ({ status, ...options } = {}) => {
+  const reports = (await reportRepository.findAll({ status })).sort(compareNewestFirst);
+  const { items, pagination } = paginateByCursor(reports, options);
+  return { data: items, pagination };
+};
+
+/**
+ * 通報に記録された対応を付与
+ * @param {Array} reports - 通報配列
+ * @returns {Promise<Array>} actions を付与した通報配列
+ */
+export const attachModerationActions = async (reports) => {
+  const actions = await reportRepository.findActionsByReportIds(reports.map(report => report.id));
+  return reports.map(report => ({
+    ...report,
+    actions: actions.filter(action => action.reportId === report.id)
+  }));
+};
+
+/**
+ * 通報に対応する
+ * hide_post は通報された投稿を非表示に、suspend_author は投稿者（ユーザーの通報ではそのユーザー）を利用停止にする
+ * @param {Object} report - 未対応の通報
+ * @param {Object} resolution - { adminId, action, note, authorId: 通報対象の投稿者またはユーザーのID }
+ * @returns {Promise<Object|null>} 対応済みにした通報またはnull（既に対応済みの場合）
+ */
+export const resolveReport = async (report, { adminId, action, note, authorId }) => {
+  let target = { targetType: report.targetType, targetId: report.targetId };
+
+  if (action === 'hide_post') {
+    await hideMicropost(report.targetId);
+  } else if (action === 'suspend_author') {
+    await suspendUser(authorId);
+    target = { targetType: 'user', targetId: authorId };
+  }
+
+  return await reportRepository.resolve(report.id, { adminId, action, note, ...target });
+};
@@ -0,0 +1,42 @@
+import config from '../config/index.js';
+import { getDueScheduledMicroposts, publishMicropost } from './micropostService.js';
+
+/**
+ * Scheduled Publish Service
+ * 予約投稿の公開
+ * publishAt を過ぎた予約投稿をプロセス内のスケジューラーで定期的に公開する
+ */
+
+/**
+ * 公開日時を過ぎた予約投稿を公開
+ * 公開日時は予約した日時ではなく、実際に公開した日時になる
+ * @param {Date} [now] - 基準時刻
+ * @returns {Promise<number>} 公開した件数
+ */
+export const publishDueMicroposts = async (now = new Date()) => {
+  let published = 0;
+  
+  for (const micropost of await getDueScheduledMicroposts(now)) {
+    if (await publishMicropost(micropost.id, now)) {
+      published += 1;
+    }
+  }
+  
+  return published;
+};
+
+/**
+ * 予約投稿の定期的な公開を開始
+ * @param {Object} options - { intervalMs: 実行間隔 }
+ * @returns {Function} スケジューラーの停止関数
+ */
+export const startScheduledPublishScheduler = ({ intervalMs = config.scheduledPublish.intervalMs } = {}) => {
+  const run = () => publishDueMicroposts().catch((error) => {
+    console.error('Scheduled publish failed:', error);
+  });
+  
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  
+  return () => clearInterval(timer);
+};
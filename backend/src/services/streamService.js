@@ -0,0 +1,189 @@
+import config from '../config/index.js';
+import eventDispatcher, { EVENTS } from './eventDispatcher.js';
+import { enrichMicropost, getMicropostById, getAudienceIds, getExcludedRecipientIds } from './micropostService.js';
+import { getLikeSummaries } from './likeService.js';
+import { enrichNotifications } from './notificationService.js';
+
+/**
+ * Stream Service
+ * Server-Sent Events（GET /stream）の接続管理と配信
+ * 内部イベントをSSEイベントに変換して接続中のクライアントへ送信する
+ * 直近のイベントはメモリ上のリプレイバッファに保持し、Last-Event-ID による再開に使う
+ */
+
+/**
+ * SSEイベント種別（event: フィールド）
+ */
+export const STREAM_EVENTS = Object.freeze({
+  MICROPOST: 'micropost',
+  REPLY: 'reply',
+  LIKE: 'like',
+  NOTIFICATION: 'notification'
+});
+
+// 接続中のクライアント（res → { userId, heartbeat }）
+const clients = new Map();
+
+// リプレイバッファ（古い順）とイベントIDの採番
+let replayBuffer = [];
+let lastEventId = 0;
+
+/**
+ * SSEの1イベント分の文字列を生成
+ * @param {Object} event - { id, type, data }
+ * @returns {string} SSEフォーマットの文字列
+ */
+const formatEvent = ({ id, type, data }) => {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+};
+
+/**
+ * ユーザーがイベントを受信できるか
+ * recipientIds が null のイベントは excludedIds 以外の全員に配信する
+ * @param {Object} event - 配信イベント
+ * @param {number} userId - 接続ユーザーID
+ * @returns {boolean}
+ */
+const canReceive = (event, userId) => {
+  if (event.excludedIds.includes(userId)) {
+    return false;
+  }
+  return event.recipientIds === null || event.recipientIds.includes(userId);
+};
+
+/**
+ * マイクロポストのイベントの配信先を取得
+ * @param {Object} micropost - マイクロポスト
+ * @returns {Promise<Object>} { recipientIds, excludedIds }
+ */
+const getMicropostAudience = async (micropost) => {
+  return {
+    recipientIds: await getAudienceIds(micropost),
+    excludedIds: await getExcludedRecipientIds(micropost)
+  };
+};
+
+/**
+ * イベントを採番してバッファに追加し、接続中のクライアントへ送信
+ * @param {string} type - SSEイベント種別
+ * @param {Object} data - イベントデータ
+ * @param {Object} [audience] - { recipientIds: 受信者を限定する場合のユーザーID配列, excludedIds: 配信しないユーザーID配列 }
+ */
+const publish = (type, data, { recipientIds = null, excludedIds = [] } = {}) => {
+  const event = { id: ++lastEventId, type, data, recipientIds, excludedIds };
+
+  replayBuffer.push(event);
+  if (replayBuffer.length > config.stream.replayBufferSize) {
+    replayBuffer = replayBuffer.slice(-config.stream.replayBufferSize);
+  }
+
+  for (const [res, client] of clients) {
+    if (canReceive(event, client.userId)) {
+      res.write(formatEvent(event));
+    }
+  }
+};
+
+/**
+ * SSE接続を開始
+ * lastEventId 指定時は、それより後のバッファ済みイベントを先に送信する
+ * @param {Object} req - Expressリクエスト
+ * @param {Object} res - Expressレスポンス
+ * @param {Object} options - { userId, lastEventId }
+ */
+export const openStream = (req, res, { userId, lastEventId: resumeFrom = null }) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    // no-transform: compression やプロキシによるバッファリング・圧縮を防ぐ
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+
+  if (resumeFrom !== null) {
+    replayBuffer
+      .filter(event => event.id > resumeFrom && canReceive(event, userId))
+      .forEach(event => res.write(formatEvent(event)));
+  }
+
+  // プロキシにアイドル接続を切断されないようコメント行を定期送信
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.stream.heartbeatIntervalMs);
+  heartbeat.unref();
+
+  clients.set(res, { userId, heartbeat });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+};
+
+/**
+ * 全てのSSE接続を終了（グレースフルシャットダウン用）
+ * @returns {number} 終了した接続数
+ */
+export const closeAllStreams = () => {
+  const closedCount = clients.size;
+
+  for (const [res, client] of clients) {
+    clearInterval(client.heartbeat);
+    res.end();
+  }
+  clients.clear();
+
+  return closedCount;
+};
+
+/**
+ * 接続中のクライアント数を取得
+ * @returns {number} 接続数
+ */
+export const getStreamClientCount = () => clients.size;
+
+/**
+ * 内部イベントをSSEで配信するハンドラーを登録
+ * 投稿・返信・いいねは投稿の公開範囲内のユーザー（投稿者をブロック・ミュートしたユーザーなどを除く）に、通知は受信者本人にのみ配信する
+ * 利用停止になったユーザーの接続は終了する
+ * @param {EventDispatcher} dispatcher - イベントディスパッチャー
+ * @returns {Function} 全ハンドラーの登録解除関数
+ */
+export const registerStreamHandlers = (dispatcher = eventDispatcher) => {
+  const unsubscribers = [
+    // 新しい投稿・返信
+    dispatcher.on(EVENTS.MICROPOST_CREATED, async ({ micropost }) => {
+      const type = micropost.inReplyToId ? STREAM_EVENTS.REPLY : STREAM_EVENTS.MICROPOST;
+      publish(type, await enrichMicropost(micropost), await getMicropostAudience(micropost));
+    }),
+
+    // いいね（最新のいいね数を添える）
+    dispatcher.on(EVENTS.MICROPOST_LIKED, async ({ like }) => {
+      const micropost = await getMicropostById(like.micropostId);
+      if (!micropost) {
+        return;
+      }
+      const { likeCount } = (await getLikeSummaries([like.micropostId])).get(like.micropostId);
+      publish(STREAM_EVENTS.LIKE, { ...like, likeCount }, await getMicropostAudience(micropost));
+    }),
+
+    // 通知
+    dispatcher.on(EVENTS.NOTIFICATION_CREATED, async ({ notification }) => {
+      const [data] = await enrichNotifications([notification]);
+      publish(STREAM_EVENTS.NOTIFICATION, data, { recipientIds: [notification.userId] });
+    }),
+
+    // 利用停止になったユーザーの接続を終了（再接続は authenticate で拒否される）
+    dispatcher.on(EVENTS.USER_SUSPENDED, async ({ userId }) => {
+      for (const [res, client] of clients) {
+        if (client.userId === userId) {
+          clearInterval(client.heartbeat);
+          clients.delete(res);
+          res.end();
+        }
+      }
+    })
+  ];
+
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
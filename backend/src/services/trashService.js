@@ -0,0 +1,60 @@
+import config from '../config/index.js';
+import { getExpiredDeletedMicroposts, purgeMicropost } from './micropostService.js';
+import { getExpiredDeletedUsers, purgeUser } from './userService.js';
+
+/**
+ * Trash Service
+ * 論理削除した投稿・ユーザーの保持期間の管理
+ * TRASH_RETENTION_DAYS を過ぎたものをプロセス内のスケジューラーで定期的に完全削除する
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 完全に削除される日時を取得
+ * @param {string} deletedAt - 削除日時
+ * @returns {string} 完全に削除される日時（ISO 8601）
+ */
+export const getPurgeAt = (deletedAt) => {
+  return new Date(new Date(deletedAt).getTime() + config.trash.retentionDays * DAY_MS).toISOString();
+};
+
+/**
+ * 保持期間を過ぎた投稿・ユーザーを完全に削除
+ * @param {Date} [now] - 基準時刻
+ * @returns {Promise<Object>} { microposts, users } 完全に削除した件数
+ */
+export const purgeExpiredTrash = async (now = new Date()) => {
+  const deletedBefore = new Date(now.getTime() - config.trash.retentionDays * DAY_MS);
+  const purged = { microposts: 0, users: 0 };
+  
+  for (const micropost of await getExpiredDeletedMicroposts(deletedBefore)) {
+    if (await purgeMicropost(micropost.id)) {
+      purged.microposts += 1;
+    }
+  }
+  
+  for (const user of await getExpiredDeletedUsers(deletedBefore)) {
+    if (await purgeUser(user.id)) {
+      purged.users += 1;
+    }
+  }
+  
+  return purged;
+};
+
+/**
+ * 定期的な完全削除を開始
+ * @param {Object} options - { intervalMs: 実行間隔 }
+ * @returns {Function} スケジューラーの停止関数
+ */
+export const startTrashPurgeScheduler = ({ intervalMs = config.trash.purgeIntervalMs } = {}) => {
+  const run = () => purgeExpiredTrash().catch((error) => {
+    console.error('Trash purge failed:', error);
+  });
+  
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  
+  return () => clearInterval(timer);
+};
@@ -1,4 +1,7 @@
 import { UserRepository } from '../repositories/userRepository.js';
+import micropostRepository from '../repositories/micropostRepository.js';
+import { indexMicropostHashtags } from './hashtagService.js';
+import eventDispatcher, { EVENTS } from './eventDispatcher.js';
 
 /**
  * User Service
@@ -19,6 +22,15 @@ export const getUsersFromDB = async (options = {}) => {
   return result.users; // 従来との互換性のためusersプロパティを返す
 };
 
+/**
+ * ページネーション付きでユーザー取得
+ * @param {Object} options - 検索・ソート・ページネーションオプション
+ * @returns {Promise<Object>} ユーザー一覧とページネーション情報
+ */
+export const getUsersWithPagination = async (options = {}) => {
+  return await userRepository.findAll(options);
+};
+
 /**
  * IDでユーザー取得
  * @param {number} id - ユーザーID
@@ -28,6 +40,65 @@ export const getUserByIdFromDB = async (id) => {
   return await userRepository.findById(id);
 };
 
+/**
+ * フォロワー一覧取得
+ * @param {number} userId - ユーザーID
+ * @param {Object} options - ページネーションオプション
+ * @returns {Promise<Object>} フォロワー一覧とページネーション情報
+ */
+export const getFollowersFromDB = async (userId, options = {}) => {
+  return await userRepository.findFollowers(userId, options);
+};
+
+/**
+ * フォロー中ユーザー一覧取得
+ * @param {number} userId - ユーザーID
+ * @param {Object} options - ページネーションオプション
+ * @returns {Promise<Object>} フォロー中ユーザー一覧とページネーション情報
+ */
+export const getFollowingFromDB = async (userId, options = {}) => {
+  return await userRepository.findFollowing(userId, options);
+};
+
+/**
+ * マイクロポストにいいねしたユーザー一覧取得
+ * @param {number} micropostId - マイクロポストID
+ * @param {Object} options - ページネーションオプション
+ * @returns {Promise<Object>} いいねしたユーザー一覧とページネーション情報
+ */
+export const getLikersFromDB = async (micropostId, options = {}) => {
+  return await userRepository.findLikers(micropostId, options);
+};
+
+/**
+ * ブロック中のユーザー一覧取得
+ * @param {number} userId - ブロックしたユーザーID
+ * @param {Object} options - ページネーションオプション
+ * @returns {Promise<Object>} ブロック中のユーザー一覧とページネーション情報
+ */
+export const getBlockedUsersFromDB = async (userId, options = {}) => {
+  return await userRepository.findBlocked(userId, options);
+};
+
+/**
+ * ミュート中のユーザー一覧取得
+ * @param {number} userId - ミュートしたユーザーID
+ * @param {Object} options - ページネーションオプション
+ * @returns {Promise<Object>} ミュート中のユーザー一覧とページネーション情報
+ */
+export const getMutedUsersFromDB = async (userId, options = {}) => {
+  return await userRepository.findMuted(userId, options);
+};
+
+/**
+ * メンションのハンドルでユーザー取得
+ * @param {Array<string>} handles - ハンドル配列
+ * @returns {Promise<Map<string, Object>>} 正規化済みハンドルからユーザーへのMap
+ */
+export const getUsersByHandles = async (handles) => {
+  return await userRepository.findByHandles(handles);
+};
+
 /**
  * ユーザー作成
  * @param {Object} userData - ユーザーデータ
@@ -56,8 +127,67 @@ export const updateUser = async (id, updateData) => {
   return await userRepository.update(id, updateData);
 };
 
+// 表示設定の既定値（collapseSensitive: 注意書き付き・センシティブな投稿を折りたたむ）
+export const DEFAULT_PREFERENCES = Object.freeze({
+  collapseSensitive: true
+});
+
+/**
+ * ユーザーの表示設定を取得（未設定の項目は既定値）
+ * @param {Object|null} user - ユーザー（未認証の場合はnull）
+ * @returns {Object} 表示設定
+ */
+export const resolvePreferences = (user) => {
+  return { ...DEFAULT_PREFERENCES, ...user?.preferences };
+};
+
 /**
- * ユーザー削除
+ * 表示設定を更新
+ * @param {number} userId - ユーザーID
+ * @param {Object} preferences - 更新する設定
+ * @returns {Promise<Object|null>} 更新後の表示設定またはnull
+ */
+export const updatePreferences = async (userId, preferences) => {
+  const updated = await userRepository.updatePreferences(userId, preferences);
+  return updated ? { ...DEFAULT_PREFERENCES, ...updated } : null;
+};
+
+/**
+ * マイクロポストをプロフィールに固定
+ * @param {number} userId - ユーザーID
+ * @param {number} micropostId - 固定するマイクロポストID
+ * @returns {Promise<boolean>} 更新成功の可否
+ */
+export const pinMicropost = async (userId, micropostId) => {
+  return await userRepository.setPinnedMicropost(userId, micropostId);
+};
+
+/**
+ * プロフィールの固定を解除
+ * @param {number} userId - ユーザーID
+ * @returns {Promise<boolean>} 更新成功の可否
+ */
+export const unpinMicropost = async (userId) => {
+  return await userRepository.setPinnedMicropost(userId, null);
+};
+
+/**
+ * ユーザーを利用停止にする
+ * 接続中のWebSocket・SSEは USER_SUSPENDED イベントのハンドラーが切断する
+ * @param {number} id - ユーザーID
+ * @returns {Promise<boolean>} 更新成功の可否
+ */
+export const suspendUser = async (id) => {
+  const suspended = await userRepository.suspend(id);
+  if (suspended) {
+    await eventDispatcher.emit(EVENTS.USER_SUSPENDED, { userId: parseInt(id, 10) });
+  }
+  return suspended;
+};
+
+/**
+ * ユーザー削除（論理削除）
+ * ユーザーと投稿は保持期間の経過後に完全に削除される
  * @param {number} id - ユーザーID
  * @returns {Promise<boolean>} 削除成功の可否
  */
@@ -65,6 +195,40 @@ export const deleteUser = async (id) => {
   return await userRepository.delete(id);
 };
 
+/**
+ * 削除したユーザーを元に戻す
+ * 一緒にゴミ箱に移動した投稿も元に戻し、ハッシュタグ索引に再登録する
+ * @param {number} id - ユーザーID
+ * @returns {Promise<Object|null>} 元に戻したユーザーまたはnull
+ */
+export const restoreUser = async (id) => {
+  const user = await userRepository.restore(id);
+  if (user) {
+    for (const micropost of await micropostRepository.findByUserId(id)) {
+      await indexMicropostHashtags(micropost);
+    }
+  }
+  return user;
+};
+
+/**
+ * 削除済みユーザーを完全に削除
+ * @param {number} id - ユーザーID
+ * @returns {Promise<boolean>} 削除成功の可否
+ */
+export const purgeUser = async (id) => {
+  return await userRepository.purge(id);
+};
+
+/**
+ * 保持期間を過ぎた削除済みユーザーを取得
+ * @param {Date} deletedBefore - この日時以前に削除されたユーザーが対象
+ * @returns {Promise<Array>} ユーザー一覧
+ */
+export const getExpiredDeletedUsers = async (deletedBefore) => {
+  return await userRepository.findDeleted({ deletedBefore });
+};
+
 /**
  * リポジトリを再初期化（テスト用）
  * @returns {Promise<void>}
@@ -0,0 +1,340 @@
+import http from 'http';
+import { WebSocketServer, WebSocket } from 'ws';
+import config from '../config/index.js';
+import eventDispatcher, { EVENTS } from './eventDispatcher.js';
+import { enrichMicropost, getAudienceIds, getExcludedRecipientIds } from './micropostService.js';
+import { getUserByIdFromDB } from './userService.js';
+import micropostRepository from '../repositories/micropostRepository.js';
+import { extractTokenFromRequest } from '../utils/jwt.js';
+import { extractHashtags, normalizeTag } from '../utils/hashtags.js';
+import { WebSocketClientMessageSchema } from '../../../shared/schemas/websocket.js';
+
+/**
+ * WebSocket Gateway
+ * HTTPサーバーの upgrade を受け付け、authenticate ミドルウェアと同じ
+ * JWT検証・ブラックリストチェック・利用停止チェックで認証したうえでチャンネル購読を提供する
+ * 利用停止になったユーザーの接続はその時点で切断する
+ *
+ * チャンネル:
+ * - user:<userId>   ユーザーの投稿
+ * - tag:<tag>       ハッシュタグを含む投稿
+ * - thread:<rootId> スレッド内の投稿（返信のIDで購読してもルートに正規化される）
+ *
+ * フォロワー限定・非公開の投稿は、購読していても公開範囲外のユーザーには配信しない
+ * 投稿者との間にブロックがあるユーザーと、投稿者をミュートしたユーザーにも配信しない
+ */
+
+export const WS_PATH = `${config.api.basePath}/ws`;
+
+/**
+ * クローズコード（4000番台はアプリケーション定義）
+ */
+export const WS_CLOSE_CODES = Object.freeze({
+  SERVER_SHUTDOWN: 1001,
+  // クライアントはトークンをリフレッシュして再接続する
+  TOKEN_EXPIRED: 4001,
+  // 利用停止になったユーザー（再接続も拒否される）
+  ACCOUNT_SUSPENDED: 4003
+});
+
+// setTimeout の最大遅延（約24.8日）
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * upgrade リクエストからトークンを抽出
+ * ブラウザはヘッダーを設定できないため、サブプロトコル "bearer, <token>" も受け付ける
+ * @param {http.IncomingMessage} req - upgrade リクエスト
+ * @returns {string|null} トークン
+ */
+const extractTokenFromUpgrade = (req) => {
+  const token = extractTokenFromRequest(req);
+  if (token) {
+    return token;
+  }
+
+  const [scheme, protocolToken] = (req.headers['sec-websocket-protocol'] || '').split(',').map(value => value.trim());
+  return scheme === 'bearer' && protocolToken ? protocolToken : null;
+};
+
+/**
+ * upgrade リクエストを認証
+ * ユーザーの取得は authenticate ミドルウェアと同じ getUserFromToken で行い、利用停止中のユーザーは拒否する
+ * @param {http.IncomingMessage} req - upgrade リクエスト
+ * @param {Object} authService - 認証サービス
+ * @returns {Promise<Object>} { user, expiresAt }
+ */
+const authenticateUpgrade = async (req, authService) => {
+  const token = extractTokenFromUpgrade(req);
+  if (!token) {
+    const error = new Error('認証トークンが必要です');
+    error.code = 'MISSING_TOKEN';
+    throw error;
+  }
+
+  if (await authService.jwtUtils.isTokenBlacklisted(token)) {
+    const error = new Error('このトークンは無効です');
+    error.code = 'TOKEN_BLACKLISTED';
+    throw error;
+  }
+
+  const user = await authService.getUserFromToken(token);
+  const payload = await authService.jwtUtils.verifyToken(token);
+
+  return { user, expiresAt: payload.exp * 1000 };
+};
+
+/**
+ * upgrade を拒否し、HTTPエラーレスポンスを返してソケットを閉じる
+ * @param {net.Socket} socket - ソケット
+ * @param {Object} error - { status, code, message }
+ */
+const rejectUpgrade = (socket, { status = 401, code = 'AUTHENTICATION_FAILED', message = '認証に失敗しました' }) => {
+  const body = JSON.stringify({
+    success: false,
+    error: {
+      code,
+      message,
+      timestamp: new Date().toISOString()
+    }
+  });
+
+  socket.end([
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+    'Content-Type: application/json; charset=utf-8',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+    '',
+    body
+  ].join('\r\n'));
+};
+
+/**
+ * 購読リクエストのチャンネルを検証・正規化
+ * @param {string} channel - クライアントが指定したチャンネル
+ * @returns {Promise<string|null>} 正規化されたチャンネル（対象が存在しない場合はnull）
+ */
+const resolveChannel = async (channel) => {
+  const separatorIndex = channel.indexOf(':');
+  const kind = channel.slice(0, separatorIndex);
+  const value = channel.slice(separatorIndex + 1);
+
+  switch (kind) {
+    case 'user':
+      return (await getUserByIdFromDB(parseInt(value, 10))) ? `user:${parseInt(value, 10)}` : null;
+    case 'tag':
+      return `tag:${normalizeTag(value)}`;
+    case 'thread': {
+      const root = await micropostRepository.findThreadRoot(value);
+      return root ? `thread:${root.id}` : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * 投稿が配信されるチャンネルを取得
+ * @param {Object} micropost - マイクロポスト
+ * @returns {Promise<Array<string>>} チャンネル配列
+ */
+const getMicropostChannels = async (micropost) => {
+  const root = micropost.inReplyToId
+    ? await micropostRepository.findThreadRoot(micropost.inReplyToId)
+    : micropost;
+
+  return [
+    `user:${micropost.userId}`,
+    ...extractHashtags(micropost.content).map(tag => `tag:${tag}`),
+    ...(root ? [`thread:${root.id}`] : [])
+  ];
+};
+
+/**
+ * HTTPサーバーに WebSocket ゲートウェイを接続
+ * @param {http.Server} server - app.listen() が返すHTTPサーバー
+ * @param {Object} authService - 認証サービス（authenticate ミドルウェアと同じもの）
+ * @param {Object} options - { dispatcher }
+ * @returns {Object} { wss, close }
+ */
+export function createWebSocketGateway(server, authService, { dispatcher = eventDispatcher } = {}) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    // サブプロトコルでトークンを渡された場合は "bearer" を選択する
+    handleProtocols: (protocols) => (protocols.has('bearer') ? 'bearer' : false)
+  });
+
+  // 接続ごとの状態（ws → { user, channels, expiryTimer, isAlive }）
+  const connections = new Map();
+
+  const send = (ws, message) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  // トークンの有効期限で接続を閉じる
+  const scheduleExpiry = (ws, state, expiresAt) => {
+    const delay = Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMEOUT_MS);
+    state.expiryTimer = setTimeout(() => {
+      if (Date.now() >= expiresAt) {
+        ws.close(WS_CLOSE_CODES.TOKEN_EXPIRED, 'Token expired');
+      } else {
+        scheduleExpiry(ws, state, expiresAt);
+      }
+    }, delay);
+  };
+
+  const handleMessage = async (ws, state, rawMessage) => {
+    let message;
+    try {
+      message = WebSocketClientMessageSchema.parse(JSON.parse(rawMessage.toString()));
+    } catch (error) {
+      send(ws, {
+        type: 'error',
+        error: { code: 'VALIDATION_ERROR', message: 'Invalid message' }
+      });
+      return;
+    }
+
+    const channel = await resolveChannel(message.channel);
+    if (!channel) {
+      send(ws, {
+        type: 'error',
+        channel: message.channel,
+        error: { code: 'NOT_FOUND', message: 'Channel not found' }
+      });
+      return;
+    }
+
+    if (message.type === 'subscribe') {
+      state.channels.add(channel);
+      send(ws, { type: 'subscribed', channel });
+    } else {
+      state.channels.delete(channel);
+      send(ws, { type: 'unsubscribed', channel });
+    }
+  };
+
+  const onUpgrade = async (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    let auth;
+    try {
+      auth = await authenticateUpgrade(req, authService);
+    } catch (error) {
+      rejectUpgrade(socket, { status: error.status || 401, code: error.code, message: error.message });
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const state = { user: auth.user, channels: new Set(), expiryTimer: null, isAlive: true };
+      connections.set(ws, state);
+      scheduleExpiry(ws, state, auth.expiresAt);
+
+      ws.on('message', (rawMessage) => {
+        handleMessage(ws, state, rawMessage).catch((error) => {
+          console.error('WebSocket message handling failed:', error);
+          send(ws, {
+            type: 'error',
+            error: { code: 'INTERNAL_SERVER_ERROR', message: 'Failed to handle message' }
+          });
+        });
+      });
+      ws.on('pong', () => { state.isAlive = true; });
+      ws.on('close', () => {
+        clearTimeout(state.expiryTimer);
+        connections.delete(ws);
+      });
+    });
+  };
+
+  // 投稿イベントを購読チャンネルに配信（1接続につき1メッセージ、投稿の公開範囲外・除外対象のユーザーには送らない）
+  const broadcast = async (type, channels, data, micropost) => {
+    const audienceIds = await getAudienceIds(micropost);
+    const excludedIds = await getExcludedRecipientIds(micropost);
+    for (const [ws, state] of connections) {
+      if ((audienceIds && !audienceIds.includes(state.user.id)) || excludedIds.includes(state.user.id)) {
+        continue;
+      }
+      const matchedChannels = channels.filter(channel => state.channels.has(channel));
+      if (matchedChannels.length > 0) {
+        send(ws, { type, channels: matchedChannels, data });
+      }
+    }
+  };
+
+  const unsubscribers = [
+    dispatcher.on(EVENTS.MICROPOST_CREATED, async ({ micropost }) => {
+      await broadcast(EVENTS.MICROPOST_CREATED, await getMicropostChannels(micropost), await enrichMicropost(micropost), micropost);
+    }),
+
+    // タグが変わった場合は旧タグのチャンネルにも配信する
+    dispatcher.on(EVENTS.MICROPOST_UPDATED, async ({ micropost, previous }) => {
+      const channels = new Set([...await getMicropostChannels(micropost), ...await getMicropostChannels(previous)]);
+      await broadcast(EVENTS.MICROPOST_UPDATED, [...channels], await enrichMicropost(micropost), micropost);
+    }),
+
+    // ゴミ箱から元に戻された投稿
+    dispatcher.on(EVENTS.MICROPOST_RESTORED, async ({ micropost }) => {
+      await broadcast(EVENTS.MICROPOST_RESTORED, await getMicropostChannels(micropost), await enrichMicropost(micropost), micropost);
+    }),
+
+    dispatcher.on(EVENTS.MICROPOST_DELETED, async ({ micropostId, micropost }) => {
+      if (micropost) {
+        await broadcast(EVENTS.MICROPOST_DELETED, await getMicropostChannels(micropost), { id: micropostId }, micropost);
+      }
+    }),
+
+    // 利用停止になったユーザーの接続を切断
+    dispatcher.on(EVENTS.USER_SUSPENDED, async ({ userId }) => {
+      for (const [ws, state] of connections) {
+        if (state.user.id === userId) {
+          ws.close(WS_CLOSE_CODES.ACCOUNT_SUSPENDED, 'Account suspended');
+        }
+      }
+    })
+  ];
+
+  // 応答のない接続を検出して切断
+  const heartbeat = setInterval(() => {
+    for (const [ws, state] of connections) {
+      if (!state.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      state.isAlive = false;
+      ws.ping();
+    }
+  }, config.stream.heartbeatIntervalMs);
+  heartbeat.unref();
+
+  server.on('upgrade', onUpgrade);
+
+  /**
+   * ゲートウェイを停止し、全ての接続を閉じる（グレースフルシャットダウン用）
+   * @returns {number} 閉じた接続数
+   */
+  const close = () => {
+    const closedCount = connections.size;
+
+    clearInterval(heartbeat);
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    server.off('upgrade', onUpgrade);
+
+    for (const [ws, state] of connections) {
+      clearTimeout(state.expiryTimer);
+      ws.close(WS_CLOSE_CODES.SERVER_SHUTDOWN, 'Server shutting down');
+    }
+    connections.clear();
+    wss.close();
+
+    return closedCount;
+  };
+
+  return { wss, close };
+}
+
+export default createWebSocketGateway;
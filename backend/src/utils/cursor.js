@@ -0,0 +1,101 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * カーソルページネーションユーティリティ
+ * createdAt + id をエンコードした不透明なカーソルで、
+ * 新規投稿が追加されても重複・欠落なく次のページを取得できる
+ */
+
+/**
+ * 項目からカーソル文字列を生成
+ * @param {Object} item - createdAt と id を持つ項目
+ * @returns {string} URLセーフなカーソル
+ */
+export function encodeCursor(item) {
+  const payload = JSON.stringify({ createdAt: item.createdAt, id: item.id });
+  return Buffer.from(payload, 'utf8').toString('base64url');
+}
+
+/**
+ * カーソル文字列をデコード
+ * @param {string} cursor - カーソル
+ * @returns {{createdAt: string, id: number}} デコード結果
+ * @throws {ValidationError} 不正なカーソルの場合
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (typeof createdAt !== 'string' || isNaN(new Date(createdAt).getTime()) || !Number.isInteger(id)) {
+      throw new Error('Malformed cursor payload');
+    }
+
+    return { createdAt, id };
+  } catch (error) {
+    throw new ValidationError('Invalid cursor', { cursor });
+  }
+}
+
+/**
+ * 新しい順（createdAt 降順、同時刻は id 降順）の比較関数
+ * @param {Object} a - 項目
+ * @param {Object} b - 項目
+ * @returns {number} 比較結果
+ */
+export function compareNewestFirst(a, b) {
+  const diff = new Date(b.createdAt) - new Date(a.createdAt);
+  return diff !== 0 ? diff : b.id - a.id;
+}
+
+/**
+ * 古い順（createdAt 昇順、同時刻は id 昇順）の比較関数
+ * @param {Object} a - 項目
+ * @param {Object} b - 項目
+ * @returns {number} 比較結果
+ */
+export function compareOldestFirst(a, b) {
+  return compareNewestFirst(b, a);
+}
+
+/**
+ * ソート済み配列をページネーション
+ * cursor 指定時はカーソルモード、未指定時はページモード
+ * @param {Array} items - compare でソート済みの配列
+ * @param {Object} options - { page, limit, cursor }
+ * @param {Function} compare - 並び順の比較関数（compareNewestFirst / compareOldestFirst）
+ * @returns {{items: Array, pagination: Object}} ページ内の項目とページネーション情報
+ */
+export function paginateByCursor(items, { page = 1, limit = 20, cursor } = {}, compare = compareNewestFirst) {
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    const remaining = items.filter(item => compare(position, item) < 0);
+    const pageItems = remaining.slice(0, limit);
+    const hasMore = remaining.length > limit;
+
+    return {
+      items: pageItems,
+      pagination: {
+        limit,
+        nextCursor: hasMore ? encodeCursor(pageItems[pageItems.length - 1]) : null,
+        hasMore
+      }
+    };
+  }
+
+  const total = items.length;
+  const totalPages = Math.ceil(total / limit);
+  const offset = (page - 1) * limit;
+  const pageItems = items.slice(offset, offset + limit);
+  const hasMore = offset + limit < total;
+
+  return {
+    items: pageItems,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      nextCursor: hasMore && pageItems.length > 0 ? encodeCursor(pageItems[pageItems.length - 1]) : null
+    }
+  };
+}
@@ -42,6 +42,18 @@ export class ForbiddenError extends AppError {
   }
 }
 
+export class PayloadTooLargeError extends AppError {
+  constructor(message = 'Payload too large', details = null) {
+    super(message, 413, 'PAYLOAD_TOO_LARGE', details);
+  }
+}
+
+export class UnsupportedMediaTypeError extends AppError {
+  constructor(message = 'Unsupported media type', details = null) {
+    super(message, 415, 'UNSUPPORTED_MEDIA_TYPE', details);
+  }
+}
+
 export const createError = (message, statusCode = 500, code = 'INTERNAL_ERROR') => {
   return new AppError(message, statusCode, code);
 };
@@ -0,0 +1,31 @@
+/**
+ * ハッシュタグユーティリティ
+ * 本文中の #タグ を抽出し、大文字小文字・全角半角の揺れを正規化する
+ */
+
+// 直前が英数字・アンダースコア・スラッシュの # はタグとみなさない（URLのフラグメントや "C#" など）
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_/])[#＃]([\p{L}\p{N}_]{1,100})/gu;
+
+/**
+ * タグを正規化
+ * @param {string} tag - タグ（先頭の # は任意）
+ * @returns {string} 正規化されたタグ（# なし、NFKC、小文字）
+ */
+export function normalizeTag(tag) {
+  return tag.normalize('NFKC').replace(/^#/, '').toLowerCase();
+}
+
+/**
+ * 本文からハッシュタグを抽出
+ * @param {string} content - 投稿内容
+ * @returns {Array<string>} 出現順・重複なしの正規化済みタグ配列
+ */
+export function extractHashtags(content) {
+  const tags = new Set();
+
+  for (const match of content.matchAll(HASHTAG_PATTERN)) {
+    tags.add(normalizeTag(match[2]));
+  }
+
+  return [...tags];
+}
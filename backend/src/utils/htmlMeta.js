@@ -0,0 +1,92 @@
+/**
+ * HTMLメタデータユーティリティ
+ * リンクプレビュー用に OGP / Twitter Card / 標準のメタタグからタイトル・説明・画像を取り出す
+ * HTML 全体は解析せず、<head> 内のタグのみを対象にする
+ */
+
+const META_TAG_PATTERN = /<meta\b[^>]*>/gi;
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/g;
+const TITLE_PATTERN = /<title\b[^>]*>([\s\S]*?)<\/title>/i;
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * 文字参照をデコード
+ * @private
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * 空白を詰めて最大長で切り詰める（空の場合は null）
+ * @private
+ */
+function clean(value, maxLength) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const text = decodeEntities(value).replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return null;
+  }
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * 画像URLをページのURLを基準に解決する（http / https 以外は null）
+ * @private
+ */
+function resolveImageUrl(value, pageUrl) {
+  const src = clean(value, 2048);
+  if (!src) {
+    return null;
+  }
+  try {
+    const url = new URL(src, pageUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * HTMLからリンクプレビューのメタデータを抽出
+ * OGP を優先し、なければ Twitter Card、標準の <title> / description の順に使用する
+ * @param {string} html - HTML
+ * @param {string} pageUrl - ページのURL（相対パスの画像URLの解決に使用）
+ * @returns {{title: string|null, description: string|null, image: string|null}} メタデータ
+ */
+export function extractPreviewMetadata(html, pageUrl) {
+  const headEnd = html.search(/<\/head>/i);
+  const head = headEnd === -1 ? html : html.slice(0, headEnd);
+
+  const meta = new Map();
+  for (const [tag] of head.matchAll(META_TAG_PATTERN)) {
+    const attributes = {};
+    for (const match of tag.matchAll(ATTRIBUTE_PATTERN)) {
+      attributes[match[1].toLowerCase()] = match[3] ?? match[4] ?? match[5];
+    }
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && !meta.has(key)) {
+      meta.set(key, attributes.content);
+    }
+  }
+
+  const first = (...keys) => keys.map(key => meta.get(key)).find(value => value !== undefined && value.trim() !== '');
+
+  return {
+    title: clean(first('og:title', 'twitter:title') ?? head.match(TITLE_PATTERN)?.[1], MAX_TITLE_LENGTH),
+    description: clean(first('og:description', 'twitter:description', 'description'), MAX_DESCRIPTION_LENGTH),
+    image: resolveImageUrl(first('og:image', 'og:image:url', 'twitter:image'), pageUrl)
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * 画像形式の判定ユーティリティ
+ * クライアントが送る Content-Type やファイル名は信用せず、
+ * 先頭のマジックバイトから形式を判定し、ヘッダーから縦横のサイズを読み取る
+ */
+
+/**
+ * PNG のサイズを読み取る（IHDR チャンク）
+ * @param {Buffer} data - 画像データ
+ * @returns {{width: number, height: number}|null}
+ */
+function readPngSize(data) {
+  if (data.length < 24 || data.toString('ascii', 12, 16) !== 'IHDR') {
+    return null;
+  }
+  return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+}
+
+/**
+ * GIF のサイズを読み取る（論理スクリーン記述子）
+ * @param {Buffer} data - 画像データ
+ * @returns {{width: number, height: number}|null}
+ */
+function readGifSize(data) {
+  if (data.length < 10) {
+    return null;
+  }
+  return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+}
+
+/**
+ * JPEG のサイズを読み取る（最初の SOF マーカー）
+ * @param {Buffer} data - 画像データ
+ * @returns {{width: number, height: number}|null}
+ */
+function readJpegSize(data) {
+  let offset = 2;
+
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xFF) {
+      return null;
+    }
+
+    const marker = data[offset + 1];
+    // SOF0〜SOF15（DHT: C4, JPG: C8, DAC: CC を除く）
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + data.readUInt16BE(offset + 2);
+  }
+
+  return null;
+}
+
+/**
+ * WebP のサイズを読み取る（VP8 / VP8L / VP8X）
+ * @param {Buffer} data - 画像データ
+ * @returns {{width: number, height: number}|null}
+ */
+function readWebpSize(data) {
+  if (data.length < 30) {
+    return null;
+  }
+
+  switch (data.toString('ascii', 12, 16)) {
+    case 'VP8 ':
+      return { width: data.readUInt16LE(26) & 0x3FFF, height: data.readUInt16LE(28) & 0x3FFF };
+    case 'VP8L': {
+      const bits = data.readUInt32LE(21);
+      return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    case 'VP8X':
+      return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+}
+
+// 対応する画像形式（先頭から順に判定）
+const IMAGE_TYPES = [
+  {
+    mimeType: 'image/png',
+    extension: 'png',
+    matches: data => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])),
+    readSize: readPngSize
+  },
+  {
+    mimeType: 'image/jpeg',
+    extension: 'jpg',
+    matches: data => data.length > 3 && data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF,
+    readSize: readJpegSize
+  },
+  {
+    mimeType: 'image/gif',
+    extension: 'gif',
+    matches: data => ['GIF87a', 'GIF89a'].includes(data.toString('ascii', 0, 6)),
+    readSize: readGifSize
+  },
+  {
+    mimeType: 'image/webp',
+    extension: 'webp',
+    matches: data => data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP',
+    readSize: readWebpSize
+  }
+];
+
+/**
+ * 画像データの形式とサイズを判定
+ * @param {Buffer} data - 画像データ
+ * @returns {{mimeType: string, extension: string, width: number, height: number}|null} 判定結果または対応していない形式の場合null
+ */
+export function detectImageType(data) {
+  const type = IMAGE_TYPES.find(candidate => candidate.matches(data));
+  const size = type?.readSize(data);
+
+  if (!size || size.width === 0 || size.height === 0) {
+    return null;
+  }
+
+  return {
+    mimeType: type.mimeType,
+    extension: type.extension,
+    ...size
+  };
+}
@@ -0,0 +1,59 @@
+import net from 'net';
+
+/**
+ * IPアドレスユーティリティ
+ * 外部へのリクエストで内部ネットワークにアクセスしないよう（SSRF 対策）、公開されていないアドレス範囲を判定する
+ */
+
+// IPv4 の判定は IPv6 の範囲（IPv4 射影アドレス）にも一致するため、アドレスファミリー毎に分ける
+const ipv4BlockList = new net.BlockList();
+const ipv6BlockList = new net.BlockList();
+
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // プライベート
+  ['100.64.0.0', 10], // CGNAT
+  ['127.0.0.0', 8], // ループバック
+  ['169.254.0.0', 16], // リンクローカル（クラウドのメタデータサービスを含む）
+  ['172.16.0.0', 12], // プライベート
+  ['192.0.0.0', 24], // IETF プロトコル割り当て
+  ['192.0.2.0', 24], // ドキュメント用
+  ['192.168.0.0', 16], // プライベート
+  ['198.18.0.0', 15], // ベンチマーク用
+  ['198.51.100.0', 24], // ドキュメント用
+  ['203.0.113.0', 24], // ドキュメント用
+  ['224.0.0.0', 4], // マルチキャスト
+  ['240.0.0.0', 4] // 予約済み・ブロードキャスト
+]) {
+  ipv4BlockList.addSubnet(network, prefix, 'ipv4');
+}
+
+for (const [network, prefix] of [
+  ['::', 128], // 未指定
+  ['::1', 128], // ループバック
+  ['::ffff:0:0', 96], // IPv4 射影アドレス
+  ['64:ff9b::', 96], // NAT64
+  ['100::', 64], // 破棄用
+  ['2001:db8::', 32], // ドキュメント用
+  ['fc00::', 7], // ユニークローカル
+  ['fe80::', 10], // リンクローカル
+  ['ff00::', 8] // マルチキャスト
+]) {
+  ipv6BlockList.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * 公開されていない（プライベート・ループバック・リンクローカル等の）アドレスか判定
+ * IPアドレスとして解釈できない値も安全側に倒して true を返す
+ * @param {string} address - IPアドレス
+ * @returns {boolean} 公開されていなければtrue
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return family === 4
+    ? ipv4BlockList.check(address, 'ipv4')
+    : ipv6BlockList.check(address, 'ipv6');
+}
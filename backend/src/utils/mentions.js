@@ -0,0 +1,38 @@
+/**
+ * メンションユーティリティ
+ * 本文中の @handle を抽出する
+ * ユーザーはハンドルを持たないため、名前から空白とアンダースコアを除いて小文字化したものをハンドルとみなす
+ * （例: "Alice Johnson" は @AliceJohnson / @alice_johnson で参照できる）
+ */
+
+// 直前が英数字・アンダースコア・ドット・@ の場合はメンションとみなさない（メールアドレスなど）
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_.@])[@＠]([\p{L}\p{N}_]{1,50})/gu;
+
+/**
+ * ハンドル・ユーザー名を照合用に正規化
+ * @param {string} value - ハンドルまたはユーザー名
+ * @returns {string} 正規化されたハンドル
+ */
+export function normalizeHandle(value) {
+  return value.normalize('NFKC').replace(/[\s_]/g, '').toLowerCase();
+}
+
+/**
+ * 本文からメンションを抽出
+ * @param {string} content - 投稿内容
+ * @returns {Array<{handle: string, start: number, end: number}>} 出現順のメンション（start/end は @ を含む本文中の位置）
+ */
+export function extractMentions(content) {
+  const mentions = [];
+
+  for (const match of content.matchAll(MENTION_PATTERN)) {
+    const start = match.index + match[1].length;
+    mentions.push({
+      handle: match[2],
+      start,
+      end: start + 1 + match[2].length
+    });
+  }
+
+  return mentions;
+}
@@ -0,0 +1,106 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * multipart/form-data パーサー
+ * 受信済みのリクエストボディ（Buffer）をパートごとに分割し、
+ * ファイル以外のパートはフィールド、filename を持つパートはファイルとして返す
+ */
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/**
+ * Content-Type ヘッダーから boundary を取り出す
+ * @param {string} contentType - Content-Type ヘッダー
+ * @returns {string|null} boundary または multipart でない場合null
+ */
+export function getBoundary(contentType = '') {
+  if (!/^multipart\/form-data/i.test(contentType)) {
+    return null;
+  }
+
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+/**
+ * パートのヘッダーを解析
+ * @param {string} headerText - パートのヘッダー部分
+ * @returns {{name: string|null, filename: string|null, contentType: string|null}} 解析結果
+ */
+function parsePartHeaders(headerText) {
+  const headers = {};
+  for (const line of headerText.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  const disposition = headers['content-disposition'] || '';
+  const name = /\bname="([^"]*)"/i.exec(disposition);
+  const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+
+  return {
+    name: name ? name[1] : null,
+    filename: filename ? filename[1] : null,
+    contentType: headers['content-type'] || null
+  };
+}
+
+/**
+ * multipart/form-data のボディを解析
+ * @param {Buffer} body - リクエストボディ
+ * @param {string} contentType - Content-Type ヘッダー
+ * @returns {{fields: Object, files: Array}} フィールドと { fieldName, filename, contentType, data } の配列
+ * @throws {ValidationError} multipart として解釈できない場合
+ */
+export function parseMultipart(body, contentType) {
+  const boundary = getBoundary(contentType);
+  if (!boundary || !Buffer.isBuffer(body)) {
+    throw new ValidationError('Request must be multipart/form-data');
+  }
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const partEnd = Buffer.concat([CRLF, delimiter]);
+  const fields = {};
+  const files = [];
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw new ValidationError('Malformed multipart body');
+  }
+
+  while (position !== -1) {
+    position += delimiter.length;
+
+    // 終端の区切り（--boundary--）
+    if (body.subarray(position, position + 2).toString() === '--') {
+      return { fields, files };
+    }
+    if (!body.subarray(position, position + CRLF.length).equals(CRLF)) {
+      break;
+    }
+    position += CRLF.length;
+
+    const headerEnd = body.indexOf(HEADER_END, position);
+    // 本文の末尾の CRLF は次の区切りの一部
+    const next = headerEnd === -1 ? -1 : body.indexOf(partEnd, headerEnd + HEADER_END.length);
+    if (next === -1) {
+      break;
+    }
+
+    const { name, filename, contentType: partType } = parsePartHeaders(body.subarray(position, headerEnd).toString('utf8'));
+    const data = body.subarray(headerEnd + HEADER_END.length, next);
+
+    if (name !== null && filename !== null) {
+      files.push({ fieldName: name, filename, contentType: partType, data });
+    } else if (name !== null) {
+      fields[name] = data.toString('utf8');
+    }
+
+    position = next + CRLF.length;
+  }
+
+  throw new ValidationError('Malformed multipart body');
+}
@@ -0,0 +1,68 @@
+import { compareOldestFirst } from './cursor.js';
+
+/**
+ * スレッド（返信ツリー）ユーティリティ
+ * 返信が付いたマイクロポストは削除時に墓標（tombstone）として残し、
+ * 返信が親を失って孤立しないようにする
+ */
+
+/**
+ * マイクロポストを墓標に変換
+ * 本文と投稿者は破棄し、スレッド構造に必要な項目のみ残す
+ * @param {Object} micropost - マイクロポスト
+ * @returns {Object} 墓標
+ */
+export function toTombstone(micropost) {
+  return {
+    id: micropost.id,
+    inReplyToId: micropost.inReplyToId ?? null,
+    createdAt: micropost.createdAt,
+    tombstone: true
+  };
+}
+
+/**
+ * 表示される返信が残らない墓標を取り除く
+ * 葉の墓標を取り除くと親の墓標が葉になるため、変化がなくなるまで繰り返す
+ * @param {Array} microposts - スレッド内の投稿配列（墓標を含む）
+ * @returns {Array} 取り除いた後の投稿配列
+ */
+export function pruneTombstones(microposts) {
+  let remaining = microposts;
+  let pruned = true;
+
+  while (pruned) {
+    const referencedIds = new Set(remaining.map(post => post.inReplyToId));
+    const next = remaining.filter(post => !post.tombstone || referencedIds.has(post.id));
+    pruned = next.length !== remaining.length;
+    remaining = next;
+  }
+
+  return remaining;
+}
+
+/**
+ * フラットな投稿配列から返信ツリーを構築
+ * 各階層は古い順（会話順）に並べる
+ * @param {Array} microposts - スレッド内の投稿配列（墓標を含む）
+ * @param {number} parentId - ツリーの親となる投稿ID
+ * @returns {Array} parentId への返信ノード配列（各ノードは replies を持つ）
+ */
+export function buildReplyTree(microposts, parentId) {
+  const childrenByParent = new Map();
+
+  for (const micropost of microposts) {
+    const siblings = childrenByParent.get(micropost.inReplyToId) || [];
+    siblings.push(micropost);
+    childrenByParent.set(micropost.inReplyToId, siblings);
+  }
+
+  const build = (id) => (childrenByParent.get(id) || [])
+    .sort(compareOldestFirst)
+    .map(micropost => ({
+      ...micropost,
+      replies: build(micropost.id)
+    }));
+
+  return build(parentId);
+}
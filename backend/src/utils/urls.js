@@ -0,0 +1,34 @@
+/**
+ * URLユーティリティ
+ * 本文中の http / https の URL を抽出する
+ */
+
+const URL_PATTERN = /https?:\/\/[^\s<>"'「」『』（）]+/giu;
+
+// 文末の句読点や閉じ括弧は URL に含めない
+const TRAILING_PUNCTUATION = /[.,!?;:)\]}'"。、！？]+$/u;
+
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * 本文から URL を抽出
+ * @param {string} content - 投稿内容
+ * @returns {Array<string>} 出現順・重複なしの正規化済み URL 配列
+ */
+export function extractUrls(content) {
+  const urls = new Set();
+
+  for (const match of content.matchAll(URL_PATTERN)) {
+    const candidate = match[0].replace(TRAILING_PUNCTUATION, '');
+    if (candidate.length > MAX_URL_LENGTH) {
+      continue;
+    }
+    try {
+      urls.add(new URL(candidate).href);
+    } catch {
+      // URL として解釈できないものは無視する
+    }
+  }
+
+  return [...urls];
+}
@@ -0,0 +1,51 @@
+/**
+ * 公開範囲ユーティリティ
+ * マイクロポストの公開範囲と、閲覧者がその投稿を見られるかを判定する
+ *
+ * - public:    全員（未認証を含む）
+ * - followers: 投稿者本人と投稿者のフォロワー
+ * - private:   投稿者本人のみ
+ *
+ * 加えて、ブロックした・されたユーザーの投稿は公開範囲によらず互いに見られない
+ * 管理者が非表示にした投稿（hiddenAt を持つ投稿）は投稿者本人にしか見えない
+ */
+
+export const VISIBILITIES = Object.freeze(['public', 'followers', 'private']);
+
+/**
+ * マイクロポストの公開範囲を取得
+ * 公開範囲を持たない（導入前の）投稿は public として扱う
+ * @param {Object} micropost - マイクロポスト
+ * @returns {string} 公開範囲
+ */
+export function getVisibility(micropost) {
+  return micropost.visibility || 'public';
+}
+
+/**
+ * 閲覧者がマイクロポストを見られるか判定
+ * 閲覧者との間にブロックがあるユーザーの投稿と、管理者が非表示にした他人の投稿は公開範囲によらず見られない
+ * @param {Object} micropost - マイクロポスト
+ * @param {Object|null} viewer - { id: 閲覧ユーザーID（未認証はnull）, followingIds: フォロー中のユーザーIDのSet, blockedIds: ブロックした・されたユーザーIDのSet }
+ * @returns {boolean} 見られればtrue
+ */
+export function canView(micropost, viewer) {
+  if (viewer?.blockedIds.has(micropost.userId)) {
+    return false;
+  }
+  if (micropost.hiddenAt && micropost.userId !== viewer?.id) {
+    return false;
+  }
+
+  const visibility = getVisibility(micropost);
+  if (visibility === 'public') {
+    return true;
+  }
+  if (!viewer?.id) {
+    return false;
+  }
+  if (micropost.userId === viewer.id) {
+    return true;
+  }
+  return visibility === 'followers' && viewer.followingIds.has(micropost.userId);
+}
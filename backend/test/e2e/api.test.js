@@ -3,6 +3,23 @@ import app from '../../src/app.js';
 
 describe('End-to-End API Tests', () => {
   describe('Full User and Micropost Workflow', () => {
+    let authToken;
+    let authUserId;
+
+    beforeAll(async () => {
+      // E2E用ユーザーを登録してトークンを取得
+      const registerResponse = await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          name: 'E2E User',
+          email: `e2e-${Date.now()}@example.com`,
+          password: 'password123'
+        });
+
+      authToken = registerResponse.body.data.tokens.access_token;
+      authUserId = registerResponse.body.data.user.id;
+    });
+
     it('should complete a full user workflow according to OpenAPI', async () => {
       // 1. Get all users (OpenAPI endpoint)
       const usersResponse = await request(app)
@@ -15,7 +32,7 @@ describe('End-to-End API Tests', () => {
       expect(usersResponse.body.data).toBeInstanceOf(Array);
       expect(usersResponse.body.data.length).toBeGreaterThan(0);
       
-      const userId = usersResponse.body.data[0].id;
+      const userId = authUserId;
 
       // 2. Get user details (OpenAPI endpoint)
       const userDetailResponse = await request(app)
@@ -46,6 +63,7 @@ describe('End-to-End API Tests', () => {
 
       const createResponse = await request(app)
         .post(`/api/v1/users/${userId}/microposts`)
+        .set('Authorization', `Bearer ${authToken}`)
         .send(newMicropost)
         .expect(201);
 
@@ -113,14 +131,16 @@ describe('End-to-End API Tests', () => {
 
       // Test 400 for invalid micropost creation (empty content)
       const response4 = await request(app)
-        .post('/api/v1/users/1/microposts')
+        .post(`/api/v1/users/${authUserId}/microposts`)
+        .set('Authorization', `Bearer ${authToken}`)
         .send({ content: '' })
         .expect(400);
       expect(response4.body).toHaveProperty('error');
 
       // Test 400 for invalid micropost creation (content too long)
       const response5 = await request(app)
-        .post('/api/v1/users/1/microposts')
+        .post(`/api/v1/users/${authUserId}/microposts`)
+        .set('Authorization', `Bearer ${authToken}`)
         .send({ content: 'a'.repeat(281) })
         .expect(400);
       expect(response5.body).toHaveProperty('error');
@@ -138,6 +158,34 @@ describe('End-to-End API Tests', () => {
       expect(response7.body).toHaveProperty('error');
     });
 
+    it('should protect micropost creation with authentication and self-or-admin authorization', async () => {
+      const newMicropost = { content: 'Unauthorized micropost attempt' };
+
+      // Test 401 without token
+      const noTokenResponse = await request(app)
+        .post(`/api/v1/users/${authUserId}/microposts`)
+        .send(newMicropost)
+        .expect(401);
+      expect(noTokenResponse.body.error.code).toBe('MISSING_TOKEN');
+
+      // Test 401 with invalid token
+      const invalidTokenResponse = await request(app)
+        .post(`/api/v1/users/${authUserId}/microposts`)
+        .set('Authorization', 'Bearer invalid-token')
+        .send(newMicropost)
+        .expect(401);
+      expect(invalidTokenResponse.body).toHaveProperty('error');
+
+      // Test 403 when posting as another user
+      const otherUserId = authUserId === 1 ? 2 : 1;
+      const forbiddenResponse = await request(app)
+        .post(`/api/v1/users/${otherUserId}/microposts`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(newMicropost)
+        .expect(403);
+      expect(forbiddenResponse.body.error.code).toBe('ACCESS_DENIED');
+    });
+
     it('should support pagination and search according to OpenAPI', async () => {
       // Test user pagination
       const paginatedUsersResponse = await request(app)
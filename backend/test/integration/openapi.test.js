@@ -125,6 +125,15 @@ describe('OpenAPI Integration Tests', () => {
 
   describe('Microposts API (OpenAPI-driven)', () => {
     const userId = 1;
+    let authToken;
+
+    beforeAll(async () => {
+      // BearerAuth が必要な操作のためにログイン
+      const loginResponse = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      authToken = loginResponse.body.data.tokens.access_token;
+    });
 
     it('GET /api/v1/users/:userId/microposts should return user microposts', async () => {
       const res = await request(app).get(`/api/v1/users/${userId}/microposts`);
@@ -163,6 +172,7 @@ describe('OpenAPI Integration Tests', () => {
       
       const res = await request(app)
         .post(`/api/v1/users/${userId}/microposts`)
+        .set('Authorization', `Bearer ${authToken}`)
         .send(newPost)
         .set('Accept', 'application/json');
       
@@ -185,6 +195,7 @@ describe('OpenAPI Integration Tests', () => {
       
       const res = await request(app)
         .post(`/api/v1/users/${userId}/microposts`)
+        .set('Authorization', `Bearer ${authToken}`)
         .send(invalidPost)
         .set('Accept', 'application/json');
       
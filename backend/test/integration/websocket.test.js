@@ -0,0 +1,242 @@
+import request from 'supertest';
+import WebSocket from 'ws';
+import app from '../../src/app.js';
+import { authService } from '../../src/routes/index.js';
+import { createWebSocketGateway, WS_PATH, WS_CLOSE_CODES } from '../../src/services/websocketGateway.js';
+import { suspendUser } from '../../src/services/userService.js';
+import { hideMicropost } from '../../src/services/micropostService.js';
+import hashtagRepository from '../../src/repositories/hashtagRepository.js';
+import { JWTUtils } from '../../src/utils/jwt.js';
+import config from '../../src/config/index.js';
+
+describe('WebSocket Gateway', () => {
+  let server;
+  let gateway;
+  let author;
+  let viewer;
+  const tag = `socket${Date.now()}`;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      email: response.body.data.user.email,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const createPost = async (body) => {
+    const response = await request(app)
+      .post(`/api/v1/users/${author.id}/microposts`)
+      .set('Authorization', `Bearer ${author.token}`)
+      .send(body)
+      .expect(201);
+    return response.body.data;
+  };
+
+  // 受信メッセージを蓄積するクライアント
+  const connect = (options = {}) => new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const ws = new WebSocket(`ws://localhost:${port}${WS_PATH}`, options.protocols, {
+      headers: options.token ? { Authorization: `Bearer ${options.token}` } : {}
+    });
+    ws.messages = [];
+    ws.on('message', (data) => ws.messages.push(JSON.parse(data.toString())));
+    ws.on('open', () => resolve(ws));
+    ws.on('unexpected-response', (req, res) => reject(Object.assign(new Error('rejected'), { statusCode: res.statusCode })));
+    ws.on('error', reject);
+  });
+
+  const waitFor = async (predicate) => {
+    for (let i = 0; i < 150 && !predicate(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    expect(predicate()).toBe(true);
+  };
+
+  const subscribe = async (ws, channel) => {
+    const count = ws.messages.length;
+    ws.send(JSON.stringify({ type: 'subscribe', channel }));
+    await waitFor(() => ws.messages.length > count);
+    return ws.messages[ws.messages.length - 1];
+  };
+
+  beforeAll(async () => {
+    server = app.listen(0);
+    gateway = createWebSocketGateway(server, authService);
+    author = await registerUser('Socketeer');
+    viewer = await registerUser('Watcher');
+  });
+
+  afterAll(async () => {
+    gateway.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('Handshake', () => {
+    it('should reject connections without token', async () => {
+      await expect(connect()).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should reject invalid and blacklisted tokens', async () => {
+      await expect(connect({ token: 'invalid.token.value' })).rejects.toMatchObject({ statusCode: 401 });
+
+      const loggedOut = await registerUser('LoggedOut');
+      await request(app)
+        .post('/api/v1/auth/logout')
+        .set('Authorization', `Bearer ${loggedOut.token}`)
+        .expect(200);
+
+      await expect(connect({ token: loggedOut.token })).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should accept the token as a bearer subprotocol', async () => {
+      const ws = await connect({ protocols: ['bearer', viewer.token] });
+
+      expect(ws.protocol).toBe('bearer');
+      ws.close();
+    });
+
+    it('should close with TOKEN_EXPIRED when the token expires', async () => {
+      const shortLivedJwt = new JWTUtils({ jwtSecret: config.jwt.secret, jwtExpiresIn: 2 });
+      const { access_token } = await shortLivedJwt.generateTokens({ id: viewer.id, email: viewer.email, roles: ['user'] });
+
+      const ws = await connect({ token: access_token });
+      const closeCode = await new Promise(resolve => ws.on('close', resolve));
+
+      expect(closeCode).toBe(WS_CLOSE_CODES.TOKEN_EXPIRED);
+    });
+
+    it('should close the connections of a suspended user and reject them afterwards', async () => {
+      const suspended = await registerUser('Suspended');
+      const ws = await connect({ token: suspended.token });
+      const closed = new Promise(resolve => ws.on('close', resolve));
+
+      expect(await suspendUser(suspended.id)).toBe(true);
+      expect(await closed).toBe(WS_CLOSE_CODES.ACCOUNT_SUSPENDED);
+
+      await expect(connect({ token: suspended.token })).rejects.toMatchObject({ statusCode: 403 });
+      await expect(connect({ protocols: ['bearer', suspended.token] })).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('Channels', () => {
+    let ws;
+
+    beforeEach(async () => {
+      ws = await connect({ token: viewer.token });
+    });
+
+    afterEach(() => {
+      ws.close();
+    });
+
+    it('should broadcast micropost events to user timeline subscribers', async () => {
+      expect(await subscribe(ws, `user:${author.id}`)).toEqual({ type: 'subscribed', channel: `user:${author.id}` });
+
+      const post = await createPost({ content: 'Hello sockets' });
+      await request(app)
+        .patch(`/api/v1/microposts/${post.id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ content: 'Hello sockets (edited)' })
+        .expect(200);
+      await request(app)
+        .delete(`/api/v1/microposts/${post.id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(204);
+
+      await waitFor(() => ws.messages.length === 4);
+
+      const [, created, updated, deleted] = ws.messages;
+      expect(created).toMatchObject({ type: 'micropost.created', channels: [`user:${author.id}`] });
+      expect(created.data).toMatchObject({ id: post.id, content: 'Hello sockets' });
+      expect(created.data.user).toHaveProperty('id', author.id);
+      expect(updated).toMatchObject({ type: 'micropost.updated', data: { content: 'Hello sockets (edited)' } });
+      expect(deleted).toEqual({ type: 'micropost.deleted', channels: [`user:${author.id}`], data: { id: post.id } });
+    });
+
+    it('should deliver tag and thread events once per connection', async () => {
+      const root = await createPost({ content: 'Thread root' });
+      const reply = await createPost({ content: 'First reply', inReplyToId: root.id });
+
+      // 返信IDでの購読はルートに正規化される
+      expect(await subscribe(ws, `thread:${reply.id}`)).toEqual({ type: 'subscribed', channel: `thread:${root.id}` });
+      expect(await subscribe(ws, `tag:#${tag.toUpperCase()}`)).toEqual({ type: 'subscribed', channel: `tag:${tag}` });
+
+      const nested = await createPost({ content: `Nested #${tag}`, inReplyToId: reply.id });
+      await createPost({ content: 'Unrelated post' });
+      await createPost({ content: `Tagged #${tag}` });
+
+      await waitFor(() => ws.messages.length === 4);
+
+      expect(ws.messages[2]).toMatchObject({
+        type: 'micropost.created',
+        channels: [`tag:${tag}`, `thread:${root.id}`],
+        data: { id: nested.id }
+      });
+      expect(ws.messages[3]).toMatchObject({ channels: [`tag:${tag}`], data: { content: `Tagged #${tag}` } });
+    });
+
+    it('should not deliver edits or restores of a hidden micropost to other users', async () => {
+      const hiddenTag = `hidden${tag}`;
+      await subscribe(ws, `user:${author.id}`);
+      await subscribe(ws, `tag:${hiddenTag}`);
+
+      const post = await createPost({ content: `Offensive #${hiddenTag}` });
+      await hideMicropost(post.id);
+
+      await request(app)
+        .patch(`/api/v1/microposts/${post.id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ content: `Offensive again #${hiddenTag}` })
+        .expect(200);
+      await request(app)
+        .delete(`/api/v1/microposts/${post.id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(204);
+      await request(app)
+        .post(`/api/v1/microposts/${post.id}/restore`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(200);
+
+      await waitFor(() => ws.messages.length >= 4);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(ws.messages.slice(2).map(message => message.type)).toEqual(['micropost.created', 'micropost.deleted']);
+      expect(ws.messages[3]).toMatchObject({ channels: [`user:${author.id}`, `tag:${hiddenTag}`], data: { id: post.id } });
+      expect(await hashtagRepository.findByTag(hiddenTag)).toEqual([]);
+    });
+
+    it('should stop delivering after unsubscribe', async () => {
+      await subscribe(ws, `user:${author.id}`);
+      ws.send(JSON.stringify({ type: 'unsubscribe', channel: `user:${author.id}` }));
+      await waitFor(() => ws.messages.length === 2);
+      expect(ws.messages[1]).toEqual({ type: 'unsubscribed', channel: `user:${author.id}` });
+
+      await createPost({ content: 'Nobody is listening' });
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(ws.messages).toHaveLength(2);
+    });
+
+    it('should reply with errors for invalid messages and unknown channels', async () => {
+      expect(await subscribe(ws, 'room:1')).toMatchObject({ type: 'error', error: { code: 'VALIDATION_ERROR' } });
+      expect(await subscribe(ws, 'thread:99999')).toMatchObject({
+        type: 'error',
+        channel: 'thread:99999',
+        error: { code: 'NOT_FOUND' }
+      });
+
+      ws.send('not json');
+      await waitFor(() => ws.messages.length === 3);
+      expect(ws.messages[2]).toMatchObject({ type: 'error', error: { code: 'VALIDATION_ERROR' } });
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+
+describe('Blocks and mutes', () => {
+  const stamp = Date.now();
+  const word = `quietly${stamp}`;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: `${name} ${stamp}`,
+        email: `${name.toLowerCase()}-${stamp}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      handle: `${name.toLowerCase()}_${stamp}`,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const createPost = async (user, body) => {
+    return await request(app)
+      .post(`/api/v1/users/${user.id}/microposts`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .send(body);
+  };
+
+  const act = (method, path, user) => {
+    return request(app)[method](path).set('Authorization', `Bearer ${user.token}`);
+  };
+
+  const ids = (response) => response.body.data.map(item => item.id);
+
+  describe('Blocks', () => {
+    let blocker;
+    let blocked;
+    let bystander;
+    let blockedPost;
+    let blockerPost;
+
+    beforeAll(async () => {
+      blocker = await registerUser('Gatekeeper');
+      blocked = await registerUser('Heckler');
+      bystander = await registerUser('Onlooker');
+
+      await act('post', `/api/v1/users/${blocked.id}/follow`, blocker).expect(201);
+      await act('post', `/api/v1/users/${blocker.id}/follow`, blocked).expect(201);
+
+      blockedPost = (await createPost(blocked, { content: `Loud opinion ${word}` })).body.data;
+      blockerPost = (await createPost(blocker, { content: `Calm opinion ${word}` })).body.data;
+    });
+
+    it('should block a user, remove follows both ways and list the block', async () => {
+      const response = await act('post', `/api/v1/users/${blocked.id}/block`, blocker);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ blockerId: blocker.id, blockedId: blocked.id });
+
+      const following = await request(app).get(`/api/v1/users/${blocker.id}/following`).expect(200);
+      const followers = await request(app).get(`/api/v1/users/${blocker.id}/followers`).expect(200);
+      expect(ids(following)).toEqual([]);
+      expect(ids(followers)).toEqual([]);
+
+      const list = await act('get', '/api/v1/me/blocks', blocker).expect(200);
+      expect(ids(list)).toEqual([blocked.id]);
+      expect(list.body.pagination.total).toBe(1);
+    });
+
+    it('should reject blocking yourself, unknown users and duplicate blocks', async () => {
+      expect((await act('post', `/api/v1/users/${blocker.id}/block`, blocker)).status).toBe(400);
+      expect((await act('post', '/api/v1/users/999999/block', blocker)).status).toBe(404);
+      expect((await act('post', `/api/v1/users/${blocked.id}/block`, blocker)).status).toBe(409);
+      expect((await request(app).post(`/api/v1/users/${blocked.id}/block`)).status).toBe(401);
+    });
+
+    it('should forbid following in either direction', async () => {
+      const follow = await act('post', `/api/v1/users/${blocker.id}/follow`, blocked);
+      const followBack = await act('post', `/api/v1/users/${blocked.id}/follow`, blocker);
+
+      expect(follow.status).toBe(403);
+      expect(follow.body.error.code).toBe('FORBIDDEN');
+      expect(followBack.status).toBe(403);
+    });
+
+    it('should hide microposts from each other', async () => {
+      expect((await act('get', `/api/v1/microposts/${blockerPost.id}`, blocked)).status).toBe(404);
+      expect((await act('get', `/api/v1/microposts/${blockedPost.id}`, blocker)).status).toBe(404);
+      expect((await act('get', `/api/v1/microposts/${blockedPost.id}`, bystander)).status).toBe(200);
+
+      const search = `/api/v1/microposts?search=${word}&limit=50`;
+      expect(ids(await act('get', search, blocker))).toEqual([blockerPost.id]);
+      expect(ids(await act('get', search, blocked))).toEqual([blockedPost.id]);
+      expect(ids(await act('get', search, bystander))).toEqual([blockerPost.id, blockedPost.id]);
+
+      const profile = await act('get', `/api/v1/users/${blocked.id}/microposts`, blocker).expect(200);
+      expect(ids(profile)).toEqual([]);
+    });
+
+    it('should forbid replies and drop mentions across the block', async () => {
+      const reply = await createPost(blocked, { content: 'Well actually', inReplyToId: blockerPost.id });
+      expect(reply.status).toBe(400);
+      expect(reply.body.error.message).toBe('Reply target micropost does not exist');
+
+      const like = await act('post', `/api/v1/microposts/${blockerPost.id}/like`, blocked);
+      expect(like.status).toBe(404);
+
+      const mention = await createPost(blocked, { content: `Hey @${blocker.handle} and @${bystander.handle}` });
+      expect(mention.status).toBe(201);
+      expect(mention.body.data.mentions.map(item => item.userId)).toEqual([bystander.id]);
+
+      const notifications = await act('get', '/api/v1/notifications', blocker).expect(200);
+      expect(notifications.body.data.some(item => item.actorId === blocked.id)).toBe(false);
+    });
+
+    it('should restore visibility after unblocking, but not the removed follows', async () => {
+      await act('delete', `/api/v1/users/${blocked.id}/block`, blocker).expect(204);
+      expect((await act('delete', `/api/v1/users/${blocked.id}/block`, blocker)).status).toBe(404);
+
+      expect((await act('get', `/api/v1/microposts/${blockerPost.id}`, blocked)).status).toBe(200);
+      expect(ids(await act('get', '/api/v1/me/blocks', blocker))).toEqual([]);
+      expect(ids(await request(app).get(`/api/v1/users/${blocker.id}/following`))).toEqual([]);
+      await act('post', `/api/v1/users/${blocker.id}/follow`, blocked).expect(201);
+    });
+  });
+
+  describe('Mutes', () => {
+    let muter;
+    let muted;
+    let mutedPost;
+    let otherPost;
+    let tag;
+
+    beforeAll(async () => {
+      muter = await registerUser('Reader');
+      muted = await registerUser('Chatterbox');
+      const other = await registerUser('Writer');
+      tag = `muted${stamp}`;
+
+      await act('post', `/api/v1/users/${muted.id}/follow`, muter).expect(201);
+      await act('post', `/api/v1/users/${other.id}/follow`, muter).expect(201);
+
+      mutedPost = (await createPost(muted, { content: `Noise ${word} #${tag}` })).body.data;
+      otherPost = (await createPost(other, { content: `Signal ${word} #${tag}` })).body.data;
+    });
+
+    it('should mute a user and list the mute', async () => {
+      const response = await act('post', `/api/v1/users/${muted.id}/mute`, muter);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ muterId: muter.id, mutedId: muted.id });
+      expect((await act('post', `/api/v1/users/${muted.id}/mute`, muter)).status).toBe(409);
+      expect((await act('post', `/api/v1/users/${muter.id}/mute`, muter)).status).toBe(400);
+
+      expect(ids(await act('get', '/api/v1/me/mutes', muter))).toEqual([muted.id]);
+    });
+
+    it('should filter muted users out of the timeline, search, feed and tag timeline', async () => {
+      for (const path of [
+        '/api/v1/microposts?limit=50',
+        `/api/v1/microposts?search=${word}&limit=50`,
+        '/api/v1/feed?limit=50',
+        `/api/v1/tags/${tag}/microposts?limit=50`
+      ]) {
+        const list = ids(await act('get', path, muter));
+        expect(list).toContain(otherPost.id);
+        expect(list).not.toContain(mutedPost.id);
+      }
+
+      // ミュートは一方向で、相手や他のユーザーには影響しない
+      const own = ids(await act('get', `/api/v1/microposts?search=${word}&limit=50`, muted));
+      expect(own).toContain(mutedPost.id);
+      expect((await act('get', `/api/v1/microposts/${mutedPost.id}`, muter)).status).toBe(200);
+    });
+
+    it('should suppress notifications from muted users', async () => {
+      await act('post', `/api/v1/microposts/${mutedPost.id}/like`, muter).expect(201);
+      const reply = await createPost(muted, { content: `Thanks @${muter.handle}`, inReplyToId: mutedPost.id });
+      expect(reply.status).toBe(201);
+
+      const notifications = await act('get', '/api/v1/notifications', muter).expect(200);
+      expect(notifications.body.data.some(item => item.actorId === muted.id)).toBe(false);
+    });
+
+    it('should show the muted user again after unmuting', async () => {
+      await act('delete', `/api/v1/users/${muted.id}/mute`, muter).expect(204);
+      expect((await act('delete', `/api/v1/users/${muted.id}/mute`, muter)).status).toBe(404);
+
+      expect(ids(await act('get', '/api/v1/feed?limit=50', muter))).toContain(mutedPost.id);
+      expect(ids(await act('get', '/api/v1/me/mutes', muter))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+
+describe('Bookmark Controller', () => {
+  let author;
+  let reader;
+  let firstPostId;
+  let secondPostId;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const createPost = async (content) => {
+    const response = await request(app)
+      .post(`/api/v1/users/${author.id}/microposts`)
+      .set('Authorization', `Bearer ${author.token}`)
+      .send({ content });
+    return response.body.data.id;
+  };
+
+  const bookmark = async (user, micropostId) => {
+    return await request(app)
+      .post(`/api/v1/microposts/${micropostId}/bookmark`)
+      .set('Authorization', `Bearer ${user.token}`);
+  };
+
+  beforeAll(async () => {
+    author = await registerUser('Writer');
+    reader = await registerUser('Reader');
+
+    firstPostId = await createPost('Worth saving');
+    secondPostId = await createPost('Also worth saving');
+  });
+
+  describe('POST /api/v1/microposts/:micropostId/bookmark', () => {
+    afterEach(async () => {
+      await request(app)
+        .delete(`/api/v1/microposts/${firstPostId}/bookmark`)
+        .set('Authorization', `Bearer ${reader.token}`);
+    });
+
+    it('should bookmark a micropost with status 201', async () => {
+      const response = await bookmark(reader, firstPostId);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toHaveProperty('id');
+      expect(response.body.data).toHaveProperty('userId', reader.id);
+      expect(response.body.data).toHaveProperty('micropostId', firstPostId);
+      expect(response.body.data).toHaveProperty('createdAt');
+    });
+
+    it('should return 409 when already bookmarked', async () => {
+      expect((await bookmark(reader, firstPostId)).status).toBe(201);
+
+      const response = await bookmark(reader, firstPostId);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('CONFLICT');
+    });
+
+    it('should return 404 for non-existent micropost', async () => {
+      const response = await bookmark(reader, 99999);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should return 401 without token', async () => {
+      const response = await request(app)
+        .post(`/api/v1/microposts/${firstPostId}/bookmark`)
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+  });
+
+  describe('DELETE /api/v1/microposts/:micropostId/bookmark', () => {
+    it('should remove a bookmark with status 204', async () => {
+      expect((await bookmark(reader, firstPostId)).status).toBe(201);
+
+      await request(app)
+        .delete(`/api/v1/microposts/${firstPostId}/bookmark`)
+        .set('Authorization', `Bearer ${reader.token}`)
+        .expect(204);
+    });
+
+    it('should return 404 when not bookmarked', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/microposts/${firstPostId}/bookmark`)
+        .set('Authorization', `Bearer ${reader.token}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+
+  describe('GET /api/v1/me/bookmarks', () => {
+    beforeAll(async () => {
+      await bookmark(reader, secondPostId);
+      await bookmark(reader, firstPostId);
+    });
+
+    it('should list enriched bookmarks, most recently bookmarked first', async () => {
+      const response = await request(app)
+        .get('/api/v1/me/bookmarks')
+        .set('Authorization', `Bearer ${reader.token}`)
+        .expect(200);
+
+      expect(response.body.data.map(post => post.id)).toEqual([firstPostId, secondPostId]);
+      expect(response.body.data[0]).toHaveProperty('contentLength', 'Worth saving'.length);
+      expect(response.body.data[0]).toHaveProperty('likeCount', 0);
+      expect(response.body.data[0].user).toHaveProperty('id', author.id);
+      expect(response.body.pagination).toMatchObject({
+        page: 1,
+        limit: 20,
+        total: 2,
+        totalPages: 1
+      });
+    });
+
+    it('should support cursor mode', async () => {
+      const firstPage = await request(app)
+        .get('/api/v1/me/bookmarks?limit=1')
+        .set('Authorization', `Bearer ${reader.token}`)
+        .expect(200);
+
+      const secondPage = await request(app)
+        .get(`/api/v1/me/bookmarks?limit=1&cursor=${firstPage.body.pagination.nextCursor}`)
+        .set('Authorization', `Bearer ${reader.token}`)
+        .expect(200);
+
+      expect(secondPage.body.data.map(post => post.id)).toEqual([secondPostId]);
+      expect(secondPage.body.pagination).toEqual({ limit: 1, nextCursor: null, hasMore: false });
+    });
+
+    it('should keep bookmarks private to the owner', async () => {
+      const response = await request(app)
+        .get('/api/v1/me/bookmarks')
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual([]);
+
+      const micropost = await request(app)
+        .get(`/api/v1/microposts/${firstPostId}`)
+        .expect(200);
+
+      expect(micropost.body.data).not.toHaveProperty('bookmarkCount');
+    });
+
+    it('should remove bookmarks when the micropost is deleted', async () => {
+      await request(app)
+        .delete(`/api/v1/microposts/${secondPostId}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(204);
+
+      const response = await request(app)
+        .get('/api/v1/me/bookmarks')
+        .set('Authorization', `Bearer ${reader.token}`)
+        .expect(200);
+
+      expect(response.body.data.map(post => post.id)).toEqual([firstPostId]);
+      expect(response.body.pagination.total).toBe(1);
+    });
+
+    it('should return 401 without token', async () => {
+      const response = await request(app)
+        .get('/api/v1/me/bookmarks')
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+
+describe('Content warnings', () => {
+  let author;
+  let viewer;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const createPost = async (body, user = author) => {
+    return await request(app)
+      .post(`/api/v1/users/${user.id}/microposts`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .send(body);
+  };
+
+  const setPreferences = (user, preferences) => {
+    return request(app)
+      .patch('/api/v1/me/preferences')
+      .set('Authorization', `Bearer ${user.token}`)
+      .send(preferences);
+  };
+
+  beforeAll(async () => {
+    author = await registerUser('Storyteller');
+    viewer = await registerUser('Reader');
+  });
+
+  describe('POST /api/v1/users/:userId/microposts', () => {
+    it('should store the content warning and sensitive flag', async () => {
+      const response = await createPost({ content: 'The butler did it', contentWarning: '  Spoilers  ', sensitive: true });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ contentWarning: 'Spoilers', sensitive: true, collapsed: true });
+
+      const plain = await createPost({ content: 'Nothing to hide' });
+      expect(plain.body.data).toMatchObject({ sensitive: false, collapsed: false });
+      expect(plain.body.data.contentWarning).toBeUndefined();
+    });
+
+    it('should return 400 for invalid content warnings and flagged reposts', async () => {
+      const original = (await createPost({ content: 'Original' })).body.data;
+
+      const empty = await createPost({ content: 'Empty warning', contentWarning: '   ' });
+      const tooLong = await createPost({ content: 'Long warning', contentWarning: 'x'.repeat(101) });
+      const repost = await createPost({ repostOfId: original.id, sensitive: true }, viewer);
+
+      expect(empty.status).toBe(400);
+      expect(tooLong.status).toBe(400);
+      expect(repost.status).toBe(400);
+    });
+  });
+
+  describe('Preferences', () => {
+    it('should collapse flagged microposts by default and follow the viewer preference', async () => {
+      const post = (await createPost({ content: 'Graphic details', contentWarning: 'Gore' })).body.data;
+      const repost = (await createPost({ repostOfId: post.id }, viewer)).body.data;
+
+      const defaults = await request(app)
+        .get('/api/v1/me/preferences')
+        .set('Authorization', `Bearer ${viewer.token}`)
+        .expect(200);
+      expect(defaults.body.data).toEqual({ collapseSensitive: true });
+
+      const anonymous = await request(app).get('/api/v1/microposts?limit=50').expect(200);
+      const collapsed = new Map(anonymous.body.data.map(item => [item.id, item.collapsed]));
+      expect(collapsed.get(post.id)).toBe(true);
+      expect(collapsed.get(repost.id)).toBe(true);
+
+      const updated = await setPreferences(viewer, { collapseSensitive: false });
+      expect(updated.status).toBe(200);
+      expect(updated.body.data).toEqual({ collapseSensitive: false });
+
+      const expanded = await request(app)
+        .get('/api/v1/microposts?limit=50')
+        .set('Authorization', `Bearer ${viewer.token}`)
+        .expect(200);
+      const items = new Map(expanded.body.data.map(item => [item.id, item]));
+      expect(items.get(post.id)).toMatchObject({ contentWarning: 'Gore', collapsed: false });
+      expect(items.get(repost.id)).toMatchObject({
+        collapsed: false,
+        repostOf: expect.objectContaining({ contentWarning: 'Gore', sensitive: false })
+      });
+
+      // 他のユーザーの設定には影響しない
+      const detail = await request(app)
+        .get(`/api/v1/microposts/${post.id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(200);
+      expect(detail.body.data.collapsed).toBe(true);
+    });
+
+    it('should not expose preferences on the public profile', async () => {
+      await setPreferences(viewer, { collapseSensitive: false }).expect(200);
+
+      const profile = await request(app).get(`/api/v1/users/${viewer.id}`).expect(200);
+
+      expect(profile.body.data.preferences).toBeUndefined();
+    });
+
+    it('should return 400 for unknown or empty preferences', async () => {
+      await setPreferences(viewer, {}).expect(400);
+      await setPreferences(viewer, { collapseSensitive: 'no' }).expect(400);
+      await setPreferences(viewer, { theme: 'dark' }).expect(400);
+    });
+
+    it('should return 401 without token', async () => {
+      const response = await request(app)
+        .get('/api/v1/me/preferences')
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+  });
+
+  describe('GET /api/v1/microposts', () => {
+    it('should exclude flagged microposts and their reposts when requested', async () => {
+      const warned = (await createPost({ content: 'Warned post', contentWarning: 'Flashing lights' })).body.data;
+      const sensitive = (await createPost({ content: 'Sensitive post', sensitive: true })).body.data;
+      const repost = (await createPost({ repostOfId: sensitive.id }, viewer)).body.data;
+      const plain = (await createPost({ content: 'Plain post' })).body.data;
+
+      const all = await request(app).get('/api/v1/microposts?limit=50').expect(200);
+      const filtered = await request(app).get('/api/v1/microposts?limit=50&excludeSensitive=true').expect(200);
+
+      const allIds = all.body.data.map(item => item.id);
+      const filteredIds = filtered.body.data.map(item => item.id);
+      expect(allIds).toEqual(expect.arrayContaining([warned.id, sensitive.id, repost.id, plain.id]));
+      expect(filteredIds).toContain(plain.id);
+      expect(filteredIds).not.toContain(warned.id);
+      expect(filteredIds).not.toContain(sensitive.id);
+      expect(filteredIds).not.toContain(repost.id);
+      expect(filtered.body.data.every(item => !item.collapsed)).toBe(true);
+    });
+
+    it('should return 400 for an invalid filter value', async () => {
+      await request(app).get('/api/v1/microposts?excludeSensitive=yes').expect(400);
+    });
+  });
+});
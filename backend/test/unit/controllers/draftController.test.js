@@ -0,0 +1,188 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+import { getNotificationsByUserId } from '../../../src/services/notificationService.js';
+import { publishDueMicroposts } from '../../../src/services/scheduledPublishService.js';
+
+describe('Drafts and Scheduled Microposts', () => {
+  let author;
+  let replier;
+  const tag = `draft${Date.now()}`;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const createPost = async (user, body) => {
+    return await request(app)
+      .post(`/api/v1/users/${user.id}/microposts`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .send(body);
+  };
+
+  const getMine = async (user, path) => {
+    const response = await request(app)
+      .get(`/api/v1/me/${path}`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .expect(200);
+    return response.body;
+  };
+
+  const inFuture = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+  beforeAll(async () => {
+    author = await registerUser('Drafter');
+    replier = await registerUser('Scheduler');
+  });
+
+  describe('Drafts', () => {
+    let draft;
+
+    beforeAll(async () => {
+      draft = (await createPost(author, { content: `Work in progress #${tag}`, status: 'draft' })).body.data;
+    });
+
+    it('should store a draft without publishing it', async () => {
+      expect(draft).toMatchObject({ userId: author.id, status: 'draft' });
+      expect(draft).not.toHaveProperty('publishAt');
+
+      await request(app).get(`/api/v1/microposts/${draft.id}`).expect(404);
+      const all = await request(app).get(`/api/v1/microposts?search=${tag}`).expect(200);
+      expect(all.body.data).toEqual([]);
+      const mine = await request(app).get(`/api/v1/users/${author.id}/microposts`).expect(200);
+      expect(mine.body.data.some(p => p.id === draft.id)).toBe(false);
+      const user = await request(app).get(`/api/v1/users/${author.id}`).expect(200);
+      expect(user.body.data.micropostCount).toBe(0);
+    });
+
+    it('should list and edit drafts only for the author', async () => {
+      const edited = await request(app)
+        .patch(`/api/v1/microposts/${draft.id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ content: `Almost done #${tag}` })
+        .expect(200);
+
+      // 公開前の書き直しは編集扱いにしない
+      expect(edited.body.data).toMatchObject({ content: `Almost done #${tag}`, status: 'draft' });
+      expect(edited.body.data).not.toHaveProperty('edited');
+
+      const drafts = await getMine(author, 'drafts');
+      expect(drafts.data.map(p => p.id)).toEqual([draft.id]);
+      expect(drafts.pagination).toMatchObject({ page: 1, total: 1 });
+      expect((await getMine(replier, 'drafts')).data).toEqual([]);
+
+      await request(app)
+        .post(`/api/v1/microposts/${draft.id}/publish`)
+        .set('Authorization', `Bearer ${replier.token}`)
+        .expect(404);
+    });
+
+    it('should publish a draft on request', async () => {
+      const response = await request(app)
+        .post(`/api/v1/microposts/${draft.id}/publish`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ id: draft.id, content: `Almost done #${tag}` });
+      expect(response.body.data).not.toHaveProperty('status');
+      expect(new Date(response.body.data.createdAt) >= new Date(draft.createdAt)).toBe(true);
+
+      const tagged = await request(app).get(`/api/v1/tags/${tag}/microposts`).expect(200);
+      expect(tagged.body.data.map(p => p.id)).toEqual([draft.id]);
+      expect((await getMine(author, 'drafts')).data).toEqual([]);
+    });
+
+    it('should return 409 when publishing an already published micropost', async () => {
+      const response = await request(app)
+        .post(`/api/v1/microposts/${draft.id}/publish`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('CONFLICT');
+    });
+  });
+
+  describe('Scheduled', () => {
+    let parent;
+
+    beforeAll(async () => {
+      parent = (await createPost(author, { content: 'Reply to me later' })).body.data;
+    });
+
+    it('should list scheduled microposts by publishAt', async () => {
+      const later = await createPost(replier, { content: 'Later', publishAt: inFuture(120) });
+      const sooner = await createPost(replier, { content: 'Sooner', inReplyToId: parent.id, publishAt: inFuture(60) });
+
+      expect(sooner.status).toBe(201);
+      expect(sooner.body.data).toMatchObject({ status: 'scheduled', publishAt: expect.any(String) });
+
+      const scheduled = await getMine(replier, 'scheduled');
+      expect(scheduled.data.map(p => p.content)).toEqual(['Sooner', 'Later']);
+      expect(scheduled.pagination).toMatchObject({ page: 1, total: 2, nextCursor: null });
+
+      const thread = await request(app).get(`/api/v1/microposts/${parent.id}/replies`).expect(200);
+      expect(thread.body.data).toEqual([]);
+      await request(app).get(`/api/v1/microposts/${later.body.data.id}`).expect(404);
+    });
+
+    it('should publish due microposts with the normal creation events', async () => {
+      expect(await publishDueMicroposts(new Date(Date.now() + 30 * 60 * 1000))).toBe(0);
+
+      const published = await publishDueMicroposts(new Date(Date.now() + 90 * 60 * 1000));
+
+      expect(published).toBe(1);
+      expect((await getMine(replier, 'scheduled')).data.map(p => p.content)).toEqual(['Later']);
+
+      const thread = await request(app).get(`/api/v1/microposts/${parent.id}/replies`).expect(200);
+      expect(thread.body.data.map(p => p.content)).toEqual(['Sooner']);
+
+      const notifications = await getNotificationsByUserId(author.id);
+      expect(notifications).toEqual([
+        expect.objectContaining({ type: 'reply', actorId: replier.id, micropostId: thread.body.data[0].id })
+      ]);
+    });
+
+    it('should return 400 for a past publishAt or a draft with publishAt', async () => {
+      const past = await createPost(replier, { content: 'Too late', publishAt: new Date(Date.now() - 1000).toISOString() });
+      const both = await createPost(replier, { content: 'Confused', status: 'draft', publishAt: inFuture(60) });
+      const repost = await createPost(replier, { repostOfId: parent.id, publishAt: inFuture(60) });
+
+      expect(past.status).toBe(400);
+      expect(past.body.error.code).toBe('VALIDATION_ERROR');
+      expect(both.status).toBe(400);
+      expect(repost.status).toBe(400);
+    });
+
+    it('should not publish a deleted scheduled micropost', async () => {
+      const post = (await createPost(replier, { content: 'Cancelled', publishAt: inFuture(60) })).body.data;
+
+      await request(app)
+        .delete(`/api/v1/microposts/${post.id}`)
+        .set('Authorization', `Bearer ${replier.token}`)
+        .expect(204);
+
+      await publishDueMicroposts(new Date(Date.now() + 90 * 60 * 1000));
+
+      await request(app).get(`/api/v1/microposts/${post.id}`).expect(404);
+      expect((await getMine(replier, 'scheduled')).data.map(p => p.id)).not.toContain(post.id);
+    });
+
+    it('should return 401 without token', async () => {
+      const response = await request(app)
+        .get('/api/v1/me/scheduled')
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+
+describe('Feed Controller', () => {
+  let viewer;
+  let followed;
+  const feedPostIds = [];
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const createPost = async (user, content) => {
+    const response = await request(app)
+      .post(`/api/v1/users/${user.id}/microposts`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .send({ content });
+    return response.body.data.id;
+  };
+
+  beforeAll(async () => {
+    viewer = await registerUser('Viewer');
+    followed = await registerUser('Followed');
+
+    await request(app)
+      .post(`/api/v1/users/${followed.id}/follow`)
+      .set('Authorization', `Bearer ${viewer.token}`);
+
+    // 古い順に作成（タイムラインでは新しい順）
+    feedPostIds.push(await createPost(followed, 'Followed post 1'));
+    feedPostIds.push(await createPost(viewer, 'Viewer post 1'));
+    feedPostIds.push(await createPost(followed, 'Followed post 2'));
+    feedPostIds.push(await createPost(viewer, 'Viewer post 2'));
+    feedPostIds.reverse();
+  });
+
+  describe('GET /api/v1/feed', () => {
+    it('should return own and followed users\' microposts newest first', async () => {
+      const response = await request(app)
+        .get('/api/v1/feed')
+        .set('Authorization', `Bearer ${viewer.token}`)
+        .expect(200);
+
+      expect(response.body.data.map(post => post.id)).toEqual(feedPostIds);
+      expect(response.body.pagination).toMatchObject({
+        page: 1,
+        limit: 20,
+        total: 4,
+        totalPages: 1,
+        nextCursor: null
+      });
+      expect(response.body.meta).toEqual({ userId: viewer.id, followingCount: 1 });
+
+      response.body.data.forEach(micropost => {
+        expect([viewer.id, followed.id]).toContain(micropost.userId);
+        expect(micropost.contentLength).toBe(micropost.content.length);
+        expect(micropost.user).toHaveProperty('id', micropost.userId);
+        expect(micropost.user).toHaveProperty('name');
+        expect(micropost.user).toHaveProperty('email');
+      });
+    });
+
+    it('should support page mode', async () => {
+      const response = await request(app)
+        .get('/api/v1/feed?page=2&limit=3')
+        .set('Authorization', `Bearer ${viewer.token}`)
+        .expect(200);
+
+      expect(response.body.data.map(post => post.id)).toEqual(feedPostIds.slice(3));
+      expect(response.body.pagination.page).toBe(2);
+      expect(response.body.pagination.totalPages).toBe(2);
+    });
+
+    it('should continue from cursor without duplicates when new posts arrive', async () => {
+      const firstPage = await request(app)
+        .get('/api/v1/feed?limit=2')
+        .set('Authorization', `Bearer ${viewer.token}`)
+        .expect(200);
+
+      expect(firstPage.body.data.map(post => post.id)).toEqual(feedPostIds.slice(0, 2));
+      expect(firstPage.body.pagination.nextCursor).toEqual(expect.any(String));
+
+      // 1ページ目取得後に新しい投稿が追加される
+      await createPost(followed, 'Brand new post');
+
+      const secondPage = await request(app)
+        .get(`/api/v1/feed?limit=2&cursor=${firstPage.body.pagination.nextCursor}`)
+        .set('Authorization', `Bearer ${viewer.token}`)
+        .expect(200);
+
+      expect(secondPage.body.data.map(post => post.id)).toEqual(feedPostIds.slice(2, 4));
+      expect(secondPage.body.pagination).toEqual({
+        limit: 2,
+        nextCursor: null,
+        hasMore: false
+      });
+    });
+
+    it('should return 400 for invalid cursor', async () => {
+      const response = await request(app)
+        .get('/api/v1/feed?cursor=not-a-cursor')
+        .set('Authorization', `Bearer ${viewer.token}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 401 without token', async () => {
+      const response = await request(app)
+        .get('/api/v1/feed')
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+  });
+});
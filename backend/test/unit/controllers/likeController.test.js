@@ -0,0 +1,186 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+
+describe('Like Controller', () => {
+  let author;
+  let liker;
+  let micropostId;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  beforeAll(async () => {
+    author = await registerUser('Author');
+    liker = await registerUser('Liker');
+
+    const response = await request(app)
+      .post(`/api/v1/users/${author.id}/microposts`)
+      .set('Authorization', `Bearer ${author.token}`)
+      .send({ content: 'Please like this post' });
+    micropostId = response.body.data.id;
+  });
+
+  describe('POST /api/v1/microposts/:micropostId/like', () => {
+    afterEach(async () => {
+      await request(app)
+        .delete(`/api/v1/microposts/${micropostId}/like`)
+        .set('Authorization', `Bearer ${liker.token}`);
+    });
+
+    it('should like a micropost with status 201', async () => {
+      const response = await request(app)
+        .post(`/api/v1/microposts/${micropostId}/like`)
+        .set('Authorization', `Bearer ${liker.token}`)
+        .expect(201);
+
+      expect(response.body.data).toHaveProperty('id');
+      expect(response.body.data).toHaveProperty('userId', liker.id);
+      expect(response.body.data).toHaveProperty('micropostId', micropostId);
+      expect(response.body.data).toHaveProperty('createdAt');
+      expect(response.body.meta).toEqual({ likeCount: 1 });
+    });
+
+    it('should return 409 when already liked', async () => {
+      await request(app)
+        .post(`/api/v1/microposts/${micropostId}/like`)
+        .set('Authorization', `Bearer ${liker.token}`)
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/v1/microposts/${micropostId}/like`)
+        .set('Authorization', `Bearer ${liker.token}`)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('CONFLICT');
+    });
+
+    it('should return 404 for non-existent micropost', async () => {
+      const response = await request(app)
+        .post('/api/v1/microposts/99999/like')
+        .set('Authorization', `Bearer ${liker.token}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should return 401 without token', async () => {
+      const response = await request(app)
+        .post(`/api/v1/microposts/${micropostId}/like`)
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+  });
+
+  describe('DELETE /api/v1/microposts/:micropostId/like', () => {
+    it('should unlike a micropost with status 204', async () => {
+      await request(app)
+        .post(`/api/v1/microposts/${micropostId}/like`)
+        .set('Authorization', `Bearer ${liker.token}`)
+        .expect(201);
+
+      await request(app)
+        .delete(`/api/v1/microposts/${micropostId}/like`)
+        .set('Authorization', `Bearer ${liker.token}`)
+        .expect(204);
+    });
+
+    it('should return 404 when not liked', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/microposts/${micropostId}/like`)
+        .set('Authorization', `Bearer ${liker.token}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+
+  describe('Like listings and counts', () => {
+    beforeAll(async () => {
+      await request(app)
+        .post(`/api/v1/microposts/${micropostId}/like`)
+        .set('Authorization', `Bearer ${liker.token}`);
+    });
+
+    afterAll(async () => {
+      await request(app)
+        .delete(`/api/v1/microposts/${micropostId}/like`)
+        .set('Authorization', `Bearer ${liker.token}`);
+    });
+
+    it('should list users who liked a micropost', async () => {
+      const response = await request(app)
+        .get(`/api/v1/microposts/${micropostId}/likes`)
+        .expect(200);
+
+      expect(response.body.pagination).toEqual({
+        page: 1,
+        limit: 20,
+        total: 1,
+        totalPages: 1
+      });
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toHaveProperty('id', liker.id);
+      expect(response.body.data[0]).not.toHaveProperty('passwordHash');
+    });
+
+    it('should include likeCount and likedByMe for the viewer', async () => {
+      const asLiker = await request(app)
+        .get(`/api/v1/microposts/${micropostId}`)
+        .set('Authorization', `Bearer ${liker.token}`)
+        .expect(200);
+
+      expect(asLiker.body.data).toHaveProperty('likeCount', 1);
+      expect(asLiker.body.data).toHaveProperty('likedByMe', true);
+
+      const anonymous = await request(app)
+        .get(`/api/v1/users/${author.id}/microposts`)
+        .expect(200);
+
+      expect(anonymous.body.data[0]).toHaveProperty('likeCount', 1);
+      expect(anonymous.body.data[0]).toHaveProperty('likedByMe', false);
+    });
+
+    it('should list microposts liked by the user', async () => {
+      const response = await request(app)
+        .get(`/api/v1/users/${liker.id}/likes`)
+        .set('Authorization', `Bearer ${liker.token}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toHaveProperty('id', micropostId);
+      expect(response.body.data[0]).toHaveProperty('likedByMe', true);
+      expect(response.body.data[0].user).toHaveProperty('id', author.id);
+      expect(response.body.meta).toHaveProperty('userId', liker.id);
+    });
+
+    it('should return 403 when listing another user\'s likes', async () => {
+      const response = await request(app)
+        .get(`/api/v1/users/${liker.id}/likes`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(403);
+
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should return 404 for likes of non-existent micropost', async () => {
+      const response = await request(app)
+        .get('/api/v1/microposts/99999/likes')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+});
@@ -0,0 +1,194 @@
+import request from 'supertest';
+import http from 'http';
+import app from '../../../src/app.js';
+import { HttpLinkPreviewFetcher, StubLinkPreviewFetcher, setLinkPreviewFetcher } from '../../../src/services/linkPreviewFetcher.js';
+
+describe('Link previews', () => {
+  let author;
+  let server;
+  let origin;
+  let hits;
+
+  const page = `<!doctype html><html><head>
+    <title>Fallback title</title>
+    <meta property="og:title" content="Release notes &amp; more">
+    <meta name="description" content="What changed in this release">
+    <meta property="og:image" content="/og.png">
+  </head><body>Hello</body></html>`;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const createPost = async (content) => {
+    return await request(app)
+      .post(`/api/v1/users/${author.id}/microposts`)
+      .set('Authorization', `Bearer ${author.token}`)
+      .send({ content });
+  };
+
+  // 取得したURLを記録する取得方法
+  const recordingFetcher = (fetch) => {
+    const fetched = [];
+    return {
+      fetched,
+      fetch: async (url) => {
+        fetched.push(url);
+        return await fetch(url);
+      }
+    };
+  };
+
+  beforeAll(async () => {
+    author = await registerUser('Linker');
+
+    hits = [];
+    server = http.createServer((req, res) => {
+      hits.push(req.url);
+      if (req.url === '/page') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(page);
+      } else if (req.url === '/redirect') {
+        res.writeHead(302, { Location: '/page' });
+        res.end();
+      } else if (req.url === '/loop') {
+        res.writeHead(302, { Location: '/loop' });
+        res.end();
+      } else if (req.url === '/json') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+      } else if (req.url === '/huge') {
+        // メタタグの後に終わらない本文を送り続ける
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.write(page.replace('<body>', '<body>' + 'x'.repeat(4096)));
+        const timer = setInterval(() => res.write('x'.repeat(4096)), 5);
+        res.on('close', () => clearInterval(timer));
+      } else if (req.url === '/slow') {
+        // 応答しない
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    setLinkPreviewFetcher(new StubLinkPreviewFetcher());
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('Microposts', () => {
+    it('should attach previews for URLs in the content using the stub by default', async () => {
+      const response = await createPost('Read https://example.com/articles/1. and https://example.org/');
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.linkPreviews).toEqual([
+        { url: 'https://example.com/articles/1', title: 'example.com', description: null, image: null },
+        { url: 'https://example.org/', title: 'example.org', description: null, image: null }
+      ]);
+
+      const detail = await request(app).get(`/api/v1/microposts/${response.body.data.id}`).expect(200);
+      expect(detail.body.data.linkPreviews.map(preview => preview.url))
+        .toEqual(['https://example.com/articles/1', 'https://example.org/']);
+
+      const plain = await createPost('No links here');
+      expect(plain.body.data.linkPreviews).toEqual([]);
+    });
+
+    it('should cache previews per URL', async () => {
+      const fetcher = recordingFetcher(async () => ({ title: 'Cached', description: 'Once', image: null }));
+      setLinkPreviewFetcher(fetcher);
+
+      const first = await createPost('First https://cache.example.com/post');
+      const second = await createPost('Second https://cache.example.com/post');
+
+      expect(fetcher.fetched).toEqual(['https://cache.example.com/post']);
+      expect(first.body.data.linkPreviews[0]).toMatchObject({ title: 'Cached', description: 'Once' });
+      expect(second.body.data.linkPreviews[0]).toMatchObject({ title: 'Cached', description: 'Once' });
+      setLinkPreviewFetcher(new StubLinkPreviewFetcher());
+    });
+
+    it('should fetch previews for URLs added by an edit', async () => {
+      const post = (await createPost('Draft thoughts')).body.data;
+
+      const response = await request(app)
+        .patch(`/api/v1/microposts/${post.id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ content: 'Draft thoughts, see https://edit.example.com/' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.linkPreviews).toEqual([
+        { url: 'https://edit.example.com/', title: 'edit.example.com', description: null, image: null }
+      ]);
+    });
+
+    it('should still create the micropost when a preview cannot be fetched', async () => {
+      setLinkPreviewFetcher({ fetch: async () => { throw new Error('unreachable'); } });
+
+      const response = await createPost('Broken https://broken.example.com/');
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.linkPreviews).toEqual([]);
+      setLinkPreviewFetcher(new StubLinkPreviewFetcher());
+    });
+  });
+
+  describe('HttpLinkPreviewFetcher', () => {
+    it('should refuse loopback, private and link-local addresses', async () => {
+      const fetcher = new HttpLinkPreviewFetcher({ timeoutMs: 1000, maxBytes: 64 * 1024 });
+      hits.length = 0;
+
+      await expect(fetcher.fetch(`${origin}/page`)).rejects.toThrow(/Blocked address/);
+      await expect(fetcher.fetch(`http://localhost:${server.address().port}/page`)).rejects.toThrow(/Blocked address/);
+      await expect(fetcher.fetch('http://[::1]/')).rejects.toThrow(/Blocked address/);
+      await expect(fetcher.fetch('http://169.254.169.254/latest/meta-data/')).rejects.toThrow(/Blocked address/);
+      await expect(fetcher.fetch('http://10.0.0.1/')).rejects.toThrow(/Blocked address/);
+      await expect(fetcher.fetch('file:///etc/passwd')).rejects.toThrow(/Unsupported protocol/);
+
+      expect(hits).toEqual([]);
+    });
+
+    describe('with private addresses allowed', () => {
+      const fetcher = new HttpLinkPreviewFetcher({ timeoutMs: 300, maxBytes: 8 * 1024, allowPrivateAddresses: true });
+
+      it('should extract metadata and follow redirects', async () => {
+        const expected = {
+          title: 'Release notes & more',
+          description: 'What changed in this release',
+          image: `${origin}/og.png`
+        };
+
+        expect(await fetcher.fetch(`${origin}/page`)).toEqual(expected);
+        expect(await fetcher.fetch(`${origin}/redirect`)).toEqual(expected);
+        await expect(fetcher.fetch(`${origin}/loop`)).rejects.toThrow(/Too many redirects/);
+      });
+
+      it('should stop reading at the size limit', async () => {
+        expect(await fetcher.fetch(`${origin}/huge`)).toMatchObject({ title: 'Release notes & more' });
+      });
+
+      it('should give up after the time limit', async () => {
+        await expect(fetcher.fetch(`${origin}/slow`)).rejects.toThrow(/Timed out/);
+      });
+
+      it('should reject responses that are not HTML', async () => {
+        await expect(fetcher.fetch(`${origin}/json`)).rejects.toThrow(/Not an HTML page/);
+        await expect(fetcher.fetch(`${origin}/missing`)).rejects.toThrow(/Unexpected status 404/);
+      });
+    });
+  });
+});
@@ -0,0 +1,220 @@
+import request from 'supertest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import app from '../../../src/app.js';
+import config from '../../../src/config/index.js';
+import { LocalMediaStorage, setMediaStorage } from '../../../src/services/mediaStorage.js';
+import { collectOrphanedMedia, getMediaByIds } from '../../../src/services/mediaService.js';
+import { purgeMicropost } from '../../../src/services/micropostService.js';
+
+describe('Media', () => {
+  let author;
+  let other;
+  let directory;
+  let previousStorage;
+
+  // 640x480 の PNG（IHDR まで）
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D]),
+    Buffer.from('IHDR'),
+    Buffer.from([0x00, 0x00, 0x02, 0x80, 0x00, 0x00, 0x01, 0xE0, 0x08, 0x06, 0x00, 0x00, 0x00])
+  ]);
+  // 16x8 の GIF（論理スクリーン記述子まで）
+  const gif = Buffer.concat([Buffer.from('GIF89a'), Buffer.from([0x10, 0x00, 0x08, 0x00, 0x00, 0x00, 0x00])]);
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const upload = (user, data, { filename = 'image.png', contentType = 'image/png', altText } = {}) => {
+    const req = request(app)
+      .post('/api/v1/media')
+      .set('Authorization', `Bearer ${user.token}`);
+    if (altText !== undefined) {
+      req.field('altText', altText);
+    }
+    return req.attach('file', data, { filename, contentType });
+  };
+
+  const createPost = async (user, body) => {
+    return await request(app)
+      .post(`/api/v1/users/${user.id}/microposts`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .send(body);
+  };
+
+  const fileExists = async (url) => {
+    return await fs.access(path.join(directory, path.basename(url))).then(() => true, () => false);
+  };
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'media-test-'));
+    previousStorage = setMediaStorage(new LocalMediaStorage({ directory, publicPath: '/uploads' }));
+
+    author = await registerUser('Photographer');
+    other = await registerUser('Bystander');
+  });
+
+  afterAll(async () => {
+    setMediaStorage(previousStorage);
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('POST /api/v1/media', () => {
+    it('should store an image with its dimensions and alt text', async () => {
+      const response = await upload(author, png, { altText: 'A sunset' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        userId: author.id,
+        mimeType: 'image/png',
+        width: 640,
+        height: 480,
+        size: png.length,
+        altText: 'A sunset',
+        micropostId: null
+      });
+      expect(response.body.data.url).toMatch(/^\/uploads\/\w+\.png$/);
+      expect(await fileExists(response.body.data.url)).toBe(true);
+    });
+
+    it('should sniff the type from the content rather than the headers', async () => {
+      const response = await upload(author, gif, { filename: 'photo.png', contentType: 'image/png' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ mimeType: 'image/gif', width: 16, height: 8, altText: null });
+      expect(response.body.data.url).toMatch(/\.gif$/);
+    });
+
+    it('should return 415 for files that are not supported images', async () => {
+      const response = await upload(author, Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'));
+
+      expect(response.status).toBe(415);
+      expect(response.body.error.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+    });
+
+    it('should return 413 for images over the size limit', async () => {
+      const maxBytes = config.media.maxBytes;
+      config.media.maxBytes = png.length - 1;
+
+      try {
+        const response = await upload(author, png);
+
+        expect(response.status).toBe(413);
+        expect(response.body.error.code).toBe('PAYLOAD_TOO_LARGE');
+      } finally {
+        config.media.maxBytes = maxBytes;
+      }
+    });
+
+    it('should return 400 without a file', async () => {
+      const response = await request(app)
+        .post('/api/v1/media')
+        .set('Authorization', `Bearer ${author.token}`)
+        .field('altText', 'Nothing here');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 401 without token', async () => {
+      const response = await request(app)
+        .post('/api/v1/media')
+        .attach('file', png, { filename: 'image.png' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+  });
+
+  describe('Attachments', () => {
+    it('should attach media to a micropost and include them in responses', async () => {
+      const first = (await upload(author, png, { altText: 'First' })).body.data;
+      const second = (await upload(author, gif)).body.data;
+
+      const response = await createPost(author, { content: 'Holiday photos', mediaIds: [second.id, first.id] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.media).toEqual([
+        { id: second.id, url: second.url, mimeType: 'image/gif', width: 16, height: 8, altText: null },
+        { id: first.id, url: first.url, mimeType: 'image/png', width: 640, height: 480, altText: 'First' }
+      ]);
+
+      const detail = await request(app).get(`/api/v1/microposts/${response.body.data.id}`).expect(200);
+      expect(detail.body.data.media.map(item => item.id)).toEqual([second.id, first.id]);
+
+      const plain = await createPost(author, { content: 'No pictures' });
+      expect(plain.body.data.media).toEqual([]);
+    });
+
+    it('should allow a micropost with only media', async () => {
+      const media = (await upload(author, png)).body.data;
+
+      const response = await createPost(author, { mediaIds: [media.id] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ content: '', media: [expect.objectContaining({ id: media.id })] });
+    });
+
+    it('should return 400 for attached, foreign or too many media', async () => {
+      const media = (await upload(author, png)).body.data;
+      expect((await createPost(author, { content: 'Mine', mediaIds: [media.id] })).status).toBe(201);
+      const foreign = (await upload(other, png)).body.data;
+      const many = [];
+      for (let i = 0; i < 5; i++) {
+        many.push((await upload(author, gif)).body.data.id);
+      }
+
+      const reused = await createPost(author, { content: 'Again', mediaIds: [media.id] });
+      const stolen = await createPost(author, { content: 'Not mine', mediaIds: [foreign.id] });
+      const tooMany = await createPost(author, { content: 'Too many', mediaIds: many });
+
+      expect(reused.status).toBe(400);
+      expect(reused.body.error.code).toBe('VALIDATION_ERROR');
+      expect(stolen.status).toBe(400);
+      expect(tooMany.status).toBe(400);
+    });
+  });
+
+  describe('Garbage collection', () => {
+    it('should collect unattached uploads after the TTL and media of purged microposts', async () => {
+      const orphan = (await upload(author, png)).body.data;
+      const kept = (await upload(author, gif)).body.data;
+      const post = (await createPost(author, { content: 'Keep me', mediaIds: [kept.id] })).body.data;
+      const ttlMs = config.media.orphanTtlMinutes * 60 * 1000;
+
+      await collectOrphanedMedia(new Date(Date.now() + ttlMs - 60 * 1000));
+      expect((await getMediaByIds([orphan.id])).length).toBe(1);
+
+      expect(await collectOrphanedMedia(new Date(Date.now() + ttlMs + 60 * 1000))).toBeGreaterThanOrEqual(1);
+      expect(await getMediaByIds([orphan.id])).toEqual([]);
+      expect(await fileExists(orphan.url)).toBe(false);
+      expect((await getMediaByIds([kept.id])).length).toBe(1);
+
+      // ゴミ箱の投稿の画像は、完全に削除されるまで残す
+      await request(app)
+        .delete(`/api/v1/microposts/${post.id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(204);
+      await collectOrphanedMedia();
+      expect(await fileExists(kept.url)).toBe(true);
+
+      await purgeMicropost(post.id);
+      await collectOrphanedMedia();
+      expect(await getMediaByIds([kept.id])).toEqual([]);
+      expect(await fileExists(kept.url)).toBe(false);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import request from 'supertest';
 import app from '../../../src/app.js';
+import { getNotificationsByUserId } from '../../../src/services/notificationService.js';
 
 describe('Micropost Controller', () => {
   const userId = 1;
@@ -75,6 +76,16 @@ describe('Micropost Controller', () => {
   });
 
   describe('POST /api/v1/users/:userId/microposts', () => {
+    let authToken;
+
+    beforeAll(async () => {
+      // 投稿者（user 1）としてログイン
+      const loginResponse = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      authToken = loginResponse.body.data.tokens.access_token;
+    });
+
     it('should create a new micropost with status 201', async () => {
       const newMicropost = {
         content: 'This is a test micropost'
@@ -82,6 +93,7 @@ describe('Micropost Controller', () => {
 
       const response = await request(app)
         .post(`/api/v1/users/${userId}/microposts`)
+        .set('Authorization', `Bearer ${authToken}`)
         .send(newMicropost)
         .expect(201);
 
@@ -106,6 +118,7 @@ describe('Micropost Controller', () => {
 
       const response = await request(app)
         .post(`/api/v1/users/${userId}/microposts`)
+        .set('Authorization', `Bearer ${authToken}`)
         .send(invalidMicropost)
         .expect(400);
 
@@ -117,6 +130,7 @@ describe('Micropost Controller', () => {
 
       const response = await request(app)
         .post(`/api/v1/users/${userId}/microposts`)
+        .set('Authorization', `Bearer ${authToken}`)
         .send(invalidMicropost)
         .expect(400);
 
@@ -130,23 +144,38 @@ describe('Micropost Controller', () => {
 
       const response = await request(app)
         .post(`/api/v1/users/${userId}/microposts`)
+        .set('Authorization', `Bearer ${authToken}`)
         .send(invalidMicropost)
         .expect(400);
 
       expect(response.body).toHaveProperty('error');
     });
 
-    it('should return 404 for non-existent user', async () => {
+    it('should return 401 without token', async () => {
+      const newMicropost = {
+        content: 'This is a test micropost'
+      };
+
+      const response = await request(app)
+        .post(`/api/v1/users/${userId}/microposts`)
+        .send(newMicropost)
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+
+    it('should return 403 when posting as another user', async () => {
       const newMicropost = {
         content: 'This is a test micropost'
       };
 
       const response = await request(app)
         .post('/api/v1/users/999/microposts')
+        .set('Authorization', `Bearer ${authToken}`)
         .send(newMicropost)
-        .expect(404);
+        .expect(403);
 
-      expect(response.body).toHaveProperty('error');
+      expect(response.body.error.code).toBe('ACCESS_DENIED');
     });
   });
 
@@ -209,6 +238,55 @@ describe('Micropost Controller', () => {
     });
   });
 
+  describe('Cursor pagination', () => {
+    it('should page through all microposts with nextCursor without duplicates', async () => {
+      const firstPage = await request(app)
+        .get('/api/v1/microposts?limit=2')
+        .expect(200);
+
+      expect(firstPage.body.pagination.nextCursor).toEqual(expect.any(String));
+
+      const secondPage = await request(app)
+        .get(`/api/v1/microposts?limit=2&cursor=${firstPage.body.pagination.nextCursor}`)
+        .expect(200);
+
+      const firstIds = firstPage.body.data.map(post => post.id);
+      secondPage.body.data.forEach(post => {
+        expect(firstIds).not.toContain(post.id);
+        expect(post).toHaveProperty('user');
+        expect(post).toHaveProperty('contentLength', post.content.length);
+      });
+      expect(secondPage.body.pagination).toHaveProperty('limit', 2);
+      expect(secondPage.body.pagination).toHaveProperty('hasMore');
+      expect(secondPage.body.pagination).not.toHaveProperty('totalPages');
+    });
+
+    it('should page through user microposts with nextCursor', async () => {
+      const firstPage = await request(app)
+        .get(`/api/v1/users/${userId}/microposts?limit=1`)
+        .expect(200);
+
+      expect(firstPage.body.pagination.nextCursor).toEqual(expect.any(String));
+
+      const secondPage = await request(app)
+        .get(`/api/v1/users/${userId}/microposts?limit=1&cursor=${firstPage.body.pagination.nextCursor}`)
+        .expect(200);
+
+      expect(secondPage.body.data).toHaveLength(1);
+      expect(secondPage.body.data[0].id).not.toBe(firstPage.body.data[0].id);
+      expect(secondPage.body.data[0]).toHaveProperty('userId', userId);
+      expect(secondPage.body.meta).toHaveProperty('userId', userId);
+    });
+
+    it('should return 400 for invalid cursor', async () => {
+      const response = await request(app)
+        .get('/api/v1/microposts?cursor=invalid')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
   describe('GET /api/v1/microposts/:micropostId', () => {
     it('should return micropost details with status 200', async () => {
       const response = await request(app)
@@ -248,4 +326,302 @@ describe('Micropost Controller', () => {
       expect(response.body).toHaveProperty('error');
     });
   });
+
+  describe('Threaded replies', () => {
+    let authToken;
+    let rootId;
+    let replyId;
+    let nestedReplyId;
+
+    const postMicropost = async (body) => {
+      const response = await request(app)
+        .post(`/api/v1/users/${userId}/microposts`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(body);
+      return response.body.data.id;
+    };
+
+    beforeAll(async () => {
+      // 投稿者（user 1）としてログイン
+      const loginResponse = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      authToken = loginResponse.body.data.tokens.access_token;
+
+      // root <- reply <- nestedReply の会話を作成
+      rootId = await postMicropost({ content: 'Thread root' });
+      replyId = await postMicropost({ content: 'First reply', inReplyToId: rootId });
+      nestedReplyId = await postMicropost({ content: 'Nested reply', inReplyToId: replyId });
+    });
+
+    it('should include replyCount in micropost detail', async () => {
+      const response = await request(app)
+        .get(`/api/v1/microposts/${rootId}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('replyCount', 1);
+    });
+
+    it('should return the reply tree of a micropost', async () => {
+      const response = await request(app)
+        .get(`/api/v1/microposts/${rootId}/replies`)
+        .expect(200);
+
+      expect(response.body.meta).toEqual({ micropostId: rootId, total: 2 });
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toHaveProperty('id', replyId);
+      expect(response.body.data[0]).toHaveProperty('inReplyToId', rootId);
+      expect(response.body.data[0].user).toHaveProperty('id', userId);
+      expect(response.body.data[0].replies[0]).toHaveProperty('id', nestedReplyId);
+      expect(response.body.data[0].replies[0].replies).toEqual([]);
+    });
+
+    it('should return the whole conversation from its root', async () => {
+      const response = await request(app)
+        .get(`/api/v1/microposts/${nestedReplyId}/thread`)
+        .expect(200);
+
+      expect(response.body.meta).toEqual({ micropostId: nestedReplyId, rootId, total: 3 });
+      expect(response.body.data).toHaveProperty('id', rootId);
+      expect(response.body.data.replies[0]).toHaveProperty('id', replyId);
+      expect(response.body.data.replies[0].replies[0]).toHaveProperty('id', nestedReplyId);
+    });
+
+    it('should return 400 when replying to a non-existent micropost', async () => {
+      const response = await request(app)
+        .post(`/api/v1/users/${userId}/microposts`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'Reply to nothing', inReplyToId: 99999 })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should leave a tombstone when deleting a micropost with replies', async () => {
+      await request(app)
+        .delete(`/api/v1/microposts/${replyId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(204);
+
+      await request(app)
+        .get(`/api/v1/microposts/${replyId}`)
+        .expect(404);
+
+      const thread = await request(app)
+        .get(`/api/v1/microposts/${nestedReplyId}/thread`)
+        .expect(200);
+
+      const tombstone = thread.body.data.replies[0];
+      expect(tombstone).toEqual({
+        id: replyId,
+        inReplyToId: rootId,
+        createdAt: expect.any(String),
+        tombstone: true,
+        replies: [expect.objectContaining({ id: nestedReplyId })]
+      });
+
+      // 最後の返信を削除すると墓標も取り除かれる
+      await request(app)
+        .delete(`/api/v1/microposts/${nestedReplyId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(204);
+
+      const replies = await request(app)
+        .get(`/api/v1/microposts/${rootId}/replies`)
+        .expect(200);
+
+      expect(replies.body.data).toEqual([]);
+      expect(replies.body.meta.total).toBe(0);
+    });
+  });
+
+  describe('Mentions', () => {
+    const stamp = Date.now();
+    let authToken;
+    let mentionedUserId;
+    let mentionedToken;
+
+    beforeAll(async () => {
+      // 投稿者（user 1）としてログイン
+      const loginResponse = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      authToken = loginResponse.body.data.tokens.access_token;
+
+      // ハンドル @mention_target_<stamp> で参照されるユーザー
+      const registerResponse = await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          name: `Mention Target ${stamp}`,
+          email: `mention-${stamp}@example.com`,
+          password: 'password123'
+        });
+      mentionedUserId = registerResponse.body.data.user.id;
+      mentionedToken = registerResponse.body.data.tokens.access_token;
+    });
+
+    it('should resolve mentions and notify the mentioned user', async () => {
+      const content = `Hi @mention_target_${stamp} and @nobody_${stamp}, mail me at a@b.com`;
+
+      const response = await request(app)
+        .post(`/api/v1/users/${userId}/microposts`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content })
+        .expect(201);
+
+      expect(response.body.data.mentions).toEqual([{
+        userId: mentionedUserId,
+        handle: `mention_target_${stamp}`,
+        start: 3,
+        end: 3 + `@mention_target_${stamp}`.length
+      }]);
+
+      const detail = await request(app)
+        .get(`/api/v1/microposts/${response.body.data.id}`)
+        .expect(200);
+
+      expect(detail.body.data.mentions).toEqual(response.body.data.mentions);
+
+      const notifications = await getNotificationsByUserId(mentionedUserId);
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0]).toMatchObject({
+        userId: mentionedUserId,
+        type: 'mention',
+        actorId: userId,
+        micropostId: response.body.data.id,
+        readAt: null
+      });
+    });
+
+    it('should not notify mentioned users who cannot see the micropost', async () => {
+      const mention = (visibility) => request(app)
+        .post(`/api/v1/users/${userId}/microposts`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: `Psst @mention_target_${stamp}`, visibility })
+        .expect(201);
+
+      const before = (await getNotificationsByUserId(mentionedUserId)).length;
+      const hidden = await mention('followers');
+      await mention('private');
+
+      expect(hidden.body.data.mentions).toHaveLength(1);
+      expect(await getNotificationsByUserId(mentionedUserId)).toHaveLength(before);
+
+      // フォロワーになれば、フォロワー限定の投稿でのメンションは通知される
+      await request(app)
+        .post(`/api/v1/users/${userId}/follow`)
+        .set('Authorization', `Bearer ${mentionedToken}`)
+        .expect(201);
+      const visible = await mention('followers');
+
+      const notifications = await getNotificationsByUserId(mentionedUserId);
+      expect(notifications).toHaveLength(before + 1);
+      expect(notifications.map(notification => notification.micropostId)).toContain(visible.body.data.id);
+    });
+  });
+
+  describe('PATCH/DELETE /api/v1/microposts/:micropostId', () => {
+    let ownerToken;
+    let otherToken;
+    let micropostId;
+
+    beforeAll(async () => {
+      // 投稿者（user 1）としてログイン
+      const loginResponse = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      ownerToken = loginResponse.body.data.tokens.access_token;
+
+      // 別ユーザーを登録
+      const registerResponse = await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          name: 'Other User',
+          email: `other-${Date.now()}@example.com`,
+          password: 'password123'
+        });
+      otherToken = registerResponse.body.data.tokens.access_token;
+    });
+
+    beforeEach(async () => {
+      const createResponse = await request(app)
+        .post(`/api/v1/users/${userId}/microposts`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ content: 'Micropost to be edited' });
+      micropostId = createResponse.body.data.id;
+    });
+
+    it('should update own micropost with status 200', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/microposts/${micropostId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ content: 'Edited micropost' })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('id', micropostId);
+      expect(response.body.data).toHaveProperty('content', 'Edited micropost');
+      expect(response.body.data).toHaveProperty('contentLength', 'Edited micropost'.length);
+      expect(response.body.data).toHaveProperty('updatedAt');
+      expect(response.body.data.user).toHaveProperty('id', userId);
+    });
+
+    it('should return 401 without token', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/microposts/${micropostId}`)
+        .send({ content: 'Edited micropost' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+
+    it('should return 403 when editing another user\'s micropost', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/microposts/${micropostId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ content: 'Hijacked' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('ACCESS_DENIED');
+    });
+
+    it('should return 400 for invalid content', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/microposts/${micropostId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ content: 'a'.repeat(281) })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should return 404 for non-existent micropost', async () => {
+      const response = await request(app)
+        .patch('/api/v1/microposts/99999')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ content: 'Edited micropost' })
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should return 403 when deleting another user\'s micropost', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/microposts/${micropostId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('ACCESS_DENIED');
+    });
+
+    it('should delete own micropost with status 204', async () => {
+      await request(app)
+        .delete(`/api/v1/microposts/${micropostId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(204);
+
+      await request(app)
+        .get(`/api/v1/microposts/${micropostId}`)
+        .expect(404);
+    });
+  });
 });
\ No newline at end of file
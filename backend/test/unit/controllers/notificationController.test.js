@@ -0,0 +1,202 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+
+describe('Notification Controller', () => {
+  let recipient;
+  let actor;
+  let micropostId;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      name,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const getNotifications = async (user, query = '') => {
+    return await request(app)
+      .get(`/api/v1/notifications${query}`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .expect(200);
+  };
+
+  beforeAll(async () => {
+    // ハンドル（名前）が他のテストのユーザーと衝突しないようにする
+    recipient = await registerUser(`Recipient${Date.now()}`);
+    actor = await registerUser('Actor');
+
+    const response = await request(app)
+      .post(`/api/v1/users/${recipient.id}/microposts`)
+      .set('Authorization', `Bearer ${recipient.token}`)
+      .send({ content: 'Notify me about this post' });
+    micropostId = response.body.data.id;
+
+    // フォロー・いいね・返信（メンション付き）・自分への返信
+    await request(app)
+      .post(`/api/v1/users/${recipient.id}/follow`)
+      .set('Authorization', `Bearer ${actor.token}`)
+      .expect(201);
+
+    await request(app)
+      .post(`/api/v1/microposts/${micropostId}/like`)
+      .set('Authorization', `Bearer ${actor.token}`)
+      .expect(201);
+
+    await request(app)
+      .post(`/api/v1/users/${actor.id}/microposts`)
+      .set('Authorization', `Bearer ${actor.token}`)
+      .send({ content: `@${recipient.name} nice post`, inReplyToId: micropostId })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/v1/users/${recipient.id}/microposts`)
+      .set('Authorization', `Bearer ${recipient.token}`)
+      .send({ content: 'Replying to myself', inReplyToId: micropostId })
+      .expect(201);
+  });
+
+  describe('GET /api/v1/notifications', () => {
+    it('should list notifications from events newest first', async () => {
+      const response = await getNotifications(recipient);
+
+      // 返信先の投稿者にはメンション通知を重複させず、自分の操作は通知しない
+      expect(response.body.data.map(notification => notification.type)).toEqual(['reply', 'like', 'follow']);
+      response.body.data.forEach(notification => {
+        expect(notification).toHaveProperty('userId', recipient.id);
+        expect(notification).toHaveProperty('actorId', actor.id);
+        expect(notification).toHaveProperty('readAt', null);
+        expect(notification.actor).toEqual({ id: actor.id, name: actor.name, email: expect.any(String) });
+      });
+      expect(response.body.data[1]).toHaveProperty('micropostId', micropostId);
+      expect(response.body.data[2]).toHaveProperty('micropostId', null);
+      expect(response.body.meta).toEqual({ unreadCount: 3 });
+      expect(response.body.pagination).toMatchObject({ page: 1, total: 3 });
+    });
+
+    it('should support cursor mode', async () => {
+      const firstPage = await getNotifications(recipient, '?limit=2');
+
+      const secondPage = await getNotifications(recipient, `?limit=2&cursor=${firstPage.body.pagination.nextCursor}`);
+
+      expect(secondPage.body.data.map(notification => notification.type)).toEqual(['follow']);
+      expect(secondPage.body.pagination).toEqual({ limit: 2, nextCursor: null, hasMore: false });
+    });
+
+    it('should not notify users about their own actions', async () => {
+      const response = await getNotifications(actor);
+
+      expect(response.body.data).toEqual([]);
+      expect(response.body.meta).toEqual({ unreadCount: 0 });
+    });
+
+    it('should return 401 without token', async () => {
+      const response = await request(app)
+        .get('/api/v1/notifications')
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+
+    it('should return 400 for invalid unreadOnly', async () => {
+      const response = await request(app)
+        .get('/api/v1/notifications?unreadOnly=yes')
+        .set('Authorization', `Bearer ${recipient.token}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('POST /api/v1/notifications/:notificationId/read', () => {
+    it('should mark a notification as read', async () => {
+      const [latest] = (await getNotifications(recipient)).body.data;
+
+      const response = await request(app)
+        .post(`/api/v1/notifications/${latest.id}/read`)
+        .set('Authorization', `Bearer ${recipient.token}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('id', latest.id);
+      expect(response.body.data.readAt).not.toBeNull();
+      expect(response.body.meta).toEqual({ unreadCount: 2 });
+
+      const unread = await getNotifications(recipient, '?unreadOnly=true');
+      expect(unread.body.data.map(notification => notification.type)).toEqual(['like', 'follow']);
+      expect(unread.body.meta).toEqual({ unreadCount: 2 });
+    });
+
+    it('should keep the original readAt when already read', async () => {
+      const [latest] = (await getNotifications(recipient)).body.data;
+
+      const response = await request(app)
+        .post(`/api/v1/notifications/${latest.id}/read`)
+        .set('Authorization', `Bearer ${recipient.token}`)
+        .expect(200);
+
+      expect(response.body.data.readAt).toBe(latest.readAt);
+    });
+
+    it('should return 404 for another user\'s notification', async () => {
+      const [latest] = (await getNotifications(recipient)).body.data;
+
+      const response = await request(app)
+        .post(`/api/v1/notifications/${latest.id}/read`)
+        .set('Authorization', `Bearer ${actor.token}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+
+    it('should return 404 for non-existent notification', async () => {
+      const response = await request(app)
+        .post('/api/v1/notifications/99999/read')
+        .set('Authorization', `Bearer ${recipient.token}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+
+  describe('POST /api/v1/notifications/read-all', () => {
+    it('should mark all unread notifications as read', async () => {
+      const response = await request(app)
+        .post('/api/v1/notifications/read-all')
+        .set('Authorization', `Bearer ${recipient.token}`)
+        .expect(200);
+
+      expect(response.body).toEqual({ data: { updatedCount: 2 }, meta: { unreadCount: 0 } });
+
+      const unread = await getNotifications(recipient, '?unreadOnly=true');
+      expect(unread.body.data).toEqual([]);
+    });
+  });
+
+  describe('Password change notification', () => {
+    it('should notify the user when the password is changed', async () => {
+      await request(app)
+        .put('/api/v1/auth/password')
+        .set('Authorization', `Bearer ${actor.token}`)
+        .send({ currentPassword: 'password123', newPassword: 'newPassword123' })
+        .expect(200);
+
+      const response = await getNotifications(actor);
+
+      expect(response.body.data[0]).toMatchObject({
+        type: 'passwordChanged',
+        actorId: null,
+        micropostId: null,
+        actor: null
+      });
+      expect(response.body.meta).toEqual({ unreadCount: 1 });
+    });
+  });
+});
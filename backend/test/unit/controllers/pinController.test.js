@@ -0,0 +1,153 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+
+describe('Pinned microposts', () => {
+  let author;
+  let other;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const createPost = async (user, content) => {
+    const response = await request(app)
+      .post(`/api/v1/users/${user.id}/microposts`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .send({ content });
+    return response.body.data;
+  };
+
+  const pin = (user, micropostId) => {
+    return request(app)
+      .post(`/api/v1/microposts/${micropostId}/pin`)
+      .set('Authorization', `Bearer ${user.token}`);
+  };
+
+  const unpin = (user, micropostId) => {
+    return request(app)
+      .delete(`/api/v1/microposts/${micropostId}/pin`)
+      .set('Authorization', `Bearer ${user.token}`);
+  };
+
+  beforeAll(async () => {
+    author = await registerUser('Pinner');
+    other = await registerUser('Onlooker');
+  });
+
+  describe('POST /api/v1/microposts/:micropostId/pin', () => {
+    it('should pin a micropost and expose it on the user profile', async () => {
+      const post = await createPost(author, 'Read this first');
+
+      const response = await pin(author, post.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ id: post.id, content: 'Read this first' });
+
+      const profile = await request(app).get(`/api/v1/users/${author.id}`).expect(200);
+      expect(profile.body.data.pinnedMicropost).toMatchObject({
+        id: post.id,
+        content: 'Read this first',
+        user: expect.objectContaining({ id: author.id })
+      });
+      expect(profile.body.data.pinnedMicropostId).toBeUndefined();
+    });
+
+    it('should show the pinned micropost first on page 1 only', async () => {
+      const pinned = await createPost(author, 'Pinned post');
+      for (let i = 0; i < 3; i++) {
+        await createPost(author, `Newer post ${i}`);
+      }
+      await pin(author, pinned.id).expect(200);
+
+      const first = await request(app).get(`/api/v1/users/${author.id}/microposts?limit=2`).expect(200);
+      expect(first.body.data[0]).toMatchObject({ id: pinned.id, pinned: true });
+      expect(first.body.data.slice(1).map(post => post.content)).toEqual(['Newer post 2', 'Newer post 1']);
+      expect(first.body.data.slice(1).every(post => post.pinned === undefined)).toBe(true);
+
+      const second = await request(app).get(`/api/v1/users/${author.id}/microposts?limit=2&page=2`).expect(200);
+      // 2ページ目以降は通常の位置に表示する
+      expect(second.body.data.find(post => post.id === pinned.id)).toBeDefined();
+      expect(second.body.data.every(post => post.pinned === undefined)).toBe(true);
+    });
+
+    it('should replace the previously pinned micropost', async () => {
+      const first = await createPost(author, 'First pin');
+      const second = await createPost(author, 'Second pin');
+      await pin(author, first.id).expect(200);
+
+      await pin(author, second.id).expect(200);
+
+      const profile = await request(app).get(`/api/v1/users/${author.id}`).expect(200);
+      expect(profile.body.data.pinnedMicropost.id).toBe(second.id);
+    });
+
+    it('should return 403 when pinning another user\'s micropost', async () => {
+      const post = await createPost(other, 'Not yours');
+
+      const response = await pin(author, post.id);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('FORBIDDEN');
+    });
+
+    it('should return 404 for deleted microposts and drop a deleted pin', async () => {
+      const post = await createPost(author, 'Soon gone');
+      await pin(author, post.id).expect(200);
+
+      await request(app)
+        .delete(`/api/v1/microposts/${post.id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(204);
+
+      const response = await pin(author, post.id);
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('NOT_FOUND');
+
+      const profile = await request(app).get(`/api/v1/users/${author.id}`).expect(200);
+      expect(profile.body.data.pinnedMicropost).toBeNull();
+      const list = await request(app).get(`/api/v1/users/${author.id}/microposts`).expect(200);
+      expect(list.body.data.map(item => item.id)).not.toContain(post.id);
+    });
+
+    it('should return 401 without token', async () => {
+      const post = await createPost(author, 'Anonymous pin');
+
+      const response = await request(app)
+        .post(`/api/v1/microposts/${post.id}/pin`)
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+  });
+
+  describe('DELETE /api/v1/microposts/:micropostId/pin', () => {
+    it('should unpin the micropost', async () => {
+      const post = await createPost(author, 'Temporary pin');
+      await pin(author, post.id).expect(200);
+
+      await unpin(author, post.id).expect(204);
+
+      const profile = await request(app).get(`/api/v1/users/${author.id}`).expect(200);
+      expect(profile.body.data.pinnedMicropost).toBeNull();
+    });
+
+    it('should return 404 when the micropost is not pinned', async () => {
+      const post = await createPost(author, 'Never pinned');
+
+      const response = await unpin(author, post.id);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+import micropostRepository from '../../../src/repositories/micropostRepository.js';
+
+describe('Polls', () => {
+  let author;
+  let voter;
+  let other;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+  const createPoll = async (poll) => {
+    return await request(app)
+      .post(`/api/v1/users/${author.id}/microposts`)
+      .set('Authorization', `Bearer ${author.token}`)
+      .send({ content: 'Which framework?', poll: { options: ['Express', 'Fastify', 'Koa'], closesAt: inOneDay(), ...poll } });
+  };
+
+  const vote = (user, micropostId, optionId) => {
+    return request(app)
+      .post(`/api/v1/microposts/${micropostId}/poll/votes`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .send({ optionId });
+  };
+
+  const getPost = (user, micropostId) => {
+    return request(app)
+      .get(`/api/v1/microposts/${micropostId}`)
+      .set('Authorization', `Bearer ${user.token}`);
+  };
+
+  const closePoll = async (micropostId) => {
+    await micropostRepository.reinitialize();
+    micropostRepository.db.data.microposts.find(p => p.id === micropostId).poll.closesAt =
+      new Date(Date.now() - 60 * 1000).toISOString();
+    await micropostRepository.db.write();
+  };
+
+  beforeAll(async () => {
+    author = await registerUser('Pollster');
+    voter = await registerUser('Voter');
+    other = await registerUser('Lurker');
+  });
+
+  describe('Creating polls', () => {
+    it('should create a micropost with a poll and hide results before voting', async () => {
+      const response = await createPoll({ options: [' Express ', 'Fastify'] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.poll).toMatchObject({
+        options: [
+          { id: 1, text: 'Express', votes: null },
+          { id: 2, text: 'Fastify', votes: null }
+        ],
+        closed: false,
+        resultsVisibility: 'after_vote',
+        resultsVisible: false,
+        totalVotes: null,
+        myVote: null
+      });
+
+      const plain = await request(app)
+        .post(`/api/v1/users/${author.id}/microposts`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ content: 'No poll here' });
+      expect(plain.body.data.poll).toBeUndefined();
+    });
+
+    it('should return 400 for invalid polls', async () => {
+      const past = await createPoll({ closesAt: new Date(Date.now() - 60 * 1000).toISOString() });
+      const tooFew = await createPoll({ options: ['Only one'] });
+      const tooMany = await createPoll({ options: ['A', 'B', 'C', 'D', 'E'] });
+      const duplicated = await createPoll({ options: ['Same', 'Same'] });
+
+      expect(past.status).toBe(400);
+      expect(tooFew.status).toBe(400);
+      expect(tooMany.status).toBe(400);
+      expect(duplicated.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/v1/microposts/:micropostId/poll/votes', () => {
+    it('should record a vote and reveal tallies to the voter only', async () => {
+      const post = (await createPoll()).body.data;
+
+      const response = await vote(voter, post.id, 2);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ userId: voter.id, micropostId: post.id, optionId: 2 });
+      expect(response.body.meta.poll).toMatchObject({
+        options: [
+          { id: 1, votes: 0 },
+          { id: 2, votes: 1 },
+          { id: 3, votes: 0 }
+        ],
+        resultsVisible: true,
+        totalVotes: 1,
+        myVote: 2
+      });
+
+      const hidden = await getPost(other, post.id);
+      expect(hidden.body.data.poll).toMatchObject({ resultsVisible: false, totalVotes: null, myVote: null });
+    });
+
+    it('should allow only one vote per user', async () => {
+      const post = (await createPoll()).body.data;
+      await vote(voter, post.id, 1).expect(201);
+
+      const response = await vote(voter, post.id, 2);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('CONFLICT');
+    });
+
+    it('should keep after_close results hidden until the poll closes', async () => {
+      const post = (await createPoll({ resultsVisibility: 'after_close' })).body.data;
+
+      const response = await vote(voter, post.id, 1);
+
+      expect(response.status).toBe(201);
+      expect(response.body.meta.poll).toMatchObject({ resultsVisible: false, totalVotes: null, myVote: 1 });
+
+      await closePoll(post.id);
+
+      const closed = await getPost(other, post.id);
+      expect(closed.body.data.poll).toMatchObject({
+        closed: true,
+        resultsVisible: true,
+        totalVotes: 1,
+        options: [{ id: 1, votes: 1 }, { id: 2, votes: 0 }, { id: 3, votes: 0 }]
+      });
+    });
+
+    it('should return 409 for closed polls', async () => {
+      const post = (await createPoll()).body.data;
+      await closePoll(post.id);
+
+      const response = await vote(voter, post.id, 1);
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 400 for options that do not exist', async () => {
+      const post = (await createPoll()).body.data;
+
+      const response = await vote(voter, post.id, 4);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 404 for microposts without a poll', async () => {
+      const post = (await request(app)
+        .post(`/api/v1/users/${author.id}/microposts`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ content: 'Just a post' })).body.data;
+
+      await vote(voter, post.id, 1).expect(404);
+      await vote(voter, 999999, 1).expect(404);
+    });
+
+    it('should return 401 without token', async () => {
+      const post = (await createPoll()).body.data;
+
+      const response = await request(app)
+        .post(`/api/v1/microposts/${post.id}/poll/votes`)
+        .send({ optionId: 1 })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+
+describe('Relationship Controller', () => {
+  let follower;
+  let followed;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  beforeAll(async () => {
+    follower = await registerUser('Follower');
+    followed = await registerUser('Followed');
+  });
+
+  describe('POST /api/v1/users/:userId/follow', () => {
+    afterEach(async () => {
+      await request(app)
+        .delete(`/api/v1/users/${followed.id}/follow`)
+        .set('Authorization', `Bearer ${follower.token}`);
+    });
+
+    it('should follow a user with status 201', async () => {
+      const response = await request(app)
+        .post(`/api/v1/users/${followed.id}/follow`)
+        .set('Authorization', `Bearer ${follower.token}`)
+        .expect(201);
+
+      expect(response.body.data).toHaveProperty('id');
+      expect(response.body.data).toHaveProperty('followerId', follower.id);
+      expect(response.body.data).toHaveProperty('followedId', followed.id);
+      expect(response.body.data).toHaveProperty('createdAt');
+    });
+
+    it('should return 409 when already following', async () => {
+      await request(app)
+        .post(`/api/v1/users/${followed.id}/follow`)
+        .set('Authorization', `Bearer ${follower.token}`)
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/v1/users/${followed.id}/follow`)
+        .set('Authorization', `Bearer ${follower.token}`)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('CONFLICT');
+    });
+
+    it('should return 400 when following yourself', async () => {
+      const response = await request(app)
+        .post(`/api/v1/users/${follower.id}/follow`)
+        .set('Authorization', `Bearer ${follower.token}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 404 for non-existent user', async () => {
+      const response = await request(app)
+        .post('/api/v1/users/99999/follow')
+        .set('Authorization', `Bearer ${follower.token}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should return 401 without token', async () => {
+      const response = await request(app)
+        .post(`/api/v1/users/${followed.id}/follow`)
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+  });
+
+  describe('DELETE /api/v1/users/:userId/follow', () => {
+    it('should unfollow a user with status 204', async () => {
+      await request(app)
+        .post(`/api/v1/users/${followed.id}/follow`)
+        .set('Authorization', `Bearer ${follower.token}`)
+        .expect(201);
+
+      await request(app)
+        .delete(`/api/v1/users/${followed.id}/follow`)
+        .set('Authorization', `Bearer ${follower.token}`)
+        .expect(204);
+    });
+
+    it('should return 404 when not following', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/users/${followed.id}/follow`)
+        .set('Authorization', `Bearer ${follower.token}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+
+  describe('GET /api/v1/users/:userId/followers and /following', () => {
+    beforeAll(async () => {
+      await request(app)
+        .post(`/api/v1/users/${followed.id}/follow`)
+        .set('Authorization', `Bearer ${follower.token}`);
+    });
+
+    afterAll(async () => {
+      await request(app)
+        .delete(`/api/v1/users/${followed.id}/follow`)
+        .set('Authorization', `Bearer ${follower.token}`);
+    });
+
+    it('should list followers with pagination', async () => {
+      const response = await request(app)
+        .get(`/api/v1/users/${followed.id}/followers`)
+        .expect(200);
+
+      expect(response.body.pagination).toEqual({
+        page: 1,
+        limit: 20,
+        total: 1,
+        totalPages: 1
+      });
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toHaveProperty('id', follower.id);
+      expect(response.body.data[0]).toHaveProperty('followingCount', 1);
+      expect(response.body.data[0]).not.toHaveProperty('passwordHash');
+    });
+
+    it('should list following users with pagination', async () => {
+      const response = await request(app)
+        .get(`/api/v1/users/${follower.id}/following?page=1&limit=1`)
+        .expect(200);
+
+      expect(response.body.pagination.limit).toBe(1);
+      expect(response.body.pagination.total).toBe(1);
+      expect(response.body.data[0]).toHaveProperty('id', followed.id);
+      expect(response.body.data[0]).toHaveProperty('followerCount', 1);
+    });
+
+    it('should include follow counts in user detail', async () => {
+      const response = await request(app)
+        .get(`/api/v1/users/${followed.id}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('followerCount', 1);
+      expect(response.body.data).toHaveProperty('followingCount', 0);
+    });
+
+    it('should return 404 for non-existent user', async () => {
+      const response = await request(app)
+        .get('/api/v1/users/99999/followers')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+});
@@ -0,0 +1,245 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+import { updateUser } from '../../../src/services/userService.js';
+
+describe('Reports and moderation', () => {
+  const stamp = Date.now();
+  let reporter;
+  let author;
+  let moderator;
+  let auditor;
+  let post;
+  let postReport;
+
+  const registerUser = async (name, roles) => {
+    const email = `${name.toLowerCase()}-${stamp}@example.com`;
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name, email, password: 'password123' });
+
+    const id = response.body.data.user.id;
+    if (roles) {
+      await updateUser(id, { roles, updatedAt: new Date().toISOString() });
+    }
+
+    return {
+      id,
+      email,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const createPostWith = async (user, body) => {
+    const response = await request(app)
+      .post(`/api/v1/users/${user.id}/microposts`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .send(body)
+      .expect(201);
+    return response.body.data;
+  };
+
+  const createPost = (user, content) => createPostWith(user, { content });
+
+  const report = (user, body) => {
+    return request(app)
+      .post('/api/v1/reports')
+      .set('Authorization', `Bearer ${user.token}`)
+      .send(body);
+  };
+
+  const resolve = (user, reportId, body) => {
+    return request(app)
+      .post(`/api/v1/admin/reports/${reportId}/resolve`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .send(body);
+  };
+
+  beforeAll(async () => {
+    reporter = await registerUser('Whistleblower');
+    author = await registerUser('Spammer');
+    moderator = await registerUser('Moderator', ['admin']);
+    auditor = await registerUser('Auditor', ['readonly-admin']);
+    post = await createPost(author, 'Buy cheap followers now');
+  });
+
+  describe('POST /api/v1/reports', () => {
+    it('should report a micropost with a reason category', async () => {
+      const response = await report(reporter, { targetType: 'micropost', targetId: post.id, reason: 'spam', details: 'Advertising' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        reporterId: reporter.id,
+        targetType: 'micropost',
+        targetId: post.id,
+        reason: 'spam',
+        details: 'Advertising',
+        status: 'open',
+        resolution: null,
+        resolvedAt: null
+      });
+      postReport = response.body.data;
+    });
+
+    it('should return 409 while the same target is already reported and open', async () => {
+      const response = await report(reporter, { targetType: 'micropost', targetId: post.id, reason: 'other' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('CONFLICT');
+    });
+
+    it('should reject reporting yourself, your own microposts, unknown targets and unknown reasons', async () => {
+      const own = await createPost(reporter, 'My own words');
+
+      expect((await report(reporter, { targetType: 'user', targetId: reporter.id, reason: 'spam' })).status).toBe(400);
+      expect((await report(reporter, { targetType: 'micropost', targetId: own.id, reason: 'spam' })).status).toBe(400);
+      expect((await report(reporter, { targetType: 'micropost', targetId: 999999, reason: 'spam' })).status).toBe(404);
+      expect((await report(reporter, { targetType: 'user', targetId: 999999, reason: 'spam' })).status).toBe(404);
+      expect((await report(reporter, { targetType: 'user', targetId: author.id, reason: 'rude' })).status).toBe(400);
+    });
+
+    it('should return 401 without token', async () => {
+      const response = await request(app)
+        .post('/api/v1/reports')
+        .send({ targetType: 'user', targetId: author.id, reason: 'spam' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+  });
+
+  describe('GET /api/v1/admin/reports', () => {
+    it('should list reports with their actions for admins and readonly admins only', async () => {
+      const forbidden = await request(app)
+        .get('/api/v1/admin/reports')
+        .set('Authorization', `Bearer ${reporter.token}`)
+        .expect(403);
+      expect(forbidden.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      for (const user of [auditor, moderator]) {
+        const response = await request(app)
+          .get('/api/v1/admin/reports?status=open')
+          .set('Authorization', `Bearer ${user.token}`)
+          .expect(200);
+
+        const listed = response.body.data.find(item => item.targetType === 'micropost' && item.targetId === post.id);
+        expect(listed).toMatchObject({ reporterId: reporter.id, status: 'open', actions: [] });
+        expect(response.body.data.every(item => item.status === 'open')).toBe(true);
+        expect(response.body.pagination).toMatchObject({ page: 1, limit: 20 });
+      }
+    });
+  });
+
+  describe('POST /api/v1/admin/reports/:reportId/resolve', () => {
+    it('should only let admins resolve reports', async () => {
+      const created = (await report(reporter, { targetType: 'user', targetId: moderator.id, reason: 'other' })).body.data;
+
+      const readonly = await resolve(auditor, created.id, { action: 'dismiss' });
+      expect(readonly.status).toBe(403);
+
+      const missing = await resolve(moderator, 999999, { action: 'dismiss' });
+      expect(missing.status).toBe(404);
+
+      const unknown = await resolve(moderator, created.id, { action: 'delete_everything' });
+      expect(unknown.status).toBe(400);
+    });
+
+    it('should hide the reported micropost from everyone but its author and record the action', async () => {
+      const reported = await createPost(author, 'Click this suspicious link');
+      const repost = await createPostWith(reporter, { repostOfId: reported.id });
+      const quote = await createPostWith(reporter, { content: 'Look at this', quoteOfId: reported.id });
+      const created = (await report(reporter, { targetType: 'micropost', targetId: reported.id, reason: 'spam' })).body.data;
+
+      const response = await resolve(moderator, created.id, { action: 'hide_post', note: 'Spam' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ status: 'resolved', resolution: 'hide_post' });
+      expect(response.body.data.resolvedAt).not.toBeNull();
+      expect(response.body.data.actions).toEqual([expect.objectContaining({
+        reportId: created.id,
+        adminId: moderator.id,
+        action: 'hide_post',
+        targetType: 'micropost',
+        targetId: reported.id,
+        note: 'Spam'
+      })]);
+
+      await request(app).get(`/api/v1/microposts/${reported.id}`).expect(404);
+      await request(app)
+        .get(`/api/v1/microposts/${reported.id}`)
+        .set('Authorization', `Bearer ${reporter.token}`)
+        .expect(404);
+      await request(app)
+        .get(`/api/v1/microposts/${reported.id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(200);
+
+      // リポスト・引用にも非表示にした投稿の本文を埋め込まない（投稿者本人を除く）
+      const repostView = await request(app).get(`/api/v1/microposts/${repost.id}`).expect(200);
+      expect(repostView.body.data.repostOf).toBeNull();
+      const ownView = await request(app)
+        .get(`/api/v1/microposts/${repost.id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(200);
+      expect(ownView.body.data.repostOf).toMatchObject({ id: reported.id });
+
+      for (const path of ['/api/v1/microposts', `/api/v1/users/${reporter.id}/microposts`]) {
+        const listing = await request(app)
+          .get(path)
+          .set('Authorization', `Bearer ${reporter.token}`)
+          .expect(200);
+        expect(listing.body.data.find(item => item.id === quote.id).quoteOf).toBeNull();
+        expect(listing.body.data.map(item => item.id)).not.toContain(repost.id);
+      }
+
+      const again = await resolve(moderator, created.id, { action: 'dismiss' });
+      expect(again.status).toBe(409);
+
+      const detail = await request(app)
+        .get(`/api/v1/admin/reports/${created.id}`)
+        .set('Authorization', `Bearer ${auditor.token}`)
+        .expect(200);
+      expect(detail.body.data.actions).toHaveLength(1);
+    });
+
+    it('should dismiss a report without touching the target and record the action', async () => {
+      const response = await resolve(moderator, postReport.id, { action: 'dismiss' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ status: 'resolved', resolution: 'dismiss' });
+      expect(response.body.data.actions).toEqual([expect.objectContaining({ action: 'dismiss', note: null })]);
+      await request(app).get(`/api/v1/microposts/${post.id}`).expect(200);
+
+      // 対応済みになれば同じ対象を再び通報できる
+      expect((await report(reporter, { targetType: 'micropost', targetId: post.id, reason: 'spam' })).status).toBe(201);
+    });
+
+    it('should suspend the author so they can neither log in nor use existing tokens', async () => {
+      const created = (await report(reporter, { targetType: 'user', targetId: author.id, reason: 'harassment' })).body.data;
+
+      const hide = await resolve(moderator, created.id, { action: 'hide_post' });
+      expect(hide.status).toBe(400);
+
+      const response = await resolve(moderator, created.id, { action: 'suspend_author' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.actions).toEqual([expect.objectContaining({
+        action: 'suspend_author',
+        targetType: 'user',
+        targetId: author.id
+      })]);
+
+      const login = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: author.email, password: 'password123' });
+      expect(login.status).toBe(403);
+      expect(login.body.error.code).toBe('ACCOUNT_SUSPENDED');
+
+      const withToken = await request(app)
+        .post(`/api/v1/users/${author.id}/microposts`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ content: 'Still here' });
+      expect(withToken.status).toBe(403);
+      expect(withToken.body.error.code).toBe('ACCOUNT_SUSPENDED');
+    });
+  });
+});
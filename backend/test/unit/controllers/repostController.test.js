@@ -0,0 +1,163 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+
+describe('Repost and Quote', () => {
+  let author;
+  let reposter;
+  let originalId;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const createPost = async (user, body) => {
+    return await request(app)
+      .post(`/api/v1/users/${user.id}/microposts`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .send(body);
+  };
+
+  beforeAll(async () => {
+    author = await registerUser('Original');
+    reposter = await registerUser('Reposter');
+
+    await request(app)
+      .post(`/api/v1/users/${author.id}/follow`)
+      .set('Authorization', `Bearer ${reposter.token}`)
+      .expect(201);
+
+    originalId = (await createPost(author, { content: 'Worth sharing #repost' })).body.data.id;
+  });
+
+  describe('POST /api/v1/users/:userId/microposts', () => {
+    let repostId;
+
+    it('should create a repost without content', async () => {
+      const response = await createPost(reposter, { repostOfId: originalId });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        userId: reposter.id,
+        content: '',
+        contentLength: 0,
+        repostOfId: originalId,
+        repostCount: 0
+      });
+      expect(response.body.data.repostOf).toMatchObject({
+        id: originalId,
+        content: 'Worth sharing #repost',
+        user: { id: author.id }
+      });
+      repostId = response.body.data.id;
+    });
+
+    it('should return 409 when already reposted, even via the repost', async () => {
+      const duplicate = await createPost(reposter, { repostOfId: originalId });
+      const viaRepost = await createPost(reposter, { repostOfId: repostId });
+
+      expect(duplicate.status).toBe(409);
+      expect(duplicate.body.error.code).toBe('CONFLICT');
+      expect(viaRepost.status).toBe(409);
+    });
+
+    it('should create a quote that embeds the original', async () => {
+      const response = await createPost(reposter, { content: 'So true', quoteOfId: repostId });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ content: 'So true', quoteOfId: originalId });
+      expect(response.body.data.quoteOf).toMatchObject({ id: originalId, user: { id: author.id } });
+      expect(response.body.data).not.toHaveProperty('repostOf');
+    });
+
+    it('should return 400 when reposting own micropost', async () => {
+      const response = await createPost(author, { repostOfId: originalId });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 400 for non-existent target', async () => {
+      const repost = await createPost(reposter, { repostOfId: 99999 });
+      const quote = await createPost(reposter, { content: 'Quote', quoteOfId: 99999 });
+
+      expect(repost.status).toBe(400);
+      expect(quote.status).toBe(400);
+    });
+
+    it('should return 400 for a repost with content or a quote without content', async () => {
+      const repost = await createPost(reposter, { content: 'Not allowed', repostOfId: originalId });
+      const quote = await createPost(reposter, { quoteOfId: originalId });
+
+      expect(repost.status).toBe(400);
+      expect(quote.status).toBe(400);
+    });
+
+    it('should not allow editing a repost', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/microposts/${repostId}`)
+        .set('Authorization', `Bearer ${reposter.token}`)
+        .send({ content: 'Edited' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('Listings', () => {
+    it('should embed the original and count reposts in user microposts', async () => {
+      const reposterPosts = await request(app)
+        .get(`/api/v1/users/${reposter.id}/microposts`)
+        .expect(200);
+
+      const repost = reposterPosts.body.data.find(post => post.repostOfId === originalId);
+      expect(repost.repostOf).toMatchObject({ id: originalId, userId: author.id });
+      expect(repost.repostOf.user).toEqual(expect.objectContaining({ id: author.id, name: 'Original' }));
+
+      const authorPosts = await request(app)
+        .get(`/api/v1/users/${author.id}/microposts`)
+        .expect(200);
+
+      // 引用投稿はリポスト数に含めない
+      expect(authorPosts.body.data.find(post => post.id === originalId)).toHaveProperty('repostCount', 1);
+    });
+
+    it('should embed the original in the feed', async () => {
+      const response = await request(app)
+        .get('/api/v1/feed')
+        .set('Authorization', `Bearer ${reposter.token}`)
+        .expect(200);
+
+      const repost = response.body.data.find(post => post.repostOfId === originalId);
+      expect(repost.repostOf).toMatchObject({ id: originalId, content: 'Worth sharing #repost' });
+      expect(response.body.data.find(post => post.id === originalId)).toHaveProperty('repostCount', 1);
+    });
+
+    it('should remove reposts and keep quotes when the original is deleted', async () => {
+      await request(app)
+        .delete(`/api/v1/microposts/${originalId}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(204);
+
+      const response = await request(app)
+        .get(`/api/v1/users/${reposter.id}/microposts`)
+        .expect(200);
+
+      expect(response.body.data.some(post => post.repostOfId === originalId)).toBe(false);
+      expect(response.body.data.find(post => post.quoteOfId === originalId)).toMatchObject({
+        content: 'So true',
+        quoteOf: null
+      });
+    });
+  });
+});
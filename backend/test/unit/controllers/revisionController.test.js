@@ -0,0 +1,140 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+import config from '../../../src/config/index.js';
+import micropostRepository from '../../../src/repositories/micropostRepository.js';
+
+describe('Micropost Revisions', () => {
+  let author;
+  let micropostId;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const createPost = async (content) => {
+    const response = await request(app)
+      .post(`/api/v1/users/${author.id}/microposts`)
+      .set('Authorization', `Bearer ${author.token}`)
+      .send({ content })
+      .expect(201);
+    return response.body.data;
+  };
+
+  const editPost = async (id, content) => {
+    return await request(app)
+      .patch(`/api/v1/microposts/${id}`)
+      .set('Authorization', `Bearer ${author.token}`)
+      .send({ content });
+  };
+
+  beforeAll(async () => {
+    author = await registerUser('Editor');
+    micropostId = (await createPost('First draft')).id;
+  });
+
+  describe('PATCH /api/v1/microposts/:micropostId', () => {
+    it('should keep previous versions and mark the micropost as edited', async () => {
+      const first = await editPost(micropostId, 'Second draft');
+      const second = await editPost(micropostId, 'Final version');
+
+      expect(first.status).toBe(200);
+      expect(second.body.data).toMatchObject({ content: 'Final version', edited: true });
+      expect(second.body.data).toHaveProperty('updatedAt');
+
+      const response = await request(app)
+        .get(`/api/v1/microposts/${micropostId}/revisions`)
+        .expect(200);
+
+      expect(response.body.data.map(revision => revision.content)).toEqual(['First draft', 'Second draft']);
+      expect(response.body.data[1].createdAt).toBe(response.body.data[0].replacedAt);
+      expect(response.body.meta).toEqual({ micropostId, revisionCount: 2 });
+    });
+
+    it('should not record a revision when the content is unchanged', async () => {
+      const post = await createPost('Unchanged');
+
+      const response = await editPost(post.id, 'Unchanged');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).not.toHaveProperty('edited');
+      expect(await micropostRepository.findRevisions(post.id)).toEqual([]);
+    });
+
+    describe('with an edit window', () => {
+      beforeAll(() => {
+        config.microposts.editWindowMinutes = 5;
+      });
+
+      afterAll(() => {
+        config.microposts.editWindowMinutes = 0;
+      });
+
+      it('should allow edits within the window', async () => {
+        const post = await createPost('Fresh post');
+
+        const response = await editPost(post.id, 'Fresh post (fixed)');
+
+        expect(response.status).toBe(200);
+      });
+
+      it('should return 403 after the window has passed', async () => {
+        const post = await createPost('Old post');
+        await micropostRepository.reinitialize();
+        micropostRepository.db.data.microposts.find(p => p.id === post.id).createdAt =
+          new Date(Date.now() - 6 * 60 * 1000).toISOString();
+        await micropostRepository.db.write();
+
+        const response = await editPost(post.id, 'Too late');
+
+        expect(response.status).toBe(403);
+        expect(response.body.error.code).toBe('FORBIDDEN');
+        expect(await micropostRepository.findRevisions(post.id)).toEqual([]);
+      });
+    });
+  });
+
+  describe('GET /api/v1/microposts/:micropostId/revisions', () => {
+    it('should return an empty list for an unedited micropost', async () => {
+      const post = await createPost('Never edited');
+
+      const response = await request(app)
+        .get(`/api/v1/microposts/${post.id}/revisions`)
+        .expect(200);
+
+      expect(response.body).toEqual({ data: [], meta: { micropostId: post.id, revisionCount: 0 } });
+    });
+
+    it('should hide revisions while the micropost is in the trash', async () => {
+      await request(app)
+        .delete(`/api/v1/microposts/${micropostId}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(204);
+
+      await request(app)
+        .get(`/api/v1/microposts/${micropostId}/revisions`)
+        .expect(404);
+
+      // 元に戻せるよう、完全に削除されるまで履歴は残す
+      expect(await micropostRepository.findRevisions(micropostId)).toHaveLength(2);
+    });
+
+    it('should return 404 for non-existent micropost', async () => {
+      const response = await request(app)
+        .get('/api/v1/microposts/99999/revisions')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+  });
+});
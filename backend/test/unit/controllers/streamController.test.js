@@ -0,0 +1,184 @@
+import http from 'http';
+import request from 'supertest';
+import app from '../../../src/app.js';
+import { closeAllStreams, getStreamClientCount } from '../../../src/services/streamService.js';
+import { suspendUser } from '../../../src/services/userService.js';
+
+describe('Stream Controller', () => {
+  let server;
+  let author;
+  let listener;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const createPost = async (body) => {
+    const response = await request(app)
+      .post(`/api/v1/users/${author.id}/microposts`)
+      .set('Authorization', `Bearer ${author.token}`)
+      .send(body)
+      .expect(201);
+    return response.body.data;
+  };
+
+  // SSEを受信し、パース済みのイベントを蓄積するクライアント
+  const connect = (user, headers = {}) => new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const req = http.get({
+      port,
+      path: '/api/v1/stream',
+      headers: { Authorization: `Bearer ${user.token}`, 'Accept-Encoding': 'gzip', ...headers }
+    }, (res) => {
+      const stream = { res, events: [], ended: false, buffer: '' };
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        stream.buffer += chunk;
+        const blocks = stream.buffer.split('\n\n');
+        stream.buffer = blocks.pop();
+        blocks.forEach(block => {
+          const fields = Object.fromEntries(block.split('\n')
+            .filter(line => !line.startsWith(':'))
+            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+          if (fields.event) {
+            stream.events.push({ id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+          }
+        });
+      });
+      res.on('end', () => { stream.ended = true; });
+      stream.close = () => req.destroy();
+
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+
+  const waitFor = async (predicate) => {
+    for (let i = 0; i < 100 && !predicate(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    expect(predicate()).toBe(true);
+  };
+
+  beforeAll(async () => {
+    server = app.listen(0);
+    author = await registerUser('Streamer');
+    listener = await registerUser('Listener');
+  });
+
+  afterAll(async () => {
+    closeAllStreams();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('GET /api/v1/stream', () => {
+    it('should push microposts, replies, likes and notifications', async () => {
+      const authorStream = await connect(author);
+      const listenerStream = await connect(listener);
+
+      expect(authorStream.res.statusCode).toBe(200);
+      expect(authorStream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(authorStream.res.headers['content-encoding']).toBeUndefined();
+
+      const post = await createPost({ content: 'Live post' });
+      await createPost({ content: 'Live reply', inReplyToId: post.id });
+      await request(app)
+        .post(`/api/v1/microposts/${post.id}/like`)
+        .set('Authorization', `Bearer ${listener.token}`)
+        .expect(201);
+
+      await waitFor(() => listenerStream.events.length >= 3 && authorStream.events.length >= 4);
+
+      expect(listenerStream.events.map(event => event.type)).toEqual(['micropost', 'reply', 'like']);
+      expect(listenerStream.events[0].data).toMatchObject({ id: post.id, content: 'Live post' });
+      expect(listenerStream.events[0].data.user).toHaveProperty('id', author.id);
+      expect(listenerStream.events[1].data).toHaveProperty('inReplyToId', post.id);
+      expect(listenerStream.events[2].data).toMatchObject({ userId: listener.id, micropostId: post.id, likeCount: 1 });
+
+      // 通知は受信者本人にのみ配信される
+      const notification = authorStream.events.find(event => event.type === 'notification');
+      expect(notification.data).toMatchObject({ userId: author.id, type: 'like', actorId: listener.id });
+
+      // イベントIDは連番
+      const ids = authorStream.events.map(event => event.id);
+      expect(ids).toEqual([...ids].sort((a, b) => a - b));
+
+      authorStream.close();
+      listenerStream.close();
+    });
+
+    it('should replay missed events after Last-Event-ID', async () => {
+      const first = await connect(listener);
+      const post = await createPost({ content: 'Before disconnect' });
+      await waitFor(() => first.events.length === 1);
+      first.close();
+
+      await createPost({ content: 'Missed while offline' });
+      await createPost({ content: 'Also missed' });
+
+      const resumed = await connect(listener, { 'Last-Event-ID': String(first.events[0].id) });
+      await waitFor(() => resumed.events.length === 2);
+
+      expect(resumed.events.map(event => event.data.content)).toEqual(['Missed while offline', 'Also missed']);
+      expect(resumed.events.map(event => event.data.id)).not.toContain(post.id);
+
+      resumed.close();
+    });
+
+    it('should close open streams on shutdown', async () => {
+      const stream = await connect(listener);
+      await waitFor(() => getStreamClientCount() > 0);
+
+      expect(closeAllStreams()).toBeGreaterThan(0);
+      await waitFor(() => stream.ended);
+      expect(getStreamClientCount()).toBe(0);
+    });
+
+    it('should end the streams of a suspended user and reject them afterwards', async () => {
+      const suspended = await registerUser('Silenced');
+      const stream = await connect(suspended);
+      await waitFor(() => getStreamClientCount() > 0);
+
+      expect(await suspendUser(suspended.id)).toBe(true);
+      await waitFor(() => stream.ended);
+      expect(getStreamClientCount()).toBe(0);
+
+      const response = await request(app)
+        .get('/api/v1/stream')
+        .set('Authorization', `Bearer ${suspended.token}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('ACCOUNT_SUSPENDED');
+    });
+
+    it('should return 400 for invalid Last-Event-ID', async () => {
+      const response = await request(app)
+        .get('/api/v1/stream')
+        .set('Authorization', `Bearer ${listener.token}`)
+        .set('Last-Event-ID', 'abc')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 401 without token', async () => {
+      const response = await request(app)
+        .get('/api/v1/stream')
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+  });
+});
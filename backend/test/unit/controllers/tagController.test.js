@@ -0,0 +1,144 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+
+describe('Tag Controller', () => {
+  // 他のテストの投稿と衝突しないタグ
+  const tag = `express${Date.now()}`;
+  let author;
+  let firstPostId;
+  let secondPostId;
+
+  const createPost = async (content) => {
+    const response = await request(app)
+      .post(`/api/v1/users/${author.id}/microposts`)
+      .set('Authorization', `Bearer ${author.token}`)
+      .send({ content });
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Tagger',
+        email: `tagger-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+    author = {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+
+    firstPostId = (await createPost(`Learning #${tag.toUpperCase()} today`)).id;
+    secondPostId = (await createPost(`More #${tag} and #api${tag}, no#tag here`)).id;
+    await createPost(`Mentioning ${tag} without a hash`);
+  });
+
+  describe('GET /api/v1/tags/:tag/microposts', () => {
+    it('should return tagged microposts newest first', async () => {
+      const response = await request(app)
+        .get(`/api/v1/tags/${tag.toUpperCase()}/microposts`)
+        .expect(200);
+
+      expect(response.body.data.map(post => post.id)).toEqual([secondPostId, firstPostId]);
+      expect(response.body.data[0].hashtags).toEqual([tag, `api${tag}`]);
+      expect(response.body.data[1].hashtags).toEqual([tag]);
+      expect(response.body.data[0].user).toHaveProperty('id', author.id);
+      expect(response.body.meta).toEqual({ tag });
+      expect(response.body.pagination).toMatchObject({ page: 1, total: 2 });
+    });
+
+    it('should support cursor mode', async () => {
+      const firstPage = await request(app)
+        .get(`/api/v1/tags/${tag}/microposts?limit=1`)
+        .expect(200);
+
+      const secondPage = await request(app)
+        .get(`/api/v1/tags/${tag}/microposts?limit=1&cursor=${firstPage.body.pagination.nextCursor}`)
+        .expect(200);
+
+      expect(secondPage.body.data.map(post => post.id)).toEqual([firstPostId]);
+      expect(secondPage.body.pagination).toEqual({ limit: 1, nextCursor: null, hasMore: false });
+    });
+
+    it('should reindex on update and drop the index on delete', async () => {
+      await request(app)
+        .patch(`/api/v1/microposts/${firstPostId}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ content: 'No more tags' })
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/v1/microposts/${secondPostId}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(204);
+
+      const response = await request(app)
+        .get(`/api/v1/tags/${tag}/microposts`)
+        .expect(200);
+
+      expect(response.body.data).toEqual([]);
+    });
+
+    it('should return 400 for invalid tag', async () => {
+      const response = await request(app)
+        .get('/api/v1/tags/not-a-tag/microposts')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('GET /api/v1/tags/trending', () => {
+    it('should count tags within the default window', async () => {
+      await createPost(`Trending #${tag}`);
+
+      const response = await request(app)
+        .get('/api/v1/tags/trending?limit=50')
+        .expect(200);
+
+      expect(response.body.data).toContainEqual({ tag, count: 1 });
+      expect(response.body.meta.windowHours).toBe(24);
+      expect(response.body.meta).toHaveProperty('since');
+    });
+
+    it('should only count public microposts', async () => {
+      const secret = `secret${tag}`;
+      for (const visibility of ['followers', 'private']) {
+        await request(app)
+          .post(`/api/v1/users/${author.id}/microposts`)
+          .set('Authorization', `Bearer ${author.token}`)
+          .send({ content: `Hidden #${tag} #${secret}`, visibility })
+          .expect(201);
+      }
+
+      const response = await request(app)
+        .get('/api/v1/tags/trending?limit=50')
+        .expect(200);
+
+      expect(response.body.data).toContainEqual({ tag, count: 1 });
+      expect(response.body.data.map(item => item.tag)).not.toContain(secret);
+    });
+
+    it('should return 400 for out of range window', async () => {
+      const response = await request(app)
+        .get('/api/v1/tags/trending?windowHours=0')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('GET /api/v1/microposts?search=#tag', () => {
+    it('should match hashtags exactly', async () => {
+      const response = await request(app)
+        .get(`/api/v1/microposts?search=${encodeURIComponent(`#${tag}`)}`)
+        .expect(200);
+
+      expect(response.body.data.length).toBeGreaterThan(0);
+      response.body.data.forEach(post => {
+        expect(post.hashtags).toContain(tag);
+      });
+    });
+  });
+});
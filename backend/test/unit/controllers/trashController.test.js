@@ -0,0 +1,240 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+import config from '../../../src/config/index.js';
+import micropostRepository from '../../../src/repositories/micropostRepository.js';
+import { deleteUser, updateUser } from '../../../src/services/userService.js';
+import { purgeExpiredTrash } from '../../../src/services/trashService.js';
+
+describe('Trash', () => {
+  let author;
+  let reader;
+  const tag = `trash${Date.now()}`;
+
+  const registerUser = async (name) => {
+    const email = `${name.toLowerCase()}-${Date.now()}@example.com`;
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name, email, password: 'password123' });
+
+    return {
+      id: response.body.data.user.id,
+      email,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const createPost = async (user, body) => {
+    const response = await request(app)
+      .post(`/api/v1/users/${user.id}/microposts`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .send(body)
+      .expect(201);
+    return response.body.data;
+  };
+
+  const deletePost = async (user, id) => {
+    await request(app)
+      .delete(`/api/v1/microposts/${id}`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .expect(204);
+  };
+
+  const restorePost = async (user, id) => {
+    return await request(app)
+      .post(`/api/v1/microposts/${id}/restore`)
+      .set('Authorization', `Bearer ${user.token}`);
+  };
+
+  const getTrash = async (user) => {
+    const response = await request(app)
+      .get('/api/v1/me/trash')
+      .set('Authorization', `Bearer ${user.token}`)
+      .expect(200);
+    return response.body;
+  };
+
+  beforeAll(async () => {
+    author = await registerUser('Trasher');
+    reader = await registerUser('Onlooker');
+  });
+
+  describe('DELETE and POST /api/v1/microposts/:micropostId/restore', () => {
+    let post;
+
+    beforeAll(async () => {
+      post = await createPost(author, { content: `Oops #${tag}` });
+      await request(app)
+        .post(`/api/v1/microposts/${post.id}/like`)
+        .set('Authorization', `Bearer ${reader.token}`)
+        .expect(201);
+      await createPost(reader, { repostOfId: post.id });
+    });
+
+    it('should hide a deleted micropost and list it in the trash', async () => {
+      await deletePost(author, post.id);
+
+      await request(app).get(`/api/v1/microposts/${post.id}`).expect(404);
+      const tagged = await request(app).get(`/api/v1/tags/${tag}/microposts`).expect(200);
+      expect(tagged.body.data).toEqual([]);
+      const readerPosts = await request(app).get(`/api/v1/users/${reader.id}/microposts`).expect(200);
+      expect(readerPosts.body.data.some(p => p.repostOfId === post.id)).toBe(false);
+
+      const trash = await getTrash(author);
+      expect(trash.data.map(p => p.id)).toEqual([post.id]);
+      expect(new Date(trash.data[0].purgeAt) - new Date(trash.data[0].deletedAt))
+        .toBe(config.trash.retentionDays * 24 * 60 * 60 * 1000);
+      expect(trash.pagination).toMatchObject({ page: 1, total: 1 });
+
+      // リポストは投稿者本人のゴミ箱に入る
+      expect((await getTrash(reader)).data.map(p => p.repostOfId)).toEqual([post.id]);
+    });
+
+    it('should return 404 when restoring another user\'s micropost', async () => {
+      const response = await restorePost(reader, post.id);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+
+    it('should return 400 when restoring a repost before its original', async () => {
+      const [repost] = (await getTrash(reader)).data;
+
+      const response = await restorePost(reader, repost.id);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should restore the micropost with its likes, hashtags and reposts', async () => {
+      const response = await restorePost(author, post.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ id: post.id, likeCount: 1, repostCount: 1 });
+      expect(response.body.data).not.toHaveProperty('deletedAt');
+
+      const tagged = await request(app).get(`/api/v1/tags/${tag}/microposts`).expect(200);
+      expect(tagged.body.data.map(p => p.id)).toEqual([post.id]);
+      expect((await getTrash(author)).data).toEqual([]);
+      expect((await getTrash(reader)).data).toEqual([]);
+    });
+
+    it('should return 404 for a micropost that is not in the trash', async () => {
+      const response = await restorePost(author, post.id);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 401 without token', async () => {
+      const response = await request(app)
+        .get('/api/v1/me/trash')
+        .expect(401);
+
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+  });
+
+  describe('Threads', () => {
+    it('should show a deleted reply as a tombstone until it is restored', async () => {
+      const root = await createPost(author, { content: 'Thread root' });
+      const reply = await createPost(author, { content: 'Middle reply', inReplyToId: root.id });
+      const nested = await createPost(reader, { content: 'Nested reply', inReplyToId: reply.id });
+      const leaf = await createPost(author, { content: 'Leaf reply', inReplyToId: root.id });
+
+      await deletePost(author, reply.id);
+      await deletePost(author, leaf.id);
+
+      const thread = await request(app).get(`/api/v1/microposts/${nested.id}/thread`).expect(200);
+      expect(thread.body.data.replies).toEqual([{
+        id: reply.id,
+        inReplyToId: root.id,
+        createdAt: expect.any(String),
+        tombstone: true,
+        replies: [expect.objectContaining({ id: nested.id })]
+      }]);
+
+      expect((await restorePost(author, reply.id)).status).toBe(200);
+
+      const restored = await request(app).get(`/api/v1/microposts/${root.id}/thread`).expect(200);
+      expect(restored.body.data.replies[0]).toMatchObject({ id: reply.id, content: 'Middle reply' });
+    });
+  });
+
+  describe('Purge', () => {
+    it('should purge microposts after the retention period', async () => {
+      const post = await createPost(author, { content: 'Gone for good' });
+      await request(app)
+        .patch(`/api/v1/microposts/${post.id}`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .send({ content: 'Gone for good (edited)' })
+        .expect(200);
+      await deletePost(author, post.id);
+
+      const trashed = (await getTrash(author)).data.find(p => p.id === post.id);
+      const purgeAt = new Date(trashed.purgeAt);
+
+      await purgeExpiredTrash(new Date(purgeAt.getTime() - 60 * 1000));
+      expect((await getTrash(author)).data.map(p => p.id)).toContain(post.id);
+
+      const purged = await purgeExpiredTrash(purgeAt);
+      expect(purged.microposts).toBeGreaterThanOrEqual(1);
+      expect((await getTrash(author)).data.map(p => p.id)).not.toContain(post.id);
+      expect(await micropostRepository.findById(post.id, { includeDeleted: true })).toBeNull();
+      expect(await micropostRepository.findRevisions(post.id)).toEqual([]);
+      expect((await restorePost(author, post.id)).status).toBe(404);
+    });
+  });
+
+  describe('Users', () => {
+    let admin;
+
+    beforeAll(async () => {
+      admin = await registerUser('Custodian');
+      await updateUser(admin.id, { roles: ['admin'], updatedAt: new Date().toISOString() });
+    });
+
+    it('should hide a deleted user and their microposts until restored', async () => {
+      const user = await registerUser('Vanishing');
+      const post = await createPost(user, { content: 'Still here?' });
+
+      expect(await deleteUser(user.id)).toBe(true);
+
+      await request(app).get(`/api/v1/users/${user.id}`).expect(404);
+      await request(app).get(`/api/v1/microposts/${post.id}`).expect(404);
+      await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: user.email, password: 'password123' })
+        .expect(401);
+
+      const restored = await request(app)
+        .post(`/api/v1/users/${user.id}/restore`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .expect(200);
+      expect(restored.body.data).toMatchObject({ id: user.id, micropostCount: 1 });
+      expect(restored.body.data).not.toHaveProperty('deletedAt');
+      expect(restored.body.data).not.toHaveProperty('passwordHash');
+
+      await request(app).get(`/api/v1/users/${user.id}`).expect(200);
+      await request(app).get(`/api/v1/microposts/${post.id}`).expect(200);
+    });
+
+    it('should only let admins restore deleted users', async () => {
+      const user = await registerUser('Departed');
+      expect(await deleteUser(user.id)).toBe(true);
+
+      const forbidden = await request(app)
+        .post(`/api/v1/users/${user.id}/restore`)
+        .set('Authorization', `Bearer ${reader.token}`)
+        .expect(403);
+      expect(forbidden.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      await request(app).post(`/api/v1/users/${user.id}/restore`).expect(401);
+      await request(app).get(`/api/v1/users/${user.id}`).expect(404);
+
+      // 削除されていないユーザーは元に戻せない
+      await request(app)
+        .post(`/api/v1/users/${reader.id}/restore`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .expect(404);
+    });
+  });
+});
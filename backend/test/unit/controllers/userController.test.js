@@ -1,5 +1,6 @@
 import request from 'supertest';
 import app from '../../../src/app.js';
+import { suspendUser } from '../../../src/services/userService.js';
 
 describe('User Controller', () => {
   describe('GET /api/v1/users', () => {
@@ -115,6 +116,59 @@ describe('User Controller', () => {
     });
   });
   
+  describe('GET /api/v1/users (cursor mode)', () => {
+    beforeAll(async () => {
+      // カーソルで2ページ以上になるようにユーザーを追加
+      await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          name: 'Cursor User',
+          email: `cursor-${Date.now()}@example.com`,
+          password: 'password123'
+        });
+    });
+
+    it('should page through users with nextCursor without duplicates', async () => {
+      const firstPage = await request(app)
+        .get('/api/v1/users?limit=1')
+        .expect(200);
+
+      expect(firstPage.body.pagination.nextCursor).toEqual(expect.any(String));
+
+      const secondPage = await request(app)
+        .get(`/api/v1/users?limit=1&cursor=${firstPage.body.pagination.nextCursor}`)
+        .expect(200);
+
+      expect(secondPage.body.data).toHaveLength(1);
+      expect(secondPage.body.data[0].id).not.toBe(firstPage.body.data[0].id);
+      expect(new Date(secondPage.body.data[0].createdAt).getTime())
+        .toBeLessThanOrEqual(new Date(firstPage.body.data[0].createdAt).getTime());
+      expect(secondPage.body.pagination).toHaveProperty('limit', 1);
+      expect(secondPage.body.pagination).toHaveProperty('hasMore');
+      expect(secondPage.body.pagination).not.toHaveProperty('page');
+    });
+
+    it('should return 400 for cursor with name sort', async () => {
+      const firstPage = await request(app)
+        .get('/api/v1/users?limit=1')
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/users?sort=name_asc&cursor=${firstPage.body.pagination.nextCursor}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 400 for invalid cursor', async () => {
+      const response = await request(app)
+        .get('/api/v1/users?cursor=invalid')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
   describe('GET /api/v1/users/:userId', () => {
     it('should return user details with status 200', async () => {
       const response = await request(app)
@@ -133,6 +187,24 @@ describe('User Controller', () => {
       expect(response.body.data.recentMicroposts).toBeInstanceOf(Array);
       expect(response.body.data.recentMicroposts.length).toBeLessThanOrEqual(5);
     });
+
+    it('should only return public profile fields', async () => {
+      const registered = await request(app)
+        .post('/api/v1/auth/register')
+        .send({ name: 'Private Person', email: `private-${Date.now()}@example.com`, password: 'password123' })
+        .expect(201);
+      const userId = registered.body.data.user.id;
+      await suspendUser(userId);
+
+      const response = await request(app)
+        .get(`/api/v1/users/${userId}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('id', userId);
+      for (const field of ['passwordHash', 'roles', 'preferences', 'pinnedMicropostId', 'suspendedAt']) {
+        expect(response.body.data).not.toHaveProperty(field);
+      }
+    });
     
     it('should return 404 for non-existent user', async () => {
       const response = await request(app)
@@ -0,0 +1,242 @@
+import request from 'supertest';
+import app from '../../../src/app.js';
+
+describe('Micropost visibility', () => {
+  let author;
+  let follower;
+  let stranger;
+  let publicPost;
+  let followersPost;
+  let privatePost;
+  const word = `visibility${Date.now()}`;
+
+  const registerUser = async (name) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name,
+        email: `${name.toLowerCase()}-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+    return {
+      id: response.body.data.user.id,
+      token: response.body.data.tokens.access_token
+    };
+  };
+
+  const createPost = async (body, user = author) => {
+    return await request(app)
+      .post(`/api/v1/users/${user.id}/microposts`)
+      .set('Authorization', `Bearer ${user.token}`)
+      .send(body);
+  };
+
+  const get = (path, user) => {
+    const req = request(app).get(path);
+    return user ? req.set('Authorization', `Bearer ${user.token}`) : req;
+  };
+
+  const ids = (response) => response.body.data.map(item => item.id);
+
+  beforeAll(async () => {
+    author = await registerUser('Diarist');
+    follower = await registerUser('Confidant');
+    stranger = await registerUser('Passerby');
+
+    await request(app)
+      .post(`/api/v1/users/${author.id}/follow`)
+      .set('Authorization', `Bearer ${follower.token}`)
+      .expect(201);
+
+    publicPost = (await createPost({ content: `Hello world ${word} #${word}` })).body.data;
+    followersPost = (await createPost({ content: `Friends only ${word} #${word}`, visibility: 'followers' })).body.data;
+    privatePost = (await createPost({ content: `Dear diary ${word} #${word}`, visibility: 'private' })).body.data;
+  });
+
+  describe('POST /api/v1/users/:userId/microposts', () => {
+    it('should store the visibility and default to public', async () => {
+      expect(publicPost.visibility).toBe('public');
+      expect(followersPost.visibility).toBe('followers');
+      expect(privatePost.visibility).toBe('private');
+    });
+
+    it('should return 400 for an unknown visibility', async () => {
+      const response = await createPost({ content: 'Secret', visibility: 'secret' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should only allow public microposts to be reposted or quoted, and hidden ones not to be replied to', async () => {
+      const repost = await createPost({ repostOfId: followersPost.id }, follower);
+      const quote = await createPost({ content: 'Look at this', quoteOfId: followersPost.id }, follower);
+      const reply = await createPost({ content: 'Peeking', inReplyToId: privatePost.id }, stranger);
+
+      expect(repost.status).toBe(400);
+      expect(quote.status).toBe(400);
+      expect(reply.status).toBe(400);
+      expect(reply.body.error.message).toBe('Reply target micropost does not exist');
+      expect((await createPost({ content: 'Agreed', inReplyToId: followersPost.id }, follower)).status).toBe(201);
+    });
+  });
+
+  describe('GET /api/v1/microposts/:micropostId', () => {
+    it('should return 404 rather than 403 for microposts outside the viewer audience', async () => {
+      const path = (post) => `/api/v1/microposts/${post.id}`;
+
+      expect((await get(path(publicPost))).status).toBe(200);
+      expect((await get(path(followersPost), follower)).status).toBe(200);
+      expect((await get(path(privatePost), author)).status).toBe(200);
+
+      for (const [post, user] of [[followersPost, undefined], [followersPost, stranger], [privatePost, follower]]) {
+        const response = await get(path(post), user);
+        expect(response.status).toBe(404);
+        expect(response.body.error.code).toBe('NOT_FOUND');
+      }
+
+      expect((await get(`/api/v1/microposts/${privatePost.id}/revisions`, follower)).status).toBe(404);
+      expect((await get(`/api/v1/microposts/${privatePost.id}/likes`)).status).toBe(404);
+    });
+
+    it('should return 404 rather than 403 when modifying microposts outside the viewer audience', async () => {
+      const modify = (method, path, user) => request(app)[method](path)
+        .set('Authorization', `Bearer ${user.token}`)
+        .send({ content: 'Tampered' });
+
+      for (const [post, user] of [[followersPost, stranger], [privatePost, follower]]) {
+        for (const [method, path] of [
+          ['patch', `/api/v1/microposts/${post.id}`],
+          ['delete', `/api/v1/microposts/${post.id}`],
+          ['post', `/api/v1/microposts/${post.id}/restore`],
+          ['post', `/api/v1/microposts/${post.id}/publish`]
+        ]) {
+          const response = await modify(method, path, user);
+          expect(response.status).toBe(404);
+          expect(response.body.error.code).toBe('NOT_FOUND');
+        }
+      }
+
+      // 見られる投稿の場合は存在を隠す必要がないため403
+      const response = await modify('patch', `/api/v1/microposts/${followersPost.id}`, follower);
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('ACCESS_DENIED');
+    });
+  });
+
+  describe('Lists and search', () => {
+    it('should only list and search microposts the viewer may see', async () => {
+      const search = `/api/v1/microposts?search=${word}&limit=50`;
+      const userPosts = `/api/v1/users/${author.id}/microposts?limit=50`;
+
+      for (const path of [search, userPosts, `/api/v1/tags/${word}/microposts?limit=50`]) {
+        expect(ids(await get(path))).toEqual([publicPost.id]);
+        expect(ids(await get(path, stranger))).toEqual([publicPost.id]);
+        expect(ids(await get(path, follower))).toEqual([followersPost.id, publicPost.id]);
+        expect(ids(await get(path, author))).toEqual([privatePost.id, followersPost.id, publicPost.id]);
+      }
+
+      const timeline = ids(await get('/api/v1/microposts?limit=50', stranger));
+      expect(timeline).toContain(publicPost.id);
+      expect(timeline).not.toContain(followersPost.id);
+      expect(timeline).not.toContain(privatePost.id);
+
+      const feed = ids(await get('/api/v1/feed?limit=50', follower));
+      expect(feed).toEqual(expect.arrayContaining([publicPost.id, followersPost.id]));
+      expect(feed).not.toContain(privatePost.id);
+    });
+
+    it('should hide a pinned micropost and recent microposts outside the viewer audience on the profile', async () => {
+      await request(app)
+        .post(`/api/v1/microposts/${followersPost.id}/pin`)
+        .set('Authorization', `Bearer ${author.token}`)
+        .expect(200);
+
+      try {
+        const anonymous = await get(`/api/v1/users/${author.id}`).expect(200);
+        expect(anonymous.body.data.pinnedMicropost).toBeNull();
+        expect(anonymous.body.data.recentMicroposts.map(post => post.id)).toEqual([publicPost.id]);
+
+        const friend = await get(`/api/v1/users/${author.id}`, follower).expect(200);
+        expect(friend.body.data.pinnedMicropost.id).toBe(followersPost.id);
+
+        const list = await get(`/api/v1/users/${author.id}/microposts`, stranger).expect(200);
+        expect(list.body.data.some(post => post.pinned)).toBe(false);
+      } finally {
+        await request(app)
+          .delete(`/api/v1/microposts/${followersPost.id}/pin`)
+          .set('Authorization', `Bearer ${author.token}`)
+          .expect(204);
+      }
+    });
+  });
+
+  describe('Threads', () => {
+    it('should keep hidden microposts out of threads, leaving a tombstone only where visible replies hang off them', async () => {
+      const root = (await createPost({ content: 'Close friends thread', visibility: 'followers' })).body.data;
+      const reply = (await createPost({ content: 'Public answer', inReplyToId: root.id }, follower)).body.data;
+      const aside = (await createPost({ content: 'Note to self', inReplyToId: root.id, visibility: 'private' })).body.data;
+
+      const friend = await get(`/api/v1/microposts/${reply.id}/thread`, follower).expect(200);
+      expect(friend.body.data.id).toBe(root.id);
+      expect(friend.body.data.replies.map(item => item.id)).toEqual([reply.id]);
+
+      const outsider = await get(`/api/v1/microposts/${reply.id}/thread`, stranger).expect(200);
+      expect(outsider.body.data).toMatchObject({ id: root.id, tombstone: true });
+      expect(outsider.body.data.content).toBeUndefined();
+      expect(outsider.body.data.replies.map(item => item.id)).toEqual([reply.id]);
+
+      const own = await get(`/api/v1/microposts/${root.id}/replies`, author).expect(200);
+      expect(own.body.data.map(item => item.id)).toEqual([reply.id, aside.id]);
+
+      expect((await get(`/api/v1/microposts/${root.id}/replies`, stranger)).status).toBe(404);
+      expect((await get(`/api/v1/microposts/${aside.id}/thread`, follower)).status).toBe(404);
+    });
+  });
+
+  describe('Interactions', () => {
+    it('should return 404 when liking, bookmarking or voting on hidden microposts', async () => {
+      const poll = (await createPost({
+        content: 'Private poll',
+        visibility: 'private',
+        poll: { options: ['Yes', 'No'], closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }
+      })).body.data;
+
+      const like = await request(app)
+        .post(`/api/v1/microposts/${followersPost.id}/like`)
+        .set('Authorization', `Bearer ${stranger.token}`);
+      const bookmark = await request(app)
+        .post(`/api/v1/microposts/${privatePost.id}/bookmark`)
+        .set('Authorization', `Bearer ${follower.token}`);
+      const vote = await request(app)
+        .post(`/api/v1/microposts/${poll.id}/poll/votes`)
+        .set('Authorization', `Bearer ${follower.token}`)
+        .send({ optionId: 1 });
+
+      expect(like.status).toBe(404);
+      expect(bookmark.status).toBe(404);
+      expect(vote.status).toBe(404);
+    });
+
+    it('should drop bookmarks of microposts that are no longer visible to the user', async () => {
+      const reader = await registerUser('Lurker');
+      await request(app)
+        .post(`/api/v1/users/${author.id}/follow`)
+        .set('Authorization', `Bearer ${reader.token}`)
+        .expect(201);
+      await request(app)
+        .post(`/api/v1/microposts/${followersPost.id}/bookmark`)
+        .set('Authorization', `Bearer ${reader.token}`)
+        .expect(201);
+
+      expect(ids(await get('/api/v1/me/bookmarks', reader))).toEqual([followersPost.id]);
+
+      await request(app)
+        .delete(`/api/v1/users/${author.id}/follow`)
+        .set('Authorization', `Bearer ${reader.token}`)
+        .expect(204);
+
+      expect(ids(await get('/api/v1/me/bookmarks', reader))).toEqual([]);
+    });
+  });
+});
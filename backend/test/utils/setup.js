@@ -6,8 +6,15 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// The app reads its database path when src/config is first imported (before DB_PATH is set below),
+// so tests write to the tracked db/db.json. Back it up here and restore it after each test file.
+const appDbPath = path.resolve(__dirname, '../../db/db.json');
+let appDbBackup;
+
 // Global test setup
 beforeAll(async () => {
+  appDbBackup = await fs.readFile(appDbPath, 'utf8');
+  
   // Set test environment variables
   process.env.NODE_ENV = 'test';
   process.env.PORT = '3001';
@@ -46,6 +53,11 @@ beforeAll(async () => {
 });
 
 afterAll(async () => {
+  // Restore the tracked database (users, microposts and notifications created by the tests)
+  if (appDbBackup !== undefined) {
+    await fs.writeFile(appDbPath, appDbBackup);
+  }
+  
   // Clean up test environment
   if (process.env.TEST_VERBOSE === 'true') {
     console.log('Cleaning up test environment...');
@@ -117,6 +129,19 @@ async function initializeTestDatabase() {
     const testData = {
       users: enhancedUsers,
       microposts: microposts,
+      relationships: [],
+      likes: [],
+      hashtags: [],
+      notifications: [],
+      bookmarks: [],
+      micropostRevisions: [],
+      media: [],
+      pollVotes: [],
+      linkPreviews: [],
+      blocks: [],
+      mutes: [],
+      reports: [],
+      moderationActions: [],
       passwordResetTokens: [],
       refreshTokens: [],
       tokenBlacklist: []
@@ -134,9 +159,31 @@ async function initializeTestDatabase() {
     try {
       const { reinitializeRepository: reinitializeMicropost } = await import('../../src/services/micropostService.js');
       const { reinitializeRepository: reinitializeUser } = await import('../../src/services/userService.js');
+      const { reinitializeRepository: reinitializeRelationship } = await import('../../src/services/relationshipService.js');
+      const { reinitializeRepository: reinitializeLike } = await import('../../src/services/likeService.js');
+      const { reinitializeRepository: reinitializeHashtag } = await import('../../src/services/hashtagService.js');
+      const { reinitializeRepository: reinitializeNotification } = await import('../../src/services/notificationService.js');
+      const { reinitializeRepository: reinitializeBookmark } = await import('../../src/services/bookmarkService.js');
+      const { reinitializeRepository: reinitializeMedia } = await import('../../src/services/mediaService.js');
+      const { reinitializeRepository: reinitializePollVote } = await import('../../src/services/pollService.js');
+      const { reinitializeRepository: reinitializeLinkPreview } = await import('../../src/services/linkPreviewService.js');
+      const { reinitializeRepository: reinitializeBlock } = await import('../../src/services/blockService.js');
+      const { reinitializeRepository: reinitializeMute } = await import('../../src/services/muteService.js');
+      const { reinitializeRepository: reinitializeReport } = await import('../../src/services/reportService.js');
       
       await reinitializeMicropost();
       await reinitializeUser();
+      await reinitializeRelationship();
+      await reinitializeLike();
+      await reinitializeHashtag();
+      await reinitializeNotification();
+      await reinitializeBookmark();
+      await reinitializeMedia();
+      await reinitializePollVote();
+      await reinitializeLinkPreview();
+      await reinitializeBlock();
+      await reinitializeMute();
+      await reinitializeReport();
     } catch (error) {
       // Ignore errors if repositories don't support reinitialize yet
       if (process.env.TEST_VERBOSE === 'true') {
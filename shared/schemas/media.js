@@ -0,0 +1,29 @@
+import { z } from 'zod';
+
+// Media Attachment Schema (image attached to a micropost; url is served by the storage backend)
+export const MediaAttachmentSchema = z.object({
+  id: z.number().int().positive(),
+  url: z.string(),
+  mimeType: z.enum(['image/png', 'image/jpeg', 'image/gif', 'image/webp']),
+  width: z.number().int().positive(),
+  height: z.number().int().positive(),
+  altText: z.string().max(1000).nullable()
+});
+
+// Media Schema (uploaded image, attachable until used by a micropost)
+export const MediaSchema = MediaAttachmentSchema.extend({
+  userId: z.number().int().positive(),
+  size: z.number().int().positive(),
+  micropostId: z.number().int().positive().nullable(),
+  createdAt: z.string().datetime()
+});
+
+// Upload Media Request Schema (non-file multipart fields)
+export const UploadMediaFieldsSchema = z.object({
+  altText: z.string().trim().max(1000, 'Alt text must be 1000 characters or less').optional()
+});
+
+// Media Response Schema
+export const MediaResponseSchema = z.object({
+  data: MediaSchema
+});
@@ -1,16 +1,106 @@
 import { z } from 'zod';
-import { UserSummarySchema } from './user.js';
+import { UserSummarySchema, PaginationSchema, CursorPaginationSchema, CursorParamSchema } from './user.js';
+import { MediaAttachmentSchema } from './media.js';
+
+// Mention Schema (resolved @handle; start/end are offsets in content including "@")
+export const MentionSchema = z.object({
+  userId: z.number().int().positive(),
+  handle: z.string(),
+  start: z.number().int().min(0),
+  end: z.number().int().positive()
+});
+
+// Link Preview Schema (metadata of a URL in content, cached per URL)
+export const LinkPreviewSchema = z.object({
+  url: z.string().url(),
+  title: z.string().max(200).nullable(),
+  description: z.string().max(500).nullable(),
+  image: z.string().url().nullable()
+});
+
+// Poll Schema (tallies and totalVotes are null while results are hidden from the viewer)
+export const PollSchema = z.object({
+  options: z.array(z.object({
+    id: z.number().int().positive(),
+    text: z.string().max(50),
+    votes: z.number().int().min(0).nullable()
+  })).min(2).max(4),
+  closesAt: z.string().datetime(),
+  closed: z.boolean(),
+  resultsVisibility: z.enum(['after_vote', 'after_close']),
+  resultsVisible: z.boolean(),
+  totalVotes: z.number().int().min(0).nullable(),
+  myVote: z.number().int().positive().nullable()
+});
+
+// Micropost Visibility Schema (public: everyone, followers: the author and their followers, private: the author only)
+export const MicropostVisibilitySchema = z.enum(['public', 'followers', 'private']);
+
+// Embedded Micropost Schema (original of a repost or quote)
+export const EmbeddedMicropostSchema = z.object({
+  id: z.number().int().positive(),
+  userId: z.number().int().positive(),
+  content: z.string().max(280),
+  contentWarning: z.string().max(100).optional(),
+  sensitive: z.boolean(),
+  createdAt: z.string().datetime(),
+  user: UserSummarySchema.nullable()
+});
 
 // Base Micropost Schema (matches OpenAPI Micropost schema)
 export const MicropostSchema = z.object({
   id: z.number().int().positive(),
   userId: z.number().int().positive(),
-  content: z.string().min(1).max(280),
+  // リポストは本文を持たない
+  content: z.string().max(280),
   contentLength: z.number().int().min(0).max(280),
+  // 注意書き（本文の前に表示する）とセンシティブな内容の印。collapsed は閲覧者の設定で折りたたむ投稿か
+  contentWarning: z.string().max(100).optional(),
+  sensitive: z.boolean(),
+  collapsed: z.boolean(),
+  visibility: MicropostVisibilitySchema,
   createdAt: z.string().datetime(),
+  updatedAt: z.string().datetime().optional(),
+  edited: z.boolean().optional(),
+  deletedAt: z.string().datetime().optional(),
+  purgeAt: z.string().datetime().optional(),
+  // 未公開の投稿のみ（公開済みの投稿は持たない）
+  status: z.enum(['draft', 'scheduled']).optional(),
+  publishAt: z.string().datetime().optional(),
+  inReplyToId: z.number().int().positive().nullable().optional(),
+  replyCount: z.number().int().min(0).optional(),
+  repostOfId: z.number().int().positive().optional(),
+  quoteOfId: z.number().int().positive().optional(),
+  repostCount: z.number().int().min(0),
+  repostOf: EmbeddedMicropostSchema.nullable().optional(),
+  quoteOf: EmbeddedMicropostSchema.nullable().optional(),
+  hashtags: z.array(z.string()),
+  mentions: z.array(MentionSchema),
+  media: z.array(MediaAttachmentSchema).max(4),
+  linkPreviews: z.array(LinkPreviewSchema).max(4),
+  poll: PollSchema.optional(),
+  likeCount: z.number().int().min(0),
+  likedByMe: z.boolean(),
+  // ユーザー別一覧の先頭に固定表示された投稿のみ
+  pinned: z.boolean().optional(),
   user: UserSummarySchema
 });
 
+// Tombstone Schema (deleted micropost kept so that its replies stay in the thread)
+export const MicropostTombstoneSchema = z.object({
+  id: z.number().int().positive(),
+  inReplyToId: z.number().int().positive().nullable(),
+  createdAt: z.string().datetime(),
+  tombstone: z.literal(true)
+});
+
+// Thread Node Schema (micropost or tombstone with nested replies)
+export const ThreadNodeSchema = z.lazy(() =>
+  z.union([MicropostSchema, MicropostTombstoneSchema]).and(z.object({
+    replies: z.array(ThreadNodeSchema)
+  }))
+);
+
 // Micropost Summary Schema (for user details)
 export const MicropostSummarySchema = z.object({
   id: z.number().int().positive(),
@@ -18,11 +108,102 @@ export const MicropostSummarySchema = z.object({
   createdAt: z.string().datetime()
 });
 
+// Create Poll Request Schema (results are shown after voting or only after closing)
+export const CreatePollSchema = z.object({
+  options: z.array(
+    z.string().trim().min(1, 'Option is required').max(50, 'Option must be 50 characters or less')
+  ).min(2, 'Poll must have at least 2 options').max(4, 'Poll can have up to 4 options'),
+  closesAt: z.string().datetime(),
+  resultsVisibility: z.enum(['after_vote', 'after_close']).default('after_vote')
+}).refine(data => new Set(data.options).size === data.options.length, {
+  path: ['options'],
+  message: 'Poll options must be unique'
+});
+
 // Create Micropost Request Schema
 export const CreateMicropostSchema = z.object({
+  content: z.string().max(280, 'Content must be 280 characters or less').default(''),
+  inReplyToId: z.number().int().positive().optional(),
+  repostOfId: z.number().int().positive().optional(),
+  quoteOfId: z.number().int().positive().optional(),
+  status: z.enum(['draft', 'published']).default('published'),
+  publishAt: z.string().datetime().optional(),
+  mediaIds: z.array(z.number().int().positive()).max(4, 'Up to 4 media can be attached').optional(),
+  poll: CreatePollSchema.optional(),
+  contentWarning: z.string().trim().min(1, 'Content warning must not be empty').max(100, 'Content warning must be 100 characters or less').optional(),
+  sensitive: z.boolean().default(false),
+  visibility: MicropostVisibilitySchema.default('public')
+}).superRefine((data, ctx) => {
+  if (data.mediaIds && new Set(data.mediaIds).size !== data.mediaIds.length) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['mediaIds'], message: 'Media must not be attached twice' });
+  }
+
+  // 下書きは公開日時を持たず、明示的に公開するまで残る
+  if (data.status === 'draft' && data.publishAt !== undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['publishAt'], message: 'Draft cannot have publishAt' });
+  }
+  // 予約投稿の投票は公開後に締め切る
+  if (data.poll && data.publishAt !== undefined && new Date(data.poll.closesAt) <= new Date(data.publishAt)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['poll', 'closesAt'], message: 'Poll must close after publishAt' });
+  }
+
+  if (data.repostOfId === undefined) {
+    // 画像を添付した投稿は本文を省略できる
+    if (data.content.length === 0 && !data.mediaIds?.length) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['content'], message: 'Content is required' });
+    }
+    return;
+  }
+
+  // リポストは本文なしで、返信・引用と併用できない
+  if (data.content.length > 0) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['content'], message: 'Repost must not have content' });
+  }
+  if (data.inReplyToId !== undefined || data.quoteOfId !== undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['repostOfId'], message: 'Repost cannot be combined with inReplyToId or quoteOfId' });
+  }
+  if (data.status === 'draft' || data.publishAt !== undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['repostOfId'], message: 'Repost cannot be a draft or scheduled' });
+  }
+  if (data.mediaIds?.length) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['mediaIds'], message: 'Repost must not have media' });
+  }
+  if (data.poll !== undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['poll'], message: 'Repost must not have a poll' });
+  }
+  // リポストは元の投稿の注意書き・センシティブの印を引き継ぐ
+  if (data.contentWarning !== undefined || data.sensitive) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['contentWarning'], message: 'Repost must not have a content warning or sensitive flag' });
+  }
+});
+
+// Update Micropost Request Schema
+export const UpdateMicropostSchema = z.object({
   content: z.string().min(1, 'Content is required').max(280, 'Content must be 280 characters or less')
 });
 
+// Poll Vote Request Schema
+export const CreatePollVoteSchema = z.object({
+  optionId: z.number().int().positive()
+});
+
+// Poll Vote Schema (userId chose optionId in the poll of micropostId)
+export const PollVoteSchema = z.object({
+  id: z.number().int().positive(),
+  userId: z.number().int().positive(),
+  micropostId: z.number().int().positive(),
+  optionId: z.number().int().positive(),
+  createdAt: z.string().datetime()
+});
+
+// Poll Vote Response Schema
+export const PollVoteResponseSchema = z.object({
+  data: PollVoteSchema,
+  meta: z.object({
+    poll: PollSchema
+  })
+});
+
 // Micropost Response Schema
 export const MicropostResponseSchema = z.object({
   data: MicropostSchema
@@ -31,32 +212,160 @@ export const MicropostResponseSchema = z.object({
 // Micropost List Response Schema
 export const MicropostListResponseSchema = z.object({
   data: z.array(MicropostSchema),
-  pagination: z.object({
-    page: z.number().int().min(1),
-    limit: z.number().int().min(1),
-    total: z.number().int().min(0),
-    totalPages: z.number().int().min(0)
-  }),
+  pagination: z.union([PaginationSchema, CursorPaginationSchema]),
   meta: z.object({
     userId: z.number().int().positive().optional(),
     userName: z.string().optional()
   }).optional()
 });
 
+// Thread Response Schemas
+export const MicropostRepliesResponseSchema = z.object({
+  data: z.array(ThreadNodeSchema),
+  meta: z.object({
+    micropostId: z.number().int().positive(),
+    total: z.number().int().min(0)
+  })
+});
+
+export const MicropostThreadResponseSchema = z.object({
+  data: ThreadNodeSchema,
+  meta: z.object({
+    micropostId: z.number().int().positive(),
+    rootId: z.number().int().positive(),
+    total: z.number().int().min(1)
+  })
+});
+
+// Micropost Revision Schema (previous version kept on edit)
+export const MicropostRevisionSchema = z.object({
+  id: z.number().int().positive(),
+  micropostId: z.number().int().positive(),
+  content: z.string().max(280),
+  createdAt: z.string().datetime(),
+  replacedAt: z.string().datetime()
+});
+
+export const MicropostRevisionsResponseSchema = z.object({
+  data: z.array(MicropostRevisionSchema),
+  meta: z.object({
+    micropostId: z.number().int().positive(),
+    revisionCount: z.number().int().min(0)
+  })
+});
+
+// Trending Tag Schemas
+export const TrendingTagSchema = z.object({
+  tag: z.string(),
+  count: z.number().int().positive()
+});
+
+export const TrendingTagsResponseSchema = z.object({
+  data: z.array(TrendingTagSchema),
+  meta: z.object({
+    windowHours: z.number().int().positive(),
+    since: z.string().datetime()
+  })
+});
+
+// Like Schema (userId likes micropostId)
+export const LikeSchema = z.object({
+  id: z.number().int().positive(),
+  userId: z.number().int().positive(),
+  micropostId: z.number().int().positive(),
+  createdAt: z.string().datetime()
+});
+
+// Like Response Schema
+export const LikeResponseSchema = z.object({
+  data: LikeSchema,
+  meta: z.object({
+    likeCount: z.number().int().min(0)
+  })
+});
+
+// Bookmark Schema (userId saved micropostId, visible only to userId)
+export const BookmarkSchema = z.object({
+  id: z.number().int().positive(),
+  userId: z.number().int().positive(),
+  micropostId: z.number().int().positive(),
+  createdAt: z.string().datetime()
+});
+
+// Bookmark Response Schema
+export const BookmarkResponseSchema = z.object({
+  data: BookmarkSchema
+});
+
 // Query parameters schemas
 export const MicropostQueryParamsSchema = z.object({
   page: z.coerce.number().int().min(1).default(1),
   limit: z.coerce.number().int().min(1).max(50).default(20),
-  search: z.string().max(100).optional()
+  cursor: CursorParamSchema,
+  search: z.string().max(100).optional(),
+  // 注意書き付き・センシティブな投稿（とそのリポスト）を除外する
+  excludeSensitive: z.enum(['true', 'false']).transform(value => value === 'true').default('false')
 });
 
 export const UserMicropostQueryParamsSchema = z.object({
   page: z.coerce.number().int().min(1).default(1),
   limit: z.coerce.number().int().min(1).max(50).default(10),
+  cursor: CursorParamSchema,
   since: z.string().datetime().optional(),
   until: z.string().datetime().optional()
 });
 
+export const FeedQueryParamsSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+  cursor: CursorParamSchema
+});
+
+export const LikedMicropostQueryParamsSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+  cursor: CursorParamSchema
+});
+
+export const BookmarkQueryParamsSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+  cursor: CursorParamSchema
+});
+
+export const TrashQueryParamsSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+  cursor: CursorParamSchema
+});
+
+export const DraftQueryParamsSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+  cursor: CursorParamSchema
+});
+
+// 予約投稿は公開予定日時の順に並べるため、ページモードのみ
+export const ScheduledQueryParamsSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(20)
+});
+
+export const TagMicropostQueryParamsSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+  cursor: CursorParamSchema
+});
+
+export const TrendingTagsQueryParamsSchema = z.object({
+  windowHours: z.coerce.number().int().min(1).max(168).optional(),
+  limit: z.coerce.number().int().min(1).max(50).default(10)
+});
+
+export const TagParamsSchema = z.object({
+  tag: z.string().max(101).regex(/^[#＃]?[\p{L}\p{N}_]{1,100}$/u, 'Invalid hashtag')
+});
+
 export const MicropostParamsSchema = z.object({
   userId: z.coerce.number().int().positive()
 });
@@ -0,0 +1,56 @@
+import { z } from 'zod';
+import { UserSummarySchema, PaginationSchema, CursorPaginationSchema, CursorParamSchema } from './user.js';
+
+// Notification types (matches backend NOTIFICATION_TYPES)
+export const NotificationTypeSchema = z.enum(['follow', 'like', 'reply', 'mention', 'passwordChanged']);
+
+// Base Notification Schema (matches OpenAPI Notification schema)
+export const NotificationSchema = z.object({
+  id: z.number().int().positive(),
+  userId: z.number().int().positive(),
+  type: NotificationTypeSchema,
+  actorId: z.number().int().positive().nullable(),
+  micropostId: z.number().int().positive().nullable(),
+  createdAt: z.string().datetime(),
+  readAt: z.string().datetime().nullable(),
+  actor: UserSummarySchema.nullable()
+});
+
+// Notification Response Schema
+export const NotificationResponseSchema = z.object({
+  data: NotificationSchema,
+  meta: z.object({
+    unreadCount: z.number().int().min(0)
+  })
+});
+
+// Notification List Response Schema
+export const NotificationListResponseSchema = z.object({
+  data: z.array(NotificationSchema),
+  pagination: z.union([PaginationSchema, CursorPaginationSchema]),
+  meta: z.object({
+    unreadCount: z.number().int().min(0)
+  })
+});
+
+// Read-all Response Schema
+export const ReadAllNotificationsResponseSchema = z.object({
+  data: z.object({
+    updatedCount: z.number().int().min(0)
+  }),
+  meta: z.object({
+    unreadCount: z.number().int().min(0)
+  })
+});
+
+// Query parameters schemas
+export const NotificationQueryParamsSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+  cursor: CursorParamSchema,
+  unreadOnly: z.enum(['true', 'false']).transform(value => value === 'true').default('false')
+});
+
+export const NotificationIdParamsSchema = z.object({
+  notificationId: z.coerce.number().int().positive()
+});
@@ -0,0 +1,86 @@
+import { z } from 'zod';
+import { PaginationSchema } from './user.js';
+
+// Report target types
+export const ReportTargetTypeSchema = z.enum(['micropost', 'user']);
+
+// Report reason categories
+export const ReportReasonSchema = z.enum(['spam', 'harassment', 'hate', 'violence', 'sexual', 'misinformation', 'other']);
+
+// Report status (open until an admin resolves it)
+export const ReportStatusSchema = z.enum(['open', 'resolved']);
+
+// Moderation actions an admin can take to resolve a report
+export const ModerationActionTypeSchema = z.enum(['hide_post', 'suspend_author', 'dismiss']);
+
+// Base Report Schema (matches OpenAPI Report schema)
+export const ReportSchema = z.object({
+  id: z.number().int().positive(),
+  reporterId: z.number().int().positive(),
+  targetType: ReportTargetTypeSchema,
+  targetId: z.number().int().positive(),
+  reason: ReportReasonSchema,
+  details: z.string().nullable(),
+  status: ReportStatusSchema,
+  resolution: ModerationActionTypeSchema.nullable(),
+  createdAt: z.string().datetime(),
+  resolvedAt: z.string().datetime().nullable()
+});
+
+// Moderation Action Schema (targetType / targetId are what the action was applied to)
+export const ModerationActionSchema = z.object({
+  id: z.number().int().positive(),
+  reportId: z.number().int().positive(),
+  adminId: z.number().int().positive(),
+  action: ModerationActionTypeSchema,
+  targetType: ReportTargetTypeSchema,
+  targetId: z.number().int().positive(),
+  note: z.string().nullable(),
+  createdAt: z.string().datetime()
+});
+
+// Report as seen by admins, with the actions recorded against it
+export const AdminReportSchema = ReportSchema.extend({
+  actions: z.array(ModerationActionSchema)
+});
+
+// Create Report Schema
+export const CreateReportSchema = z.object({
+  targetType: ReportTargetTypeSchema,
+  targetId: z.number().int().positive(),
+  reason: ReportReasonSchema,
+  details: z.string().trim().max(500).optional()
+});
+
+// Resolve Report Schema
+export const ResolveReportSchema = z.object({
+  action: ModerationActionTypeSchema,
+  note: z.string().trim().max(500).optional()
+});
+
+// Report Response Schema
+export const ReportResponseSchema = z.object({
+  data: ReportSchema
+});
+
+// Admin Report Response Schema
+export const AdminReportResponseSchema = z.object({
+  data: AdminReportSchema
+});
+
+// Admin Report List Response Schema
+export const AdminReportListResponseSchema = z.object({
+  data: z.array(AdminReportSchema),
+  pagination: PaginationSchema
+});
+
+// Query parameters schemas
+export const ReportQueryParamsSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+  status: ReportStatusSchema.optional()
+});
+
+export const ReportIdParamsSchema = z.object({
+  reportId: z.coerce.number().int().positive()
+});
@@ -10,7 +10,9 @@ export const UserSchema = z.object({
   website: z.string().url().max(200).optional(),
   createdAt: z.string().datetime(),
   updatedAt: z.string().datetime().optional(),
-  micropostCount: z.number().int().min(0).optional()
+  micropostCount: z.number().int().min(0).optional(),
+  followerCount: z.number().int().min(0).optional(),
+  followingCount: z.number().int().min(0).optional()
 });
 
 // User Summary Schema (for references in microposts)
@@ -27,28 +29,49 @@ export const MicropostSummarySchema = z.object({
   createdAt: z.string().datetime()
 });
 
+// Page mode pagination (nextCursor lets clients switch to cursor mode)
+export const PaginationSchema = z.object({
+  page: z.number().int().min(1),
+  limit: z.number().int().min(1),
+  total: z.number().int().min(0),
+  totalPages: z.number().int().min(0),
+  nextCursor: z.string().nullable().optional()
+});
+
+// Cursor mode pagination (opaque cursor encoding createdAt + id)
+export const CursorPaginationSchema = z.object({
+  limit: z.number().int().min(1),
+  nextCursor: z.string().nullable(),
+  hasMore: z.boolean()
+});
+
 // User List Response Schema
 export const UserListResponseSchema = z.object({
   data: z.array(UserSchema),
-  pagination: z.object({
-    page: z.number().int().min(1),
-    limit: z.number().int().min(1),
-    total: z.number().int().min(0),
-    totalPages: z.number().int().min(0)
-  })
+  pagination: z.union([PaginationSchema, CursorPaginationSchema])
+});
+
+// User Response Schema
+export const UserResponseSchema = z.object({
+  data: UserSchema
 });
 
 // User Detail Response Schema (with recent microposts)
 export const UserDetailResponseSchema = z.object({
   data: UserSchema.extend({
-    recentMicroposts: z.array(MicropostSummarySchema).max(5).optional()
+    recentMicroposts: z.array(MicropostSummarySchema).max(5).optional(),
+    // 固定表示するマイクロポスト（micropost.js の MicropostSchema。循環参照を避けて id のみ検証）
+    pinnedMicropost: z.object({ id: z.number().int().positive() }).passthrough().nullable().optional()
   })
 });
 
 // Query parameters schemas
+export const CursorParamSchema = z.string().min(1).max(200).optional();
+
 export const UserQueryParamsSchema = z.object({
   page: z.coerce.number().int().min(1).default(1),
   limit: z.coerce.number().int().min(1).max(100).default(20),
+  cursor: CursorParamSchema,
   sort: z.enum(['name_asc', 'name_desc', 'created_asc', 'created_desc']).default('created_desc'),
   search: z.string().max(100).optional()
 });
@@ -57,6 +80,61 @@ export const UserParamsSchema = z.object({
   userId: z.coerce.number().int().positive()
 });
 
+export const FollowQueryParamsSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20)
+});
+
+// Relationship Schema (follower follows followed)
+export const RelationshipSchema = z.object({
+  id: z.number().int().positive(),
+  followerId: z.number().int().positive(),
+  followedId: z.number().int().positive(),
+  createdAt: z.string().datetime()
+});
+
+export const RelationshipResponseSchema = z.object({
+  data: RelationshipSchema
+});
+
+// Block Schema (blocker blocks blocked; applies both ways)
+export const BlockSchema = z.object({
+  id: z.number().int().positive(),
+  blockerId: z.number().int().positive(),
+  blockedId: z.number().int().positive(),
+  createdAt: z.string().datetime()
+});
+
+export const BlockResponseSchema = z.object({
+  data: BlockSchema
+});
+
+// Mute Schema (muter mutes muted; only the muter's timeline, search and notifications are affected)
+export const MuteSchema = z.object({
+  id: z.number().int().positive(),
+  muterId: z.number().int().positive(),
+  mutedId: z.number().int().positive(),
+  createdAt: z.string().datetime()
+});
+
+export const MuteResponseSchema = z.object({
+  data: MuteSchema
+});
+
+// User Preferences Schema (collapseSensitive: collapse microposts with a content warning or sensitive flag)
+export const UserPreferencesSchema = z.object({
+  collapseSensitive: z.boolean()
+});
+
+export const UpdateUserPreferencesSchema = UserPreferencesSchema.partial().strict().refine(
+  data => Object.keys(data).length > 0,
+  { message: 'At least one preference is required' }
+);
+
+export const UserPreferencesResponseSchema = z.object({
+  data: UserPreferencesSchema
+});
+
 // Legacy export for backward compatibility
 export const UserArraySchema = z.array(UserSchema);
 
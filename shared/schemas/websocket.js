@@ -0,0 +1,18 @@
+import { z } from 'zod';
+
+// Channel name: user:<userId> | tag:<tag> | thread:<rootMicropostId>
+export const WebSocketChannelSchema = z.string()
+  .max(105)
+  .regex(/^(user:[1-9]\d*|tag:[#＃]?[\p{L}\p{N}_]{1,100}|thread:[1-9]\d*)$/u, 'Invalid channel');
+
+// Client -> server messages
+export const WebSocketClientMessageSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('subscribe'),
+    channel: WebSocketChannelSchema
+  }),
+  z.object({
+    type: z.literal('unsubscribe'),
+    channel: WebSocketChannelSchema
+  })
+]);